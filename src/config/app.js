@@ -20,6 +20,9 @@ module.exports = {
       maxPoolSize: 10,
       serverSelectionTimeoutMS: 5000,
     },
+    // Sales and orders are written in a transaction when the server is a
+    // replica set. Set to "false" to turn this off.
+    transactions: process.env.MONGODB_TRANSACTIONS !== "false",
   },
 
   // JWT configuration
@@ -60,8 +63,21 @@ module.exports = {
   // File upload configuration
   upload: {
     maxSize: 5 * 1024 * 1024, // 5MB
-    allowedTypes: ["image/jpeg", "image/png", "image/gif", "application/pdf"],
+    allowedTypes: [
+      "image/jpeg",
+      "image/png",
+      "image/gif",
+      "image/webp",
+      "application/pdf",
+    ],
     destination: "./uploads",
+    storage: process.env.UPLOAD_STORAGE || "local",
+    baseUrl: process.env.UPLOAD_BASE_URL || "/uploads",
+    images: {
+      sizes: { large: 1200, medium: 600, thumbnail: 200 }, // Longest edge, px
+      quality: 80,
+      maxPerProduct: 8,
+    },
   },
 
   // Redis configuration (for caching and rate limiting)
@@ -122,6 +138,15 @@ module.exports = {
     destination: process.env.BACKUP_PATH || "./backups",
   },
 
+  // Scheduled jobs (cron expressions)
+  jobs: {
+    reorder: process.env.REORDER_SCHEDULE || "0 6 * * *", // 6 AM daily
+    classification: process.env.CLASSIFICATION_SCHEDULE || "0 2 * * 1", // 2 AM on Mondays
+    priceChanges: process.env.PRICE_CHANGE_SCHEDULE || "* * * * *", // Every minute
+    parkedSales: process.env.PARKED_SALE_SCHEDULE || "*/5 * * * *", // Every 5 minutes
+    layawayReminders: process.env.LAYAWAY_REMINDER_SCHEDULE || "0 9 * * *", // 9 AM daily
+  },
+
   // Feature flags
   features: {
     multiLocation: process.env.FEATURE_MULTI_LOCATION === "true",
@@ -0,0 +1,396 @@
+// backend/src/controllers/categoryController.js
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const PriceList = require("../models/PriceList");
+const ActivityLog = require("../models/ActivityLog");
+const { asyncHandler, AppError } = require("../middleware/errorHandler");
+
+// Move a category's products and price list rules to another category
+const reassignCategory = async (source, target) => {
+  const products = await Product.updateMany(
+    { category: source._id },
+    { $set: { category: target._id } }
+  );
+  await PriceList.updateMany(
+    { "rules.category": source._id },
+    { $set: { "rules.$[rule].category": target._id } },
+    { arrayFilters: [{ "rule.category": source._id }] }
+  );
+  return products.modifiedCount;
+};
+
+// @desc    Get all categories
+// @route   GET /api/categories
+// @access  Private
+const getCategories = asyncHandler(async (req, res, next) => {
+  const categories = await Category.find({ isActive: true })
+    .populate("parent", "name")
+    .sort("displayOrder name");
+
+  res.json({
+    success: true,
+    data: categories,
+  });
+});
+
+// @desc    Get categories as a tree
+// @route   GET /api/categories/tree
+// @access  Private
+const getCategoryTree = asyncHandler(async (req, res, next) => {
+  const tree = await Category.getCategoryTree();
+
+  res.json({
+    success: true,
+    data: tree,
+  });
+});
+
+// @desc    Create category
+// @route   POST /api/categories
+// @access  Private
+const createCategory = asyncHandler(async (req, res, next) => {
+  req.body.metadata = { createdBy: req.user._id };
+  delete req.body.isActive;
+
+  let category;
+  try {
+    category = await Category.create(req.body);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "category.created",
+    entity: {
+      type: "category",
+      id: category._id,
+      name: category.name,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Category created successfully",
+    data: category,
+  });
+});
+
+// @desc    Update category
+// @route   PUT /api/categories/:id
+// @access  Private
+const updateCategory = asyncHandler(async (req, res, next) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category || !category.isActive) {
+    return next(new AppError("Category not found", 404));
+  }
+
+  const previousData = category.toObject();
+
+  // Counts are maintained from the products, and categories are removed
+  // through the delete endpoint so their products are moved first
+  delete req.body.metadata;
+  delete req.body.isActive;
+
+  Object.assign(category, req.body);
+  try {
+    await category.save();
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  // Log activity with changes
+  await ActivityLog.logChange(
+    req.user._id,
+    "category.updated",
+    {
+      type: "category",
+      id: category._id,
+      name: category.name,
+    },
+    previousData,
+    category.toObject()
+  );
+
+  res.json({
+    success: true,
+    message: "Category updated successfully",
+    data: category,
+  });
+});
+
+// @desc    Move category, with its subcategories, under another parent
+// @route   PUT /api/categories/:id/move
+// @access  Private
+const moveCategory = asyncHandler(async (req, res, next) => {
+  const { parent = null, displayOrder } = req.body;
+  const category = await Category.findById(req.params.id);
+
+  if (!category || !category.isActive) {
+    return next(new AppError("Category not found", 404));
+  }
+
+  const previousParent = category.parent;
+  category.parent = parent;
+
+  // Goes after its new siblings unless placed
+  if (displayOrder !== undefined) {
+    category.displayOrder = displayOrder;
+  } else {
+    const last = await Category.findOne({
+      parent,
+      isActive: true,
+      _id: { $ne: category._id },
+    }).sort("-displayOrder");
+    category.displayOrder = last ? last.displayOrder + 1 : 0;
+  }
+
+  try {
+    await category.save();
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "category.moved",
+    entity: {
+      type: "category",
+      id: category._id,
+      name: category.name,
+    },
+    details: {
+      previous: { parent: previousParent },
+      current: { parent: category.parent },
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Category moved successfully",
+    data: category,
+  });
+});
+
+// @desc    Merge category into another, with its products and subcategories
+// @route   POST /api/categories/:id/merge
+// @access  Private
+const mergeCategory = asyncHandler(async (req, res, next) => {
+  const [source, target] = await Promise.all([
+    Category.findById(req.params.id),
+    Category.findById(req.body.into),
+  ]);
+
+  if (!source || !source.isActive) {
+    return next(new AppError("Category not found", 404));
+  }
+  if (!target || !target.isActive) {
+    return next(new AppError("Category to merge into not found", 404));
+  }
+  if (source._id.equals(target._id)) {
+    return next(new AppError("Cannot merge a category into itself", 400));
+  }
+
+  // Its subcategories would end up under themselves
+  const descendants = await source.getDescendantIds();
+  if (descendants.some((id) => id.equals(target._id))) {
+    return next(
+      new AppError("Cannot merge a category into one of its subcategories", 400)
+    );
+  }
+
+  const productsMoved = await reassignCategory(source, target);
+  const children = await Category.updateMany(
+    { parent: source._id },
+    { $set: { parent: target._id } }
+  );
+
+  source.isActive = false;
+  await source.save();
+  await source.updateProductCount();
+  await target.updateProductCount();
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "category.merged",
+    entity: {
+      type: "category",
+      id: target._id,
+      name: target.name,
+    },
+    details: {
+      notes: `${source.name} merged in: ${productsMoved} products and ${children.modifiedCount} subcategories moved`,
+    },
+    severity: "warning",
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: `${source.name} merged into ${target.name}`,
+    data: {
+      category: target,
+      productsMoved,
+      subcategoriesMoved: children.modifiedCount,
+    },
+  });
+});
+
+// @desc    Delete category (soft delete)
+// @route   DELETE /api/categories/:id
+// @access  Private
+const deleteCategory = asyncHandler(async (req, res, next) => {
+  // Its products must be moved to another category first; its
+  // subcategories move up to its parent
+  const { reassignTo } = req.body;
+  const category = await Category.findById(req.params.id);
+
+  if (!category || !category.isActive) {
+    return next(new AppError("Category not found", 404));
+  }
+
+  // Inactive products count too, so none are left pointing at it
+  const productCount = await Product.countDocuments({
+    category: category._id,
+  });
+
+  let target = null;
+  if (productCount > 0) {
+    if (!reassignTo) {
+      return next(
+        new AppError(
+          `Category has ${productCount} products. Choose a category to move them to.`,
+          400
+        )
+      );
+    }
+
+    target = await Category.findById(reassignTo);
+    if (!target || !target.isActive) {
+      return next(new AppError("Category to move products to not found", 404));
+    }
+    if (target._id.equals(category._id)) {
+      return next(
+        new AppError("Products must move to a different category", 400)
+      );
+    }
+    await reassignCategory(category, target);
+  }
+
+  const children = await Category.updateMany(
+    { parent: category._id },
+    { $set: { parent: category.parent } }
+  );
+
+  category.isActive = false;
+  await category.save();
+  await category.updateProductCount();
+  if (target) {
+    await target.updateProductCount();
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "category.deleted",
+    entity: {
+      type: "category",
+      id: category._id,
+      name: category.name,
+    },
+    details: {
+      notes: target
+        ? `${productCount} products moved to ${target.name}`
+        : undefined,
+    },
+    severity: "warning",
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Category deleted successfully",
+    data: {
+      productsMoved: target ? productCount : 0,
+      subcategoriesMoved: children.modifiedCount,
+    },
+  });
+});
+
+// @desc    Set the display order of several categories at once
+// @route   PUT /api/categories/reorder
+// @access  Private
+const reorderCategories = asyncHandler(async (req, res, next) => {
+  const { items } = req.body;
+
+  const found = await Category.countDocuments({
+    _id: { $in: items.map((item) => item.category) },
+    isActive: true,
+  });
+  if (found !== new Set(items.map((item) => item.category)).size) {
+    return next(new AppError("One or more categories not found", 404));
+  }
+
+  const result = await Category.bulkWrite(
+    items.map((item) => ({
+      updateOne: {
+        filter: { _id: item.category },
+        update: { $set: { displayOrder: item.displayOrder } },
+      },
+    }))
+  );
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "category.reordered",
+    entity: {
+      type: "category",
+      name: "Multiple categories",
+    },
+    details: {
+      current: items,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Categories reordered successfully",
+    data: {
+      modified: result.modifiedCount,
+    },
+  });
+});
+
+module.exports = {
+  getCategories,
+  getCategoryTree,
+  createCategory,
+  updateCategory,
+  moveCategory,
+  mergeCategory,
+  deleteCategory,
+  reorderCategories,
+};
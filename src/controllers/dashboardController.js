@@ -5,6 +5,7 @@ const Order = require("../models/Order");
 const Customer = require("../models/Customer");
 const User = require("../models/User");
 const ActivityLog = require("../models/ActivityLog");
+const Settings = require("../models/Settings");
 const { asyncHandler } = require("../middleware/errorHandler");
 
 // @desc    Get dashboard overview
@@ -271,13 +272,13 @@ const getTopProducts = asyncHandler(async (req, res, next) => {
         status: { $in: ["completed", "partial_refund"] },
       },
     },
-    { $unwind: "$items" },
+    ...Sale.productLineStages(),
     {
       $group: {
-        _id: "$items.product",
-        productName: { $first: "$items.productName" },
-        quantitySold: { $sum: "$items.quantity" },
-        revenue: { $sum: "$items.subtotal" },
+        _id: "$line.product",
+        productName: { $first: "$line.productName" },
+        quantitySold: { $sum: "$line.quantity" },
+        revenue: { $sum: "$line.revenue" },
       },
     },
     { $sort: { revenue: -1 } },
@@ -455,6 +456,49 @@ const getNotifications = asyncHandler(async (req, res, next) => {
     });
   }
 
+  // Check for expired and expiring lots
+  const settings = await Settings.getSettings();
+  const { enabled: trackExpiry, alertDays } = settings.inventory.trackExpiry;
+
+  if (trackExpiry) {
+    const lots = await Product.findExpiringLots(alertDays);
+    const expired = lots.filter((lot) => lot.isExpired).length;
+
+    if (expired > 0) {
+      notifications.push({
+        type: "error",
+        category: "inventory",
+        message: `${expired} lots have expired and cannot be sold`,
+        action: "/inventory/expiring",
+      });
+    }
+
+    if (lots.length > expired) {
+      notifications.push({
+        type: "warning",
+        category: "inventory",
+        message: `${lots.length - expired} lots expire within ${alertDays} days`,
+        action: "/inventory/expiring",
+      });
+    }
+  }
+
+  // Check for stock that has stopped selling
+  const { slowDays, deadDays } = settings.inventory.deadStock;
+  const deadStock = (await Product.findDeadStock(slowDays, deadDays)).filter(
+    (product) => product.status === "dead"
+  );
+
+  if (deadStock.length > 0) {
+    const value = deadStock.reduce((sum, p) => sum + p.tiedUpValue, 0);
+    notifications.push({
+      type: "info",
+      category: "inventory",
+      message: `${deadStock.length} products haven't sold in ${deadDays} days, tying up ${value.toFixed(2)} in stock`,
+      action: "/reports/dead-stock",
+    });
+  }
+
   // Check for pending orders
   const pendingOrders = await Order.countDocuments({
     status: "pending",
@@ -0,0 +1,41 @@
+// backend/src/controllers/jobController.js
+const reorderJob = require("../jobs/reorderJob");
+const classificationJob = require("../jobs/classificationJob");
+const priceChangeJob = require("../jobs/priceChangeJob");
+const parkedSaleJob = require("../jobs/parkedSaleJob");
+const layawayJob = require("../jobs/layawayJob");
+const { asyncHandler, AppError } = require("../middleware/errorHandler");
+
+// Jobs an external scheduler can run. Long-running servers also run them on
+// the schedules in config.jobs; serverless deployments have no process to
+// run them, so a scheduler calls this API instead.
+const JOBS = {
+  reorder: reorderJob,
+  classification: classificationJob,
+  "price-changes": priceChangeJob,
+  "parked-sales": parkedSaleJob,
+  "layaway-reminders": layawayJob,
+};
+
+// @desc    Run a scheduled job now
+// @route   POST /api/jobs/:job
+// @access  API key
+const runJob = asyncHandler(async (req, res, next) => {
+  const job = JOBS[req.params.job];
+
+  if (!job) {
+    return next(new AppError(`Unknown job ${req.params.job}`, 404));
+  }
+
+  const result = await job.run();
+
+  res.json({
+    success: true,
+    message: result ? `${req.params.job} job completed` : "Nothing to do",
+    data: result,
+  });
+});
+
+module.exports = {
+  runJob,
+};
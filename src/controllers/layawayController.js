@@ -0,0 +1,475 @@
+// backend/src/controllers/layawayController.js
+const Layaway = require("../models/Layaway");
+const Product = require("../models/Product");
+const Customer = require("../models/Customer");
+const PriceList = require("../models/PriceList");
+const Location = require("../models/Location");
+const Settings = require("../models/Settings");
+const ActivityLog = require("../models/ActivityLog");
+const priceService = require("../services/priceService");
+const saleService = require("../services/saleService");
+const config = require("../config/app");
+const { asyncHandler, AppError } = require("../middleware/errorHandler");
+const { withTransaction } = require("../utils/transaction");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Turn a fully paid layaway into a sale, in the session it was loaded in.
+// The sale takes the stock out before the layaway's hold on it is released.
+const completeLayaway = async (layaway, userId) => {
+  const methods = [...new Set(layaway.payments.map((p) => p.method))];
+
+  const sale = await saleService.record(
+    {
+      items: layaway.items.map((item) => ({
+        product: item.product,
+        productName: item.productName,
+        quantity: item.quantity,
+        unit: item.unit,
+        baseQuantity: item.baseQuantity,
+        unitPrice: item.unitPrice,
+        discount: item.discount,
+        tax: { rate: item.tax.rate },
+        subtotal: item.subtotal,
+      })),
+      customer: layaway.customer,
+      customerInfo: layaway.customerInfo,
+      priceList: layaway.priceList,
+      payment: {
+        method: methods.length === 1 ? methods[0] : "mixed",
+        status: "paid",
+        totalPaid: layaway.totalPaid,
+        details: layaway.payments.map((payment) => ({
+          method: payment.method,
+          amount: payment.amount,
+          reference: payment.reference,
+        })),
+      },
+      seller: userId,
+      location: layaway.location,
+      metadata: {
+        source: "pos",
+        notes: `Layaway ${layaway.layawayNumber}`,
+        layaway: layaway._id,
+      },
+    },
+    userId,
+    { session: layaway.$session() }
+  );
+
+  await layaway.releaseStock();
+  layaway.status = "completed";
+  layaway.completedAt = new Date();
+  layaway.sale = sale._id;
+
+  return sale;
+};
+
+// @desc    Put goods on layaway against a deposit
+// @route   POST /api/layaways
+// @access  Private
+const createLayaway = asyncHandler(async (req, res, next) => {
+  const { items, customer, deposit, notes } = req.body;
+
+  const settings = await Settings.getSettings();
+  const { minDepositPercentage, maxTermDays } = settings.sales.layaway;
+
+  const customerDoc = await Customer.findById(customer);
+  if (!customerDoc) {
+    return next(new AppError("Customer not found", 404));
+  }
+  const priceList = await PriceList.findForCustomer(customerDoc);
+
+  const layawayItems = [];
+  for (const item of items) {
+    const product = await Product.findById(item.product);
+
+    if (!product) {
+      return next(new AppError(`Product ${item.product} not found`, 404));
+    }
+
+    if (!product.status.isActive) {
+      return next(
+        new AppError(`Product ${product.name} is not available`, 400)
+      );
+    }
+
+    if (product.hasVariants) {
+      return next(new AppError(`Choose a variant of ${product.name}`, 400));
+    }
+
+    // Only stock of the product itself can be held
+    if (product.productType === "bundle") {
+      return next(
+        new AppError(
+          `${product.name} is a bundle. Put its items on layaway instead`,
+          400
+        )
+      );
+    }
+
+    if (product.inventory.serialized) {
+      return next(
+        new AppError(
+          `${product.name} is sold by serial number and can't be put on layaway`,
+          400
+        )
+      );
+    }
+
+    const unit = item.unit || product.sellingUnit || product.unit;
+    let baseQuantity;
+    try {
+      baseQuantity = product.toBaseQuantity(item.quantity, unit);
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
+
+    layawayItems.push({
+      product: product._id,
+      productName: product.name,
+      quantity: item.quantity,
+      unit,
+      baseQuantity,
+      unitPrice:
+        item.unitPrice ??
+        priceService.getLinePrice(product, unit, baseQuantity, priceList),
+      discount: item.discount,
+      tax: { rate: priceService.getTaxRate(product, settings.sales.tax) },
+    });
+  }
+
+  const location = config.features.multiLocation
+    ? await Location.getForUser(req.user)
+    : null;
+
+  const layaway = new Layaway({
+    items: layawayItems,
+    customer: customerDoc._id,
+    customerInfo: { name: customerDoc.name, phone: customerDoc.phone },
+    priceList: priceList?._id,
+    location: location?._id,
+    notes,
+    createdBy: req.user._id,
+  });
+  layaway.calculateTotals();
+
+  const { total } = layaway.totals;
+  const minDeposit = (total * minDepositPercentage) / 100;
+  if (deposit.amount < minDeposit) {
+    return next(
+      new AppError(
+        `A deposit of at least ${minDeposit.toFixed(2)} (${minDepositPercentage}%) is required`,
+        400
+      )
+    );
+  }
+  if (deposit.amount >= total) {
+    return next(
+      new AppError("The deposit covers the total. Make a sale instead", 400)
+    );
+  }
+
+  // Instalments given by the customer, or equal ones at a set frequency
+  const owed = total - deposit.amount;
+  const schedule = req.body.schedule
+    ? req.body.schedule
+        .map(({ dueDate, amount }) => ({ dueDate: new Date(dueDate), amount }))
+        .sort((a, b) => a.dueDate - b.dueDate)
+    : Layaway.buildSchedule(
+        owed,
+        req.body.instalments || 1,
+        req.body.frequency || "monthly"
+      );
+
+  const scheduled = schedule.reduce((sum, i) => sum + i.amount, 0);
+  if (Math.abs(scheduled - owed) >= 0.01) {
+    return next(
+      new AppError(
+        `Instalments add up to ${scheduled.toFixed(2)} but ${owed.toFixed(2)} is owed after the deposit`,
+        400
+      )
+    );
+  }
+
+  const lastDue = schedule[schedule.length - 1].dueDate;
+  if (lastDue > new Date(Date.now() + maxTermDays * DAY)) {
+    return next(
+      new AppError(`Layaways must be paid off within ${maxTermDays} days`, 400)
+    );
+  }
+
+  layaway.schedule = schedule;
+  layaway.applyPayment({ ...deposit, userId: req.user._id });
+
+  try {
+    await layaway.validate();
+    await layaway.reserveStock();
+    await layaway.save();
+  } catch (error) {
+    await layaway.releaseStock();
+    return next(new AppError(error.message, 400));
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "layaway.created",
+    entity: {
+      type: "layaway",
+      id: layaway._id,
+      name: layaway.layawayNumber,
+    },
+    details: {
+      current: {
+        customer: customerDoc.name,
+        total,
+        deposit: deposit.amount,
+        instalments: schedule.length,
+      },
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Layaway ${layaway.layawayNumber} created`,
+    data: layaway,
+  });
+});
+
+// @desc    Get layaways
+// @route   GET /api/layaways
+// @access  Private
+const getLayaways = asyncHandler(async (req, res, next) => {
+  const { status, customer, overdue, search } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const query = {};
+  if (status) query.status = status;
+  if (customer) query.customer = customer;
+  if (search) {
+    query.$or = [
+      { layawayNumber: { $regex: search, $options: "i" } },
+      { "customerInfo.name": { $regex: search, $options: "i" } },
+      { "customerInfo.phone": { $regex: search, $options: "i" } },
+    ];
+  }
+  // Active layaways with an instalment past its due date
+  if (overdue === "true") {
+    query.status = "active";
+    query.schedule = {
+      $elemMatch: { status: "pending", dueDate: { $lt: new Date() } },
+    };
+  }
+
+  const [layaways, total] = await Promise.all([
+    Layaway.find(query)
+      .populate("customer", "name phone")
+      .populate("createdBy", "name")
+      .sort("-createdAt")
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Layaway.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: layaways,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+});
+
+// @desc    Get single layaway
+// @route   GET /api/layaways/:id
+// @access  Private
+const getLayaway = asyncHandler(async (req, res, next) => {
+  const layaway = await Layaway.findById(req.params.id)
+    .populate("items.product", "name sku barcode")
+    .populate("customer", "name phone email")
+    .populate("payments.receivedBy", "name")
+    .populate("sale", "receiptNumber createdAt")
+    .populate("createdBy", "name")
+    .populate("cancellation.cancelledBy", "name");
+
+  if (!layaway) {
+    return next(new AppError("Layaway not found", 404));
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...layaway.toJSON(),
+      overdue: layaway.getOverdue(),
+    },
+  });
+});
+
+// @desc    Take a layaway payment, completing the sale once fully paid
+// @route   POST /api/layaways/:id/payments
+// @access  Private
+const recordLayawayPayment = asyncHandler(async (req, res, next) => {
+  const { amount, method, reference } = req.body;
+
+  if (!(await Layaway.exists({ _id: req.params.id }))) {
+    return next(new AppError("Layaway not found", 404));
+  }
+
+  let result;
+  try {
+    result = await withTransaction(async (session) => {
+      const layaway = await Layaway.findById(req.params.id).session(session);
+
+      if (layaway.status !== "active") {
+        throw new Error(`Layaway is already ${layaway.status}`);
+      }
+      if (amount > layaway.balance) {
+        throw new Error(
+          `Payment is more than the balance of ${layaway.balance.toFixed(2)}`
+        );
+      }
+
+      layaway.applyPayment({ amount, method, reference, userId: req.user._id });
+
+      let sale = null;
+      if (layaway.balance === 0) {
+        sale = await completeLayaway(layaway, req.user._id);
+      }
+      await layaway.save();
+
+      return { layaway, sale };
+    });
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  const { layaway, sale } = result;
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: sale ? "layaway.completed" : "layaway.payment",
+    entity: {
+      type: "layaway",
+      id: layaway._id,
+      name: layaway.layawayNumber,
+    },
+    details: {
+      current: {
+        amount,
+        method,
+        balance: layaway.balance,
+        sale: sale?.receiptNumber,
+      },
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: sale
+      ? `Layaway paid off and sold as ${sale.receiptNumber}`
+      : "Payment recorded successfully",
+    data: {
+      layaway,
+      sale,
+    },
+  });
+});
+
+// @desc    Cancel a layaway, restocking its items and refunding or forfeiting what was paid
+// @route   POST /api/layaways/:id/cancel
+// @access  Private (Owner/Operator with permission)
+const cancelLayaway = asyncHandler(async (req, res, next) => {
+  const { reason, outcome } = req.body;
+  const layaway = await Layaway.findById(req.params.id);
+
+  if (!layaway) {
+    return next(new AppError("Layaway not found", 404));
+  }
+
+  if (layaway.status !== "active") {
+    return next(new AppError(`Layaway is already ${layaway.status}`, 400));
+  }
+
+  // A refund keeps the cancellation fee, at most what was paid
+  const settings = await Settings.getSettings();
+  const fee =
+    outcome === "refund"
+      ? Math.min(
+          layaway.totalPaid,
+          (layaway.totals.total *
+            settings.sales.layaway.cancellationFeePercentage) /
+            100
+        )
+      : 0;
+
+  layaway.status = "cancelled";
+  layaway.cancellation = {
+    reason,
+    outcome,
+    fee,
+    refundAmount: outcome === "refund" ? layaway.totalPaid - fee : 0,
+    forfeitedAmount: outcome === "forfeit" ? layaway.totalPaid : 0,
+    cancelledBy: req.user._id,
+    cancelledAt: new Date(),
+  };
+
+  // Saved before the stock goes back, so a payment taken meanwhile stops it
+  const reservations = layaway.reservations;
+  layaway.reservations = [];
+  try {
+    await layaway.save();
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+  await Product.releaseStock(reservations);
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "layaway.cancelled",
+    entity: {
+      type: "layaway",
+      id: layaway._id,
+      name: layaway.layawayNumber,
+    },
+    details: {
+      reason,
+      current: layaway.cancellation.toObject(),
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message:
+      outcome === "refund"
+        ? `Layaway cancelled. Refund ${layaway.cancellation.refundAmount.toFixed(2)} to the customer`
+        : "Layaway cancelled and the amount paid forfeited",
+    data: layaway,
+  });
+});
+
+module.exports = {
+  createLayaway,
+  getLayaways,
+  getLayaway,
+  recordLayawayPayment,
+  cancelLayaway,
+};
@@ -0,0 +1,255 @@
+// backend/src/controllers/locationController.js
+const Location = require("../models/Location");
+const Product = require("../models/Product");
+const StockTransfer = require("../models/StockTransfer");
+const User = require("../models/User");
+const ActivityLog = require("../models/ActivityLog");
+const { asyncHandler, AppError } = require("../middleware/errorHandler");
+
+// @desc    Get all locations
+// @route   GET /api/locations
+// @access  Private
+const getLocations = asyncHandler(async (req, res, next) => {
+  const { status } = req.query;
+
+  const query = {};
+  if (status) {
+    query.isActive = status === "active";
+  }
+
+  const locations = await Location.find(query).sort("name");
+
+  res.json({
+    success: true,
+    data: locations,
+    total: locations.length,
+  });
+});
+
+// @desc    Get single location
+// @route   GET /api/locations/:id
+// @access  Private
+const getLocation = asyncHandler(async (req, res, next) => {
+  const location = await Location.findById(req.params.id);
+
+  if (!location) {
+    return next(new AppError("Location not found", 404));
+  }
+
+  const [staff, pendingTransfers] = await Promise.all([
+    User.find({ location: location._id, isActive: true }).select("name role"),
+    StockTransfer.getPendingForLocation(location._id),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      location,
+      staff,
+      pendingTransfers,
+    },
+  });
+});
+
+// @desc    Create location
+// @route   POST /api/locations
+// @access  Private (Owner only)
+const createLocation = asyncHandler(async (req, res, next) => {
+  req.body.metadata = { createdBy: req.user._id };
+
+  // The first location becomes the default so existing stock has a home
+  if ((await Location.countDocuments()) === 0) {
+    req.body.isDefault = true;
+  }
+
+  const location = await Location.create(req.body);
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "location.created",
+    entity: {
+      type: "location",
+      id: location._id,
+      name: location.name,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Location created successfully",
+    data: location,
+  });
+});
+
+// @desc    Update location
+// @route   PUT /api/locations/:id
+// @access  Private (Owner only)
+const updateLocation = asyncHandler(async (req, res, next) => {
+  const location = await Location.findById(req.params.id);
+
+  if (!location) {
+    return next(new AppError("Location not found", 404));
+  }
+
+  const previousData = location.toObject();
+
+  req.body.metadata = {
+    ...location.metadata,
+    updatedBy: req.user._id,
+  };
+
+  Object.assign(location, req.body);
+  await location.save();
+
+  // Log activity with changes
+  await ActivityLog.logChange(
+    req.user._id,
+    "location.updated",
+    {
+      type: "location",
+      id: location._id,
+      name: location.name,
+    },
+    previousData,
+    location.toObject()
+  );
+
+  res.json({
+    success: true,
+    message: "Location updated successfully",
+    data: location,
+  });
+});
+
+// @desc    Deactivate location
+// @route   DELETE /api/locations/:id
+// @access  Private (Owner only)
+const deleteLocation = asyncHandler(async (req, res, next) => {
+  const location = await Location.findById(req.params.id);
+
+  if (!location) {
+    return next(new AppError("Location not found", 404));
+  }
+
+  if (location.isDefault) {
+    return next(
+      new AppError(
+        "Make another location the default before removing this one",
+        400
+      )
+    );
+  }
+
+  const stockHeld = await Product.countDocuments({
+    "inventory.locations": {
+      $elemMatch: { location: location._id, quantity: { $gt: 0 } },
+    },
+  });
+
+  if (stockHeld > 0) {
+    return next(
+      new AppError(
+        `${stockHeld} products still have stock at this location. Transfer it out first.`,
+        400
+      )
+    );
+  }
+
+  location.isActive = false;
+  location.metadata.updatedBy = req.user._id;
+  await location.save();
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "location.deleted",
+    entity: {
+      type: "location",
+      id: location._id,
+      name: location.name,
+    },
+    severity: "warning",
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Location deleted successfully",
+  });
+});
+
+// @desc    Get stock levels at a location
+// @route   GET /api/locations/:id/stock
+// @access  Private
+const getLocationStock = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 50, search, lowStock } = req.query;
+  const location = await Location.findById(req.params.id);
+
+  if (!location) {
+    return next(new AppError("Location not found", 404));
+  }
+
+  const defaultLocation = await Location.getDefault();
+
+  const query = { "status.isActive": true };
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: "i" } },
+      { sku: { $regex: search, $options: "i" } },
+      { barcode: search },
+    ];
+  }
+
+  const products = await Product.find(query)
+    .select("name sku barcode unit inventory pricing.sellingPrice")
+    .sort("name");
+
+  let stock = products.map((product) => ({
+    _id: product._id,
+    name: product.name,
+    sku: product.sku,
+    barcode: product.barcode,
+    unit: product.unit,
+    quantity: product.getLocationStock(location._id, defaultLocation?._id),
+    totalStock: product.inventory.currentStock,
+    minStock: product.inventory.minStock,
+  }));
+
+  if (lowStock === "true") {
+    stock = stock.filter((item) => item.quantity <= item.minStock);
+  }
+
+  const total = stock.length;
+  const start = (page - 1) * limit;
+
+  res.json({
+    success: true,
+    data: {
+      location: { _id: location._id, name: location.name },
+      products: stock.slice(start, start + parseInt(limit)),
+    },
+    pagination: {
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      limit: parseInt(limit),
+    },
+  });
+});
+
+module.exports = {
+  getLocations,
+  getLocation,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+  getLocationStock,
+};
@@ -2,17 +2,60 @@
 const Order = require("../models/Order");
 const Product = require("../models/Product");
 const Customer = require("../models/Customer");
+const PriceList = require("../models/PriceList");
+const Location = require("../models/Location");
 const Settings = require("../models/Settings");
 const ActivityLog = require("../models/ActivityLog");
+const config = require("../config/app");
+const priceService = require("../services/priceService");
+const { withTransaction } = require("../utils/transaction");
 const { asyncHandler, AppError } = require("../middleware/errorHandler");
 // const { activityLogger } = require("../middleware/logger");
 
+// Base units of each product an order takes out of stock, bundles counted
+// as their components
+const getDeliveryQuantities = async (order, session = null) => {
+  const quantities = new Map();
+  const add = (product, quantity) => {
+    const entry = quantities.get(product._id.toString());
+    if (entry) entry.quantity += quantity;
+    else quantities.set(product._id.toString(), { product, quantity });
+  };
+
+  for (const item of order.items) {
+    const product = await Product.findById(item.product).session(session);
+    if (!product) {
+      throw new Error(`Product ${item.productName} not found`);
+    }
+
+    if (product.productType === "bundle") {
+      await product.populate("components.product");
+      for (const component of product.components) {
+        if (!component.product) {
+          throw new Error(`A component of ${product.name} no longer exists`);
+        }
+        add(component.product, component.quantity * item.quantity);
+      }
+      continue;
+    }
+    add(product, item.baseQuantity || item.quantity);
+  }
+
+  return [...quantities.values()];
+};
+
 // @desc    Create new order
 // @route   POST /api/orders
 // @access  Private
 const createOrder = asyncHandler(async (req, res, next) => {
   const { customerInfo, items, delivery, payment, notes, priority } = req.body;
 
+  // Known customers on a price list are charged from it
+  const existingCustomer = customerInfo.phone
+    ? await Customer.findOne({ phone: customerInfo.phone })
+    : null;
+  const priceList = await PriceList.findForCustomer(existingCustomer);
+
   // Validate items and check stock
   const validatedItems = [];
   for (const item of items) {
@@ -28,10 +71,33 @@ const createOrder = asyncHandler(async (req, res, next) => {
       );
     }
 
+    if (product.hasVariants) {
+      return next(new AppError(`Choose a variant of ${product.name}`, 400));
+    }
+
+    // Orders don't record which unit was delivered
+    if (product.inventory.serialized) {
+      return next(
+        new AppError(
+          `${product.name} needs serial numbers and can only be sold at the till`,
+          400
+        )
+      );
+    }
+
+    // Ordered in the selling unit unless another is given
+    const unit = item.unit || product.sellingUnit || product.unit;
+    let baseQuantity;
+    try {
+      baseQuantity = product.toBaseQuantity(item.quantity, unit);
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
+
     // Check stock availability
     if (
       product.inventory.trackInventory &&
-      product.inventory.currentStock < item.quantity &&
+      product.inventory.currentStock < baseQuantity &&
       !product.inventory.allowBackorder
     ) {
       return next(
@@ -46,7 +112,11 @@ const createOrder = asyncHandler(async (req, res, next) => {
       ...item,
       product: product._id,
       productName: product.name,
-      unitPrice: item.unitPrice || product.effectivePrice,
+      unit,
+      baseQuantity,
+      unitPrice:
+        item.unitPrice ||
+        priceService.getLinePrice(product, unit, baseQuantity, priceList),
     });
   }
 
@@ -60,55 +130,77 @@ const createOrder = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Check or create customer
-  let customerId = null;
-  if (customerInfo.phone) {
-    const existingCustomer = await Customer.findOne({
-      phone: customerInfo.phone,
-    });
-    if (existingCustomer) {
-      customerId = existingCustomer._id;
-      // Update customer info if needed
-      if (customerInfo.name && customerInfo.name !== existingCustomer.name) {
-        existingCustomer.name = customerInfo.name;
-      }
-      if (customerInfo.email && customerInfo.email !== existingCustomer.email) {
-        existingCustomer.email = customerInfo.email;
+  // Orders are fulfilled from the location of the staff member taking them
+  const location = config.features.multiLocation
+    ? await Location.getForUser(req.user)
+    : null;
+
+  // The customer is only created or updated along with the order
+  let order;
+  try {
+    order = await withTransaction(async (session) => {
+      // Check or create customer
+      let customerId = null;
+      if (customerInfo.phone) {
+        const customer = existingCustomer
+          ? await Customer.findById(existingCustomer._id).session(session)
+          : null;
+
+        if (customer) {
+          customerId = customer._id;
+          // Update customer info if needed
+          if (customerInfo.name && customerInfo.name !== customer.name) {
+            customer.name = customerInfo.name;
+          }
+          if (customerInfo.email && customerInfo.email !== customer.email) {
+            customer.email = customerInfo.email;
+          }
+          await customer.save();
+        } else {
+          // Create new customer
+          const [newCustomer] = await Customer.create(
+            [
+              {
+                name: customerInfo.name,
+                phone: customerInfo.phone,
+                email: customerInfo.email,
+                metadata: {
+                  source: "order",
+                  createdBy: req.user._id,
+                },
+              },
+            ],
+            { session }
+          );
+          customerId = newCustomer._id;
+        }
       }
-      await existingCustomer.save();
-    } else {
-      // Create new customer
-      const newCustomer = await Customer.create({
-        name: customerInfo.name,
-        phone: customerInfo.phone,
-        email: customerInfo.email,
-        metadata: {
-          source: "order",
-          createdBy: req.user._id,
+
+      // Create order
+      const order = new Order({
+        customer: customerId,
+        customerInfo,
+        priceList: priceList?._id,
+        items: validatedItems,
+        delivery: {
+          ...delivery,
+          deliveryFee,
         },
+        payment: payment || { method: "cash", status: "pending" },
+        priority: priority || "normal",
+        notes,
+        source: "pos",
+        createdBy: req.user._id,
+        assignedTo: req.user._id,
+        location: location?._id,
       });
-      customerId = newCustomer._id;
-    }
-  }
-
-  // Create order
-  const order = new Order({
-    customer: customerId,
-    customerInfo,
-    items: validatedItems,
-    delivery: {
-      ...delivery,
-      deliveryFee,
-    },
-    payment: payment || { method: "cash", status: "pending" },
-    priority: priority || "normal",
-    notes,
-    source: "pos",
-    createdBy: req.user._id,
-    assignedTo: req.user._id,
-  });
 
-  await order.save();
+      await order.save({ session });
+      return order;
+    });
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
 
   // Log activity
   await ActivityLog.log({
@@ -247,7 +339,7 @@ const getOrder = asyncHandler(async (req, res, next) => {
 // @access  Private
 const updateOrderStatus = asyncHandler(async (req, res, next) => {
   const { status, notes, location } = req.body;
-  const order = await Order.findById(req.params.id);
+  let order = await Order.findById(req.params.id);
 
   if (!order) {
     return next(new AppError("Order not found", 404));
@@ -274,40 +366,71 @@ const updateOrderStatus = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Update status
-  await order.updateStatus(status, req.user._id, notes, location);
-
-  // Handle stock updates for cancellation
-  if (status === "cancelled") {
-    // Don't update stock for orders as they haven't been fulfilled yet
-    // Stock is only reduced when order is delivered
+  // Delivery takes the whole order out of stock, so check it all first
+  if (status === "delivered") {
+    try {
+      for (const { product, quantity } of await getDeliveryQuantities(order)) {
+        if (
+          product.inventory.trackInventory &&
+          !product.inventory.allowBackorder &&
+          product.inventory.currentStock < quantity
+        ) {
+          throw new Error(
+            `Insufficient stock for ${product.name}. Available: ${product.inventory.currentStock}`
+          );
+        }
+      }
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
   }
 
-  // Handle stock updates for delivery
-  if (status === "delivered") {
-    // Reduce stock for delivered items
-    for (const item of order.items) {
-      const product = await Product.findById(item.product);
-      if (product && product.inventory.trackInventory) {
+  // Update status, with the stock a delivery takes out, together or not at
+  // all. Stock is only reduced when the order is delivered.
+  try {
+    order = await withTransaction(async (session) => {
+      const order = await Order.findById(req.params.id).session(session);
+      if (!validTransitions[order.status].includes(status)) {
+        throw new Error(
+          `Cannot change status from ${order.status} to ${status}`
+        );
+      }
+      await order.updateStatus(status, req.user._id, notes, location);
+      if (status !== "delivered") return order;
+
+      for (const { product, quantity } of await getDeliveryQuantities(
+        order,
+        session
+      )) {
+        if (!product.inventory.trackInventory) continue;
         await product.updateStock(
-          item.quantity,
+          quantity,
           "sale",
           order.orderNumber,
           req.user._id,
-          "Order delivered"
+          "Order delivered",
+          { location: order.location }
         );
       }
-    }
 
-    // Update customer statistics
-    if (order.customer) {
-      const customer = await Customer.findById(order.customer);
-      if (customer) {
-        await customer.updateOrderStatistics(order.totals.total);
+      // Update customer statistics
+      if (order.customer) {
+        const customer = await Customer.findById(order.customer).session(
+          session
+        );
+        if (customer) {
+          await customer.updateOrderStatistics(order.totals.total);
+        }
       }
-    }
+
+      return order;
+    });
+  } catch (error) {
+    return next(new AppError(error.message, 400));
   }
 
+  const settings = await Settings.getSettings();
+
   // Send notification if configured
   if (settings.notifications.sms.enabled) {
     // Send SMS notification based on status
@@ -0,0 +1,364 @@
+// backend/src/controllers/parkedSaleController.js
+const ParkedSale = require("../models/ParkedSale");
+const Product = require("../models/Product");
+const Customer = require("../models/Customer");
+const PriceList = require("../models/PriceList");
+const Location = require("../models/Location");
+const Settings = require("../models/Settings");
+const ActivityLog = require("../models/ActivityLog");
+const priceService = require("../services/priceService");
+const config = require("../config/app");
+const { asyncHandler, AppError } = require("../middleware/errorHandler");
+
+// Price list the customer is charged from, if any
+const getCustomerPriceList = async (customer) =>
+  customer
+    ? PriceList.findForCustomer(await Customer.findById(customer))
+    : null;
+
+// Stock of a product that can go into the basket now, or null when stock
+// doesn't limit it
+const getAvailableStock = async (product, location) => {
+  if (product.productType === "bundle") {
+    return product.getBundleAvailability(
+      location?._id,
+      location ? (await Location.getDefault())?._id : null
+    );
+  }
+  if (!product.inventory.trackInventory || product.inventory.allowBackorder) {
+    return null;
+  }
+
+  let available = product.getSellableStock();
+  if (location) {
+    const defaultLocation = await Location.getDefault();
+    available = Math.min(
+      available,
+      product.getLocationStock(location._id, defaultLocation?._id)
+    );
+  }
+  return available;
+};
+
+// @desc    Park a sale to finish later
+// @route   POST /api/parked-sales
+// @access  Private
+const parkSale = asyncHandler(async (req, res, next) => {
+  const { items, customer, customerInfo, notes, till } = req.body;
+
+  const settings = await Settings.getSettings();
+  const { expiryMinutes } = settings.sales.parking;
+  const reserveStock =
+    req.body.reserveStock ?? settings.sales.parking.reserveStock;
+
+  const priceList = await getCustomerPriceList(customer);
+
+  const parkedItems = [];
+  for (const item of items) {
+    const product = await Product.findById(item.product);
+
+    if (!product) {
+      return next(new AppError(`Product ${item.product} not found`, 404));
+    }
+
+    if (product.hasVariants) {
+      return next(new AppError(`Choose a variant of ${product.name}`, 400));
+    }
+
+    // Parked in the selling unit unless another is given
+    const unit = item.unit || product.sellingUnit || product.unit;
+    let baseQuantity;
+    try {
+      baseQuantity = product.toBaseQuantity(item.quantity, unit);
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
+
+    parkedItems.push({
+      product: product._id,
+      productName: product.name,
+      quantity: item.quantity,
+      unit,
+      baseQuantity,
+      unitPrice:
+        item.unitPrice ??
+        priceService.getLinePrice(product, unit, baseQuantity, priceList),
+      discount: item.discount,
+      serialNumbers: item.serialNumbers,
+    });
+  }
+
+  const location = config.features.multiLocation
+    ? await Location.getForUser(req.user)
+    : null;
+
+  const parkedSale = new ParkedSale({
+    items: parkedItems,
+    customer,
+    customerInfo,
+    notes,
+    till,
+    location: location?._id,
+    expiresAt: new Date(Date.now() + expiryMinutes * 60 * 1000),
+    parkedBy: req.user._id,
+  });
+
+  try {
+    await parkedSale.validate();
+    if (reserveStock) {
+      await parkedSale.reserveStock();
+    }
+    await parkedSale.save();
+  } catch (error) {
+    await parkedSale.releaseStock();
+    return next(new AppError(error.message, 400));
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "parked_sale.created",
+    entity: {
+      type: "parked_sale",
+      id: parkedSale._id,
+      name: parkedSale.parkNumber,
+    },
+    details: {
+      current: {
+        items: parkedSale.items.length,
+        till,
+        reservedStock: parkedSale.reservations.length > 0,
+      },
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Sale parked as ${parkedSale.parkNumber}`,
+    data: parkedSale,
+  });
+});
+
+// @desc    Get parked sales, by till or by user
+// @route   GET /api/parked-sales
+// @access  Private
+const getParkedSales = asyncHandler(async (req, res, next) => {
+  const { status = "parked", till, user, location } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const query = { status };
+  // Ones past their expiry are waiting for the expiry job to close them
+  if (status === "parked") query.expiresAt = { $gt: new Date() };
+  if (till) query.till = till;
+  if (user) query.parkedBy = user;
+  if (location) query.location = location;
+
+  const [parkedSales, total] = await Promise.all([
+    ParkedSale.find(query)
+      .populate("customer", "name phone")
+      .populate("parkedBy", "name")
+      .sort("-createdAt")
+      .skip((page - 1) * limit)
+      .limit(limit),
+    ParkedSale.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: parkedSales,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+});
+
+// @desc    Get single parked sale
+// @route   GET /api/parked-sales/:id
+// @access  Private
+const getParkedSale = asyncHandler(async (req, res, next) => {
+  const parkedSale = await ParkedSale.findById(req.params.id)
+    .populate("items.product", "name sku barcode")
+    .populate("customer", "name phone")
+    .populate("parkedBy", "name")
+    .populate("closedBy", "name");
+
+  if (!parkedSale) {
+    return next(new AppError("Parked sale not found", 404));
+  }
+
+  res.json({
+    success: true,
+    data: parkedSale,
+  });
+});
+
+// @desc    Resume a parked sale on this till, rechecking prices and stock
+// @route   POST /api/parked-sales/:id/resume
+// @access  Private
+const resumeParkedSale = asyncHandler(async (req, res, next) => {
+  const { till } = req.body;
+  let parkedSale = await ParkedSale.findById(req.params.id);
+
+  if (!parkedSale) {
+    return next(new AppError("Parked sale not found", 404));
+  }
+
+  // Past its expiry but not yet picked up by the expiry job
+  if (parkedSale.status === "parked" && parkedSale.expiresAt <= new Date()) {
+    await parkedSale.close("expired");
+    return next(new AppError("Parked sale has expired", 400));
+  }
+
+  // Held stock is given back first so the basket can have it again
+  try {
+    parkedSale = await parkedSale.close("resumed", req.user._id, till);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  const priceList = await getCustomerPriceList(parkedSale.customer);
+  const location = config.features.multiLocation
+    ? await Location.getForUser(req.user)
+    : null;
+
+  // The basket at today's prices, with what has changed since it was parked
+  const items = [];
+  const changes = [];
+  for (const item of parkedSale.items) {
+    const product = await Product.findById(item.product);
+
+    if (!product || !product.status.isActive) {
+      changes.push({
+        product: item.product,
+        productName: item.productName,
+        change: "unavailable",
+      });
+      continue;
+    }
+
+    const unitPrice = priceService.getLinePrice(
+      product,
+      item.unit,
+      item.baseQuantity,
+      priceList
+    );
+    if (unitPrice !== item.unitPrice) {
+      changes.push({
+        product: product._id,
+        productName: product.name,
+        change: "price",
+        previous: item.unitPrice,
+        current: unitPrice,
+      });
+    }
+
+    const available = await getAvailableStock(product, location);
+    if (available !== null && available < item.baseQuantity) {
+      changes.push({
+        product: product._id,
+        productName: product.name,
+        change: "stock",
+        previous: item.baseQuantity,
+        current: available,
+      });
+    }
+
+    items.push({
+      product: product._id,
+      productName: product.name,
+      quantity: item.quantity,
+      unit: item.unit,
+      unitPrice,
+      discount: item.discount,
+      serialNumbers: item.serialNumbers,
+    });
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "parked_sale.resumed",
+    entity: {
+      type: "parked_sale",
+      id: parkedSale._id,
+      name: parkedSale.parkNumber,
+    },
+    details: {
+      current: { till, changes: changes.length },
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message:
+      changes.length > 0
+        ? `${parkedSale.parkNumber} resumed with ${changes.length} changes`
+        : `${parkedSale.parkNumber} resumed`,
+    data: {
+      parkedSale,
+      items,
+      customer: parkedSale.customer,
+      customerInfo: parkedSale.customerInfo,
+      notes: parkedSale.notes,
+      changes,
+    },
+  });
+});
+
+// @desc    Cancel a parked sale, giving back any stock it held
+// @route   DELETE /api/parked-sales/:id
+// @access  Private
+const cancelParkedSale = asyncHandler(async (req, res, next) => {
+  let parkedSale = await ParkedSale.findById(req.params.id);
+
+  if (!parkedSale) {
+    return next(new AppError("Parked sale not found", 404));
+  }
+
+  try {
+    parkedSale = await parkedSale.close("cancelled", req.user._id);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "parked_sale.cancelled",
+    entity: {
+      type: "parked_sale",
+      id: parkedSale._id,
+      name: parkedSale.parkNumber,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Parked sale cancelled",
+    data: parkedSale,
+  });
+});
+
+module.exports = {
+  parkSale,
+  getParkedSales,
+  getParkedSale,
+  resumeParkedSale,
+  cancelParkedSale,
+};
@@ -0,0 +1,254 @@
+// backend/src/controllers/priceListController.js
+const PriceList = require("../models/PriceList");
+const Product = require("../models/Product");
+const Customer = require("../models/Customer");
+const ActivityLog = require("../models/ActivityLog");
+const priceService = require("../services/priceService");
+const { asyncHandler, AppError } = require("../middleware/errorHandler");
+
+// @desc    Get all price lists
+// @route   GET /api/price-lists
+// @access  Private
+const getPriceLists = asyncHandler(async (req, res, next) => {
+  const { status, tier } = req.query;
+
+  const query = {};
+  if (status) {
+    query.isActive = status === "active";
+  }
+  if (tier) {
+    query.tiers = tier;
+  }
+
+  const priceLists = await PriceList.find(query)
+    .select("-rules")
+    .sort("-priority name");
+
+  // Count of customers given each list directly
+  const assigned = await Customer.aggregate([
+    { $match: { priceList: { $in: priceLists.map((list) => list._id) } } },
+    { $group: { _id: "$priceList", count: { $sum: 1 } } },
+  ]);
+  const counts = new Map(assigned.map((a) => [a._id.toString(), a.count]));
+
+  res.json({
+    success: true,
+    data: priceLists.map((list) => ({
+      ...list.toObject({ virtuals: true }),
+      customers: counts.get(list._id.toString()) || 0,
+    })),
+    total: priceLists.length,
+  });
+});
+
+// @desc    Get single price list
+// @route   GET /api/price-lists/:id
+// @access  Private
+const getPriceList = asyncHandler(async (req, res, next) => {
+  const priceList = await PriceList.findById(req.params.id)
+    .populate("rules.product", "name sku pricing.sellingPrice")
+    .populate("rules.category", "name");
+
+  if (!priceList) {
+    return next(new AppError("Price list not found", 404));
+  }
+
+  res.json({
+    success: true,
+    data: priceList,
+  });
+});
+
+// @desc    Create price list
+// @route   POST /api/price-lists
+// @access  Private (Owner only)
+const createPriceList = asyncHandler(async (req, res, next) => {
+  req.body.metadata = { createdBy: req.user._id };
+
+  let priceList;
+  try {
+    priceList = await PriceList.create(req.body);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "price_list.created",
+    entity: {
+      type: "price_list",
+      id: priceList._id,
+      name: priceList.name,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Price list created successfully",
+    data: priceList,
+  });
+});
+
+// @desc    Update price list
+// @route   PUT /api/price-lists/:id
+// @access  Private (Owner only)
+const updatePriceList = asyncHandler(async (req, res, next) => {
+  const priceList = await PriceList.findById(req.params.id);
+
+  if (!priceList) {
+    return next(new AppError("Price list not found", 404));
+  }
+
+  const previousData = priceList.toObject();
+
+  req.body.metadata = {
+    ...priceList.metadata,
+    updatedBy: req.user._id,
+  };
+
+  Object.assign(priceList, req.body);
+  try {
+    await priceList.save();
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  // Log activity with changes
+  await ActivityLog.logChange(
+    req.user._id,
+    "price_list.updated",
+    {
+      type: "price_list",
+      id: priceList._id,
+      name: priceList.name,
+    },
+    previousData,
+    priceList.toObject()
+  );
+
+  res.json({
+    success: true,
+    message: "Price list updated successfully",
+    data: priceList,
+  });
+});
+
+// @desc    Deactivate price list
+// @route   DELETE /api/price-lists/:id
+// @access  Private (Owner only)
+const deletePriceList = asyncHandler(async (req, res, next) => {
+  const priceList = await PriceList.findById(req.params.id);
+
+  if (!priceList) {
+    return next(new AppError("Price list not found", 404));
+  }
+
+  // Customers on the list go back to their tier's list or standard prices
+  const released = await Customer.updateMany(
+    { priceList: priceList._id },
+    { $unset: { priceList: 1 } }
+  );
+
+  priceList.isActive = false;
+  priceList.metadata.updatedBy = req.user._id;
+  await priceList.save();
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "price_list.deleted",
+    entity: {
+      type: "price_list",
+      id: priceList._id,
+      name: priceList.name,
+    },
+    details: {
+      notes: `${released.modifiedCount} customers moved off the list`,
+    },
+    severity: "warning",
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Price list deleted successfully",
+  });
+});
+
+// @desc    Quote the prices a customer would pay for products
+// @route   POST /api/price-lists/quote
+// @access  Private
+const quotePrices = asyncHandler(async (req, res, next) => {
+  const { customer: customerId, items } = req.body;
+
+  const customer = customerId ? await Customer.findById(customerId) : null;
+  if (customerId && !customer) {
+    return next(new AppError("Customer not found", 404));
+  }
+
+  const priceList = await PriceList.findForCustomer(customer);
+  const quotes = [];
+
+  for (const item of items) {
+    const product = await Product.findById(item.product);
+    if (!product) {
+      return next(new AppError(`Product ${item.product} not found`, 404));
+    }
+
+    const quantity = item.quantity || 1;
+    const unit = item.unit || product.sellingUnit || product.unit;
+    let baseQuantity;
+    try {
+      baseQuantity = product.toBaseQuantity(quantity, unit);
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
+
+    const unitPrice = priceService.getLinePrice(
+      product,
+      unit,
+      baseQuantity,
+      priceList
+    );
+    const standardPrice = product.getUnitPrice(unit);
+
+    quotes.push({
+      product: product._id,
+      productName: product.name,
+      quantity,
+      unit,
+      unitPrice,
+      standardPrice,
+      saving: (standardPrice - unitPrice) * quantity,
+      total: unitPrice * quantity,
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      priceList: priceList
+        ? { _id: priceList._id, name: priceList.name }
+        : null,
+      items: quotes,
+      total: quotes.reduce((sum, quote) => sum + quote.total, 0),
+    },
+  });
+});
+
+module.exports = {
+  getPriceLists,
+  getPriceList,
+  createPriceList,
+  updatePriceList,
+  deletePriceList,
+  quotePrices,
+};
@@ -1,10 +1,48 @@
 // backend/src/controllers/productController.js
 const Product = require("../models/Product");
 const Category = require("../models/Category");
+const Settings = require("../models/Settings");
+const StockMovement = require("../models/StockMovement");
+const PriceChange = require("../models/PriceChange");
+const ProductImport = require("../models/ProductImport");
+const SerialNumber = require("../models/SerialNumber");
 const ActivityLog = require("../models/ActivityLog");
 const { asyncHandler, AppError } = require("../middleware/errorHandler");
+const labelService = require("../services/labelService");
+const forecastService = require("../services/forecastService");
+const priceService = require("../services/priceService");
+const imageService = require("../services/imageService");
+const storageService = require("../services/storageService");
+const importService = require("../services/importService");
+const config = require("../config/app");
 // const { activityLogger } = require("../middleware/logger");
 
+// Fields only stock movements, sales and scheduled jobs keep up to date
+const DERIVED_PATHS = [
+  "inventory.currentStock",
+  "inventory.reservedStock",
+  "inventory.locations",
+  "inventory.lastCountedAt",
+  "costLayers",
+  "lots",
+  "performance",
+  "classification",
+  "metadata",
+];
+
+// Flatten an update into schema paths, so a partial nested object sets only
+// the fields it has rather than replacing its siblings
+const toUpdatePaths = (body, prefix = "") =>
+  Object.entries(body).reduce((paths, [key, value]) => {
+    const path = `${prefix}${key}`;
+    if (Product.schema.pathType(path) !== "nested") {
+      return { ...paths, [path]: value };
+    }
+    return value && typeof value === "object"
+      ? { ...paths, ...toUpdatePaths(value, `${path}.`) }
+      : paths;
+  }, {});
+
 // @desc    Get all products
 // @route   GET /api/products
 // @access  Private
@@ -20,20 +58,28 @@ const getProducts = asyncHandler(async (req, res, next) => {
     maxPrice,
     inStock,
     lowStock,
+    parent,
+    groupVariants,
   } = req.query;
 
   // Build query
-  const query = {};
+  let query = {};
 
-  // Search by name or barcode
+  // Search by name, barcode or variant option (e.g. "500ml")
   if (search) {
     query.$or = [
       { name: { $regex: search, $options: "i" } },
       { barcode: search },
       { sku: search },
+      { "variantOptions.value": { $regex: search, $options: "i" } },
     ];
   }
 
+  // List the variants of one parent
+  if (parent) {
+    query.parent = parent;
+  }
+
   // Filter by category
   if (category) {
     query.category = category;
@@ -65,8 +111,20 @@ const getProducts = asyncHandler(async (req, res, next) => {
     };
   }
 
+  // Show parents in place of their variants. A parent is listed when any
+  // of its variants matches the filters.
+  if (groupVariants === "true") {
+    const matchedParents = await Product.distinct("parent", {
+      ...query,
+      parent: { $ne: null },
+    });
+    query = {
+      $or: [{ ...query, parent: null }, { _id: { $in: matchedParents } }],
+    };
+  }
+
   // Execute query with pagination
-  const products = await Product.find(query)
+  let products = await Product.find(query)
     .populate("category", "name")
     .sort(sort)
     .limit(limit * 1)
@@ -75,6 +133,21 @@ const getProducts = asyncHandler(async (req, res, next) => {
   // Get total count
   const total = await Product.countDocuments(query);
 
+  if (groupVariants === "true") {
+    const variants = await Product.find({
+      parent: { $in: products.map((product) => product._id) },
+    }).select(
+      "name sku barcode parent variantOptions pricing inventory.currentStock"
+    );
+
+    products = products.map((product) => ({
+      ...product.toObject(),
+      variants: variants.filter(
+        (variant) => variant.parent.toString() === product._id.toString()
+      ),
+    }));
+  }
+
   res.json({
     success: true,
     data: products,
@@ -93,16 +166,30 @@ const getProducts = asyncHandler(async (req, res, next) => {
 const getProduct = asyncHandler(async (req, res, next) => {
   const product = await Product.findById(req.params.id)
     .populate("category", "name")
-    .populate("metadata.createdBy", "name")
-    .populate("stockMovements.performedBy", "name");
+    .populate("metadata.createdBy", "name");
 
   if (!product) {
     return next(new AppError("Product not found", 404));
   }
 
+  const stockMovements = await StockMovement.find({ product: product._id })
+    .populate("performedBy", "name")
+    .sort("-timestamp")
+    .limit(10);
+
+  // Bundle availability comes from component stock
+  const availableStock =
+    product.productType === "bundle"
+      ? await product.getBundleAvailability()
+      : product.inventory.currentStock;
+
   res.json({
     success: true,
-    data: product,
+    data: {
+      ...product.toObject(),
+      availableStock,
+      stockMovements,
+    },
   });
 });
 
@@ -110,6 +197,18 @@ const getProduct = asyncHandler(async (req, res, next) => {
 // @route   POST /api/products
 // @access  Private (Owner/Operator with permission)
 const createProduct = asyncHandler(async (req, res, next) => {
+  // Variants are created through POST /api/products/:id/variants
+  delete req.body.parent;
+  delete req.body.hasVariants;
+
+  if (req.body.productType === "bundle") {
+    try {
+      await Product.checkComponents(req.body.components);
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
+  }
+
   // Add creator info
   req.body.metadata = {
     ...req.body.metadata,
@@ -117,6 +216,10 @@ const createProduct = asyncHandler(async (req, res, next) => {
   };
 
   const product = await Product.create(req.body);
+  await StockMovement.recordOpeningBalance(product, req.user._id);
+  await PriceChange.recordChanges({}, product, req.user._id, {
+    reason: "Opening price",
+  });
 
   // Update category product count
   const category = await Category.findById(product.category);
@@ -168,19 +271,45 @@ const updateProduct = asyncHandler(async (req, res, next) => {
   // Track changes for activity log
   const previousData = product.toObject();
 
-  // Don't allow direct stock updates through this endpoint
-  delete req.body.inventory?.currentStock;
-  delete req.body.stockMovements;
+  // Variants are linked through the variants endpoints
+  delete req.body.parent;
+  delete req.body.hasVariants;
 
-  // Update metadata
-  req.body.metadata = {
-    ...product.metadata,
-    updatedBy: req.user._id,
-  };
+  // Kept against any price changes rather than on the product
+  const { priceChangeReason } = req.body;
+  delete req.body.priceChangeReason;
+
+  if ((req.body.productType || product.productType) === "bundle") {
+    try {
+      await Product.checkComponents(
+        req.body.components || product.components,
+        product._id
+      );
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
+  }
+
+  // Stock and cost come from the ledger, so they can't be set here. Cost
+  // can for products that don't track stock, which are costed at it.
+  const protectedPaths = product.inventory.trackInventory
+    ? [...DERIVED_PATHS, "pricing.cost"]
+    : DERIVED_PATHS;
 
   // Update product
-  Object.assign(product, req.body);
+  Object.entries(toUpdatePaths(req.body))
+    .filter(
+      ([path]) =>
+        !protectedPaths.some(
+          (derived) => path === derived || path.startsWith(`${derived}.`)
+        )
+    )
+    .forEach(([path, value]) => product.set(path, value));
+  product.metadata.updatedBy = req.user._id;
   await product.save();
+  await PriceChange.recordChanges(previousData.pricing, product, req.user._id, {
+    reason: priceChangeReason,
+  });
 
   // Update category product count if category changed
   if (
@@ -194,6 +323,11 @@ const updateProduct = asyncHandler(async (req, res, next) => {
     if (newCategory) await newCategory.updateProductCount();
   }
 
+  // Variants share the parent's category and attributes
+  if (product.hasVariants) {
+    await Product.syncVariants(product);
+  }
+
   // Log activity with changes
   await ActivityLog.logChange(
     req.user._id,
@@ -219,6 +353,7 @@ const updateProduct = asyncHandler(async (req, res, next) => {
 // @access  Private
 const updateStock = asyncHandler(async (req, res, next) => {
   const { quantity, type, reference, reason } = req.body;
+  const { unitCost, lotNumber, expiryDate, unit, serialNumbers } = req.body;
   const product = await Product.findById(req.params.id);
 
   if (!product) {
@@ -226,8 +361,65 @@ const updateStock = asyncHandler(async (req, res, next) => {
   }
 
   try {
+    // Quantity and cost can be given in any of the product's units
+    const factor = product.getUnitFactor(unit);
+
+    // Serialized stock moves with a serial number for each unit. Units
+    // taken out here are written off; sales go through the till.
+    const incoming =
+      ["purchase", "return"].includes(type) ||
+      (type === "adjustment" && quantity > 0);
+    let serials = [];
+    if (product.inventory.serialized) {
+      if (["sale", "transfer"].includes(type)) {
+        throw new Error(
+          `${product.name} is serialized. Its stock can be received, returned, adjusted or written off here`
+        );
+      }
+      serials = incoming
+        ? await SerialNumber.checkIncoming(
+            product,
+            serialNumbers,
+            quantity * factor
+          )
+        : await SerialNumber.checkAvailable(
+            product,
+            serialNumbers,
+            Math.abs(quantity * factor)
+          );
+    }
+
     // Update stock using the model method
-    await product.updateStock(quantity, type, reference, req.user._id, reason);
+    const movement = await product.updateStock(
+      quantity * factor,
+      type,
+      reference,
+      req.user._id,
+      reason,
+      {
+        unitCost: unitCost !== undefined ? unitCost / factor : null,
+        lotNumber,
+        expiryDate,
+      }
+    );
+
+    if (product.inventory.serialized && incoming) {
+      await SerialNumber.receive(product, serials, {
+        reference,
+        unitCost: movement.unitCost,
+        userId: req.user._id,
+        notes: reason,
+      });
+    } else {
+      for (const unit of serials) {
+        unit.record("written_off", "written_off", {
+          reference,
+          notes: reason,
+          userId: req.user._id,
+        });
+        await unit.save();
+      }
+    }
 
     // Log activity
     await ActivityLog.log({
@@ -242,7 +434,9 @@ const updateStock = asyncHandler(async (req, res, next) => {
         current: {
           type,
           quantity,
+          unit: unit || product.unit,
           newStock: product.inventory.currentStock,
+          unitCost: product.pricing.cost,
           reason,
         },
       },
@@ -260,13 +454,12 @@ const updateStock = asyncHandler(async (req, res, next) => {
       data: {
         productId: product._id,
         productName: product.name,
-        previousStock:
-          product.stockMovements[product.stockMovements.length - 1]
-            .previousStock,
+        previousStock: movement.previousStock,
         newStock: product.inventory.currentStock,
         movement: {
           type,
-          quantity,
+          quantity: movement.quantity,
+          unit: product.unit,
           reason,
         },
       },
@@ -352,6 +545,31 @@ const getOutOfStockProducts = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get products with lots expiring soon
+// @route   GET /api/products/expiring
+// @access  Private
+const getExpiringProducts = asyncHandler(async (req, res, next) => {
+  const settings = await Settings.getSettings();
+  const days =
+    parseInt(req.query.days) || settings.inventory.trackExpiry.alertDays;
+
+  const lots = await Product.findExpiringLots(days);
+  const expired = lots.filter((lot) => lot.isExpired);
+
+  res.json({
+    success: true,
+    data: lots,
+    total: lots.length,
+    summary: {
+      days,
+      expired: expired.length,
+      expiring: lots.length - expired.length,
+      expiredValue: expired.reduce((sum, lot) => sum + lot.value, 0),
+      totalValue: lots.reduce((sum, lot) => sum + lot.value, 0),
+    },
+  });
+});
+
 // @desc    Get inventory value
 // @route   GET /api/products/inventory-value
 // @access  Private (Owner/Operator with permission)
@@ -389,12 +607,30 @@ const bulkUpdateProducts = asyncHandler(async (req, res, next) => {
 
   updateData["metadata.updatedBy"] = req.user._id;
 
+  // Discounts are prices too, so keep what each product had before
+  const previous =
+    updateData["pricing.discount"] !== undefined
+      ? await Product.find({ _id: { $in: productIds } }).select("pricing")
+      : [];
+
   // Perform bulk update
   const result = await Product.updateMany(
     { _id: { $in: productIds } },
     { $set: updateData }
   );
 
+  for (const product of previous) {
+    await PriceChange.recordChanges(
+      product.pricing,
+      {
+        _id: product._id,
+        pricing: { discount: Number(updateData["pricing.discount"]) },
+      },
+      req.user._id,
+      { source: "bulk" }
+    );
+  }
+
   // Log activity
   await ActivityLog.log({
     user: req.user._id,
@@ -427,40 +663,66 @@ const bulkUpdateProducts = asyncHandler(async (req, res, next) => {
 // @route   POST /api/products/import
 // @access  Private (Owner/Operator with permission)
 const importProducts = asyncHandler(async (req, res, next) => {
-  // This would handle file upload and parsing
-  // For now, expecting products array in body
-  const { products } = req.body;
+  const { mode = "create", matchBy = "sku", dryRun = false } = req.body;
 
-  if (!products || !Array.isArray(products)) {
-    return next(new AppError("Products array is required", 400));
+  // Rows come from an uploaded CSV/XLSX file, or a products array as JSON
+  let file = { columns: undefined, ignored: undefined, records: [] };
+  if (req.file) {
+    try {
+      file = await importService.readFile(
+        req.file.buffer,
+        req.file.originalname,
+        req.body.mapping
+      );
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
+  } else if (Array.isArray(req.body.products)) {
+    file.records = req.body.products.map((product, index) => ({
+      row: index + 1,
+      fields: importService.flatten(product),
+    }));
+  } else {
+    return next(
+      new AppError("Upload a CSV or XLSX file or send a products array", 400)
+    );
   }
 
   const importBatch = `IMPORT_${Date.now()}`;
-  const results = {
-    success: [],
-    failed: [],
-  };
+  const result = await importService.importRows(file.records, {
+    mode,
+    matchBy,
+    dryRun,
+    batch: importBatch,
+    userId: req.user._id,
+  });
 
-  for (const productData of products) {
-    try {
-      // Add metadata
-      productData.metadata = {
-        createdBy: req.user._id,
-        importBatch,
-      };
-
-      // Create product
-      const product = await Product.create(productData);
-      results.success.push({
-        name: product.name,
-        sku: product.sku,
-      });
-    } catch (error) {
-      results.failed.push({
-        data: productData,
-        error: error.message,
-      });
-    }
+  if (dryRun) {
+    return res.json({
+      success: true,
+      message: `Dry run: ${result.summary.created} to create, ${result.summary.updated} to update, ${result.summary.failed} with errors.`,
+      data: {
+        dryRun: true,
+        columns: file.columns,
+        ignored: file.ignored,
+        summary: result.summary,
+        rows: result.rows,
+      },
+    });
+  }
+
+  // Kept so the batch can be rolled back
+  if (result.created.length || result.updated.length) {
+    await ProductImport.create({
+      batch: importBatch,
+      fileName: req.file?.originalname,
+      mode,
+      matchBy,
+      summary: result.summary,
+      created: result.created,
+      updated: result.updated,
+      createdBy: req.user._id,
+    });
   }
 
   // Log activity
@@ -473,10 +735,96 @@ const importProducts = asyncHandler(async (req, res, next) => {
     },
     details: {
       importBatch,
-      total: products.length,
-      success: results.success.length,
-      failed: results.failed.length,
+      fileName: req.file?.originalname,
+      mode,
+      ...result.summary,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: `Import completed. ${result.summary.created} products created, ${result.summary.updated} updated.`,
+    data: {
+      importBatch,
+      columns: file.columns,
+      ignored: file.ignored,
+      summary: result.summary,
+      rows: result.rows,
+    },
+  });
+});
+
+// @desc    Get product import batches
+// @route   GET /api/products/imports
+// @access  Private
+const getImports = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const [imports, total] = await Promise.all([
+    ProductImport.find()
+      .select("-created -updated")
+      .populate("createdBy", "name")
+      .populate("rolledBackBy", "name")
+      .sort("-createdAt")
+      .skip((page - 1) * limit)
+      .limit(limit),
+    ProductImport.countDocuments(),
+  ]);
+
+  res.json({
+    success: true,
+    data: imports,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+});
+
+// @desc    Roll back a product import batch
+// @route   POST /api/products/import/:batch/rollback
+// @access  Private (Owner only)
+const rollbackImport = asyncHandler(async (req, res, next) => {
+  const productImport = await ProductImport.findOne({
+    batch: req.params.batch,
+  });
+
+  if (!productImport) {
+    return next(new AppError("Import batch not found", 404));
+  }
+  if (productImport.status === "rolled_back") {
+    return next(new AppError("Import batch has already been rolled back", 400));
+  }
+
+  let result;
+  try {
+    result = await importService.rollback(productImport, req.user._id);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "product.import_rolled_back",
+    entity: {
+      type: "product",
+      name: "Bulk import",
+    },
+    details: {
+      importBatch: productImport.batch,
+      removed: result.removed,
+      restored: result.restored,
+      skipped: result.skipped.length,
     },
+    severity: "warning",
     metadata: {
       ip: req.ip,
       userAgent: req.get("user-agent"),
@@ -485,8 +833,8 @@ const importProducts = asyncHandler(async (req, res, next) => {
 
   res.json({
     success: true,
-    message: `Import completed. ${results.success.length} products imported successfully.`,
-    data: results,
+    message: `Import rolled back. ${result.removed} products removed, ${result.restored} restored.`,
+    data: result,
   });
 });
 
@@ -500,6 +848,11 @@ const getProductPerformance = asyncHandler(async (req, res, next) => {
     return next(new AppError("Product not found", 404));
   }
 
+  // Days of stock from the sales forecast, looking up to a year ahead
+  const forecast = (
+    await forecastService.forecastProducts([product._id], 365)
+  ).get(product._id.toString());
+
   // Calculate additional metrics
   const metrics = {
     basic: {
@@ -512,16 +865,19 @@ const getProductPerformance = asyncHandler(async (req, res, next) => {
     inventory: {
       currentStock: product.inventory.currentStock,
       stockValue: product.getStockValue(),
-      daysOfStock: product.getDaysOfStock(),
+      daysOfStock: forecastService.getDaysOfStock(
+        product.inventory.currentStock,
+        forecast.forecast
+      ),
       stockStatus: product.stockStatus,
     },
     profitability: {
       unitCost: product.pricing.cost,
       unitPrice: product.pricing.sellingPrice,
       profitMargin: product.profitMargin,
+      costOfGoodsSold: product.performance.totalCost,
       totalProfit:
-        product.performance.totalRevenue -
-        product.performance.totalSold * product.pricing.cost,
+        product.performance.totalRevenue - product.performance.totalCost,
     },
   };
 
@@ -531,6 +887,844 @@ const getProductPerformance = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Forecast a product's sales from its sales history
+// @route   GET /api/products/:id/forecast
+// @access  Private
+const getProductForecast = asyncHandler(async (req, res, next) => {
+  const { period = "daily" } = req.query;
+  const horizon = parseInt(req.query.horizon) || 28;
+  const history = parseInt(req.query.history) || 84;
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    return next(new AppError("Product not found", 404));
+  }
+
+  // Look a year ahead so days of stock isn't cut off at the horizon shown
+  const result = (
+    await forecastService.forecastProducts(
+      [product._id],
+      Math.max(horizon, 365),
+      history
+    )
+  ).get(product._id.toString());
+  const forecast = result.forecast.slice(0, horizon);
+
+  res.json({
+    success: true,
+    data: {
+      product: {
+        _id: product._id,
+        name: product.name,
+        sku: product.sku,
+        unit: product.unit,
+        currentStock: product.inventory.currentStock,
+      },
+      model: {
+        historyDays: history,
+        averageDailySales: result.averageDailySales,
+        level: result.level,
+        trend: result.trend,
+        seasonality: result.seasonality,
+        fitError: result.fitError,
+      },
+      period,
+      forecast:
+        period === "weekly" ? forecastService.toWeekly(forecast) : forecast,
+      totalDemand: forecastService.getDemand(forecast, horizon),
+      daysOfStock: forecastService.getDaysOfStock(
+        product.inventory.currentStock,
+        result.forecast
+      ),
+    },
+  });
+});
+
+// @desc    Get a product's price history and its sales volume at each price
+// @route   GET /api/products/:id/prices
+// @access  Private
+const getPriceHistory = asyncHandler(async (req, res, next) => {
+  const days = parseInt(req.query.days) || 180;
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    return next(new AppError("Product not found", 404));
+  }
+
+  const [changes, scheduled, { timeline, spells }] = await Promise.all([
+    PriceChange.find({ product: product._id, status: "applied" })
+      .populate("changedBy", "name")
+      .sort("-effectiveAt"),
+    PriceChange.find({ product: product._id, status: "scheduled" })
+      .populate("changedBy", "name")
+      .sort("effectiveAt"),
+    priceService.getPriceTimeline(product, days),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      product: {
+        _id: product._id,
+        name: product.name,
+        sku: product.sku,
+        pricing: product.pricing,
+      },
+      changes,
+      scheduled,
+      days,
+      timeline,
+      spells,
+    },
+  });
+});
+
+// @desc    Schedule price changes for a product
+// @route   POST /api/products/:id/prices
+// @access  Private (Owner/Operator with permission)
+const schedulePriceChange = asyncHandler(async (req, res, next) => {
+  const { effectiveAt, reason } = req.body;
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    return next(new AppError("Product not found", 404));
+  }
+
+  if (new Date(effectiveAt) <= new Date()) {
+    return next(new AppError("Price changes must be scheduled ahead", 400));
+  }
+
+  const fields = PriceChange.schema
+    .path("field")
+    .enumValues.filter((field) => req.body[field] !== undefined);
+
+  if (fields.length === 0) {
+    return next(new AppError("No new price given", 400));
+  }
+
+  const changes = await PriceChange.insertMany(
+    fields.map((field) => ({
+      product: product._id,
+      field,
+      newValue: req.body[field],
+      reason,
+      source: "scheduled",
+      status: "scheduled",
+      effectiveAt,
+      changedBy: req.user._id,
+    }))
+  );
+
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "product.price_scheduled",
+    entity: {
+      type: "product",
+      id: product._id,
+      name: product.name,
+    },
+    details: {
+      previous: product.pricing.toObject(),
+      current: Object.fromEntries(fields.map((f) => [f, req.body[f]])),
+      reason,
+      notes: `Takes effect ${new Date(effectiveAt).toISOString()}`,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Price change scheduled",
+    data: changes,
+  });
+});
+
+// @desc    Cancel a scheduled price change
+// @route   DELETE /api/products/:id/prices/:changeId
+// @access  Private (Owner/Operator with permission)
+const cancelPriceChange = asyncHandler(async (req, res, next) => {
+  const change = await PriceChange.findOne({
+    _id: req.params.changeId,
+    product: req.params.id,
+  }).populate("product", "name");
+
+  if (!change) {
+    return next(new AppError("Price change not found", 404));
+  }
+
+  try {
+    await change.cancel(req.user._id);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "product.price_scheduled",
+    entity: {
+      type: "product",
+      id: change.product._id,
+      name: change.product.name,
+    },
+    details: {
+      previous: { [change.field]: change.newValue },
+      notes: "Scheduled price change cancelled",
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Price change cancelled",
+    data: change,
+  });
+});
+
+// @desc    Upload product images, stored resized with WebP thumbnails
+// @route   POST /api/products/:id/images
+// @access  Private (Owner/Operator with permission)
+const uploadProductImages = asyncHandler(async (req, res, next) => {
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    return next(new AppError("Product not found", 404));
+  }
+
+  if (!req.files?.length) {
+    return next(new AppError("No images uploaded", 400));
+  }
+
+  const { maxPerProduct } = config.upload.images;
+  if (product.images.length + req.files.length > maxPerProduct) {
+    return next(
+      new AppError(`A product can have at most ${maxPerProduct} images`, 400)
+    );
+  }
+
+  const uploaded = [];
+  for (const file of req.files) {
+    try {
+      uploaded.push(
+        await imageService.process(file.buffer, `products/${product._id}`)
+      );
+    } catch (error) {
+      // Don't leave the earlier files of a failed upload behind
+      await storageService.remove(uploaded.flatMap((image) => image.keys));
+      return next(
+        new AppError(`${file.originalname} could not be read as an image`, 400)
+      );
+    }
+  }
+
+  const images = uploaded.map((image) =>
+    product.images.create({
+      url: image.urls.large,
+      alt: req.body.alt || product.name,
+      sizes: image.urls,
+      storageKeys: image.keys,
+      width: image.width,
+      height: image.height,
+    })
+  );
+  product.images.push(...images);
+
+  if (req.body.isPrimary === "true") {
+    product.setPrimaryImage(images[0]._id);
+  }
+
+  product.metadata.updatedBy = req.user._id;
+  await product.save();
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "product.updated",
+    entity: {
+      type: "product",
+      id: product._id,
+      name: product.name,
+    },
+    details: {
+      changes: ["images"],
+      notes: `${images.length} images uploaded`,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Images uploaded successfully",
+    data: product.images,
+  });
+});
+
+// @desc    Update a product image's alt text or make it the primary image
+// @route   PUT /api/products/:id/images/:imageId
+// @access  Private (Owner/Operator with permission)
+const updateProductImage = asyncHandler(async (req, res, next) => {
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    return next(new AppError("Product not found", 404));
+  }
+
+  const image = product.images.id(req.params.imageId);
+  if (!image) {
+    return next(new AppError("Image not found", 404));
+  }
+
+  if (req.body.alt !== undefined) {
+    image.alt = req.body.alt;
+  }
+  if (req.body.isPrimary) {
+    product.setPrimaryImage(image._id);
+  }
+
+  product.metadata.updatedBy = req.user._id;
+  await product.save();
+
+  res.json({
+    success: true,
+    message: "Image updated successfully",
+    data: product.images,
+  });
+});
+
+// @desc    Delete a product image and its stored files
+// @route   DELETE /api/products/:id/images/:imageId
+// @access  Private (Owner/Operator with permission)
+const deleteProductImage = asyncHandler(async (req, res, next) => {
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    return next(new AppError("Product not found", 404));
+  }
+
+  const image = product.images.id(req.params.imageId);
+  if (!image) {
+    return next(new AppError("Image not found", 404));
+  }
+
+  const keys = image.storageKeys;
+  image.deleteOne();
+  product.metadata.updatedBy = req.user._id;
+  await product.save();
+
+  // Files go once the product no longer points at them
+  await storageService.remove(keys);
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "product.updated",
+    entity: {
+      type: "product",
+      id: product._id,
+      name: product.name,
+    },
+    details: {
+      changes: ["images"],
+      notes: "Image deleted",
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Image deleted successfully",
+    data: product.images,
+  });
+});
+
+// @desc    Get stock movements for a product
+// @route   GET /api/products/:id/movements
+// @access  Private
+const getProductMovements = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 50,
+    sort = "-timestamp",
+    type,
+    reference,
+    location,
+    performedBy,
+    startDate,
+    endDate,
+  } = req.query;
+
+  const product = await Product.findById(req.params.id).select(
+    "name sku inventory.currentStock"
+  );
+
+  if (!product) {
+    return next(new AppError("Product not found", 404));
+  }
+
+  // Build query
+  const query = { product: product._id };
+
+  if (type) query.type = { $in: type.split(",") };
+  if (reference) query.reference = reference;
+  if (location) query.location = location;
+  if (performedBy) query.performedBy = performedBy;
+
+  if (startDate || endDate) {
+    query.timestamp = {};
+    if (startDate) query.timestamp.$gte = new Date(startDate);
+    if (endDate) {
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+      query.timestamp.$lte = end;
+    }
+  }
+
+  const movements = await StockMovement.find(query)
+    .populate("performedBy", "name")
+    .populate("location", "name code")
+    .sort(sort)
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const [total, byType] = await Promise.all([
+    StockMovement.countDocuments(query),
+    StockMovement.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: "$type",
+          count: { $sum: 1 },
+          quantity: { $sum: "$quantity" },
+          totalCost: { $sum: "$totalCost" },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      product,
+      movements,
+      summary: byType,
+    },
+    pagination: {
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      limit: parseInt(limit),
+    },
+  });
+});
+
+// @desc    Reconcile a product's stock against its movement ledger
+// @route   POST /api/products/:id/reconcile
+// @access  Private (Owner only)
+const reconcileStock = asyncHandler(async (req, res, next) => {
+  const apply = req.body.apply === true;
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    return next(new AppError("Product not found", 404));
+  }
+
+  const result = await product.reconcileStock(apply);
+
+  if (result.applied) {
+    await ActivityLog.log({
+      user: req.user._id,
+      action: "product.stock_adjusted",
+      entity: {
+        type: "product",
+        id: product._id,
+        name: product.name,
+      },
+      severity: "warning",
+      details: {
+        previous: { currentStock: result.recorded },
+        current: { currentStock: result.ledger },
+        reason: "Rebuilt from stock movement ledger",
+      },
+      metadata: {
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+  }
+
+  let message = "Stock matches the movement ledger";
+  if (result.ledger === null) {
+    message = "No stock movements recorded for this product";
+  } else if (result.applied) {
+    message = `Stock rebuilt from the ledger: ${result.recorded} -> ${result.ledger}`;
+  } else if (result.difference !== 0) {
+    message = `Stock differs from the ledger by ${result.difference}`;
+  }
+
+  res.json({
+    success: true,
+    message,
+    data: result,
+  });
+});
+
+// @desc    Compare every product's stock against the movement ledger
+// @route   GET /api/products/reconciliation
+// @access  Private (Owner only)
+const getReconciliationReport = asyncHandler(async (req, res, next) => {
+  const [products, balances] = await Promise.all([
+    Product.find({ "inventory.trackInventory": true })
+      .select("name sku inventory.currentStock pricing.cost status.isActive")
+      .sort("name"),
+    StockMovement.getLedgerBalances(),
+  ]);
+
+  const mismatches = [];
+  let unrecorded = 0;
+
+  products.forEach((product) => {
+    const ledger = balances.get(product._id.toString());
+    if (!ledger) {
+      if (product.inventory.currentStock !== 0) unrecorded++;
+      return;
+    }
+
+    const difference = ledger.balance - product.inventory.currentStock;
+    if (difference !== 0) {
+      mismatches.push({
+        _id: product._id,
+        name: product.name,
+        sku: product.sku,
+        recorded: product.inventory.currentStock,
+        ledger: ledger.balance,
+        difference,
+        valueImpact: difference * (product.pricing.cost || 0),
+        movements: ledger.movements,
+      });
+    }
+  });
+
+  res.json({
+    success: true,
+    data: {
+      summary: {
+        productsChecked: products.length,
+        mismatched: mismatches.length,
+        withoutLedger: unrecorded,
+        valueImpact: mismatches.reduce(
+          (sum, item) => sum + item.valueImpact,
+          0
+        ),
+      },
+      mismatches,
+    },
+  });
+});
+
+// @desc    Get a parent product with its variants
+// @route   GET /api/products/:id/variants
+// @access  Private
+const getVariants = asyncHandler(async (req, res, next) => {
+  const product = await Product.findById(req.params.id).populate(
+    "category",
+    "name"
+  );
+
+  if (!product) {
+    return next(new AppError("Product not found", 404));
+  }
+
+  const variants = await Product.find({ parent: product._id }).sort("name");
+
+  res.json({
+    success: true,
+    data: {
+      product,
+      variants,
+      summary: {
+        variants: variants.length,
+        totalStock: variants.reduce(
+          (sum, variant) => sum + variant.inventory.currentStock,
+          0
+        ),
+        totalSold: variants.reduce(
+          (sum, variant) => sum + variant.performance.totalSold,
+          0
+        ),
+        totalRevenue: variants.reduce(
+          (sum, variant) => sum + variant.performance.totalRevenue,
+          0
+        ),
+      },
+    },
+  });
+});
+
+// @desc    Add a variant to a product, either new or an existing product
+// @route   POST /api/products/:id/variants
+// @access  Private (Owner/Operator with permission)
+const createVariant = asyncHandler(async (req, res, next) => {
+  const { variantOptions } = req.body;
+  const parent = await Product.findById(req.params.id);
+
+  if (!parent) {
+    return next(new AppError("Product not found", 404));
+  }
+
+  if (parent.parent) {
+    return next(new AppError("A variant cannot have variants of its own", 400));
+  }
+
+  if (!parent.hasVariants && parent.inventory.currentStock !== 0) {
+    return next(
+      new AppError(
+        `${parent.name} still holds stock. Move it to a variant first`,
+        400
+      )
+    );
+  }
+
+  // Fields every variant shares with its parent
+  const shared = {
+    parent: parent._id,
+    category: parent.category,
+    subcategory: parent.subcategory,
+    brand: parent.brand,
+    attributes: parent.attributes,
+    variantOptions,
+  };
+
+  let variant;
+  if (req.body.product) {
+    // Link an existing standalone product as a variant
+    variant = await Product.findById(req.body.product);
+
+    if (!variant) {
+      return next(new AppError("Variant product not found", 404));
+    }
+    if (variant.parent || variant.hasVariants) {
+      return next(
+        new AppError(`${variant.name} is already part of a variant group`, 400)
+      );
+    }
+
+    Object.assign(variant, shared);
+    variant.metadata.updatedBy = req.user._id;
+    await variant.save();
+  } else {
+    const label = variantOptions.map((option) => option.value).join(" ");
+
+    variant = await Product.create({
+      description: parent.description,
+      unit: parent.unit,
+      ...req.body,
+      ...shared,
+      name: req.body.name || `${parent.name} ${label}`,
+      metadata: { createdBy: req.user._id },
+    });
+    await StockMovement.recordOpeningBalance(variant, req.user._id);
+    await PriceChange.recordChanges({}, variant, req.user._id, {
+      reason: "Opening price",
+    });
+  }
+
+  if (!parent.hasVariants) {
+    parent.hasVariants = true;
+    parent.metadata.updatedBy = req.user._id;
+    await parent.save();
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: req.body.product ? "product.updated" : "product.created",
+    entity: {
+      type: "product",
+      id: variant._id,
+      name: variant.name,
+    },
+    details: {
+      current: {
+        parent: parent._id,
+        variantOptions,
+      },
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Variant added successfully",
+    data: variant,
+  });
+});
+
+// @desc    Detach a variant so it becomes a standalone product
+// @route   DELETE /api/products/:id/variants/:variantId
+// @access  Private (Owner/Operator with permission)
+const removeVariant = asyncHandler(async (req, res, next) => {
+  const variant = await Product.findOne({
+    _id: req.params.variantId,
+    parent: req.params.id,
+  });
+
+  if (!variant) {
+    return next(new AppError("Variant not found", 404));
+  }
+
+  variant.parent = null;
+  variant.variantOptions = [];
+  variant.metadata.updatedBy = req.user._id;
+  await variant.save();
+
+  const remaining = await Product.countDocuments({ parent: req.params.id });
+  if (remaining === 0) {
+    await Product.updateOne({ _id: req.params.id }, { hasVariants: false });
+  }
+
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "product.updated",
+    entity: {
+      type: "product",
+      id: variant._id,
+      name: variant.name,
+    },
+    details: {
+      previous: { parent: req.params.id },
+      reason: "Detached from parent product",
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Variant detached successfully",
+    data: variant,
+  });
+});
+
+// @desc    Give active products without a barcode a generated EAN-13
+// @route   POST /api/products/barcodes
+// @access  Private (Owner only)
+const assignBarcodes = asyncHandler(async (req, res, next) => {
+  const products = await Product.find({
+    "status.isActive": true,
+    hasVariants: false,
+    $or: [{ barcode: null }, { barcode: "" }],
+  });
+
+  const assigned = [];
+  for (const product of products) {
+    product.barcode = await Product.generateBarcode();
+    product.metadata.updatedBy = req.user._id;
+    await product.save();
+    assigned.push({
+      _id: product._id,
+      name: product.name,
+      barcode: product.barcode,
+    });
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "product.updated",
+    entity: {
+      type: "product",
+      name: "Multiple products",
+    },
+    details: {
+      changes: { barcodesAssigned: assigned.length },
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: `${assigned.length} barcodes assigned`,
+    data: assigned,
+  });
+});
+
+// @desc    Render a PDF sheet of price labels
+// @route   POST /api/products/labels
+// @access  Private
+const printLabels = asyncHandler(async (req, res, next) => {
+  const { items, layout = "a4_21", startPosition = 1 } = req.body;
+  const showPrice = req.body.showPrice !== false;
+  const settings = await Settings.getSettings();
+
+  const products = await Product.find({
+    _id: { $in: items.map((item) => item.product) },
+  });
+
+  const labels = [];
+  for (const item of items) {
+    const product = products.find((p) => p._id.toString() === item.product);
+
+    if (!product) {
+      return next(new AppError(`Product ${item.product} not found`, 404));
+    }
+
+    // Products printed without a barcode get one now
+    if (!product.barcode) {
+      product.barcode = await Product.generateBarcode();
+      await product.save();
+    }
+
+    let price = null;
+    if (showPrice) {
+      price = settings.formatCurrency(product.effectivePrice);
+      if (product.sellingUnit && product.sellingUnit !== "piece") {
+        price += ` / ${product.sellingUnit}`;
+      }
+    }
+
+    for (let i = 0; i < (item.copies || 1); i++) {
+      labels.push({ name: product.name, price, barcode: product.barcode });
+    }
+  }
+
+  let pdf;
+  try {
+    pdf = await labelService.render(labels, {
+      layout,
+      format: settings.inventory.barcodeFormat,
+      startPosition,
+    });
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `inline; filename="labels-${layout}.pdf"`,
+  });
+  res.send(pdf);
+});
+
 module.exports = {
   getProducts,
   getProduct,
@@ -540,8 +1734,26 @@ module.exports = {
   deleteProduct,
   getLowStockProducts,
   getOutOfStockProducts,
+  getExpiringProducts,
   getInventoryValue,
   bulkUpdateProducts,
   importProducts,
+  getImports,
+  rollbackImport,
   getProductPerformance,
+  getProductMovements,
+  reconcileStock,
+  getReconciliationReport,
+  getVariants,
+  createVariant,
+  removeVariant,
+  assignBarcodes,
+  printLabels,
+  getProductForecast,
+  getPriceHistory,
+  schedulePriceChange,
+  cancelPriceChange,
+  uploadProductImages,
+  updateProductImage,
+  deleteProductImage,
 };
@@ -0,0 +1,629 @@
+// backend/src/controllers/purchaseOrderController.js
+const PurchaseOrder = require("../models/PurchaseOrder");
+const GoodsReceivedNote = require("../models/GoodsReceivedNote");
+const Supplier = require("../models/Supplier");
+const Product = require("../models/Product");
+const ActivityLog = require("../models/ActivityLog");
+const reorderService = require("../services/reorderService");
+const { asyncHandler, AppError } = require("../middleware/errorHandler");
+const { withTransaction } = require("../utils/transaction");
+
+// Allowed manual status changes. Receiving moves a PO into
+// partially_received/received on its own.
+const validTransitions = {
+  draft: ["sent", "cancelled"],
+  sent: ["cancelled"],
+  partially_received: ["closed"],
+  received: ["closed"],
+  closed: [],
+  cancelled: [],
+};
+
+// Resolve and snapshot product details for PO lines
+const buildOrderItems = async (items) => {
+  const orderItems = [];
+
+  for (const item of items) {
+    const product = await Product.findById(item.product);
+
+    if (!product) {
+      throw new AppError(`Product ${item.product} not found`, 404);
+    }
+
+    // Order in the product's purchase unit unless another is given
+    const unit = item.unit || product.purchaseUnit || product.unit;
+    let unitFactor;
+    try {
+      unitFactor = product.getUnitFactor(unit);
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    orderItems.push({
+      product: product._id,
+      productName: product.name,
+      sku: product.sku,
+      unit,
+      unitFactor,
+      quantityOrdered: item.quantityOrdered,
+      unitCost: item.unitCost,
+    });
+  }
+
+  return orderItems;
+};
+
+// @desc    Create purchase order
+// @route   POST /api/purchase-orders
+// @access  Private (Owner/Operator with permission)
+const createPurchaseOrder = asyncHandler(async (req, res, next) => {
+  const { supplier, items, expectedDate, notes, totals } = req.body;
+
+  const supplierDoc = await Supplier.findById(supplier);
+
+  if (!supplierDoc || !supplierDoc.isActive) {
+    return next(new AppError("Supplier not found", 404));
+  }
+
+  const orderItems = await buildOrderItems(items);
+
+  const purchaseOrder = new PurchaseOrder({
+    supplier: supplierDoc._id,
+    items: orderItems,
+    expectedDate,
+    notes,
+    totals: {
+      tax: totals?.tax || 0,
+      shipping: totals?.shipping || 0,
+    },
+    status: "draft",
+    statusHistory: [{ status: "draft", updatedBy: req.user._id }],
+    createdBy: req.user._id,
+  });
+
+  await purchaseOrder.save();
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "purchase_order.created",
+    entity: {
+      type: "purchase_order",
+      id: purchaseOrder._id,
+      name: purchaseOrder.poNumber,
+    },
+    details: {
+      current: {
+        supplier: supplierDoc.name,
+        total: purchaseOrder.totals.total,
+        items: purchaseOrder.items.length,
+      },
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Purchase order created successfully",
+    data: purchaseOrder,
+  });
+});
+
+// @desc    Get all purchase orders
+// @route   GET /api/purchase-orders
+// @access  Private
+const getPurchaseOrders = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 20,
+    sort = "-createdAt",
+    status,
+    supplier,
+    paymentStatus,
+    product,
+    source,
+    startDate,
+    endDate,
+    search,
+  } = req.query;
+
+  // Build query
+  const query = {};
+
+  if (status) {
+    query.status = Array.isArray(status) ? { $in: status } : status;
+  }
+  if (supplier) query.supplier = supplier;
+  if (paymentStatus) query["payment.status"] = paymentStatus;
+  if (product) query["items.product"] = product;
+  if (source) query.source = source;
+  if (search) query.poNumber = new RegExp(search, "i");
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) {
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+      query.createdAt.$lte = end;
+    }
+  }
+
+  const purchaseOrders = await PurchaseOrder.find(query)
+    .populate("supplier", "name code")
+    .populate("createdBy", "name")
+    .sort(sort)
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await PurchaseOrder.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: purchaseOrders,
+    pagination: {
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      limit: parseInt(limit),
+    },
+  });
+});
+
+// @desc    Get single purchase order
+// @route   GET /api/purchase-orders/:id
+// @access  Private
+const getPurchaseOrder = asyncHandler(async (req, res, next) => {
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+    .populate("supplier", "name code contact paymentTerms")
+    .populate("items.product", "name sku barcode inventory.currentStock")
+    .populate("createdBy", "name")
+    .populate("statusHistory.updatedBy", "name")
+    .populate("receipts.receivedBy", "name");
+
+  if (!purchaseOrder) {
+    return next(new AppError("Purchase order not found", 404));
+  }
+
+  res.json({
+    success: true,
+    data: purchaseOrder,
+  });
+});
+
+// @desc    Update draft purchase order
+// @route   PUT /api/purchase-orders/:id
+// @access  Private (Owner/Operator with permission)
+const updatePurchaseOrder = asyncHandler(async (req, res, next) => {
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+  if (!purchaseOrder) {
+    return next(new AppError("Purchase order not found", 404));
+  }
+
+  if (purchaseOrder.status !== "draft") {
+    return next(new AppError("Only draft purchase orders can be edited", 400));
+  }
+
+  const { supplier, items, expectedDate, notes, totals } = req.body;
+
+  if (supplier) {
+    const supplierDoc = await Supplier.findById(supplier);
+    if (!supplierDoc || !supplierDoc.isActive) {
+      return next(new AppError("Supplier not found", 404));
+    }
+    purchaseOrder.supplier = supplierDoc._id;
+  }
+
+  if (items) {
+    purchaseOrder.items = await buildOrderItems(items);
+  }
+
+  if (expectedDate !== undefined) purchaseOrder.expectedDate = expectedDate;
+  if (notes !== undefined) purchaseOrder.notes = notes;
+  if (totals?.tax !== undefined) purchaseOrder.totals.tax = totals.tax;
+  if (totals?.shipping !== undefined) {
+    purchaseOrder.totals.shipping = totals.shipping;
+  }
+
+  purchaseOrder.updatedBy = req.user._id;
+  await purchaseOrder.save();
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "purchase_order.updated",
+    entity: {
+      type: "purchase_order",
+      id: purchaseOrder._id,
+      name: purchaseOrder.poNumber,
+    },
+    details: {
+      changes: Object.keys(req.body),
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Purchase order updated successfully",
+    data: purchaseOrder,
+  });
+});
+
+// @desc    Update purchase order status (send, close, cancel)
+// @route   PUT /api/purchase-orders/:id/status
+// @access  Private (Owner/Operator with permission)
+const updatePurchaseOrderStatus = asyncHandler(async (req, res, next) => {
+  const { status, notes } = req.body;
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+  if (!purchaseOrder) {
+    return next(new AppError("Purchase order not found", 404));
+  }
+
+  const previousStatus = purchaseOrder.status;
+
+  if (!validTransitions[previousStatus].includes(status)) {
+    return next(
+      new AppError(
+        `Cannot change status from ${previousStatus} to ${status}`,
+        400
+      )
+    );
+  }
+
+  await purchaseOrder.updateStatus(status, req.user._id, notes);
+
+  // Count the order against the supplier once it has actually been placed
+  if (status === "sent") {
+    await Supplier.updateOne(
+      { _id: purchaseOrder.supplier },
+      { $inc: { "statistics.totalOrders": 1 } }
+    );
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "purchase_order.status_changed",
+    entity: {
+      type: "purchase_order",
+      id: purchaseOrder._id,
+      name: purchaseOrder.poNumber,
+    },
+    severity: status === "cancelled" ? "warning" : "info",
+    details: {
+      previous: { status: previousStatus },
+      current: { status },
+      notes,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Purchase order status updated successfully",
+    data: purchaseOrder,
+  });
+});
+
+// @desc    Receive goods against purchase order
+// @route   POST /api/purchase-orders/:id/receive
+// @access  Private (Owner/Operator with permission)
+const receivePurchaseOrder = asyncHandler(async (req, res, next) => {
+  const { items, deliveryNote, notes } = req.body;
+
+  if (!(await PurchaseOrder.exists({ _id: req.params.id }))) {
+    return next(new AppError("Purchase order not found", 404));
+  }
+
+  // The note, its stock movements and the order are saved together, so a
+  // failure part way can be retried without receiving anything twice
+  let purchaseOrder;
+  let grn;
+  try {
+    ({ purchaseOrder, grn } = await withTransaction(async (session) => {
+      const purchaseOrder = await PurchaseOrder.findById(req.params.id).session(
+        session
+      );
+      const grn = await purchaseOrder.receive(
+        { items, deliveryNote, notes },
+        req.user._id
+      );
+      return { purchaseOrder, grn };
+    }));
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "purchase_order.received",
+    entity: {
+      type: "purchase_order",
+      id: purchaseOrder._id,
+      name: purchaseOrder.poNumber,
+    },
+    severity: grn.hasDiscrepancy ? "warning" : "info",
+    details: {
+      current: {
+        grnNumber: grn.grnNumber,
+        status: purchaseOrder.status,
+        acceptedValue: grn.totals.acceptedValue,
+        damagedValue: grn.totals.damagedValue,
+        shortageValue: grn.totals.shortageValue,
+      },
+      notes,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: grn.hasDiscrepancy
+      ? "Goods received with discrepancies"
+      : purchaseOrder.status === "received"
+      ? "Purchase order fully received"
+      : "Goods received successfully",
+    data: {
+      purchaseOrder,
+      grn,
+    },
+  });
+});
+
+// @desc    Get goods received notes
+// @route   GET /api/purchase-orders/receipts
+// @access  Private
+const getGoodsReceivedNotes = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 20,
+    sort = "-receivedAt",
+    supplier,
+    purchaseOrder,
+    hasDiscrepancy,
+    startDate,
+    endDate,
+  } = req.query;
+
+  // Build query
+  const query = {};
+
+  if (supplier) query.supplier = supplier;
+  if (purchaseOrder) query.purchaseOrder = purchaseOrder;
+  if (hasDiscrepancy !== undefined) {
+    query.hasDiscrepancy = hasDiscrepancy === "true";
+  }
+
+  if (startDate || endDate) {
+    query.receivedAt = {};
+    if (startDate) query.receivedAt.$gte = new Date(startDate);
+    if (endDate) {
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+      query.receivedAt.$lte = end;
+    }
+  }
+
+  const grns = await GoodsReceivedNote.find(query)
+    .populate("supplier", "name code")
+    .populate("receivedBy", "name")
+    .sort(sort)
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await GoodsReceivedNote.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: grns,
+    pagination: {
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      limit: parseInt(limit),
+    },
+  });
+});
+
+// @desc    Get single goods received note
+// @route   GET /api/purchase-orders/receipts/:grnId
+// @access  Private
+const getGoodsReceivedNote = asyncHandler(async (req, res, next) => {
+  const grn = await GoodsReceivedNote.findById(req.params.grnId)
+    .populate("supplier", "name code contact")
+    .populate("items.product", "name sku barcode")
+    .populate("receivedBy", "name");
+
+  if (!grn) {
+    return next(new AppError("Goods received note not found", 404));
+  }
+
+  res.json({
+    success: true,
+    data: grn,
+  });
+});
+
+// @desc    Get goods received notes for a purchase order
+// @route   GET /api/purchase-orders/:id/receipts
+// @access  Private
+const getPurchaseOrderReceipts = asyncHandler(async (req, res, next) => {
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id).select(
+    "poNumber"
+  );
+
+  if (!purchaseOrder) {
+    return next(new AppError("Purchase order not found", 404));
+  }
+
+  const grns = await GoodsReceivedNote.find({
+    purchaseOrder: purchaseOrder._id,
+  })
+    .populate("receivedBy", "name")
+    .sort("receivedAt");
+
+  res.json({
+    success: true,
+    data: grns,
+    total: grns.length,
+  });
+});
+
+// @desc    Record payment to supplier against purchase order
+// @route   POST /api/purchase-orders/:id/payment
+// @access  Private (Owner only)
+const recordPurchaseOrderPayment = asyncHandler(async (req, res, next) => {
+  const { amount, method, reference } = req.body;
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+  if (!purchaseOrder) {
+    return next(new AppError("Purchase order not found", 404));
+  }
+
+  if (["draft", "cancelled"].includes(purchaseOrder.status)) {
+    return next(
+      new AppError(
+        `Cannot record payment on a ${purchaseOrder.status} purchase order`,
+        400
+      )
+    );
+  }
+
+  if (purchaseOrder.payment.status === "paid") {
+    return next(new AppError("Purchase order is already fully paid", 400));
+  }
+
+  await purchaseOrder.recordPayment(amount, method, reference, req.user._id);
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "purchase_order.payment_recorded",
+    entity: {
+      type: "purchase_order",
+      id: purchaseOrder._id,
+      name: purchaseOrder.poNumber,
+    },
+    details: {
+      current: { amount, method, reference },
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Payment recorded successfully",
+    data: {
+      poNumber: purchaseOrder.poNumber,
+      amountPaid: purchaseOrder.payment.amountPaid,
+      balanceDue: purchaseOrder.balanceDue,
+      paymentStatus: purchaseOrder.payment.status,
+    },
+  });
+});
+
+// @desc    Get open (sent or partially received) purchase orders
+// @route   GET /api/purchase-orders/open
+// @access  Private
+const getOpenPurchaseOrders = asyncHandler(async (req, res, next) => {
+  const purchaseOrders = await PurchaseOrder.getOpenOrders(req.query.supplier);
+
+  res.json({
+    success: true,
+    data: purchaseOrders,
+    total: purchaseOrders.length,
+  });
+});
+
+// @desc    Get reorder suggestions grouped by supplier
+// @route   GET /api/purchase-orders/reorder-suggestions
+// @access  Private
+const getReorderSuggestions = asyncHandler(async (req, res, next) => {
+  const suggestions = await reorderService.getSuggestions();
+
+  res.json({
+    success: true,
+    data: suggestions,
+    summary: {
+      suppliers: suggestions.filter((group) => group.supplier).length,
+      products: suggestions.reduce((sum, group) => sum + group.items.length, 0),
+      total: suggestions.reduce((sum, group) => sum + group.total, 0),
+    },
+  });
+});
+
+// @desc    Raise draft purchase orders from reorder suggestions now
+// @route   POST /api/purchase-orders/reorder
+// @access  Private (Owner only)
+const createReorderDrafts = asyncHandler(async (req, res, next) => {
+  const { orders, unassigned } = await reorderService.createDraftOrders(
+    req.user._id
+  );
+
+  for (const purchaseOrder of orders) {
+    await ActivityLog.log({
+      user: req.user._id,
+      action: "purchase_order.created",
+      entity: {
+        type: "purchase_order",
+        id: purchaseOrder._id,
+        name: purchaseOrder.poNumber,
+      },
+      details: {
+        current: {
+          total: purchaseOrder.totals.total,
+          items: purchaseOrder.items.length,
+        },
+        notes: "Raised from reorder suggestions",
+      },
+      metadata: {
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${orders.length} draft purchase orders raised`,
+    data: {
+      orders,
+      unassigned,
+    },
+  });
+});
+
+module.exports = {
+  createPurchaseOrder,
+  getPurchaseOrders,
+  getPurchaseOrder,
+  updatePurchaseOrder,
+  updatePurchaseOrderStatus,
+  receivePurchaseOrder,
+  recordPurchaseOrderPayment,
+  getOpenPurchaseOrders,
+  getGoodsReceivedNotes,
+  getGoodsReceivedNote,
+  getPurchaseOrderReceipts,
+  getReorderSuggestions,
+  createReorderDrafts,
+};
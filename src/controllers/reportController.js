@@ -1,10 +1,15 @@
 // backend/src/controllers/reportController.js
+const mongoose = require("mongoose");
 const Sale = require("../models/Sale");
 const Product = require("../models/Product");
 const Order = require("../models/Order");
 const Customer = require("../models/Customer");
 const User = require("../models/User");
+const GoodsReceivedNote = require("../models/GoodsReceivedNote");
+const Layaway = require("../models/Layaway");
 const ActivityLog = require("../models/ActivityLog");
+const Settings = require("../models/Settings");
+const classificationService = require("../services/classificationService");
 const { asyncHandler, AppError } = require("../middleware/errorHandler");
 // const { taskLogger } = require("../middleware/logger");
 
@@ -83,13 +88,13 @@ const getSalesReport = asyncHandler(async (req, res, next) => {
         status: { $in: ["completed", "partial_refund"] },
       },
     },
-    { $unwind: "$items" },
+    ...Sale.productLineStages(),
     {
       $group: {
-        _id: "$items.product",
-        productName: { $first: "$items.productName" },
-        quantitySold: { $sum: "$items.quantity" },
-        revenue: { $sum: "$items.subtotal" },
+        _id: "$line.product",
+        productName: { $first: "$line.productName" },
+        quantitySold: { $sum: "$line.quantity" },
+        revenue: { $sum: "$line.revenue" },
       },
     },
     { $sort: { revenue: -1 } },
@@ -290,6 +295,19 @@ const getInventoryReport = asyncHandler(async (req, res, next) => {
     .sort("-inventory.currentStock")
     .limit(20);
 
+  // Where stock value sits across the ABC/XYZ classes, and how much of it
+  // isn't selling
+  const settings = await Settings.getSettings();
+  const { slowDays, deadDays } = settings.inventory.deadStock;
+  const categoryMatch = category
+    ? { category: new mongoose.Types.ObjectId(category) }
+    : {};
+  const [classification, deadStock] = await Promise.all([
+    classificationService.getMatrix(categoryMatch),
+    Product.findDeadStock(slowDays, deadDays, categoryMatch),
+  ]);
+  const dead = deadStock.filter((product) => product.status === "dead");
+
   // Get products needing reorder
   const needsReorder = await Product.find({
     ...query,
@@ -316,9 +334,127 @@ const getInventoryReport = asyncHandler(async (req, res, next) => {
         outOfStock:
           stockStatus.find((s) => s._id === "out_of_stock")?.count || 0,
         lowStock: stockStatus.find((s) => s._id === "low_stock")?.count || 0,
+        deadStock: dead.length,
+        deadStockValue: dead.reduce((sum, p) => sum + p.tiedUpValue, 0),
       },
       slowMovingProducts: slowMoving,
       reorderList: needsReorder,
+      classification,
+    },
+  });
+});
+
+// @desc    Get ABC/XYZ classification matrix and classified products
+// @route   GET /api/reports/classification
+// @access  Private
+const getClassificationReport = asyncHandler(async (req, res, next) => {
+  const { abc, xyz, category, limit = 50 } = req.query;
+
+  const match = category
+    ? { category: new mongoose.Types.ObjectId(category) }
+    : {};
+  const query = {
+    "status.isActive": true,
+    "classification.abc": { $exists: true },
+    ...match,
+  };
+  if (abc) query["classification.abc"] = abc;
+  if (xyz) query["classification.xyz"] = xyz;
+
+  const [matrix, products, latest] = await Promise.all([
+    classificationService.getMatrix(match),
+    Product.find(query)
+      .select("name sku category inventory.currentStock classification")
+      .populate("category", "name")
+      .sort("-classification.revenue")
+      .limit(parseInt(limit)),
+    Product.findOne({ "classification.classifiedAt": { $exists: true } })
+      .select("classification.classifiedAt classification.periodDays")
+      .sort("-classification.classifiedAt"),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      classifiedAt: latest?.classification.classifiedAt || null,
+      periodDays: latest?.classification.periodDays || null,
+      matrix,
+      products,
+    },
+  });
+});
+
+// @desc    Reclassify products by ABC/XYZ
+// @route   POST /api/reports/classification
+// @access  Private (Owner)
+const classifyProducts = asyncHandler(async (req, res, next) => {
+  const settings = await Settings.getSettings();
+  const days =
+    parseInt(req.body.days) || settings.inventory.classification.periodDays;
+
+  const result = await classificationService.classify(days);
+
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "product.classified",
+    entity: {
+      type: "report",
+      name: "ABC/XYZ classification",
+    },
+    details: {
+      current: { days, products: result.products },
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: `${result.products} products classified`,
+    data: result,
+  });
+});
+
+// @desc    Get slow moving and dead stock with the value tied up in it
+// @route   GET /api/reports/dead-stock
+// @access  Private
+const getDeadStockReport = asyncHandler(async (req, res, next) => {
+  const settings = await Settings.getSettings();
+  const slowDays =
+    parseInt(req.query.slowDays) || settings.inventory.deadStock.slowDays;
+  const deadDays =
+    parseInt(req.query.deadDays) || settings.inventory.deadStock.deadDays;
+
+  if (deadDays < slowDays) {
+    return next(
+      new AppError("Dead stock threshold must be at least the slow one", 400)
+    );
+  }
+
+  const match = req.query.category
+    ? { category: new mongoose.Types.ObjectId(req.query.category) }
+    : {};
+  const products = await Product.findDeadStock(slowDays, deadDays, match);
+
+  const summary = ["slow", "dead"].map((status) => {
+    const group = products.filter((product) => product.status === status);
+    return {
+      status,
+      products: group.length,
+      units: group.reduce((sum, p) => sum + p.currentStock, 0),
+      tiedUpValue: group.reduce((sum, p) => sum + p.tiedUpValue, 0),
+    };
+  });
+
+  res.json({
+    success: true,
+    data: {
+      thresholds: { slowDays, deadDays },
+      summary,
+      totalTiedUpValue: summary.reduce((sum, s) => sum + s.tiedUpValue, 0),
+      products,
     },
   });
 });
@@ -653,6 +789,7 @@ const getFinancialSummary = asyncHandler(async (req, res, next) => {
         orders: { $sum: 1 },
         tax: { $sum: "$totals.tax" },
         discount: { $sum: "$totals.discount" },
+        costOfGoods: { $sum: { $sum: "$items.costOfGoods" } },
       },
     },
   ]);
@@ -673,6 +810,7 @@ const getFinancialSummary = asyncHandler(async (req, res, next) => {
             orders: { $sum: 1 },
             tax: { $sum: "$totals.tax" },
             discount: { $sum: "$totals.discount" },
+            costOfGoods: { $sum: { $sum: "$items.costOfGoods" } },
           },
         },
       ])
@@ -680,7 +818,7 @@ const getFinancialSummary = asyncHandler(async (req, res, next) => {
 
   // Get expense categories (simplified - in production, this would come from expense tracking)
   const expenses = {
-    purchases: 0, // Would calculate from purchase orders
+    purchases: 0, // Stock purchases reach profit through cost of goods sold
     salaries: 0, // Would come from payroll
     rent: 0, // Fixed costs
     utilities: 0,
@@ -693,14 +831,23 @@ const getFinancialSummary = asyncHandler(async (req, res, next) => {
     orders: 0,
     tax: 0,
     discount: 0,
+    costOfGoods: 0,
   };
   const previous = comparisonPeriod[0] || {
     revenue: 0,
     orders: 0,
     tax: 0,
     discount: 0,
+    costOfGoods: 0,
   };
 
+  // Gross profit is sales net of VAT less the cost of the goods sold
+  const totalExpenses = Object.values(expenses).reduce((a, b) => a + b, 0);
+  const netSales = current.revenue - current.tax;
+  const grossProfit = netSales - current.costOfGoods;
+  const previousGrossProfit =
+    previous.revenue - previous.tax - previous.costOfGoods;
+
   const metrics = {
     revenue: {
       current: current.revenue,
@@ -728,17 +875,20 @@ const getFinancialSummary = asyncHandler(async (req, res, next) => {
       current: current.orders > 0 ? current.revenue / current.orders : 0,
       previous: previous.orders > 0 ? previous.revenue / previous.orders : 0,
     },
+    costOfGoods: {
+      current: current.costOfGoods,
+      previous: previous.costOfGoods,
+    },
+    grossProfit: {
+      current: grossProfit,
+      previous: previousGrossProfit,
+      margin: netSales > 0 ? ((grossProfit / netSales) * 100).toFixed(2) : 0,
+    },
     profit: {
-      current:
-        current.revenue - Object.values(expenses).reduce((a, b) => a + b, 0),
+      current: grossProfit - totalExpenses,
       margin:
-        current.revenue > 0
-          ? (
-              ((current.revenue -
-                Object.values(expenses).reduce((a, b) => a + b, 0)) /
-                current.revenue) *
-              100
-            ).toFixed(2)
+        netSales > 0
+          ? (((grossProfit - totalExpenses) / netSales) * 100).toFixed(2)
           : 0,
     },
   };
@@ -764,6 +914,89 @@ const getFinancialSummary = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get receiving discrepancies per supplier
+// @route   GET /api/reports/supplier-discrepancies
+// @access  Private (Owner/Manager)
+const getSupplierDiscrepancies = asyncHandler(async (req, res, next) => {
+  const {
+    startDate = new Date(new Date().setMonth(new Date().getMonth() - 3)),
+    endDate = new Date(),
+    supplier,
+  } = req.query;
+
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  end.setHours(23, 59, 59, 999);
+
+  const suppliers = await GoodsReceivedNote.getDiscrepancyReport(
+    start,
+    end,
+    supplier
+  );
+
+  // Most recent problem deliveries for follow-up with suppliers
+  const recentIssues = await GoodsReceivedNote.find({
+    receivedAt: { $gte: start, $lte: end },
+    hasDiscrepancy: true,
+    ...(supplier && { supplier }),
+  })
+    .populate("supplier", "name")
+    .select("grnNumber poNumber supplier deliveryNote totals receivedAt")
+    .sort("-receivedAt")
+    .limit(20);
+
+  const summary = suppliers.reduce(
+    (acc, row) => {
+      acc.deliveries += row.deliveries;
+      acc.deliveriesWithIssues += row.deliveriesWithIssues;
+      acc.damagedValue += row.damagedValue;
+      acc.shortageValue += row.shortageValue;
+      return acc;
+    },
+    {
+      deliveries: 0,
+      deliveriesWithIssues: 0,
+      damagedValue: 0,
+      shortageValue: 0,
+    }
+  );
+
+  res.json({
+    success: true,
+    data: {
+      period: { start, end },
+      summary,
+      suppliers,
+      recentIssues,
+    },
+  });
+});
+
+// @desc    Get active layaways aged by their oldest overdue instalment
+// @route   GET /api/reports/layaway-aging
+// @access  Private (Owner/Manager)
+const getLayawayAging = asyncHandler(async (req, res, next) => {
+  const buckets = await Layaway.getAgingReport();
+
+  const totals = buckets.reduce(
+    (sum, bucket) => ({
+      layaways: sum.layaways + bucket.count,
+      balance: sum.balance + bucket.balance,
+      overdueAmount: sum.overdueAmount + bucket.overdueAmount,
+    }),
+    { layaways: 0, balance: 0, overdueAmount: 0 }
+  );
+
+  res.json({
+    success: true,
+    data: {
+      asOf: new Date(),
+      totals,
+      buckets,
+    },
+  });
+});
+
 // @desc    Export report to Excel
 // @route   POST /api/reports/export/excel
 // @access  Private (Owner/Manager)
@@ -822,6 +1055,13 @@ const getDashboardSummary = asyncHandler(async (req, res, next) => {
     },
   });
 
+  // Get stock that has stopped selling
+  const settings = await Settings.getSettings();
+  const { slowDays, deadDays } = settings.inventory.deadStock;
+  const deadStock = (await Product.findDeadStock(slowDays, deadDays)).filter(
+    (product) => product.status === "dead"
+  );
+
   // Get recent activities
   const recentActivities = await ActivityLog.find({
     user: { $ne: null },
@@ -835,6 +1075,10 @@ const getDashboardSummary = asyncHandler(async (req, res, next) => {
     todaysSales: todaysSales[0] || { count: 0, revenue: 0 },
     pendingOrders,
     lowStockAlerts: lowStockCount,
+    deadStock: {
+      count: deadStock.length,
+      value: deadStock.reduce((sum, p) => sum + p.tiedUpValue, 0),
+    },
     activeUsers: await User.countDocuments({
       isActive: true,
       lastActive: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
@@ -853,9 +1097,14 @@ const getDashboardSummary = asyncHandler(async (req, res, next) => {
 module.exports = {
   getSalesReport,
   getInventoryReport,
+  getClassificationReport,
+  classifyProducts,
+  getDeadStockReport,
   getStaffPerformance,
   getCustomerAnalytics,
   getFinancialSummary,
+  getSupplierDiscrepancies,
+  getLayawayAging,
   exportToExcel,
   getDashboardSummary,
 };
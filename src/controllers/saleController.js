@@ -2,11 +2,210 @@
 const Sale = require("../models/Sale");
 const Product = require("../models/Product");
 const Customer = require("../models/Customer");
+const PriceList = require("../models/PriceList");
+const Location = require("../models/Location");
+const Settings = require("../models/Settings");
+const SerialNumber = require("../models/SerialNumber");
 const ActivityLog = require("../models/ActivityLog");
 const { asyncHandler, AppError } = require("../middleware/errorHandler");
 // const { activityLogger } = require("../middleware/logger");
 const mpesaService = require("../services/mpesaService");
+const priceService = require("../services/priceService");
+const saleService = require("../services/saleService");
+const receiptService = require("../services/receiptService");
+const parkedSaleJob = require("../jobs/parkedSaleJob");
 const MpesaTransaction = require("../models/MpesaTransaction");
+const config = require("../config/app");
+const { withTransaction } = require("../utils/transaction");
+
+// Save a new sale with its stock movements, M-Pesa link and customer
+// statistics, written together or not at all
+const recordSale = (data, userId, options = {}) =>
+  withTransaction((session) =>
+    saleService.record(data, userId, { ...options, session })
+  );
+
+// Give back stock held for these products by expired parked sales, so a sale
+// isn't refused for it before the expiry job runs. Anything left is for the
+// job; it must never fail the sale.
+const releaseExpiredParkedStock = async (items) => {
+  try {
+    await parkedSaleJob.run({ products: items.map((item) => item.product) });
+  } catch (error) {
+    console.error("Releasing expired parked stock failed:", error.message);
+  }
+};
+
+// Point a variant's sale line at its parent so sales roll up to it
+const setParentProduct = async (item, product) => {
+  if (!product.parent) return;
+
+  const parent = await Product.findById(product.parent).select("name");
+  item.parentProduct = product.parent;
+  item.parentName = parent?.name;
+};
+
+// Lines are sold in the product's selling unit unless another is given.
+// Stock is taken out in the base unit.
+const setSaleUnit = (item, product) => {
+  item.unit = item.unit || product.sellingUnit || product.unit;
+  item.baseQuantity = product.toBaseQuantity(item.quantity, item.unit);
+};
+
+// Resolve the location the seller is selling from. Returns null when stock
+// isn't tracked per location.
+const getSellingLocation = async (user) => {
+  if (!config.features.multiLocation) return null;
+
+  const location = await Location.getForUser(user);
+  if (!location) return null;
+
+  const defaultLocation = await Location.getDefault();
+  return { location, defaultLocation };
+};
+
+// Record one sale made while the till was offline. Returns the result the
+// POS reconciles its queue against, by offline ID.
+const syncOfflineSale = async (offlineSale, { userId, selling, policy }) => {
+  const { offlineId, soldAt, items, customer, customerInfo, payment } =
+    offlineSale;
+
+  // Uploaded before, perhaps from a retry that never got its response
+  const existing = await Sale.findOne({ "metadata.offlineId": offlineId });
+  if (existing) {
+    return {
+      offlineId,
+      status: "duplicate",
+      sale: existing._id,
+      receiptNumber: existing.receiptNumber,
+    };
+  }
+
+  // The sale has already happened, so inactive products and prices that
+  // have changed since are taken as they were at the till
+  const conflicts = [];
+  try {
+    for (const item of items) {
+      const product = await Product.findById(item.product);
+      if (!product) {
+        throw new Error(`Product ${item.product} not found`);
+      }
+      if (product.hasVariants) {
+        throw new Error(`Choose a variant of ${product.name}`);
+      }
+
+      setSaleUnit(item, product);
+      item.productName = product.name;
+      await setParentProduct(item, product);
+
+      // Serial numbers can't be sold twice, whatever the policy
+      if (product.inventory.serialized) {
+        const units = await SerialNumber.checkAvailable(
+          product,
+          item.serialNumbers,
+          item.baseQuantity
+        );
+        item.serialNumbers = units.map((unit) => unit.serialNumber);
+      } else {
+        delete item.serialNumbers;
+      }
+
+      let available = null;
+      if (product.productType === "bundle") {
+        available = await product.getBundleAvailability(
+          selling?.location._id,
+          selling?.defaultLocation?._id
+        );
+      } else if (
+        product.inventory.trackInventory &&
+        !product.inventory.allowBackorder
+      ) {
+        available = selling
+          ? product.getLocationStock(
+              selling.location._id,
+              selling.defaultLocation?._id
+            )
+          : product.inventory.currentStock;
+      }
+
+      if (available !== null && available < item.baseQuantity) {
+        conflicts.push({
+          product: product._id,
+          productName: product.name,
+          requested: item.baseQuantity,
+          available,
+        });
+      }
+    }
+  } catch (error) {
+    return { offlineId, status: "rejected", message: error.message };
+  }
+
+  if (conflicts.length > 0 && policy === "reject") {
+    return {
+      offlineId,
+      status: "rejected",
+      message: "Not enough stock for this sale",
+      conflicts,
+    };
+  }
+
+  // Paid by M-Pesa while offline: link the payment if its callback arrived
+  const mpesaTransaction =
+    payment.method === "mpesa" && payment.details?.[0]?.transactionId
+      ? await MpesaTransaction.findOne({
+          mpesaReceiptNumber: payment.details[0].transactionId,
+          status: "success",
+          sale: null,
+        })
+      : null;
+
+  let sale;
+  try {
+    sale = await recordSale(
+      {
+        items,
+        customer,
+        customerInfo,
+        payment,
+        seller: userId,
+        location: selling?.location._id,
+        createdAt: soldAt,
+        metadata: {
+          source: "pos",
+          device: offlineSale.device,
+          offlineId,
+          syncStatus: conflicts.length > 0 ? "flagged" : "synced",
+          syncedAt: new Date(),
+          stockConflicts: conflicts,
+        },
+      },
+      userId,
+      { mpesaTransaction, allowNegative: policy === "allow_negative" }
+    );
+  } catch (error) {
+    // Another upload of the same sale got there first
+    if (error.code === 11000) {
+      const duplicate = await Sale.findOne({ "metadata.offlineId": offlineId });
+      return {
+        offlineId,
+        status: "duplicate",
+        sale: duplicate?._id,
+        receiptNumber: duplicate?.receiptNumber,
+      };
+    }
+    return { offlineId, status: "failed", message: error.message };
+  }
+
+  return {
+    offlineId,
+    status: conflicts.length > 0 ? "flagged" : "created",
+    sale: sale._id,
+    receiptNumber: sale.receiptNumber,
+    total: sale.totals.total,
+    conflicts: conflicts.length > 0 ? conflicts : undefined,
+  };
+};
 
 // @desc    Initiate M-Pesa STK Push
 // @route   POST /api/v1/sales/mpesa/initiate
@@ -283,6 +482,21 @@ const mpesaCallback = asyncHandler(async (req, res, next) => {
 const createSale = asyncHandler(async (req, res, next) => {
   const { items, customer, customerInfo, payment } = req.body;
 
+  const selling = await getSellingLocation(req.user);
+  if (selling && !selling.location.canSell) {
+    return next(
+      new AppError(`Sales cannot be made from ${selling.location.name}`, 400)
+    );
+  }
+
+  // Customers on a price list are charged from it
+  const priceList = customer
+    ? await PriceList.findForCustomer(await Customer.findById(customer))
+    : null;
+
+  // Stock held by expired parked sales can be sold again
+  await releaseExpiredParkedStock(items);
+
   // Validate stock availability
   for (const item of items) {
     const product = await Product.findById(item.product);
@@ -297,9 +511,34 @@ const createSale = asyncHandler(async (req, res, next) => {
       );
     }
 
+    if (product.hasVariants) {
+      return next(new AppError(`Choose a variant of ${product.name}`, 400));
+    }
+
+    try {
+      setSaleUnit(item, product);
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
+
+    if (product.productType === "bundle") {
+      const available = await product.getBundleAvailability(
+        selling?.location._id,
+        selling?.defaultLocation?._id
+      );
+      if (available < item.baseQuantity) {
+        return next(
+          new AppError(
+            `Only ${available} of ${product.name} can be made up from component stock`,
+            400
+          )
+        );
+      }
+    }
+
     if (
       product.inventory.trackInventory &&
-      product.inventory.currentStock < item.quantity &&
+      product.inventory.currentStock < item.baseQuantity &&
       !product.inventory.allowBackorder
     ) {
       return next(
@@ -310,15 +549,71 @@ const createSale = asyncHandler(async (req, res, next) => {
       );
     }
 
+    if (
+      product.inventory.trackInventory &&
+      product.getSellableStock() < item.baseQuantity &&
+      !product.inventory.allowBackorder
+    ) {
+      return next(
+        new AppError(
+          `Only ${product.getSellableStock()} of ${product.name} can be sold. The rest has expired or is held for parked sales and layaways`,
+          400
+        )
+      );
+    }
+
+    if (
+      selling &&
+      product.inventory.trackInventory &&
+      !product.inventory.allowBackorder
+    ) {
+      const available = product.getLocationStock(
+        selling.location._id,
+        selling.defaultLocation?._id
+      );
+      if (available < item.baseQuantity) {
+        return next(
+          new AppError(
+            `Insufficient stock for ${product.name} at ${selling.location.name}. Available: ${available}`,
+            400
+          )
+        );
+      }
+    }
+
+    // Serialized products are sold by serial number, one for each unit
+    if (product.inventory.serialized) {
+      try {
+        const units = await SerialNumber.checkAvailable(
+          product,
+          item.serialNumbers,
+          item.baseQuantity
+        );
+        item.serialNumbers = units.map((unit) => unit.serialNumber);
+      } catch (error) {
+        return next(new AppError(error.message, 400));
+      }
+    } else {
+      delete item.serialNumbers;
+    }
+
     // Add product name and current price to item
     item.productName = product.name;
-    item.unitPrice = item.unitPrice || product.effectivePrice;
+    item.unitPrice =
+      item.unitPrice ||
+      priceService.getLinePrice(
+        product,
+        item.unit,
+        item.baseQuantity,
+        priceList
+      );
+    await setParentProduct(item, product);
   }
 
-  // Add this check before creating the sale
+  // Verify M-Pesa transaction exists and is successful
+  let mpesaTransaction = null;
   if (payment.method === "mpesa" && payment.details?.[0]?.transactionId) {
-    // Verify M-Pesa transaction exists and is successful
-    const mpesaTransaction = await MpesaTransaction.findOne({
+    mpesaTransaction = await MpesaTransaction.findOne({
       mpesaReceiptNumber: payment.details[0].transactionId,
       status: "success",
     });
@@ -326,66 +621,30 @@ const createSale = asyncHandler(async (req, res, next) => {
     if (!mpesaTransaction) {
       return next(new AppError("Invalid M-Pesa transaction", 400));
     }
-
-    // Link sale to M-Pesa transaction
-    mpesaTransaction.sale = sale._id;
-    await mpesaTransaction.save();
   }
 
   // Create sale
-  const sale = new Sale({
-    items,
-    customer,
-    customerInfo,
-    payment,
-    seller: req.user._id,
-    metadata: {
-      source: "pos",
-      device: req.get("user-agent"),
-    },
-  });
-
-  await sale.save();
-
-  // Update product stock and sales data
-  for (const item of sale.items) {
-    const product = await Product.findById(item.product);
-
-    if (product.inventory.trackInventory) {
-      await product.updateStock(
-        item.quantity,
-        "sale",
-        sale.receiptNumber,
-        req.user._id
-      );
-    }
-  }
-
-  // Update customer statistics if customer exists
-  if (customer) {
-    const customerDoc = await Customer.findById(customer);
-    if (customerDoc) {
-      await customerDoc.updateOrderStatistics(sale.totals.total);
-
-      // Add to favorite products
-      for (const item of sale.items) {
-        const favoriteIndex = customerDoc.statistics.favoriteProducts.findIndex(
-          (fp) => fp.product.toString() === item.product.toString()
-        );
-
-        if (favoriteIndex > -1) {
-          customerDoc.statistics.favoriteProducts[favoriteIndex].count +=
-            item.quantity;
-        } else {
-          customerDoc.statistics.favoriteProducts.push({
-            product: item.product,
-            count: item.quantity,
-          });
-        }
-      }
-
-      await customerDoc.save();
-    }
+  let sale;
+  try {
+    sale = await recordSale(
+      {
+        items,
+        customer,
+        customerInfo,
+        priceList: priceList?._id,
+        payment,
+        seller: req.user._id,
+        location: selling?.location._id,
+        metadata: {
+          source: "pos",
+          device: req.get("user-agent"),
+        },
+      },
+      req.user._id,
+      { mpesaTransaction }
+    );
+  } catch (error) {
+    return next(new AppError(error.message, 400));
   }
 
   // Populate product details for response
@@ -420,6 +679,83 @@ const createSale = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Upload sales made while the till was offline
+// @route   POST /api/sales/sync
+// @access  Private
+const syncSales = asyncHandler(async (req, res, next) => {
+  const { sales } = req.body;
+
+  const selling = await getSellingLocation(req.user);
+  if (selling && !selling.location.canSell) {
+    return next(
+      new AppError(`Sales cannot be made from ${selling.location.name}`, 400)
+    );
+  }
+
+  const settings = await Settings.getSettings();
+  const policy =
+    req.body.stockConflictPolicy || settings.sales.offline.stockConflictPolicy;
+
+  // Oldest first, so stock runs down in the order things were sold
+  const queue = [...sales].sort(
+    (a, b) => new Date(a.soldAt) - new Date(b.soldAt)
+  );
+
+  const results = [];
+  for (const offlineSale of queue) {
+    results.push(
+      await syncOfflineSale(offlineSale, {
+        userId: req.user._id,
+        selling,
+        policy,
+      })
+    );
+  }
+
+  const summary = results.reduce(
+    (counts, result) => {
+      counts[result.status] += 1;
+      return counts;
+    },
+    { created: 0, flagged: 0, duplicate: 0, rejected: 0, failed: 0 }
+  );
+  const synced = summary.created + summary.flagged;
+
+  // Log activity
+  if (synced > 0) {
+    await ActivityLog.log({
+      user: req.user._id,
+      action: "sale.synced",
+      entity: {
+        type: "sale",
+        name: `${synced} offline sales`,
+      },
+      details: {
+        notes:
+          summary.flagged > 0
+            ? `${summary.flagged} sales took stock below zero`
+            : undefined,
+        current: summary,
+      },
+      severity: summary.flagged > 0 ? "warning" : "info",
+      metadata: {
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `${synced} of ${sales.length} sales synced`,
+    data: {
+      policy,
+      summary,
+      results,
+    },
+  });
+});
+
 // @desc    Get all sales
 // @route   GET /api/sales
 // @access  Private
@@ -437,6 +773,8 @@ const getSales = asyncHandler(async (req, res, next) => {
     maxAmount,
     customer,
     receiptNumber,
+    location,
+    syncStatus,
   } = req.query;
 
   // Build query
@@ -458,6 +796,8 @@ const getSales = asyncHandler(async (req, res, next) => {
   if (paymentMethod) query["payment.method"] = paymentMethod;
   if (status) query.status = status;
   if (customer) query.customer = customer;
+  if (location) query.location = location;
+  if (syncStatus) query["metadata.syncStatus"] = syncStatus;
   if (receiptNumber) query.receiptNumber = new RegExp(receiptNumber, "i");
 
   // Amount range filter
@@ -530,14 +870,17 @@ const getSale = asyncHandler(async (req, res, next) => {
 // @access  Private (Owner/Operator with permission)
 const voidSale = asyncHandler(async (req, res, next) => {
   const { reason } = req.body;
-  const sale = await Sale.findById(req.params.id);
 
-  if (!sale) {
+  if (!(await Sale.exists({ _id: req.params.id }))) {
     return next(new AppError("Sale not found", 404));
   }
 
   try {
-    await sale.void(req.user._id, reason);
+    // Stock goes back in the same transaction as the sale is voided
+    const sale = await withTransaction(async (session) => {
+      const sale = await Sale.findById(req.params.id).session(session);
+      return sale.void(req.user._id, reason);
+    });
 
     // Log activity
     await ActivityLog.log({
@@ -574,26 +917,33 @@ const voidSale = asyncHandler(async (req, res, next) => {
 // @access  Private (Owner/Operator with permission)
 const refundSale = asyncHandler(async (req, res, next) => {
   const { items, reason } = req.body;
-  const sale = await Sale.findById(req.params.id);
 
-  if (!sale) {
+  if (!(await Sale.exists({ _id: req.params.id }))) {
     return next(new AppError("Sale not found", 404));
   }
 
   try {
-    await sale.refund(req.user._id, items, reason);
-
-    // Update customer statistics if applicable
-    if (sale.customer) {
-      const customer = await Customer.findById(sale.customer);
-      if (customer) {
-        const refundAmount = sale.refundInfo.totalRefunded;
-        customer.statistics.totalSpent -= refundAmount;
-        customer.statistics.averageOrderValue =
-          customer.statistics.totalSpent / customer.statistics.totalOrders;
-        await customer.save();
+    // Stock and the customer's statistics change with the refund
+    const sale = await withTransaction(async (session) => {
+      const sale = await Sale.findById(req.params.id).session(session);
+      await sale.refund(req.user._id, items, reason);
+
+      // Update customer statistics if applicable
+      if (sale.customer) {
+        const customer = await Customer.findById(sale.customer).session(
+          session
+        );
+        if (customer) {
+          const refundAmount = sale.refundInfo.totalRefunded;
+          customer.statistics.totalSpent -= refundAmount;
+          customer.statistics.averageOrderValue =
+            customer.statistics.totalSpent / customer.statistics.totalOrders;
+          await customer.save();
+        }
       }
-    }
+
+      return sale;
+    });
 
     // Log activity
     await ActivityLog.log({
@@ -760,10 +1110,20 @@ const getSalesReport = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Print receipt
+// @desc    Print receipt for a thermal printer (ESC/POS) or as a PDF
 // @route   GET /api/sales/:id/receipt
 // @access  Private
 const printReceipt = asyncHandler(async (req, res, next) => {
+  const { format, paperSize } = req.query;
+
+  const settings = await Settings.getSettings();
+  const paper = paperSize || settings.sales.receipt.paperSize;
+  if (format === "escpos" && paper === "A4") {
+    return next(
+      new AppError("A4 receipts can't be printed on a thermal printer", 400)
+    );
+  }
+
   const sale = await Sale.findById(req.params.id)
     .populate("seller", "name")
     .populate("customer", "name phone")
@@ -773,6 +1133,45 @@ const printReceipt = asyncHandler(async (req, res, next) => {
     return next(new AppError("Sale not found", 404));
   }
 
+  // Receipt contents for clients that lay out receipts themselves. Only
+  // printouts are counted, so this shows the number the next one will get.
+  let printNumber = (sale.metadata.receiptPrints || 0) + 1;
+  if (format === "json") {
+    return res.json({
+      success: true,
+      data: receiptService.compose(sale, settings, { printNumber }),
+    });
+  }
+
+  const render = () =>
+    receiptService.render(sale, settings, {
+      format,
+      paperSize: paper,
+      printNumber,
+    });
+
+  let receipt;
+  try {
+    receipt = await render();
+
+    // Counted once rendered, atomically so two tills printing at once can't
+    // both get the original. The loser is re-rendered as the copy it is.
+    const counted = await Sale.findByIdAndUpdate(
+      sale._id,
+      {
+        $inc: { "metadata.receiptPrints": 1 },
+        $set: { "metadata.lastPrintedAt": new Date() },
+      },
+      { new: true, projection: { "metadata.receiptPrints": 1 } }
+    );
+    if (counted.metadata.receiptPrints !== printNumber) {
+      printNumber = counted.metadata.receiptPrints;
+      receipt = await render();
+    }
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
   // Log activity
   await ActivityLog.log({
     user: req.user._id,
@@ -782,18 +1181,46 @@ const printReceipt = asyncHandler(async (req, res, next) => {
       id: sale._id,
       name: sale.receiptNumber,
     },
+    details: {
+      current: { format: format || "default", printNumber },
+    },
     metadata: {
       ip: req.ip,
       userAgent: req.get("user-agent"),
     },
   });
 
-  // In production, this would generate a PDF or format for thermal printer
+  res.set({
+    "Content-Type": receipt.contentType,
+    "Content-Disposition": `${
+      receipt.contentType === "application/pdf" ? "inline" : "attachment"
+    }; filename="${receipt.filename}"`,
+  });
+  res.send(receipt.content);
+});
+
+// @desc    Check a receipt from the code in its QR code
+// @route   GET /api/sales/verify/:receiptNumber
+// @access  Public
+const verifyReceipt = asyncHandler(async (req, res, next) => {
+  const sale = await Sale.findOne({
+    receiptNumber: req.params.receiptNumber,
+  }).select("receiptNumber totals.total status createdAt");
+
+  if (!sale || !receiptService.isValidCode(sale, req.query.code)) {
+    return next(new AppError("Receipt not found", 404));
+  }
+
+  const settings = await Settings.getSettings();
+
   res.json({
     success: true,
     data: {
-      receipt: sale,
-      printFormat: "thermal", // or 'pdf'
+      business: settings.business.name,
+      receiptNumber: sale.receiptNumber,
+      date: sale.createdAt,
+      total: sale.totals.total,
+      status: sale.status,
     },
   });
 });
@@ -804,6 +1231,16 @@ const printReceipt = asyncHandler(async (req, res, next) => {
 const quickSale = asyncHandler(async (req, res, next) => {
   const { items, paymentAmount } = req.body;
 
+  const selling = await getSellingLocation(req.user);
+  if (selling && !selling.location.canSell) {
+    return next(
+      new AppError(`Sales cannot be made from ${selling.location.name}`, 400)
+    );
+  }
+
+  // Stock held by expired parked sales can be sold again
+  await releaseExpiredParkedStock(items);
+
   // Validate and prepare items
   const saleItems = [];
   let total = 0;
@@ -815,68 +1252,120 @@ const quickSale = asyncHandler(async (req, res, next) => {
       return next(new AppError(`Product not found`, 404));
     }
 
-    if (
-      product.inventory.trackInventory &&
-      product.inventory.currentStock < item.quantity
-    ) {
-      return next(new AppError(`Insufficient stock for ${product.name}`, 400));
+    if (product.hasVariants) {
+      return next(new AppError(`Choose a variant of ${product.name}`, 400));
+    }
+
+    if (product.inventory.serialized) {
+      return next(
+        new AppError(
+          `${product.name} needs serial numbers. Sell it through a full sale`,
+          400
+        )
+      );
     }
 
     const saleItem = {
       product: item.product,
       productName: product.name,
       quantity: item.quantity,
-      unitPrice: product.effectivePrice,
+      unit: item.unit,
       discount: {
         amount: 0,
         percentage: 0,
       },
-      tax: {
-        rate: 16,
-        amount: 0,
-      },
       subtotal: 0,
     };
+    try {
+      setSaleUnit(saleItem, product);
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
+    saleItem.unitPrice = product.getUnitPrice(saleItem.unit);
+
+    if (
+      product.productType === "bundle" &&
+      (await product.getBundleAvailability(
+        selling?.location._id,
+        selling?.defaultLocation?._id
+      )) < saleItem.baseQuantity
+    ) {
+      return next(new AppError(`Insufficient stock for ${product.name}`, 400));
+    }
+
+    // Backordered products can be sold without stock, as at the checkout
+    const limitedByStock =
+      product.inventory.trackInventory && !product.inventory.allowBackorder;
+
+    if (
+      limitedByStock &&
+      product.inventory.currentStock < saleItem.baseQuantity
+    ) {
+      return next(new AppError(`Insufficient stock for ${product.name}`, 400));
+    }
+
+    if (limitedByStock && product.getSellableStock() < saleItem.baseQuantity) {
+      return next(
+        new AppError(
+          `Remaining stock of ${product.name} has expired or is held for parked sales and layaways`,
+          400
+        )
+      );
+    }
+
+    if (
+      selling &&
+      limitedByStock &&
+      product.getLocationStock(
+        selling.location._id,
+        selling.defaultLocation?._id
+      ) < saleItem.baseQuantity
+    ) {
+      return next(
+        new AppError(
+          `Insufficient stock for ${product.name} at ${selling.location.name}`,
+          400
+        )
+      );
+    }
+
+    await setParentProduct(saleItem, product);
 
     saleItems.push(saleItem);
     total += saleItem.unitPrice * saleItem.quantity;
   }
 
-  // Create sale with cash payment
-  const sale = new Sale({
-    items: saleItems,
-    payment: {
-      method: "cash",
-      status: "paid",
-      totalPaid: paymentAmount,
-      change: paymentAmount - total,
-      details: [
-        {
+  // Create sale with cash payment, together with its stock movements
+  let sale;
+  try {
+    sale = await withTransaction(async (session) => {
+      const sale = new Sale({
+        items: saleItems,
+        payment: {
           method: "cash",
-          amount: paymentAmount,
+          status: "paid",
+          totalPaid: paymentAmount,
+          change: paymentAmount - total,
+          details: [
+            {
+              method: "cash",
+              amount: paymentAmount,
+            },
+          ],
         },
-      ],
-    },
-    seller: req.user._id,
-    metadata: {
-      source: "pos",
-      device: "quick-sale",
-    },
-  });
-
-  await sale.save();
+        seller: req.user._id,
+        location: selling?.location._id,
+        metadata: {
+          source: "pos",
+          device: "quick-sale",
+        },
+      });
 
-  // Update stock
-  for (const item of sale.items) {
-    const product = await Product.findById(item.product);
-    if (product.inventory.trackInventory) {
-      await product.updateStock(
-        item.quantity,
-        "sale",
-        sale.receiptNumber,
-        req.user._id
-      );
-    }
+      await sale.save({ session });
+      return saleService.postStock(sale, req.user._id);
+    });
+  } catch (error) {
+    return next(new AppError(error.message, 400));
   }
 
   res.status(201).json({
@@ -898,8 +1387,14 @@ const getSalesByProduct = asyncHandler(async (req, res, next) => {
   const { productId } = req.params;
   const { startDate, endDate } = req.query;
 
+  // A parent product's sales include those of its variants, and a
+  // product's sales include its share of any bundles it was sold in
   const query = {
-    "items.product": productId,
+    $or: [
+      { "items.product": productId },
+      { "items.parentProduct": productId },
+      { "items.components.product": productId },
+    ],
     status: { $in: ["completed", "partial_refund"] },
   };
 
@@ -917,8 +1412,20 @@ const getSalesByProduct = asyncHandler(async (req, res, next) => {
   // Calculate product-specific metrics
   const productSales = sales.map((sale) => {
     const productItems = sale.items.filter(
-      (item) => item.product.toString() === productId
+      (item) =>
+        item.product.toString() === productId ||
+        item.parentProduct?.toString() === productId
     );
+    sale.items.forEach((item) => {
+      item.components
+        .filter((component) => component.product.toString() === productId)
+        .forEach((component) =>
+          productItems.push({
+            quantity: component.quantity,
+            subtotal: component.revenue,
+          })
+        );
+    });
 
     return {
       saleId: sale._id,
@@ -1037,6 +1544,7 @@ const recordPayment = asyncHandler(async (req, res, next) => {
 
 module.exports = {
   createSale,
+  syncSales,
   getSales,
   getSale,
   voidSale,
@@ -1044,6 +1552,7 @@ module.exports = {
   getDailySummary,
   getSalesReport,
   printReceipt,
+  verifyReceipt,
   quickSale,
   getSalesByProduct,
   getPendingPayments,
@@ -0,0 +1,138 @@
+// backend/src/controllers/serialNumberController.js
+const SerialNumber = require("../models/SerialNumber");
+const ActivityLog = require("../models/ActivityLog");
+const { asyncHandler, AppError } = require("../middleware/errorHandler");
+
+// Status changes made by hand, with the statuses they can be made from.
+// Sales, refunds and receipts change status as they happen.
+const STATUS_CHANGES = {
+  warranty: { from: ["sold"], event: "warranty_in" },
+  sold: { from: ["warranty"], event: "warranty_out" },
+  in_stock: { from: ["returned"], event: "restocked" },
+};
+
+// @desc    Get serial numbers
+// @route   GET /api/serials
+// @access  Private
+const getSerialNumbers = asyncHandler(async (req, res, next) => {
+  const { product, status, search } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+
+  const query = {};
+  if (product) query.product = product;
+  if (status) query.status = status;
+  if (search) {
+    query.serialNumber = { $regex: search, $options: "i" };
+  }
+
+  const [serialNumbers, total] = await Promise.all([
+    SerialNumber.find(query)
+      .select("-history")
+      .populate("product", "name sku")
+      .populate("customer", "name phone")
+      .sort("-updatedAt")
+      .skip((page - 1) * limit)
+      .limit(limit),
+    SerialNumber.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: serialNumbers,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+});
+
+// @desc    Look up a serial number with its full history
+// @route   GET /api/serials/:serialNumber
+// @access  Private
+const lookupSerialNumber = asyncHandler(async (req, res, next) => {
+  // The same number can turn up on different products' units
+  const units = await SerialNumber.find({
+    serialNumber: req.params.serialNumber.trim().toUpperCase(),
+  })
+    .populate("product", "name sku barcode")
+    .populate("supplier", "name")
+    .populate("sale", "receiptNumber createdAt status")
+    .populate("customer", "name phone")
+    .populate("history.sale", "receiptNumber")
+    .populate("history.customer", "name phone")
+    .populate("history.performedBy", "name");
+
+  if (units.length === 0) {
+    return next(new AppError("Serial number not found", 404));
+  }
+
+  res.json({
+    success: true,
+    data: units,
+  });
+});
+
+// @desc    Send a unit in for warranty, hand it back, or restock a return
+// @route   PUT /api/serials/:id/status
+// @access  Private
+const updateSerialStatus = asyncHandler(async (req, res, next) => {
+  const { status, notes } = req.body;
+  const unit = await SerialNumber.findById(req.params.id);
+
+  if (!unit) {
+    return next(new AppError("Serial number not found", 404));
+  }
+
+  const change = STATUS_CHANGES[status];
+  if (!change.from.includes(unit.status)) {
+    return next(
+      new AppError(
+        `Cannot change serial number status from ${unit.status} to ${status}`,
+        400
+      )
+    );
+  }
+
+  const previousStatus = unit.status;
+  unit.record(change.event, status, {
+    customer: unit.customer,
+    notes,
+    userId: req.user._id,
+  });
+  await unit.save();
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "serial_number.status_changed",
+    entity: {
+      type: "serial_number",
+      id: unit._id,
+      name: unit.serialNumber,
+    },
+    details: {
+      previous: { status: previousStatus },
+      current: { status },
+      notes,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Serial number status updated successfully",
+    data: unit,
+  });
+});
+
+module.exports = {
+  getSerialNumbers,
+  lookupSerialNumber,
+  updateSerialStatus,
+};
@@ -0,0 +1,442 @@
+// backend/src/controllers/stockTakeController.js
+const StockTake = require("../models/StockTake");
+const Product = require("../models/Product");
+const Location = require("../models/Location");
+const Settings = require("../models/Settings");
+const ActivityLog = require("../models/ActivityLog");
+const config = require("../config/app");
+const { asyncHandler, AppError } = require("../middleware/errorHandler");
+const { withTransaction } = require("../utils/transaction");
+
+// Log a stock take workflow step
+const logStockTake = (req, action, stockTake, severity = "info") =>
+  ActivityLog.log({
+    user: req.user._id,
+    action,
+    entity: {
+      type: "stock_take",
+      id: stockTake._id,
+      name: stockTake.sessionNumber,
+    },
+    severity,
+    details: {
+      current: {
+        status: stockTake.status,
+        items: stockTake.items.length,
+        totals: stockTake.totals,
+      },
+      notes: req.body.notes,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+// @desc    Start a stock take session
+// @route   POST /api/stock-takes
+// @access  Private (Owner/Operator with permission)
+const createStockTake = asyncHandler(async (req, res, next) => {
+  const { name, type = "full", categories, abcClasses, notes } = req.body;
+  const settings = await Settings.getSettings();
+
+  const query = {
+    "status.isActive": true,
+    "inventory.trackInventory": true,
+  };
+
+  if (categories?.length) {
+    query.category = { $in: categories };
+  }
+  // Cycle counts pick up whatever is due; partial counts name products
+  if (type === "cycle") {
+    const due = await StockTake.findDueForCycleCount(
+      settings.inventory.cycleCount
+    );
+    query._id = { $in: due.map((product) => product._id) };
+  } else if (req.body.products?.length) {
+    query._id = { $in: req.body.products };
+  }
+
+  let products = await Product.find(query).sort("name");
+
+  if (abcClasses?.length) {
+    products = products.filter((product) =>
+      abcClasses.includes(product.classification?.abc || "C")
+    );
+  }
+
+  if (products.length === 0) {
+    return next(new AppError("No products match this stock take", 400));
+  }
+
+  // Count a single location when stock is tracked per location
+  let location = null;
+  let defaultLocation = null;
+  if (config.features.multiLocation) {
+    location = req.body.location
+      ? await Location.findById(req.body.location)
+      : await Location.getForUser(req.user);
+    defaultLocation = await Location.getDefault();
+  }
+
+  const stockTake = new StockTake({
+    name,
+    type,
+    scope: { categories, abcClasses },
+    location: location?._id,
+    items: products.map((product) => ({
+      product: product._id,
+      productName: product.name,
+      sku: product.sku,
+      barcode: product.barcode,
+      category: product.category,
+      abcClass: product.classification?.abc || "C",
+      systemQuantity: location
+        ? product.getLocationStock(location._id, defaultLocation?._id)
+        : product.inventory.currentStock,
+      unitCost: product.pricing.cost || 0,
+    })),
+    startedBy: req.user._id,
+    statusHistory: [{ status: "counting", updatedBy: req.user._id }],
+    notes,
+  });
+
+  await stockTake.save();
+
+  await logStockTake(req, "stock_take.started", stockTake);
+
+  res.status(201).json({
+    success: true,
+    message: `Stock take started with ${stockTake.items.length} products`,
+    data: stockTake,
+  });
+});
+
+// @desc    Get stock take sessions
+// @route   GET /api/stock-takes
+// @access  Private
+const getStockTakes = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 20, sort = "-createdAt", status } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+
+  const stockTakes = await StockTake.find(query)
+    .select("-items")
+    .populate("startedBy", "name")
+    .populate("approvedBy", "name")
+    .populate("location", "name code")
+    .sort(sort)
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await StockTake.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: stockTakes,
+    pagination: {
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      limit: parseInt(limit),
+    },
+  });
+});
+
+// @desc    Get single stock take
+// @route   GET /api/stock-takes/:id
+// @access  Private
+const getStockTake = asyncHandler(async (req, res, next) => {
+  const { category, counted } = req.query;
+  const stockTake = await StockTake.findById(req.params.id)
+    .populate("startedBy", "name")
+    .populate("approvedBy", "name")
+    .populate("location", "name code")
+    .populate("items.counts.countedBy", "name");
+
+  if (!stockTake) {
+    return next(new AppError("Stock take not found", 404));
+  }
+
+  // Let counters work through one category or what's left to count
+  let items = stockTake.items;
+  if (category) {
+    items = items.filter((item) => item.category?.toString() === category);
+  }
+  if (counted !== undefined) {
+    items = items.filter(
+      (item) => (item.countedQuantity !== null) === (counted === "true")
+    );
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...stockTake.toObject(),
+      items,
+    },
+  });
+});
+
+// @desc    Record counts, by product ID or scanned barcode
+// @route   POST /api/stock-takes/:id/counts
+// @access  Private (Owner/Operator with permission)
+const recordCounts = asyncHandler(async (req, res, next) => {
+  const { counts, mode = "add" } = req.body;
+  const stockTake = await StockTake.findById(req.params.id);
+
+  if (!stockTake) {
+    return next(new AppError("Stock take not found", 404));
+  }
+
+  const recorded = [];
+  try {
+    for (const count of counts) {
+      let productId = count.product;
+      if (!productId) {
+        const line = stockTake.items.find(
+          (item) => item.barcode === count.barcode || item.sku === count.barcode
+        );
+        if (!line) {
+          throw new Error(`Barcode ${count.barcode} is not in this stock take`);
+        }
+        productId = line.product;
+      }
+
+      const item = stockTake.recordCount(
+        productId,
+        count.quantity,
+        req.user._id,
+        count.method || (count.barcode ? "scan" : "manual"),
+        mode
+      );
+      if (count.notes) item.notes = count.notes;
+
+      recorded.push({
+        product: item.product,
+        productName: item.productName,
+        countedQuantity: item.countedQuantity,
+      });
+    }
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  await stockTake.save();
+
+  res.json({
+    success: true,
+    message: `${recorded.length} counts recorded`,
+    data: {
+      recorded,
+      progress: stockTake.progress,
+    },
+  });
+});
+
+// @desc    Get variance report with value impact
+// @route   GET /api/stock-takes/:id/variance
+// @access  Private
+const getVarianceReport = asyncHandler(async (req, res, next) => {
+  const stockTake = await StockTake.findById(req.params.id).populate(
+    "items.category",
+    "name"
+  );
+
+  if (!stockTake) {
+    return next(new AppError("Stock take not found", 404));
+  }
+
+  const counted = stockTake.items.filter(
+    (item) => item.countedQuantity !== null
+  );
+
+  const variances = counted
+    .filter((item) => item.variance !== 0)
+    .map((item) => ({
+      product: item.product,
+      productName: item.productName,
+      sku: item.sku,
+      category: item.category?.name,
+      abcClass: item.abcClass,
+      systemQuantity: item.systemQuantity,
+      countedQuantity: item.countedQuantity,
+      variance: item.variance,
+      variancePercent:
+        item.systemQuantity > 0
+          ? (item.variance / item.systemQuantity) * 100
+          : null,
+      unitCost: item.unitCost,
+      varianceValue: item.varianceValue,
+      resolution: item.resolution,
+      notes: item.notes,
+    }))
+    .sort((a, b) => Math.abs(b.varianceValue) - Math.abs(a.varianceValue));
+
+  // Value impact per category
+  const byCategory = {};
+  variances.forEach((item) => {
+    const key = item.category || "Uncategorized";
+    if (!byCategory[key]) {
+      byCategory[key] = { category: key, items: 0, varianceValue: 0 };
+    }
+    byCategory[key].items++;
+    byCategory[key].varianceValue += item.varianceValue;
+  });
+
+  const uncounted = stockTake.items
+    .filter((item) => item.countedQuantity === null)
+    .map((item) => ({
+      product: item.product,
+      productName: item.productName,
+      sku: item.sku,
+      systemQuantity: item.systemQuantity,
+    }));
+
+  res.json({
+    success: true,
+    data: {
+      sessionNumber: stockTake.sessionNumber,
+      status: stockTake.status,
+      snapshotAt: stockTake.snapshotAt,
+      summary: {
+        ...stockTake.totals.toObject(),
+        totalItems: stockTake.items.length,
+        itemsUncounted: uncounted.length,
+        systemValue: counted.reduce(
+          (sum, item) => sum + item.systemQuantity * item.unitCost,
+          0
+        ),
+        countedValue: counted.reduce(
+          (sum, item) => sum + item.countedQuantity * item.unitCost,
+          0
+        ),
+      },
+      byCategory: Object.values(byCategory),
+      variances,
+      uncounted,
+    },
+  });
+});
+
+// @desc    Submit a stock take for approval
+// @route   POST /api/stock-takes/:id/submit
+// @access  Private (Owner/Operator with permission)
+const submitStockTake = asyncHandler(async (req, res, next) => {
+  const stockTake = await StockTake.findById(req.params.id);
+
+  if (!stockTake) {
+    return next(new AppError("Stock take not found", 404));
+  }
+
+  try {
+    await stockTake.submit(req.user._id, req.body.notes);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  await logStockTake(req, "stock_take.submitted", stockTake);
+
+  res.json({
+    success: true,
+    message: "Stock take submitted for approval",
+    data: stockTake,
+  });
+});
+
+// @desc    Approve a stock take and post its variances to stock
+// @route   POST /api/stock-takes/:id/approve
+// @access  Private (Owner only)
+const approveStockTake = asyncHandler(async (req, res, next) => {
+  if (!(await StockTake.exists({ _id: req.params.id }))) {
+    return next(new AppError("Stock take not found", 404));
+  }
+
+  let stockTake;
+  try {
+    stockTake = await withTransaction(async (session) => {
+      const stockTake = await StockTake.findById(req.params.id).session(
+        session
+      );
+      return stockTake.approve(req.user._id, req.body.resolutions);
+    });
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  await logStockTake(
+    req,
+    "stock_take.approved",
+    stockTake,
+    stockTake.totals.itemsWithVariance > 0 ? "warning" : "info"
+  );
+
+  res.json({
+    success: true,
+    message: `Stock take approved. ${stockTake.totals.itemsWithVariance} products adjusted`,
+    data: stockTake,
+  });
+});
+
+// @desc    Cancel a stock take without touching stock
+// @route   POST /api/stock-takes/:id/cancel
+// @access  Private (Owner only)
+const cancelStockTake = asyncHandler(async (req, res, next) => {
+  const stockTake = await StockTake.findById(req.params.id);
+
+  if (!stockTake) {
+    return next(new AppError("Stock take not found", 404));
+  }
+
+  try {
+    await stockTake.cancel(req.user._id, req.body.notes);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  await logStockTake(req, "stock_take.cancelled", stockTake, "warning");
+
+  res.json({
+    success: true,
+    message: "Stock take cancelled",
+    data: stockTake,
+  });
+});
+
+// @desc    Get products due a cycle count by ABC class
+// @route   GET /api/stock-takes/cycle-count
+// @access  Private
+const getCycleCountSchedule = asyncHandler(async (req, res, next) => {
+  const settings = await Settings.getSettings();
+  const intervals = settings.inventory.cycleCount;
+
+  const due = await StockTake.findDueForCycleCount(intervals);
+
+  const summary = ["A", "B", "C"].map((abcClass) => ({
+    abcClass,
+    intervalDays: intervals[abcClass],
+    due: due.filter((product) => product.abcClass === abcClass).length,
+  }));
+
+  res.json({
+    success: true,
+    data: {
+      summary,
+      products: due,
+    },
+  });
+});
+
+module.exports = {
+  createStockTake,
+  getStockTakes,
+  getStockTake,
+  recordCounts,
+  getVarianceReport,
+  submitStockTake,
+  approveStockTake,
+  cancelStockTake,
+  getCycleCountSchedule,
+};
@@ -0,0 +1,247 @@
+// backend/src/controllers/supplierController.js
+const Supplier = require("../models/Supplier");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const ActivityLog = require("../models/ActivityLog");
+const { asyncHandler, AppError } = require("../middleware/errorHandler");
+
+// @desc    Get all suppliers
+// @route   GET /api/suppliers
+// @access  Private
+const getSuppliers = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 20,
+    sort = "name",
+    search,
+    status,
+    hasBalance,
+  } = req.query;
+
+  // Build query
+  const query = {};
+
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: "i" } },
+      { code: { $regex: search, $options: "i" } },
+      { "contact.phone": { $regex: search, $options: "i" } },
+    ];
+  }
+
+  if (status) {
+    query.isActive = status === "active";
+  }
+
+  if (hasBalance === "true") {
+    query["statistics.outstandingBalance"] = { $gt: 0 };
+  }
+
+  const suppliers = await Supplier.find(query)
+    .sort(sort)
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Supplier.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: suppliers,
+    pagination: {
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      limit: parseInt(limit),
+    },
+  });
+});
+
+// @desc    Get single supplier
+// @route   GET /api/suppliers/:id
+// @access  Private
+const getSupplier = asyncHandler(async (req, res, next) => {
+  const supplier = await Supplier.findById(req.params.id).populate(
+    "metadata.createdBy",
+    "name"
+  );
+
+  if (!supplier) {
+    return next(new AppError("Supplier not found", 404));
+  }
+
+  // Get recent purchase orders
+  const recentOrders = await PurchaseOrder.find({ supplier: supplier._id })
+    .select("poNumber status totals payment.status expectedDate createdAt")
+    .sort("-createdAt")
+    .limit(10);
+
+  res.json({
+    success: true,
+    data: {
+      supplier,
+      recentOrders,
+    },
+  });
+});
+
+// @desc    Create supplier
+// @route   POST /api/suppliers
+// @access  Private (Owner/Operator with permission)
+const createSupplier = asyncHandler(async (req, res, next) => {
+  // Statistics are maintained by purchase orders only
+  delete req.body.statistics;
+
+  req.body.metadata = { createdBy: req.user._id };
+
+  const supplier = await Supplier.create(req.body);
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "supplier.created",
+    entity: {
+      type: "supplier",
+      id: supplier._id,
+      name: supplier.name,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Supplier created successfully",
+    data: supplier,
+  });
+});
+
+// @desc    Update supplier
+// @route   PUT /api/suppliers/:id
+// @access  Private (Owner/Operator with permission)
+const updateSupplier = asyncHandler(async (req, res, next) => {
+  const supplier = await Supplier.findById(req.params.id);
+
+  if (!supplier) {
+    return next(new AppError("Supplier not found", 404));
+  }
+
+  const previousData = supplier.toObject();
+
+  delete req.body.statistics;
+  req.body.metadata = {
+    ...supplier.metadata,
+    updatedBy: req.user._id,
+  };
+
+  Object.assign(supplier, req.body);
+  await supplier.save();
+
+  // Log activity with changes
+  await ActivityLog.logChange(
+    req.user._id,
+    "supplier.updated",
+    {
+      type: "supplier",
+      id: supplier._id,
+      name: supplier.name,
+    },
+    previousData,
+    supplier.toObject()
+  );
+
+  res.json({
+    success: true,
+    message: "Supplier updated successfully",
+    data: supplier,
+  });
+});
+
+// @desc    Delete supplier (soft delete)
+// @route   DELETE /api/suppliers/:id
+// @access  Private (Owner only)
+const deleteSupplier = asyncHandler(async (req, res, next) => {
+  const supplier = await Supplier.findById(req.params.id);
+
+  if (!supplier) {
+    return next(new AppError("Supplier not found", 404));
+  }
+
+  const openOrders = await PurchaseOrder.countDocuments({
+    supplier: supplier._id,
+    status: { $in: ["draft", "sent", "partially_received"] },
+  });
+
+  if (openOrders > 0) {
+    return next(
+      new AppError(
+        `Supplier has ${openOrders} open purchase orders. Close or cancel them first.`,
+        400
+      )
+    );
+  }
+
+  supplier.isActive = false;
+  supplier.metadata.updatedBy = req.user._id;
+  await supplier.save();
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "supplier.deleted",
+    entity: {
+      type: "supplier",
+      id: supplier._id,
+      name: supplier.name,
+    },
+    severity: "warning",
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Supplier deleted successfully",
+  });
+});
+
+// @desc    Get suppliers with an outstanding balance
+// @route   GET /api/suppliers/payables
+// @access  Private (Owner/Operator with permission)
+const getPayables = asyncHandler(async (req, res, next) => {
+  const suppliers = await Supplier.findWithBalance().select(
+    "name code contact paymentTerms statistics"
+  );
+
+  const overdueOrders = await PurchaseOrder.find({
+    "payment.status": { $in: ["unpaid", "partial"] },
+    "payment.dueDate": { $lt: new Date() },
+    "totals.received": { $gt: 0 },
+  })
+    .populate("supplier", "name")
+    .select("poNumber supplier totals payment")
+    .sort("payment.dueDate");
+
+  res.json({
+    success: true,
+    data: {
+      totalOutstanding: suppliers.reduce(
+        (sum, s) => sum + s.statistics.outstandingBalance,
+        0
+      ),
+      suppliers,
+      overdueOrders,
+    },
+  });
+});
+
+module.exports = {
+  getSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  getPayables,
+};
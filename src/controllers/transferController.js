@@ -0,0 +1,262 @@
+// backend/src/controllers/transferController.js
+const StockTransfer = require("../models/StockTransfer");
+const Location = require("../models/Location");
+const Product = require("../models/Product");
+const ActivityLog = require("../models/ActivityLog");
+const { asyncHandler, AppError } = require("../middleware/errorHandler");
+
+// Log a transfer workflow step
+const logTransfer = (req, action, transfer, severity = "info") =>
+  ActivityLog.log({
+    user: req.user._id,
+    action,
+    entity: {
+      type: "transfer",
+      id: transfer._id,
+      name: transfer.transferNumber,
+    },
+    severity,
+    details: {
+      current: {
+        status: transfer.status,
+        fromLocation: transfer.fromLocation,
+        toLocation: transfer.toLocation,
+        items: transfer.items.length,
+      },
+      notes: req.body.notes,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+// @desc    Request a stock transfer between locations
+// @route   POST /api/transfers
+// @access  Private (Owner/Operator with permission)
+const createTransfer = asyncHandler(async (req, res, next) => {
+  const { fromLocation, toLocation, items, notes } = req.body;
+
+  if (fromLocation === toLocation) {
+    return next(
+      new AppError("Source and destination locations must differ", 400)
+    );
+  }
+
+  const locations = await Location.find({
+    _id: { $in: [fromLocation, toLocation] },
+    isActive: true,
+  });
+
+  if (locations.length !== 2) {
+    return next(new AppError("Location not found", 404));
+  }
+
+  const transferItems = [];
+  for (const item of items) {
+    const product = await Product.findById(item.product);
+
+    if (!product) {
+      return next(new AppError(`Product ${item.product} not found`, 404));
+    }
+
+    transferItems.push({
+      product: product._id,
+      productName: product.name,
+      sku: product.sku,
+      quantityRequested: item.quantity,
+    });
+  }
+
+  const transfer = new StockTransfer({
+    fromLocation,
+    toLocation,
+    items: transferItems,
+    notes,
+    requestedBy: req.user._id,
+    statusHistory: [{ status: "requested", updatedBy: req.user._id }],
+  });
+
+  await transfer.save();
+
+  await logTransfer(req, "transfer.requested", transfer);
+
+  res.status(201).json({
+    success: true,
+    message: "Transfer requested successfully",
+    data: transfer,
+  });
+});
+
+// @desc    Get stock transfers
+// @route   GET /api/transfers
+// @access  Private
+const getTransfers = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 20,
+    sort = "-createdAt",
+    status,
+    location,
+    product,
+    startDate,
+    endDate,
+  } = req.query;
+
+  // Build query
+  const query = {};
+
+  if (status) query.status = status;
+  if (product) query["items.product"] = product;
+  if (location) {
+    query.$or = [{ fromLocation: location }, { toLocation: location }];
+  }
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) {
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+      query.createdAt.$lte = end;
+    }
+  }
+
+  const transfers = await StockTransfer.find(query)
+    .populate("fromLocation", "name code")
+    .populate("toLocation", "name code")
+    .populate("requestedBy", "name")
+    .sort(sort)
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await StockTransfer.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: transfers,
+    pagination: {
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      limit: parseInt(limit),
+    },
+  });
+});
+
+// @desc    Get single stock transfer
+// @route   GET /api/transfers/:id
+// @access  Private
+const getTransfer = asyncHandler(async (req, res, next) => {
+  const transfer = await StockTransfer.findById(req.params.id)
+    .populate("fromLocation", "name code")
+    .populate("toLocation", "name code")
+    .populate("items.product", "name sku barcode")
+    .populate("requestedBy", "name")
+    .populate("dispatchedBy", "name")
+    .populate("receivedBy", "name")
+    .populate("statusHistory.updatedBy", "name");
+
+  if (!transfer) {
+    return next(new AppError("Transfer not found", 404));
+  }
+
+  res.json({
+    success: true,
+    data: transfer,
+  });
+});
+
+// @desc    Dispatch stock from the source location
+// @route   POST /api/transfers/:id/dispatch
+// @access  Private (Owner/Operator with permission)
+const dispatchTransfer = asyncHandler(async (req, res, next) => {
+  const { items, notes } = req.body;
+  const transfer = await StockTransfer.findById(req.params.id);
+
+  if (!transfer) {
+    return next(new AppError("Transfer not found", 404));
+  }
+
+  try {
+    await transfer.dispatch(req.user._id, items, notes);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  await logTransfer(req, "transfer.dispatched", transfer);
+
+  res.json({
+    success: true,
+    message: "Transfer dispatched successfully",
+    data: transfer,
+  });
+});
+
+// @desc    Receive stock at the destination location
+// @route   POST /api/transfers/:id/receive
+// @access  Private (Owner/Operator with permission)
+const receiveTransfer = asyncHandler(async (req, res, next) => {
+  const { items, notes } = req.body;
+  const transfer = await StockTransfer.findById(req.params.id);
+
+  if (!transfer) {
+    return next(new AppError("Transfer not found", 404));
+  }
+
+  try {
+    await transfer.receive(req.user._id, items, notes);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  await logTransfer(
+    req,
+    "transfer.received",
+    transfer,
+    transfer.shortfall > 0 ? "warning" : "info"
+  );
+
+  res.json({
+    success: true,
+    message:
+      transfer.shortfall > 0
+        ? `Transfer received with ${transfer.shortfall} units short`
+        : "Transfer received successfully",
+    data: transfer,
+  });
+});
+
+// @desc    Cancel a transfer that has not been dispatched
+// @route   POST /api/transfers/:id/cancel
+// @access  Private (Owner/Operator with permission)
+const cancelTransfer = asyncHandler(async (req, res, next) => {
+  const transfer = await StockTransfer.findById(req.params.id);
+
+  if (!transfer) {
+    return next(new AppError("Transfer not found", 404));
+  }
+
+  try {
+    await transfer.cancel(req.user._id, req.body.notes);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  await logTransfer(req, "transfer.cancelled", transfer, "warning");
+
+  res.json({
+    success: true,
+    message: "Transfer cancelled successfully",
+    data: transfer,
+  });
+});
+
+module.exports = {
+  createTransfer,
+  getTransfers,
+  getTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer,
+};
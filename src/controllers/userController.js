@@ -143,6 +143,7 @@ const updateUser = asyncHandler(async (req, res, next) => {
     "permissions",
     "isActive",
     "settings",
+    "location",
   ];
 
   Object.keys(req.body).forEach((key) => {
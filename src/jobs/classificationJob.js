@@ -0,0 +1,34 @@
+// backend/src/jobs/classificationJob.js
+// Reclassifies products by ABC/XYZ over the period set in
+// Settings.inventory.classification, keeping cycle count priorities current.
+const Settings = require("../models/Settings");
+const User = require("../models/User");
+const ActivityLog = require("../models/ActivityLog");
+const classificationService = require("../services/classificationService");
+
+const run = async () => {
+  const settings = await Settings.getSettings();
+  const days = settings.inventory.classification.periodDays;
+
+  const owner = await User.findOne({ role: "owner", isActive: true });
+  if (!owner) return null;
+
+  const result = await classificationService.classify(days);
+
+  await ActivityLog.log({
+    user: owner._id,
+    action: "product.classified",
+    entity: {
+      type: "report",
+      name: "ABC/XYZ classification",
+    },
+    details: {
+      current: { days, products: result.products },
+      notes: "Scheduled classification",
+    },
+  });
+
+  return result;
+};
+
+module.exports = { run };
@@ -0,0 +1,60 @@
+// backend/src/jobs/index.js
+const cron = require("node-cron");
+const config = require("../config/app");
+const reorderJob = require("./reorderJob");
+const classificationJob = require("./classificationJob");
+const priceChangeJob = require("./priceChangeJob");
+const parkedSaleJob = require("./parkedSaleJob");
+const layawayJob = require("./layawayJob");
+
+const log = (msg) => console.log(`[JOBS] ${new Date().toISOString()} - ${msg}`);
+
+// Run a job, logging rather than throwing so one failure doesn't stop the
+// schedule
+const runJob = (name, job) => async () => {
+  try {
+    const result = await job.run();
+    if (result) log(`${name} completed`);
+  } catch (error) {
+    log(`${name} failed: ${error.message}`);
+  }
+};
+
+// Start scheduled jobs. Only long-running servers start them; serverless
+// deployments have a scheduler call POST /api/jobs/:job with the API key.
+const startJobs = () => {
+  cron.schedule(config.jobs.reorder, runJob("Reorder", reorderJob), {
+    timezone: config.app.timezone,
+  });
+  log(`Reorder job scheduled (${config.jobs.reorder})`);
+
+  cron.schedule(
+    config.jobs.classification,
+    runJob("Classification", classificationJob),
+    { timezone: config.app.timezone }
+  );
+  log(`Classification job scheduled (${config.jobs.classification})`);
+
+  cron.schedule(
+    config.jobs.priceChanges,
+    runJob("Price change", priceChangeJob),
+    { timezone: config.app.timezone }
+  );
+  log(`Price change job scheduled (${config.jobs.priceChanges})`);
+
+  cron.schedule(
+    config.jobs.parkedSales,
+    runJob("Parked sale expiry", parkedSaleJob),
+    { timezone: config.app.timezone }
+  );
+  log(`Parked sale expiry job scheduled (${config.jobs.parkedSales})`);
+
+  cron.schedule(
+    config.jobs.layawayReminders,
+    runJob("Layaway reminders", layawayJob),
+    { timezone: config.app.timezone }
+  );
+  log(`Layaway reminder job scheduled (${config.jobs.layawayReminders})`);
+};
+
+module.exports = { startJobs };
@@ -0,0 +1,71 @@
+// backend/src/jobs/layawayJob.js
+// Reminds layaway customers of instalments due within
+// Settings.sales.layaway.reminderDaysBefore days, and once more when one is
+// overdue. Each reminder is only sent once.
+const Layaway = require("../models/Layaway");
+const Settings = require("../models/Settings");
+const ActivityLog = require("../models/ActivityLog");
+const config = require("../config/app");
+
+const run = async () => {
+  const settings = await Settings.getSettings();
+  if (!settings.notifications.sms.enabled) return null;
+
+  const now = new Date();
+  const horizon = new Date(
+    now.getTime() +
+      settings.sales.layaway.reminderDaysBefore * 24 * 60 * 60 * 1000
+  );
+
+  const layaways = await Layaway.findDue(horizon);
+  if (layaways.length === 0) return null;
+
+  const reminded = [];
+  for (const layaway of layaways) {
+    const due = layaway.schedule.filter(
+      (instalment) =>
+        instalment.status === "pending" && instalment.dueDate <= horizon
+    );
+
+    let sent = 0;
+    for (const instalment of due) {
+      const kind = instalment.dueDate < now ? "overdue" : "upcoming";
+      if (layaway.wasReminded(instalment, kind)) continue;
+
+      const amount = `${config.business.currency} ${(
+        instalment.amount - instalment.paid
+      ).toFixed(2)}`;
+      const date = instalment.dueDate.toLocaleDateString("en-KE", {
+        timeZone: config.app.timezone,
+      });
+      await layaway.sendReminder(
+        instalment,
+        kind,
+        "sms",
+        kind === "overdue"
+          ? `Your layaway ${layaway.layawayNumber} payment of ${amount} was due on ${date}. Please pay to keep your items`
+          : `Your layaway ${layaway.layawayNumber} payment of ${amount} is due on ${date}`
+      );
+      sent += 1;
+    }
+    if (sent === 0) continue;
+
+    reminded.push(layaway);
+    await ActivityLog.log({
+      user: layaway.createdBy,
+      action: "layaway.reminder_sent",
+      entity: {
+        type: "layaway",
+        id: layaway._id,
+        name: layaway.layawayNumber,
+      },
+      details: {
+        notes: `${sent} payment reminder(s) sent to ${layaway.customerInfo.phone}`,
+      },
+    });
+  }
+
+  return reminded.length > 0 ? reminded : null;
+};
+
+module.exports = { run };
@@ -0,0 +1,39 @@
+// backend/src/jobs/parkedSaleJob.js
+// Expires parked sales left longer than Settings.sales.parking.expiryMinutes,
+// giving back any stock they held. Sales run it for just the products in the
+// basket, so stock held by an expired basket can be sold before the next
+// scheduled run.
+const ParkedSale = require("../models/ParkedSale");
+const ActivityLog = require("../models/ActivityLog");
+
+const run = async ({ products = null } = {}) => {
+  const expired = await ParkedSale.findExpired(new Date(), products);
+  if (expired.length === 0) return null;
+
+  const closed = [];
+  for (const parkedSale of expired) {
+    try {
+      await parkedSale.close("expired");
+    } catch (error) {
+      continue; // Resumed or cancelled meanwhile
+    }
+
+    closed.push(parkedSale);
+    await ActivityLog.log({
+      user: parkedSale.parkedBy,
+      action: "parked_sale.expired",
+      entity: {
+        type: "parked_sale",
+        id: parkedSale._id,
+        name: parkedSale.parkNumber,
+      },
+      details: {
+        notes: "Parked sale expired before it was resumed",
+      },
+    });
+  }
+
+  return closed;
+};
+
+module.exports = { run };
@@ -0,0 +1,36 @@
+// backend/src/jobs/priceChangeJob.js
+// Applies scheduled price changes once they come due.
+const PriceChange = require("../models/PriceChange");
+const ActivityLog = require("../models/ActivityLog");
+
+const run = async () => {
+  const due = await PriceChange.findDue();
+  if (due.length === 0) return null;
+
+  const applied = [];
+  for (const change of due) {
+    const product = await change.apply();
+    if (!product) continue;
+
+    applied.push(change);
+    await ActivityLog.log({
+      user: change.changedBy,
+      action: "product.price_changed",
+      entity: {
+        type: "product",
+        id: product._id,
+        name: product.name,
+      },
+      details: {
+        previous: { [change.field]: change.previousValue },
+        current: { [change.field]: change.newValue },
+        reason: change.reason,
+        notes: "Scheduled price change applied",
+      },
+    });
+  }
+
+  return applied;
+};
+
+module.exports = { run };
@@ -0,0 +1,42 @@
+// backend/src/jobs/reorderJob.js
+// Raises draft purchase orders for products at or below their reorder point
+// when Settings.inventory.autoReorder is enabled. Drafts are left for the
+// owner to review and send.
+const Settings = require("../models/Settings");
+const User = require("../models/User");
+const ActivityLog = require("../models/ActivityLog");
+const reorderService = require("../services/reorderService");
+
+const run = async () => {
+  const settings = await Settings.getSettings();
+  if (!settings.inventory.autoReorder.enabled) return null;
+
+  // Drafts are raised on behalf of the owner who will approve them
+  const owner = await User.findOne({ role: "owner", isActive: true });
+  if (!owner) return null;
+
+  const result = await reorderService.createDraftOrders(owner._id);
+
+  for (const purchaseOrder of result.orders) {
+    await ActivityLog.log({
+      user: owner._id,
+      action: "purchase_order.created",
+      entity: {
+        type: "purchase_order",
+        id: purchaseOrder._id,
+        name: purchaseOrder.poNumber,
+      },
+      details: {
+        current: {
+          total: purchaseOrder.totals.total,
+          items: purchaseOrder.items.length,
+        },
+        notes: "Raised by automatic reorder",
+      },
+    });
+  }
+
+  return result;
+};
+
+module.exports = { run };
@@ -0,0 +1,44 @@
+// backend/src/middleware/upload.js
+const path = require("path");
+const multer = require("multer");
+const config = require("../config/app");
+const { AppError } = require("./errorHandler");
+
+const imageTypes = config.upload.allowedTypes.filter((type) =>
+  type.startsWith("image/")
+);
+
+// Images are held in memory for resizing, then stored by the storage service
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.upload.maxSize,
+    files: config.upload.images.maxPerProduct,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!imageTypes.includes(file.mimetype)) {
+      return cb(
+        new AppError(`${file.originalname} is not a supported image type`, 400)
+      );
+    }
+    cb(null, true);
+  },
+});
+
+// Product import files, read in memory by the import service
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.upload.maxSize,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (![".csv", ".xlsx"].includes(extension)) {
+      return cb(new AppError("Upload a CSV or XLSX file", 400));
+    }
+    cb(null, true);
+  },
+});
+
+module.exports = { imageUpload, spreadsheetUpload };
@@ -20,6 +20,40 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+const units = [
+  "piece",
+  "kg",
+  "g",
+  "l",
+  "ml",
+  "dozen",
+  "pack",
+  "box",
+  "bag",
+  "bottle",
+  "can",
+];
+
+// Unit conversion rules shared by product create and update
+const unitConversionRules = [
+  body("unitConversions")
+    .optional()
+    .isArray()
+    .withMessage("Unit conversions must be an array"),
+  body("unitConversions.*.unit").isIn(units).withMessage("Invalid unit"),
+  body("unitConversions.*.factor")
+    .isFloat({ gt: 0 })
+    .withMessage("Conversion factor must be greater than 0"),
+  body("purchaseUnit")
+    .optional()
+    .isIn(units)
+    .withMessage("Invalid purchase unit"),
+  body("sellingUnit")
+    .optional()
+    .isIn(units)
+    .withMessage("Invalid selling unit"),
+];
+
 
 // User validations
 const userValidations = {
@@ -135,20 +169,9 @@ const productValidations = {
     body("unit")
       .notEmpty()
       .withMessage("Unit is required")
-      .isIn([
-        "piece",
-        "kg",
-        "g",
-        "l",
-        "ml",
-        "dozen",
-        "pack",
-        "box",
-        "bag",
-        "bottle",
-        "can",
-      ])
+      .isIn(units)
       .withMessage("Invalid unit"),
+    ...unitConversionRules,
     body("pricing.sellingPrice")
       .notEmpty()
       .withMessage("Selling price is required")
@@ -162,6 +185,20 @@ const productValidations = {
       .optional()
       .isInt({ min: 0 })
       .withMessage("Minimum stock must be a non-negative integer"),
+    body("productType")
+      .optional()
+      .isIn(["standard", "bundle"])
+      .withMessage("Invalid product type"),
+    body("components")
+      .if(body("productType").equals("bundle"))
+      .isArray({ min: 1 })
+      .withMessage("A bundle needs at least one component"),
+    body("components.*.product")
+      .isMongoId()
+      .withMessage("Invalid component product ID"),
+    body("components.*.quantity")
+      .isInt({ min: 1 })
+      .withMessage("Component quantity must be at least 1"),
     handleValidationErrors,
   ],
 
@@ -181,6 +218,19 @@ const productValidations = {
       .optional()
       .isFloat({ min: 0 })
       .withMessage("Selling price must be a positive number"),
+    body("components.*.product")
+      .isMongoId()
+      .withMessage("Invalid component product ID"),
+    body("components.*.quantity")
+      .isInt({ min: 1 })
+      .withMessage("Component quantity must be at least 1"),
+    body("unit").optional().isIn(units).withMessage("Invalid unit"),
+    ...unitConversionRules,
+    body("priceChangeReason")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Reason cannot exceed 200 characters"),
     handleValidationErrors,
   ],
 
@@ -196,6 +246,93 @@ const productValidations = {
       .withMessage("Type is required")
       .isIn(["purchase", "sale", "return", "adjustment", "damage", "transfer"])
       .withMessage("Invalid stock movement type"),
+    body("unit").optional().isIn(units).withMessage("Invalid unit"),
+    body("unitCost")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Unit cost must be a positive number"),
+    body("lotNumber")
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage("Lot number cannot exceed 50 characters"),
+    body("expiryDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Invalid expiry date"),
+    body("reason")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Reason cannot exceed 200 characters"),
+    body("serialNumbers")
+      .optional()
+      .isArray()
+      .withMessage("Serial numbers must be an array"),
+    handleValidationErrors,
+  ],
+
+  forecast: [
+    param("id").isMongoId().withMessage("Invalid product ID"),
+    query("horizon")
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage("Horizon must be between 1 and 365 days"),
+    query("history")
+      .optional()
+      .isInt({ min: 14, max: 730 })
+      .withMessage("History must be between 14 and 730 days"),
+    query("period")
+      .optional()
+      .isIn(["daily", "weekly"])
+      .withMessage("Period must be daily or weekly"),
+    handleValidationErrors,
+  ],
+
+  updateImage: [
+    param("id").isMongoId().withMessage("Invalid product ID"),
+    param("imageId").isMongoId().withMessage("Invalid image ID"),
+    body("alt")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Alt text cannot exceed 200 characters"),
+    body("isPrimary")
+      .optional()
+      .isBoolean()
+      .withMessage("isPrimary must be true or false")
+      .toBoolean(),
+    handleValidationErrors,
+  ],
+
+  priceHistory: [
+    param("id").isMongoId().withMessage("Invalid product ID"),
+    query("days")
+      .optional()
+      .isInt({ min: 7, max: 730 })
+      .withMessage("Days must be between 7 and 730"),
+    handleValidationErrors,
+  ],
+
+  schedulePrice: [
+    param("id").isMongoId().withMessage("Invalid product ID"),
+    body("effectiveAt")
+      .notEmpty()
+      .withMessage("Effective date is required")
+      .isISO8601()
+      .withMessage("Invalid effective date"),
+    body("sellingPrice")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Selling price must be a positive number"),
+    body("wholesalePrice")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Wholesale price must be a positive number"),
+    body("discount")
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage("Discount must be between 0 and 100"),
     body("reason")
       .optional()
       .trim()
@@ -203,6 +340,99 @@ const productValidations = {
       .withMessage("Reason cannot exceed 200 characters"),
     handleValidationErrors,
   ],
+
+  import: [
+    body("mode")
+      .optional()
+      .isIn(["create", "upsert"])
+      .withMessage("Mode must be create or upsert"),
+    body("matchBy")
+      .optional()
+      .isIn(["sku", "barcode"])
+      .withMessage("Products can be matched by sku or barcode"),
+    body("dryRun")
+      .optional()
+      .isBoolean()
+      .withMessage("dryRun must be true or false")
+      .toBoolean(),
+    // Sent as a JSON string alongside an uploaded file
+    body("mapping")
+      .optional()
+      .customSanitizer((value) => {
+        if (typeof value !== "string") return value;
+        try {
+          return JSON.parse(value);
+        } catch (error) {
+          return null;
+        }
+      })
+      .isObject()
+      .withMessage("Mapping must map column headers to product fields"),
+    body("products")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("Products must be a non-empty array"),
+    handleValidationErrors,
+  ],
+
+  rollbackImport: [
+    param("batch")
+      .matches(/^IMPORT_\d+$/)
+      .withMessage("Invalid import batch"),
+    handleValidationErrors,
+  ],
+
+  labels: [
+    body("items")
+      .isArray({ min: 1, max: 500 })
+      .withMessage("Between 1 and 500 products can be printed at once"),
+    body("items.*.product").isMongoId().withMessage("Invalid product ID"),
+    body("items.*.copies")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Copies must be between 1 and 100"),
+    body("layout")
+      .optional()
+      .isIn(["a4_21", "a4_24", "a4_65", "shelf_a4_14", "roll_50x25"])
+      .withMessage("Invalid label layout"),
+    body("startPosition")
+      .optional()
+      .isInt({ min: 1, max: 65 })
+      .withMessage("Start position must be between 1 and 65"),
+    body("showPrice")
+      .optional()
+      .isBoolean()
+      .withMessage("showPrice must be true or false"),
+    handleValidationErrors,
+  ],
+
+  // Either links an existing `product` or creates a new one
+  createVariant: [
+    param("id").isMongoId().withMessage("Invalid product ID"),
+    body("variantOptions")
+      .isArray({ min: 1 })
+      .withMessage("At least one variant option is required"),
+    body("variantOptions.*.name")
+      .trim()
+      .notEmpty()
+      .withMessage("Option name is required"),
+    body("variantOptions.*.value")
+      .trim()
+      .notEmpty()
+      .withMessage("Option value is required"),
+    body("product").optional().isMongoId().withMessage("Invalid product ID"),
+    body("pricing.sellingPrice")
+      .if(body("product").not().exists())
+      .notEmpty()
+      .withMessage("Selling price is required")
+      .isFloat({ min: 0 })
+      .withMessage("Selling price must be a positive number"),
+    body("inventory.currentStock")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Stock must be a non-negative integer"),
+    handleValidationErrors,
+  ],
 };
 
 // Sale validations
@@ -221,11 +451,16 @@ const saleValidations = {
       .withMessage("Quantity is required")
       .isInt({ min: 1 })
       .withMessage("Quantity must be at least 1"),
+    body("items.*.unit").optional().isIn(units).withMessage("Invalid unit"),
     body("items.*.unitPrice")
       .notEmpty()
       .withMessage("Unit price is required")
       .isFloat({ min: 0 })
       .withMessage("Price must be non-negative"),
+    body("items.*.serialNumbers")
+      .optional()
+      .isArray()
+      .withMessage("Serial numbers must be an array"),
     body("payment.method")
       .notEmpty()
       .withMessage("Payment method is required")
@@ -239,6 +474,31 @@ const saleValidations = {
     handleValidationErrors,
   ],
 
+  receipt: [
+    query("format")
+      .optional()
+      .isIn(["escpos", "pdf", "json"])
+      .withMessage("Format must be escpos, pdf or json"),
+    query("paperSize")
+      .optional()
+      .isIn(["58mm", "80mm", "A4"])
+      .withMessage("Paper size must be 58mm, 80mm or A4"),
+    handleValidationErrors,
+  ],
+
+  verifyReceipt: [
+    param("receiptNumber")
+      .trim()
+      .matches(/^RCP\d{11}$/)
+      .withMessage("Invalid receipt number"),
+    query("code")
+      .isHexadecimal()
+      .withMessage("Invalid verification code")
+      .isLength({ min: 16, max: 16 })
+      .withMessage("Invalid verification code"),
+    handleValidationErrors,
+  ],
+
   void: [
     param("id").isMongoId().withMessage("Invalid sale ID"),
     body("reason")
@@ -265,6 +525,10 @@ const saleValidations = {
       .withMessage("Quantity is required")
       .isInt({ min: 1 })
       .withMessage("Quantity must be at least 1"),
+    body("items.*.serialNumbers")
+      .optional()
+      .isArray()
+      .withMessage("Serial numbers must be an array"),
     body("reason")
       .notEmpty()
       .withMessage("Reason is required")
@@ -273,6 +537,58 @@ const saleValidations = {
       .withMessage("Reason must be 5-200 characters"),
     handleValidationErrors,
   ],
+
+  sync: [
+    body("sales")
+      .isArray({ min: 1, max: 200 })
+      .withMessage("Between 1 and 200 sales can be synced at a time"),
+    body("sales.*.offlineId")
+      .trim()
+      .notEmpty()
+      .withMessage("Offline ID is required")
+      .isLength({ max: 100 })
+      .withMessage("Offline ID cannot exceed 100 characters"),
+    body("sales.*.soldAt")
+      .isISO8601()
+      .withMessage("Invalid sale time")
+      .custom((value) => new Date(value) <= new Date())
+      .withMessage("Sale time cannot be in the future"),
+    body("sales.*.items")
+      .isArray({ min: 1 })
+      .withMessage("At least one item is required"),
+    body("sales.*.items.*.product")
+      .isMongoId()
+      .withMessage("Invalid product ID"),
+    body("sales.*.items.*.quantity")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    body("sales.*.items.*.unit")
+      .optional()
+      .isIn(units)
+      .withMessage("Invalid unit"),
+    body("sales.*.items.*.unitPrice")
+      .isFloat({ min: 0 })
+      .withMessage("Price must be non-negative"),
+    body("sales.*.items.*.serialNumbers")
+      .optional()
+      .isArray()
+      .withMessage("Serial numbers must be an array"),
+    body("sales.*.customer")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid customer ID"),
+    body("sales.*.payment.method")
+      .isIn(["cash", "mpesa", "card", "bank_transfer", "credit", "mixed"])
+      .withMessage("Invalid payment method"),
+    body("sales.*.payment.totalPaid")
+      .isFloat({ min: 0 })
+      .withMessage("Total paid must be non-negative"),
+    body("stockConflictPolicy")
+      .optional()
+      .isIn(["allow_negative", "reject"])
+      .withMessage("Invalid stock conflict policy"),
+    handleValidationErrors,
+  ],
 };
 
 // Order validations
@@ -301,6 +617,7 @@ const orderValidations = {
       .withMessage("Quantity is required")
       .isInt({ min: 1 })
       .withMessage("Quantity must be at least 1"),
+    body("items.*.unit").optional().isIn(units).withMessage("Invalid unit"),
     body("delivery.type")
       .notEmpty()
       .withMessage("Delivery type is required")
@@ -385,92 +702,827 @@ const customerValidations = {
       .isEmail()
       .withMessage("Invalid email format")
       .normalizeEmail(),
+    body("priceList")
+      .optional({ values: "null" })
+      .isMongoId()
+      .withMessage("Invalid price list ID"),
     handleValidationErrors,
   ],
 };
 
-// Common validations
-const commonValidations = {
-  mongoId: (paramName = "id") => [
-    param(paramName).isMongoId().withMessage(`Invalid ${paramName}`),
-    handleValidationErrors,
-  ],
-
-  pagination: [
-    query("page")
+// Supplier validations
+const supplierValidations = {
+  create: [
+    body("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Supplier name is required")
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Name must be between 2 and 100 characters"),
+    body("contact.phone")
       .optional()
-      .isInt({ min: 1 })
-      .withMessage("Page must be a positive integer"),
-    query("limit")
+      .trim()
+      .matches(/^(\+254|0)[17]\d{8}$/)
+      .withMessage("Invalid Kenyan phone number"),
+    body("contact.email")
       .optional()
-      .isInt({ min: 1, max: 100 })
-      .withMessage("Limit must be between 1 and 100"),
-    query("sort")
+      .trim()
+      .isEmail()
+      .withMessage("Invalid email format")
+      .normalizeEmail(),
+    body("paymentTerms")
       .optional()
-      .matches(/^-?\w+$/)
-      .withMessage("Invalid sort format"),
+      .isInt({ min: 0 })
+      .withMessage("Payment terms must be a non-negative number of days"),
+    body("leadTime")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Lead time must be a non-negative number of days"),
     handleValidationErrors,
   ],
 
-  dateRange: [
-    query("startDate")
+  update: [
+    param("id").isMongoId().withMessage("Invalid supplier ID"),
+    body("name")
       .optional()
-      .isISO8601()
-      .withMessage("Invalid start date format"),
-    query("endDate")
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Name must be between 2 and 100 characters"),
+    body("contact.phone")
       .optional()
-      .isISO8601()
-      .withMessage("Invalid end date format")
-      .custom((value, { req }) => {
-        if (req.query.startDate && value) {
-          return new Date(value) >= new Date(req.query.startDate);
-        }
-        return true;
-      })
-      .withMessage("End date must be after start date"),
+      .trim()
+      .matches(/^(\+254|0)[17]\d{8}$/)
+      .withMessage("Invalid Kenyan phone number"),
+    body("paymentTerms")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Payment terms must be a non-negative number of days"),
+    body("leadTime")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Lead time must be a non-negative number of days"),
     handleValidationErrors,
   ],
 };
 
-// Category validations
-const categoryValidations = {
+// Purchase order validations
+const purchaseOrderValidations = {
   create: [
-    body("name")
-      .trim()
+    body("supplier")
       .notEmpty()
-      .withMessage("Category name is required")
-      .isLength({ min: 2, max: 50 })
-      .withMessage("Name must be between 2 and 50 characters"),
-    body("description")
-      .optional()
-      .trim()
-      .isLength({ max: 200 })
-      .withMessage("Description cannot exceed 200 characters"),
-    body("parent")
-      .optional()
+      .withMessage("Supplier is required")
       .isMongoId()
-      .withMessage("Invalid parent category ID"),
+      .withMessage("Invalid supplier ID"),
+    body("items")
+      .isArray({ min: 1 })
+      .withMessage("At least one item is required"),
+    body("items.*.product")
+      .notEmpty()
+      .withMessage("Product ID is required")
+      .isMongoId()
+      .withMessage("Invalid product ID"),
+    body("items.*.quantityOrdered")
+      .notEmpty()
+      .withMessage("Quantity is required")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    body("items.*.unit").optional().isIn(units).withMessage("Invalid unit"),
+    body("items.*.unitCost")
+      .notEmpty()
+      .withMessage("Unit cost is required")
+      .isFloat({ min: 0 })
+      .withMessage("Unit cost must be non-negative"),
+    body("expectedDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Invalid date format"),
     handleValidationErrors,
   ],
-};
 
-// Settings validations
-const settingsValidations = {
-  update: [
-    body("business.name")
+  updateStatus: [
+    param("id").isMongoId().withMessage("Invalid purchase order ID"),
+    body("status")
+      .notEmpty()
+      .withMessage("Status is required")
+      .isIn(["sent", "closed", "cancelled"])
+      .withMessage("Invalid status"),
+    body("notes")
       .optional()
       .trim()
+      .isLength({ max: 500 })
+      .withMessage("Notes cannot exceed 500 characters"),
+    handleValidationErrors,
+  ],
+
+  receive: [
+    param("id").isMongoId().withMessage("Invalid purchase order ID"),
+    body("items")
+      .isArray({ min: 1 })
+      .withMessage("At least one item to receive is required"),
+    body("items.*.productId")
       .notEmpty()
-      .withMessage("Business name cannot be empty"),
-    body("business.contact.phone")
+      .withMessage("Product ID is required")
+      .isMongoId()
+      .withMessage("Invalid product ID"),
+    body("items.*.quantity")
+      .notEmpty()
+      .withMessage("Quantity is required")
+      .isInt({ min: 0 })
+      .withMessage("Quantity must be a non-negative integer"),
+    body("items.*.quantityDispatched")
       .optional()
-      .trim()
+      .isInt({ min: 0 })
+      .withMessage("Dispatched quantity must be a non-negative integer"),
+    body("items.*.quantityDamaged")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Damaged quantity must be a non-negative integer"),
+    body("items.*.damageReason")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Damage reason cannot exceed 200 characters"),
+    body("items.*.unitCost")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Unit cost must be non-negative"),
+    body("items.*.lotNumber")
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage("Lot number cannot exceed 50 characters"),
+    body("items.*.expiryDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Invalid expiry date"),
+    body("items.*.serialNumbers")
+      .optional()
+      .isArray()
+      .withMessage("Serial numbers must be an array"),
+    body("deliveryNote")
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage("Delivery note number cannot exceed 50 characters"),
+    handleValidationErrors,
+  ],
+
+  payment: [
+    param("id").isMongoId().withMessage("Invalid purchase order ID"),
+    body("amount")
+      .notEmpty()
+      .withMessage("Amount is required")
+      .isFloat({ gt: 0 })
+      .withMessage("Amount must be greater than zero"),
+    body("method")
+      .notEmpty()
+      .withMessage("Payment method is required")
+      .isIn(["cash", "mpesa", "bank_transfer", "cheque", "credit"])
+      .withMessage("Invalid payment method"),
+    handleValidationErrors,
+  ],
+};
+
+// Location validations
+const locationValidations = {
+  create: [
+    body("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Location name is required")
+      .isLength({ max: 50 })
+      .withMessage("Name cannot exceed 50 characters"),
+    body("code")
+      .trim()
+      .notEmpty()
+      .withMessage("Location code is required")
+      .isLength({ max: 10 })
+      .withMessage("Code cannot exceed 10 characters"),
+    body("type")
+      .optional()
+      .isIn(["shop", "store_room", "warehouse"])
+      .withMessage("Invalid location type"),
+    body("phone")
+      .optional()
+      .trim()
+      .matches(/^(\+254|0)[17]\d{8}$/)
+      .withMessage("Invalid Kenyan phone number"),
+    handleValidationErrors,
+  ],
+
+  update: [
+    param("id").isMongoId().withMessage("Invalid location ID"),
+    body("name")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("Name must be between 1 and 50 characters"),
+    body("type")
+      .optional()
+      .isIn(["shop", "store_room", "warehouse"])
+      .withMessage("Invalid location type"),
+    handleValidationErrors,
+  ],
+};
+
+// Stock transfer validations
+const transferValidations = {
+  create: [
+    body("fromLocation")
+      .notEmpty()
+      .withMessage("Source location is required")
+      .isMongoId()
+      .withMessage("Invalid source location ID"),
+    body("toLocation")
+      .notEmpty()
+      .withMessage("Destination location is required")
+      .isMongoId()
+      .withMessage("Invalid destination location ID"),
+    body("items")
+      .isArray({ min: 1 })
+      .withMessage("At least one item is required"),
+    body("items.*.product")
+      .notEmpty()
+      .withMessage("Product ID is required")
+      .isMongoId()
+      .withMessage("Invalid product ID"),
+    body("items.*.quantity")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    handleValidationErrors,
+  ],
+
+  // Shared by dispatch and receive; items are only sent for partial moves
+  move: [
+    param("id").isMongoId().withMessage("Invalid transfer ID"),
+    body("items")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("Items must be a non-empty array"),
+    body("items.*.productId")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid product ID"),
+    body("items.*.quantity")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Quantity must be a non-negative integer"),
+    handleValidationErrors,
+  ],
+};
+
+// Stock take validations
+const stockTakeValidations = {
+  create: [
+    body("name")
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("Name cannot exceed 100 characters"),
+    body("type")
+      .optional()
+      .isIn(["full", "partial", "cycle"])
+      .withMessage("Invalid stock take type"),
+    body("categories")
+      .optional()
+      .isArray()
+      .withMessage("Categories must be an array"),
+    body("categories.*").isMongoId().withMessage("Invalid category ID"),
+    body("products")
+      .optional()
+      .isArray()
+      .withMessage("Products must be an array"),
+    body("products.*").isMongoId().withMessage("Invalid product ID"),
+    body("abcClasses")
+      .optional()
+      .isArray()
+      .withMessage("ABC classes must be an array"),
+    body("abcClasses.*")
+      .isIn(["A", "B", "C"])
+      .withMessage("ABC class must be A, B or C"),
+    body("location").optional().isMongoId().withMessage("Invalid location ID"),
+    handleValidationErrors,
+  ],
+
+  counts: [
+    param("id").isMongoId().withMessage("Invalid stock take ID"),
+    body("counts")
+      .isArray({ min: 1 })
+      .withMessage("At least one count is required"),
+    body("counts.*")
+      .custom((count) => count.product || count.barcode)
+      .withMessage("Each count needs a product ID or barcode"),
+    body("counts.*.product")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid product ID"),
+    body("counts.*.quantity")
+      .isInt()
+      .withMessage("Quantity must be an integer"),
+    body("mode")
+      .optional()
+      .isIn(["add", "set"])
+      .withMessage("Mode must be add or set"),
+    handleValidationErrors,
+  ],
+
+  approve: [
+    param("id").isMongoId().withMessage("Invalid stock take ID"),
+    body("resolutions")
+      .optional()
+      .isArray()
+      .withMessage("Resolutions must be an array"),
+    body("resolutions.*.productId")
+      .isMongoId()
+      .withMessage("Invalid product ID"),
+    body("resolutions.*.resolution")
+      .isIn(["adjustment", "damage"])
+      .withMessage("Resolution must be adjustment or damage"),
+    handleValidationErrors,
+  ],
+};
+
+// Price list validations
+const tiers = ["bronze", "silver", "gold", "platinum"];
+
+const priceListRules = [
+  body("basePrice")
+    .optional()
+    .isIn(["sellingPrice", "wholesalePrice"])
+    .withMessage("Base price must be sellingPrice or wholesalePrice"),
+  body("tiers").optional().isArray().withMessage("Tiers must be a list"),
+  body("tiers.*").isIn(tiers).withMessage("Invalid loyalty tier"),
+  body("rules").optional().isArray().withMessage("Rules must be a list"),
+  body("rules.*.product")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid rule product ID"),
+  body("rules.*.category")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid rule category ID"),
+  body("rules.*.price")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Rule price must be a positive number"),
+  body("rules.*.adjustment")
+    .optional()
+    .isFloat({ min: -100 })
+    .withMessage("Adjustment cannot take the price below zero"),
+  body("rules.*.minQuantity")
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage("Minimum quantity must be at least 1"),
+  body("priority")
+    .optional()
+    .isInt()
+    .withMessage("Priority must be a whole number"),
+  body("validFrom").optional().isISO8601().withMessage("Invalid start date"),
+  body("validTo").optional().isISO8601().withMessage("Invalid end date"),
+];
+
+const priceListValidations = {
+  create: [
+    body("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Price list name is required")
+      .isLength({ max: 50 })
+      .withMessage("Name cannot exceed 50 characters"),
+    ...priceListRules,
+    handleValidationErrors,
+  ],
+
+  update: [
+    param("id").isMongoId().withMessage("Invalid price list ID"),
+    body("name")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("Name must be between 1 and 50 characters"),
+    ...priceListRules,
+    handleValidationErrors,
+  ],
+
+  quote: [
+    body("customer").optional().isMongoId().withMessage("Invalid customer ID"),
+    body("items")
+      .isArray({ min: 1 })
+      .withMessage("At least one product is required"),
+    body("items.*.product").isMongoId().withMessage("Invalid product ID"),
+    body("items.*.quantity")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    body("items.*.unit").optional().isIn(units).withMessage("Invalid unit"),
+    handleValidationErrors,
+  ],
+};
+
+// Report validations
+const reportValidations = {
+  classify: [
+    body("days")
+      .optional()
+      .isInt({ min: 28, max: 365 })
+      .withMessage("Classification period must be 28 to 365 days"),
+    handleValidationErrors,
+  ],
+
+  classification: [
+    query("abc")
+      .optional()
+      .isIn(["A", "B", "C"])
+      .withMessage("ABC class must be A, B or C"),
+    query("xyz")
+      .optional()
+      .isIn(["X", "Y", "Z"])
+      .withMessage("XYZ class must be X, Y or Z"),
+    query("category").optional().isMongoId().withMessage("Invalid category"),
+    handleValidationErrors,
+  ],
+
+  deadStock: [
+    query("slowDays")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Slow moving threshold must be at least 1 day"),
+    query("deadDays")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Dead stock threshold must be at least 1 day"),
+    query("category").optional().isMongoId().withMessage("Invalid category"),
+    handleValidationErrors,
+  ],
+};
+
+// Common validations
+const commonValidations = {
+  mongoId: (paramName = "id") => [
+    param(paramName).isMongoId().withMessage(`Invalid ${paramName}`),
+    handleValidationErrors,
+  ],
+
+  pagination: [
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+    query("sort")
+      .optional()
+      .matches(/^-?\w+$/)
+      .withMessage("Invalid sort format"),
+    handleValidationErrors,
+  ],
+
+  dateRange: [
+    query("startDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Invalid start date format"),
+    query("endDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Invalid end date format")
+      .custom((value, { req }) => {
+        if (req.query.startDate && value) {
+          return new Date(value) >= new Date(req.query.startDate);
+        }
+        return true;
+      })
+      .withMessage("End date must be after start date"),
+    handleValidationErrors,
+  ],
+};
+
+// Category validations
+const categoryValidations = {
+  create: [
+    body("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Category name is required")
+      .isLength({ min: 2, max: 50 })
+      .withMessage("Name must be between 2 and 50 characters"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Description cannot exceed 200 characters"),
+    body("parent")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid parent category ID"),
+    handleValidationErrors,
+  ],
+
+  update: [
+    param("id").isMongoId().withMessage("Invalid category ID"),
+    body("name")
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage("Name must be between 2 and 50 characters"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Description cannot exceed 200 characters"),
+    body("parent")
+      .optional({ values: "null" })
+      .isMongoId()
+      .withMessage("Invalid parent category ID"),
+    body("displayOrder")
+      .optional()
+      .isInt()
+      .withMessage("Display order must be a whole number"),
+    handleValidationErrors,
+  ],
+
+  move: [
+    param("id").isMongoId().withMessage("Invalid category ID"),
+    body("parent")
+      .optional({ values: "null" })
+      .isMongoId()
+      .withMessage("Invalid parent category ID"),
+    body("displayOrder")
+      .optional()
+      .isInt()
+      .withMessage("Display order must be a whole number")
+      .toInt(),
+    handleValidationErrors,
+  ],
+
+  merge: [
+    param("id").isMongoId().withMessage("Invalid category ID"),
+    body("into").isMongoId().withMessage("Invalid category to merge into"),
+    handleValidationErrors,
+  ],
+
+  delete: [
+    param("id").isMongoId().withMessage("Invalid category ID"),
+    body("reassignTo")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid category to move products to"),
+    handleValidationErrors,
+  ],
+
+  reorder: [
+    body("items")
+      .isArray({ min: 1 })
+      .withMessage("Categories to reorder are required"),
+    body("items.*.category").isMongoId().withMessage("Invalid category ID"),
+    body("items.*.displayOrder")
+      .isInt()
+      .withMessage("Display order must be a whole number")
+      .toInt(),
+    handleValidationErrors,
+  ],
+};
+
+// Serial number validations
+const serialNumberValidations = {
+  list: [
+    query("product").optional().isMongoId().withMessage("Invalid product ID"),
+    query("status")
+      .optional()
+      .isIn(["in_stock", "sold", "returned", "warranty", "written_off"])
+      .withMessage("Invalid serial number status"),
+    handleValidationErrors,
+  ],
+
+  lookup: [
+    param("serialNumber")
+      .trim()
+      .notEmpty()
+      .withMessage("Serial number is required"),
+    handleValidationErrors,
+  ],
+
+  updateStatus: [
+    param("id").isMongoId().withMessage("Invalid serial number ID"),
+    body("status")
+      .isIn(["warranty", "sold", "in_stock"])
+      .withMessage("Status must be warranty, sold or in_stock"),
+    body("notes")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Notes cannot exceed 200 characters"),
+    handleValidationErrors,
+  ],
+};
+
+// Parked sale validations
+const parkedSaleValidations = {
+  park: [
+    body("items")
+      .isArray({ min: 1 })
+      .withMessage("At least one item is required"),
+    body("items.*.product").isMongoId().withMessage("Invalid product ID"),
+    body("items.*.quantity")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    body("items.*.unit").optional().isIn(units).withMessage("Invalid unit"),
+    body("items.*.unitPrice")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Price must be non-negative"),
+    body("items.*.serialNumbers")
+      .optional()
+      .isArray()
+      .withMessage("Serial numbers must be an array"),
+    body("customer").optional().isMongoId().withMessage("Invalid customer ID"),
+    body("notes")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Notes cannot exceed 500 characters"),
+    body("till")
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage("Till cannot exceed 50 characters"),
+    body("reserveStock")
+      .optional()
+      .isBoolean()
+      .withMessage("Reserve stock must be true or false")
+      .toBoolean(),
+    handleValidationErrors,
+  ],
+
+  list: [
+    query("status")
+      .optional()
+      .isIn(["parked", "resumed", "cancelled", "expired"])
+      .withMessage("Invalid parked sale status"),
+    query("user").optional().isMongoId().withMessage("Invalid user ID"),
+    query("location").optional().isMongoId().withMessage("Invalid location ID"),
+    handleValidationErrors,
+  ],
+
+  resume: [
+    param("id").isMongoId().withMessage("Invalid parked sale ID"),
+    body("till")
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage("Till cannot exceed 50 characters"),
+    handleValidationErrors,
+  ],
+};
+
+// Layaway validations
+const layawayPaymentMethods = ["cash", "mpesa", "card", "bank_transfer"];
+
+const layawayValidations = {
+  create: [
+    body("items")
+      .isArray({ min: 1 })
+      .withMessage("At least one item is required"),
+    body("items.*.product").isMongoId().withMessage("Invalid product ID"),
+    body("items.*.quantity")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    body("items.*.unit").optional().isIn(units).withMessage("Invalid unit"),
+    body("items.*.unitPrice")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Price must be non-negative"),
+    body("customer").isMongoId().withMessage("Customer is required"),
+    body("deposit.amount")
+      .isFloat({ gt: 0 })
+      .withMessage("Deposit must be more than zero")
+      .toFloat(),
+    body("deposit.method")
+      .isIn(layawayPaymentMethods)
+      .withMessage("Invalid payment method"),
+    body("deposit.reference").optional().trim(),
+    body("instalments")
+      .optional()
+      .isInt({ min: 1, max: 24 })
+      .withMessage("Instalments must be between 1 and 24")
+      .toInt(),
+    body("frequency")
+      .optional()
+      .isIn(["weekly", "biweekly", "monthly"])
+      .withMessage("Frequency must be weekly, biweekly or monthly"),
+    body("schedule")
+      .optional()
+      .isArray({ min: 1, max: 24 })
+      .withMessage("Schedule must have 1 to 24 instalments"),
+    body("schedule.*.dueDate")
+      .isISO8601()
+      .withMessage("Invalid due date")
+      .custom((value) => new Date(value) > new Date())
+      .withMessage("Due dates must be in the future"),
+    body("schedule.*.amount")
+      .isFloat({ gt: 0 })
+      .withMessage("Instalment amount must be more than zero")
+      .toFloat(),
+    body("notes")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Notes cannot exceed 500 characters"),
+    handleValidationErrors,
+  ],
+
+  list: [
+    query("status")
+      .optional()
+      .isIn(["active", "completed", "cancelled"])
+      .withMessage("Invalid layaway status"),
+    query("customer").optional().isMongoId().withMessage("Invalid customer ID"),
+    query("overdue")
+      .optional()
+      .isBoolean()
+      .withMessage("Overdue must be true or false"),
+    handleValidationErrors,
+  ],
+
+  payment: [
+    param("id").isMongoId().withMessage("Invalid layaway ID"),
+    body("amount")
+      .isFloat({ gt: 0 })
+      .withMessage("Amount must be more than zero")
+      .toFloat(),
+    body("method")
+      .isIn(layawayPaymentMethods)
+      .withMessage("Invalid payment method"),
+    body("reference").optional().trim(),
+    handleValidationErrors,
+  ],
+
+  cancel: [
+    param("id").isMongoId().withMessage("Invalid layaway ID"),
+    body("reason")
+      .notEmpty()
+      .withMessage("Reason is required")
+      .trim()
+      .isLength({ min: 5, max: 200 })
+      .withMessage("Reason must be 5-200 characters"),
+    body("outcome")
+      .isIn(["refund", "forfeit"])
+      .withMessage("Outcome must be refund or forfeit"),
+    handleValidationErrors,
+  ],
+};
+
+// Settings validations
+const settingsValidations = {
+  update: [
+    body("business.name")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Business name cannot be empty"),
+    body("business.contact.phone")
+      .optional()
+      .trim()
       .matches(/^(\+254|0)[17]\d{8}$/)
       .withMessage("Invalid phone number"),
     body("sales.tax.rate")
       .optional()
       .isFloat({ min: 0, max: 100 })
       .withMessage("Tax rate must be between 0 and 100"),
+    body("inventory.costingMethod")
+      .optional()
+      .isIn(["weighted_average", "fifo"])
+      .withMessage("Costing method must be weighted_average or fifo"),
+    body("inventory.autoReorder.leadTime")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Lead time must be a non-negative number of days"),
+    body("inventory.autoReorder.safetyDays")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Safety stock must be a non-negative number of days"),
+    body("inventory.barcodePrefix")
+      .optional()
+      .matches(/^\d{1,11}$/)
+      .withMessage("Barcode prefix must be 1 to 11 digits"),
+    body("inventory.classification.periodDays")
+      .optional()
+      .isInt({ min: 28, max: 365 })
+      .withMessage("Classification period must be 28 to 365 days"),
+    body("inventory.deadStock.slowDays")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Slow moving threshold must be at least 1 day"),
+    body("inventory.deadStock.deadDays")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Dead stock threshold must be at least 1 day"),
+    body("inventory.cycleCount.*")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Cycle count interval must be at least 1 day"),
     body("currency.code")
       .optional()
       .isLength({ min: 3, max: 3 })
@@ -486,7 +1538,17 @@ module.exports = {
   saleValidations,
   orderValidations,
   customerValidations,
+  supplierValidations,
+  purchaseOrderValidations,
+  locationValidations,
+  transferValidations,
+  stockTakeValidations,
+  priceListValidations,
+  reportValidations,
   commonValidations,
   categoryValidations,
+  serialNumberValidations,
+  parkedSaleValidations,
+  layawayValidations,
   settingsValidations,
 };
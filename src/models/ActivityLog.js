@@ -26,12 +26,26 @@ const activityLogSchema = new mongoose.Schema(
         "product.deleted",
         "product.stock_adjusted",
         "product.imported",
+        "product.import_rolled_back",
+        "product.classified",
+        "product.price_scheduled",
+        "product.price_changed",
 
         // Sale actions
         "sale.created",
         "sale.voided",
         "sale.refunded",
+        "sale.synced",
         "sale.receipt_printed",
+        "parked_sale.created",
+        "parked_sale.resumed",
+        "parked_sale.cancelled",
+        "parked_sale.expired",
+        "layaway.created",
+        "layaway.payment",
+        "layaway.completed",
+        "layaway.cancelled",
+        "layaway.reminder_sent",
 
         // Order actions
         "order.created",
@@ -41,6 +55,47 @@ const activityLogSchema = new mongoose.Schema(
         "order.delivered",
         "order.cancelled",
 
+        // Category actions
+        "category.created",
+        "category.updated",
+        "category.moved",
+        "category.merged",
+        "category.deleted",
+        "category.reordered",
+
+        // Serial number actions
+        "serial_number.status_changed",
+
+        // Price list actions
+        "price_list.created",
+        "price_list.updated",
+        "price_list.deleted",
+
+        // Purchasing actions
+        "supplier.created",
+        "supplier.updated",
+        "supplier.deleted",
+        "purchase_order.created",
+        "purchase_order.updated",
+        "purchase_order.status_changed",
+        "purchase_order.received",
+        "purchase_order.payment_recorded",
+
+        // Location actions
+        "location.created",
+        "location.updated",
+        "location.deleted",
+        "transfer.requested",
+        "transfer.dispatched",
+        "transfer.received",
+        "transfer.cancelled",
+
+        // Stock take actions
+        "stock_take.started",
+        "stock_take.submitted",
+        "stock_take.approved",
+        "stock_take.cancelled",
+
         // Customer actions
         "customer.created",
         "customer.updated",
@@ -67,9 +122,18 @@ const activityLogSchema = new mongoose.Schema(
           "user",
           "product",
           "sale",
+          "parked_sale",
+          "layaway",
           "order",
           "customer",
           "category",
+          "supplier",
+          "purchase_order",
+          "price_list",
+          "serial_number",
+          "location",
+          "transfer",
+          "stock_take",
           "report",
           "system",
         ],
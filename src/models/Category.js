@@ -115,6 +115,27 @@ categorySchema.pre("save", function (next) {
   next();
 });
 
+// A category can't sit under itself or any of its subcategories, and its
+// parent must be an active category
+categorySchema.pre("save", async function (next) {
+  if (!this.parent || !this.isModified("parent")) return next();
+
+  const parent = await this.constructor.findById(this.parent);
+  if (!parent || !parent.isActive) {
+    return next(new Error("Parent category not found"));
+  }
+
+  const ancestors = await parent.getAncestorIds();
+  if ([parent._id, ...ancestors].some((id) => id.equals(this._id))) {
+    return next(
+      new Error(
+        "A category cannot be moved under itself or one of its subcategories"
+      )
+    );
+  }
+  next();
+});
+
 // Static method to get category tree
 categorySchema.statics.getCategoryTree = async function () {
   const categories = await this.find({ isActive: true })
@@ -145,6 +166,40 @@ categorySchema.methods.updateProductCount = async function () {
   await this.save();
 };
 
+// Method to get the ids of the categories above this one, nearest first
+categorySchema.methods.getAncestorIds = async function () {
+  const ids = [];
+  let parentId = this.parent;
+
+  // Stop at a repeat rather than loop over a cycle saved before cycles
+  // were checked
+  while (parentId && !ids.some((id) => id.equals(parentId))) {
+    ids.push(parentId);
+    const parent = await this.constructor.findById(parentId).select("parent");
+    parentId = parent?.parent;
+  }
+
+  return ids;
+};
+
+// Method to get the ids of every category below this one
+categorySchema.methods.getDescendantIds = async function () {
+  const categories = await this.constructor.find().select("parent").lean();
+  const root = this._id.toString();
+  const ids = [];
+  let level = [root];
+
+  while (level.length) {
+    level = categories
+      .filter((category) => level.includes(String(category.parent)))
+      .map((category) => category._id.toString())
+      .filter((id) => id !== root && !ids.includes(id));
+    ids.push(...level);
+  }
+
+  return ids.map((id) => new mongoose.Types.ObjectId(id));
+};
+
 const Category = mongoose.model("Category", categorySchema);
 
 module.exports = Category;
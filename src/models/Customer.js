@@ -116,6 +116,11 @@ const customerSchema = new mongoose.Schema(
       },
       expiryDate: Date,
     },
+    // Price list this customer buys on, ahead of any for their tier
+    priceList: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PriceList",
+    },
     credit: {
       isEnabled: {
         type: Boolean,
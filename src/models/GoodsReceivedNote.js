@@ -0,0 +1,341 @@
+// backend/src/models/GoodsReceivedNote.js
+const mongoose = require("mongoose");
+const Counter = require("./Counter");
+const SerialNumber = require("./SerialNumber");
+
+const goodsReceivedNoteSchema = new mongoose.Schema(
+  {
+    grnNumber: {
+      type: String,
+      required: function () {
+        return !this.isNew; // Only required after creation
+      },
+      unique: true,
+    },
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PurchaseOrder",
+      required: true,
+    },
+    poNumber: String,
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: true,
+    },
+    deliveryNote: String, // Supplier's delivery note / invoice number
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        productName: String,
+        // Unit delivered in, with the number of stock units in each
+        unit: String,
+        unitFactor: {
+          type: Number,
+          default: 1,
+        },
+        // Still outstanding on the purchase order
+        quantityExpected: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        // On the supplier's delivery note. A delivery may be one of several,
+        // so shortages are measured against this rather than the order.
+        quantityDispatched: {
+          type: Number,
+          min: 0,
+        },
+        quantityDelivered: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        quantityDamaged: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        quantityAccepted: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        shortage: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        overage: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        unitCost: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        lotNumber: String,
+        expiryDate: Date,
+        serialNumbers: [String], // Accepted units of serialized products
+        damageReason: String,
+        notes: String,
+      },
+    ],
+    totals: {
+      acceptedValue: {
+        type: Number,
+        default: 0,
+      },
+      damagedValue: {
+        type: Number,
+        default: 0,
+      },
+      shortageValue: {
+        type: Number,
+        default: 0,
+      },
+    },
+    hasDiscrepancy: {
+      type: Boolean,
+      default: false,
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    notes: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+goodsReceivedNoteSchema.index({ grnNumber: 1 });
+goodsReceivedNoteSchema.index({ purchaseOrder: 1 });
+goodsReceivedNoteSchema.index({ supplier: 1, receivedAt: -1 });
+goodsReceivedNoteSchema.index({ hasDiscrepancy: 1, receivedAt: -1 });
+
+// Generate GRN number before saving
+goodsReceivedNoteSchema.pre("save", async function (next) {
+  if (this.isNew && !this.grnNumber) {
+    try {
+      const sequence = await Counter.getNextSequence("grn");
+
+      const date = new Date();
+      const year = date.getFullYear().toString().substr(-2);
+      const month = (date.getMonth() + 1).toString().padStart(2, "0");
+      const sequenceStr = sequence.toString().padStart(5, "0");
+
+      this.grnNumber = `GRN${year}${month}${sequenceStr}`;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Work out accepted quantities and discrepancies before saving
+goodsReceivedNoteSchema.pre("save", function (next) {
+  if (this.isNew || this.isModified("items")) {
+    let acceptedValue = 0;
+    let damagedValue = 0;
+    let shortageValue = 0;
+    let hasDiscrepancy = false;
+
+    this.items.forEach((item) => {
+      if (item.quantityDamaged > item.quantityDelivered) {
+        item.quantityDamaged = item.quantityDelivered;
+      }
+
+      item.quantityAccepted = item.quantityDelivered - item.quantityDamaged;
+      item.shortage = Math.max(
+        0,
+        (item.quantityDispatched ?? item.quantityDelivered) -
+          item.quantityDelivered
+      );
+      item.overage = Math.max(
+        0,
+        item.quantityDelivered - item.quantityExpected
+      );
+
+      acceptedValue += item.quantityAccepted * item.unitCost;
+      damagedValue += item.quantityDamaged * item.unitCost;
+      shortageValue += item.shortage * item.unitCost;
+
+      if (item.shortage > 0 || item.overage > 0 || item.quantityDamaged > 0) {
+        hasDiscrepancy = true;
+      }
+    });
+
+    this.totals.acceptedValue = acceptedValue;
+    this.totals.damagedValue = damagedValue;
+    this.totals.shortageValue = shortageValue;
+    this.hasDiscrepancy = hasDiscrepancy;
+  }
+  next();
+});
+
+// Post stock movements for this note, in the session it was saved in.
+// Everything physically delivered is booked in as a purchase, then rejected
+// units are written off as damage so the ledger shows both what arrived and
+// what was thrown out.
+goodsReceivedNoteSchema.methods.postStock = async function (userId) {
+  const Product = mongoose.model("Product");
+  const session = this.$session();
+
+  for (const item of this.items) {
+    if (item.quantityDelivered === 0) continue;
+
+    const product = await Product.findById(item.product).session(session);
+    if (!product) {
+      throw new Error(`Product ${item.productName} no longer exists`);
+    }
+
+    // Quantities and cost are in the unit delivered; stock is in base units
+    const factor = item.unitFactor || 1;
+
+    await product.updateStock(
+      item.quantityDelivered * factor,
+      "purchase",
+      this.poNumber,
+      userId,
+      `Received on ${this.grnNumber}`,
+      {
+        unitCost: item.unitCost / factor,
+        lotNumber: item.lotNumber,
+        expiryDate: item.expiryDate,
+      }
+    );
+
+    if (item.quantityDamaged > 0) {
+      await product.updateStock(
+        item.quantityDamaged * factor,
+        "damage",
+        this.grnNumber,
+        userId,
+        item.damageReason || "Rejected on receipt",
+        { lotNumber: item.lotNumber }
+      );
+    }
+
+    if (product.inventory.serialized) {
+      await SerialNumber.receive(product, item.serialNumbers, {
+        reference: this.grnNumber,
+        supplier: this.supplier,
+        unitCost: item.unitCost / factor,
+        userId,
+        session,
+      });
+    }
+  }
+
+  return this;
+};
+
+// Static method to get receiving discrepancies grouped by supplier
+goodsReceivedNoteSchema.statics.getDiscrepancyReport = async function (
+  startDate,
+  endDate,
+  supplierId = null
+) {
+  const match = {
+    receivedAt: { $gte: startDate, $lte: endDate },
+  };
+  if (supplierId) {
+    match.supplier = new mongoose.Types.ObjectId(supplierId);
+  }
+
+  return await this.aggregate([
+    { $match: match },
+    { $unwind: "$items" },
+    {
+      $group: {
+        _id: "$supplier",
+        deliveries: { $addToSet: "$_id" },
+        deliveriesWithIssues: {
+          $addToSet: { $cond: ["$hasDiscrepancy", "$_id", "$$REMOVE"] },
+        },
+        quantityExpected: { $sum: "$items.quantityExpected" },
+        quantityDelivered: { $sum: "$items.quantityDelivered" },
+        quantityDamaged: { $sum: "$items.quantityDamaged" },
+        shortage: { $sum: "$items.shortage" },
+        overage: { $sum: "$items.overage" },
+        damagedValue: {
+          $sum: {
+            $multiply: ["$items.quantityDamaged", "$items.unitCost"],
+          },
+        },
+        shortageValue: {
+          $sum: { $multiply: ["$items.shortage", "$items.unitCost"] },
+        },
+      },
+    },
+    {
+      $lookup: {
+        from: "suppliers",
+        localField: "_id",
+        foreignField: "_id",
+        as: "supplier",
+      },
+    },
+    {
+      $unwind: {
+        path: "$supplier",
+        preserveNullAndEmptyArrays: true,
+      },
+    },
+    {
+      $project: {
+        supplierName: { $ifNull: ["$supplier.name", "Unknown"] },
+        deliveries: { $size: "$deliveries" },
+        deliveriesWithIssues: { $size: "$deliveriesWithIssues" },
+        quantityExpected: 1,
+        quantityDelivered: 1,
+        quantityDamaged: 1,
+        shortage: 1,
+        overage: 1,
+        damagedValue: 1,
+        shortageValue: 1,
+        discrepancyRate: {
+          $cond: [
+            { $gt: [{ $size: "$deliveries" }, 0] },
+            {
+              $multiply: [
+                {
+                  $divide: [
+                    { $size: "$deliveriesWithIssues" },
+                    { $size: "$deliveries" },
+                  ],
+                },
+                100,
+              ],
+            },
+            0,
+          ],
+        },
+      },
+    },
+    { $sort: { discrepancyRate: -1, shortageValue: -1 } },
+  ]);
+};
+
+const GoodsReceivedNote = mongoose.model(
+  "GoodsReceivedNote",
+  goodsReceivedNoteSchema
+);
+
+module.exports = GoodsReceivedNote;
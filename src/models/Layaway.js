@@ -0,0 +1,451 @@
+// backend/src/models/Layaway.js
+const mongoose = require("mongoose");
+const Counter = require("./Counter");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Days between instalments for each payment frequency
+const FREQUENCY_DAYS = {
+  weekly: 7,
+  biweekly: 14,
+  monthly: 30,
+};
+
+// Goods put aside for a customer who pays for them over time. Stock is held
+// rather than sold, and the layaway becomes a sale once it is fully paid.
+const layawaySchema = new mongoose.Schema(
+  {
+    layawayNumber: {
+      type: String,
+      required: function () {
+        return !this.isNew; // Only required after creation
+      },
+      unique: true,
+    },
+    items: [
+      {
+        _id: false,
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        productName: {
+          type: String,
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: [1, "Quantity must be at least 1"],
+        },
+        unit: String,
+        baseQuantity: Number, // Quantity in the product's base unit
+        unitPrice: {
+          type: Number,
+          required: true,
+          min: [0, "Price cannot be negative"],
+        },
+        discount: {
+          amount: { type: Number, default: 0 },
+          percentage: {
+            type: Number,
+            default: 0,
+            min: [0, "Discount cannot be negative"],
+            max: [100, "Discount cannot exceed 100%"],
+          },
+        },
+        tax: {
+          rate: { type: Number, default: 0 },
+          amount: { type: Number, default: 0 },
+        },
+        subtotal: Number,
+      },
+    ],
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: [true, "A layaway needs a customer"],
+    },
+    customerInfo: {
+      name: String,
+      phone: String,
+    },
+    priceList: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PriceList",
+    },
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+    },
+    totals: {
+      subtotal: { type: Number, default: 0 },
+      discount: { type: Number, default: 0 },
+      tax: { type: Number, default: 0 },
+      total: { type: Number, default: 0 },
+    },
+    payments: [
+      {
+        amount: {
+          type: Number,
+          required: true,
+          min: [0.01, "Payment must be more than zero"],
+        },
+        method: {
+          type: String,
+          enum: ["cash", "mpesa", "card", "bank_transfer"],
+          required: true,
+        },
+        reference: String,
+        receivedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        paidAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    totalPaid: {
+      type: Number,
+      default: 0,
+    },
+    // What is owed after the deposit and when. Payments settle the earliest
+    // instalments first.
+    schedule: [
+      {
+        dueDate: {
+          type: Date,
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        paid: {
+          type: Number,
+          default: 0,
+        },
+        status: {
+          type: String,
+          enum: ["pending", "paid"],
+          default: "pending",
+        },
+      },
+    ],
+    reminders: [
+      {
+        _id: false,
+        dueDate: Date, // Instalment the reminder is for
+        kind: {
+          type: String,
+          enum: ["upcoming", "overdue"],
+        },
+        type: {
+          type: String,
+          enum: ["sms", "whatsapp", "call"],
+        },
+        message: String,
+        status: String,
+        timestamp: Date,
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["active", "completed", "cancelled"],
+      default: "active",
+    },
+    // Stock held for the layaway, in base units. Emptied when released.
+    reservations: [
+      {
+        _id: false,
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+        },
+        quantity: Number,
+      },
+    ],
+    // Sale the layaway became once fully paid
+    sale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Sale",
+    },
+    completedAt: Date,
+    cancellation: {
+      reason: String,
+      // Paid money given back less the cancellation fee, or kept
+      outcome: {
+        type: String,
+        enum: ["refund", "forfeit"],
+      },
+      fee: Number,
+      refundAmount: Number,
+      forfeitedAmount: Number,
+      cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      cancelledAt: Date,
+    },
+    notes: {
+      type: String,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    // Payments and cancellation read then write the whole layaway, so a save
+    // over someone else's change fails instead of losing it
+    optimisticConcurrency: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+layawaySchema.index({ status: 1, "schedule.dueDate": 1 });
+layawaySchema.index({ customer: 1, status: 1 });
+
+// Virtual for what is still owed
+layawaySchema.virtual("balance").get(function () {
+  return Math.max(
+    0,
+    roundMoney((this.totals?.total || 0) - (this.totalPaid || 0))
+  );
+});
+
+// Generate layaway number before saving
+layawaySchema.pre("save", async function (next) {
+  if (this.isNew && !this.layawayNumber) {
+    try {
+      const sequence = await Counter.getNextSequence("layaway");
+
+      const date = new Date();
+      const year = date.getFullYear().toString().substr(-2);
+      const month = (date.getMonth() + 1).toString().padStart(2, "0");
+      const day = date.getDate().toString().padStart(2, "0");
+      const sequenceStr = sequence.toString().padStart(5, "0");
+
+      this.layawayNumber = `LAY${year}${month}${day}${sequenceStr}`;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Calculate totals the way sales do, so the sale it becomes adds up the same
+layawaySchema.methods.calculateTotals = function () {
+  let subtotal = 0;
+  let totalDiscount = 0;
+  let totalTax = 0;
+
+  this.items.forEach((item) => {
+    const itemSubtotal = item.unitPrice * item.quantity;
+
+    let discount = 0;
+    if (item.discount.percentage > 0) {
+      discount = itemSubtotal * (item.discount.percentage / 100);
+    } else if (item.discount.amount > 0) {
+      discount = item.discount.amount;
+    }
+
+    const taxableAmount = itemSubtotal - discount;
+    const tax = taxableAmount * (item.tax.rate / 100);
+
+    item.tax.amount = tax;
+    item.subtotal = taxableAmount + tax;
+
+    subtotal += itemSubtotal;
+    totalDiscount += discount;
+    totalTax += tax;
+  });
+
+  this.totals = {
+    subtotal,
+    discount: totalDiscount,
+    tax: totalTax,
+    total: roundMoney(subtotal - totalDiscount + totalTax),
+  };
+  return this;
+};
+
+// Static method to split what is owed into equal instalments, the first one
+// period after `start`. Rounding is settled on the last instalment.
+layawaySchema.statics.buildSchedule = function (
+  amount,
+  instalments,
+  frequency,
+  start = new Date()
+) {
+  const each = Math.floor((amount / instalments) * 100) / 100;
+
+  return Array.from({ length: instalments }, (_, i) => ({
+    dueDate: new Date(
+      start.getTime() + (i + 1) * FREQUENCY_DAYS[frequency] * DAY
+    ),
+    amount:
+      i === instalments - 1
+        ? roundMoney(amount - each * (instalments - 1))
+        : each,
+  }));
+};
+
+// Static method to find active layaways with an unpaid instalment due by
+// `date`
+layawaySchema.statics.findDue = function (date) {
+  return this.find({
+    status: "active",
+    schedule: {
+      $elemMatch: { status: "pending", dueDate: { $lte: date } },
+    },
+  });
+};
+
+// Static method to age active layaways by their oldest overdue instalment
+layawaySchema.statics.getAgingReport = async function (now = new Date()) {
+  const buckets = [
+    { label: "current", from: 0, to: 0 },
+    { label: "1-30", from: 1, to: 30 },
+    { label: "31-60", from: 31, to: 60 },
+    { label: "61-90", from: 61, to: 90 },
+    { label: "90+", from: 91, to: Infinity },
+  ].map((bucket) => ({
+    ...bucket,
+    count: 0,
+    balance: 0,
+    overdueAmount: 0,
+    layaways: [],
+  }));
+
+  const layaways = await this.find({ status: "active" })
+    .populate("customer", "name phone")
+    .sort("createdAt");
+
+  for (const layaway of layaways) {
+    const overdue = layaway.getOverdue(now);
+    const bucket = buckets.find(
+      (b) => overdue.days >= b.from && overdue.days <= b.to
+    );
+
+    bucket.count += 1;
+    bucket.balance = roundMoney(bucket.balance + layaway.balance);
+    bucket.overdueAmount = roundMoney(bucket.overdueAmount + overdue.amount);
+    bucket.layaways.push({
+      _id: layaway._id,
+      layawayNumber: layaway.layawayNumber,
+      customer: layaway.customer,
+      total: layaway.totals.total,
+      totalPaid: layaway.totalPaid,
+      balance: layaway.balance,
+      overdueAmount: overdue.amount,
+      daysOverdue: overdue.days,
+      lastPaymentAt: layaway.payments[layaway.payments.length - 1]?.paidAt,
+    });
+  }
+
+  return buckets.map(({ from, to, ...bucket }) => bucket);
+};
+
+// Method to take a payment, settling the earliest instalments first
+layawaySchema.methods.applyPayment = function ({
+  amount,
+  method,
+  reference,
+  userId,
+}) {
+  this.payments.push({ amount, method, reference, receivedBy: userId });
+  this.totalPaid = roundMoney(this.totalPaid + amount);
+
+  // The deposit is paid before the schedule starts, which is kept in due
+  // date order
+  const scheduled = this.schedule.reduce((sum, i) => sum + i.amount, 0);
+  let remaining = this.totalPaid - (this.totals.total - scheduled);
+  for (const instalment of this.schedule) {
+    instalment.paid = roundMoney(
+      Math.max(0, Math.min(instalment.amount, remaining))
+    );
+    instalment.status =
+      instalment.paid >= instalment.amount ? "paid" : "pending";
+    remaining -= instalment.paid;
+  }
+
+  return this;
+};
+
+// Method to sum the unpaid instalments due before `now`, and how many days
+// the oldest of them is overdue
+layawaySchema.methods.getOverdue = function (now = new Date()) {
+  const overdue = this.schedule.filter(
+    (instalment) => instalment.status === "pending" && instalment.dueDate < now
+  );
+  if (overdue.length === 0) return { amount: 0, days: 0 };
+
+  const oldest = Math.min(...overdue.map((instalment) => instalment.dueDate));
+  return {
+    amount: roundMoney(
+      overdue.reduce((sum, i) => sum + (i.amount - i.paid), 0)
+    ),
+    days: Math.max(1, Math.floor((now - oldest) / DAY)),
+    since: new Date(oldest),
+  };
+};
+
+// Method to hold stock for the layaway's lines
+layawaySchema.methods.reserveStock = async function () {
+  this.reservations = await mongoose.model("Product").reserveStock(this.items);
+  return this;
+};
+
+// Method to give back the stock held for the layaway
+layawaySchema.methods.releaseStock = async function (session = null) {
+  await mongoose
+    .model("Product")
+    .releaseStock(this.reservations, session || this.$session());
+  this.reservations = [];
+  return this;
+};
+
+// Method to remind the customer of an instalment
+layawaySchema.methods.sendReminder = async function (
+  instalment,
+  kind,
+  type,
+  message
+) {
+  // This would integrate with SMS/WhatsApp service
+  this.reminders.push({
+    dueDate: instalment.dueDate,
+    kind,
+    type,
+    message,
+    status: "sent",
+    timestamp: new Date(),
+  });
+  return this.save();
+};
+
+// Method to tell whether the customer has had a reminder of this kind for an
+// instalment
+layawaySchema.methods.wasReminded = function (instalment, kind) {
+  return this.reminders.some(
+    (reminder) =>
+      reminder.kind === kind &&
+      reminder.dueDate?.getTime() === instalment.dueDate.getTime()
+  );
+};
+
+const Layaway = mongoose.model("Layaway", layawaySchema);
+
+module.exports = Layaway;
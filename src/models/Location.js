@@ -0,0 +1,110 @@
+// backend/src/models/Location.js
+const mongoose = require("mongoose");
+
+const locationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Location name is required"],
+      unique: true,
+      trim: true,
+      maxlength: [50, "Location name cannot exceed 50 characters"],
+    },
+    code: {
+      type: String,
+      required: [true, "Location code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      maxlength: [10, "Location code cannot exceed 10 characters"],
+    },
+    type: {
+      type: String,
+      enum: ["shop", "store_room", "warehouse"],
+      default: "shop",
+    },
+    address: {
+      street: String,
+      area: String,
+      city: {
+        type: String,
+        default: "Nairobi",
+      },
+    },
+    phone: {
+      type: String,
+      validate: {
+        validator: function (phone) {
+          return !phone || /^(\+254|0)[17]\d{8}$/.test(phone);
+        },
+        message: "Please provide a valid Kenyan phone number",
+      },
+    },
+    canSell: {
+      type: Boolean,
+      default: true, // Store rooms hold stock but don't make sales
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    metadata: {
+      createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+locationSchema.index({ code: 1 });
+locationSchema.index({ isActive: 1 });
+
+// Only one location can be the default
+locationSchema.pre("save", async function (next) {
+  if (this.isModified("isDefault") && this.isDefault) {
+    await this.constructor.updateMany(
+      { _id: { $ne: this._id }, isDefault: true },
+      { isDefault: false }
+    );
+  }
+  next();
+});
+
+// Static method to get the default location. Stock that predates
+// multi-location tracking is treated as held here.
+locationSchema.statics.getDefault = async function () {
+  return (
+    (await this.findOne({ isDefault: true, isActive: true })) ||
+    (await this.findOne({ isActive: true }).sort("createdAt"))
+  );
+};
+
+// Static method to get the location a user works from, falling back to the
+// default location for users who haven't been assigned one
+locationSchema.statics.getForUser = async function (user) {
+  if (user.location) {
+    const location = await this.findOne({
+      _id: user.location,
+      isActive: true,
+    });
+    if (location) return location;
+  }
+  return this.getDefault();
+};
+
+const Location = mongoose.model("Location", locationSchema);
+
+module.exports = Location;
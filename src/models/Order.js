@@ -13,6 +13,10 @@ const orderSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "Customer",
     },
+    priceList: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PriceList", // List the customer's prices came from
+    },
     customerInfo: {
       name: {
         type: String,
@@ -55,6 +59,8 @@ const orderSchema = new mongoose.Schema(
           required: true,
           min: [1, "Quantity must be at least 1"],
         },
+        unit: String, // Unit sold in, defaults to the selling unit
+        baseQuantity: Number, // Quantity in the product's base unit
         unitPrice: {
           type: Number,
           required: true,
@@ -238,6 +244,10 @@ const orderSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location", // Branch the order is fulfilled from
+    },
     metadata: {
       preparationTime: Number, // in minutes
       packingCompleted: Date,
@@ -289,6 +299,7 @@ orderSchema.index({ priority: 1, status: 1 });
 orderSchema.index({ status: 1, "delivery.scheduledDate": 1 });
 orderSchema.index({ "delivery.type": 1, status: 1 });
 orderSchema.index({ assignedTo: 1, status: 1 });
+orderSchema.index({ location: 1, status: 1 });
 
 // Virtual for order age in hours
 orderSchema.virtual("ageInHours").get(function () {
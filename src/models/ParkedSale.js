@@ -0,0 +1,174 @@
+// backend/src/models/ParkedSale.js
+const mongoose = require("mongoose");
+const Counter = require("./Counter");
+
+// A basket set aside at the till, e.g. while the customer fetches money. It
+// can be resumed on any till until it expires.
+const parkedSaleSchema = new mongoose.Schema(
+  {
+    parkNumber: {
+      type: String,
+      required: function () {
+        return !this.isNew; // Only required after creation
+      },
+      unique: true,
+    },
+    items: [
+      {
+        _id: false,
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        productName: String,
+        quantity: {
+          type: Number,
+          required: true,
+          min: [1, "Quantity must be at least 1"],
+        },
+        unit: String,
+        baseQuantity: Number, // Quantity in the product's base unit
+        unitPrice: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        discount: {
+          amount: { type: Number, default: 0 },
+          percentage: { type: Number, default: 0 },
+        },
+        serialNumbers: [String],
+      },
+    ],
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+    },
+    customerInfo: {
+      name: String,
+      phone: String,
+    },
+    notes: {
+      type: String,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    till: {
+      type: String,
+      trim: true,
+    },
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+    },
+    status: {
+      type: String,
+      enum: ["parked", "resumed", "cancelled", "expired"],
+      default: "parked",
+    },
+    // Stock held for the basket, in base units. Emptied when released.
+    reservations: [
+      {
+        _id: false,
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+        },
+        quantity: Number,
+      },
+    ],
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    parkedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    closedAt: Date,
+    resumedOn: String, // Till the sale was resumed on
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+parkedSaleSchema.index({ status: 1, expiresAt: 1 });
+parkedSaleSchema.index({ status: 1, till: 1 });
+parkedSaleSchema.index({ status: 1, parkedBy: 1 });
+
+// Generate park number before saving
+parkedSaleSchema.pre("save", async function (next) {
+  if (this.isNew && !this.parkNumber) {
+    try {
+      const sequence = await Counter.getNextSequence("parked_sale");
+
+      const date = new Date();
+      const year = date.getFullYear().toString().substr(-2);
+      const month = (date.getMonth() + 1).toString().padStart(2, "0");
+      const day = date.getDate().toString().padStart(2, "0");
+      const sequenceStr = sequence.toString().padStart(5, "0");
+
+      this.parkNumber = `PRK${year}${month}${day}${sequenceStr}`;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Static method to find parked sales past their expiry, optionally only
+// those holding stock of the given products
+parkedSaleSchema.statics.findExpired = function (
+  now = new Date(),
+  productIds = null
+) {
+  const query = { status: "parked", expiresAt: { $lte: now } };
+  if (productIds) query["reservations.product"] = { $in: productIds };
+  return this.find(query);
+};
+
+// Method to hold stock for the basket's lines. Bundle components are
+// checked on resume instead.
+parkedSaleSchema.methods.reserveStock = async function () {
+  this.reservations = await mongoose.model("Product").reserveStock(this.items);
+  return this;
+};
+
+// Method to give back the stock held for the basket
+parkedSaleSchema.methods.releaseStock = async function () {
+  await mongoose.model("Product").releaseStock(this.reservations);
+  this.reservations = [];
+  return this;
+};
+
+// Method to close a parked sale, giving back any stock it held. The sale is
+// claimed atomically, so two tills can't both resume the same basket.
+parkedSaleSchema.methods.close = async function (status, userId, till) {
+  const update = { status, closedAt: new Date() };
+  if (userId) update.closedBy = userId; // Expired sales close by themselves
+  if (till) update.resumedOn = till;
+
+  const closed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: "parked" },
+    { $set: update },
+    { new: true }
+  );
+  if (!closed) {
+    throw new Error("Parked sale is no longer parked");
+  }
+
+  await closed.releaseStock();
+  await closed.save();
+  return closed;
+};
+
+const ParkedSale = mongoose.model("ParkedSale", parkedSaleSchema);
+
+module.exports = ParkedSale;
@@ -0,0 +1,140 @@
+// backend/src/models/PriceChange.js
+const mongoose = require("mongoose");
+
+// Pricing fields whose changes are kept
+const PRICE_FIELDS = ["sellingPrice", "wholesalePrice", "discount"];
+
+const priceChangeSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    field: {
+      type: String,
+      enum: PRICE_FIELDS,
+      required: true,
+    },
+    previousValue: Number, // Set when the change is applied
+    newValue: {
+      type: Number,
+      required: true,
+      min: [0, "Price cannot be negative"],
+    },
+    reason: String,
+    source: {
+      type: String,
+      enum: ["manual", "bulk", "scheduled", "import"],
+      default: "manual",
+    },
+    status: {
+      type: String,
+      enum: ["scheduled", "applied", "cancelled"],
+      default: "applied",
+    },
+    effectiveAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    appliedAt: Date,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+priceChangeSchema.index({ product: 1, effectiveAt: -1 });
+priceChangeSchema.index({ status: 1, effectiveAt: 1 });
+
+// Static method to record the prices that changed on a product. `previous`
+// is the product's pricing before the change, or empty for a new product.
+priceChangeSchema.statics.recordChanges = function (
+  previous,
+  product,
+  userId,
+  { reason, source = "manual", session = null } = {}
+) {
+  const now = new Date();
+  const changes = PRICE_FIELDS.filter((field) => {
+    const value = product.pricing[field];
+    return value !== undefined && value !== null && value !== previous[field];
+  }).map((field) => ({
+    product: product._id,
+    field,
+    previousValue: previous[field],
+    newValue: product.pricing[field],
+    reason,
+    source,
+    effectiveAt: now,
+    appliedAt: now,
+    changedBy: userId,
+  }));
+
+  return changes.length ? this.insertMany(changes, { session }) : [];
+};
+
+// Static method to find scheduled changes that have come due
+priceChangeSchema.statics.findDue = function (now = new Date()) {
+  return this.find({
+    status: "scheduled",
+    effectiveAt: { $lte: now },
+  }).sort("effectiveAt");
+};
+
+// Method to apply a scheduled change to its product. Changes for products
+// that have since been removed are cancelled instead.
+priceChangeSchema.methods.apply = async function () {
+  if (this.status !== "scheduled") {
+    throw new Error(`Cannot apply a ${this.status} price change`);
+  }
+
+  const Product = mongoose.model("Product");
+  const product = await Product.findById(this.product);
+
+  if (!product || !product.status.isActive) {
+    this.status = "cancelled";
+    this.reason = [this.reason, "Product no longer active"]
+      .filter(Boolean)
+      .join(". ");
+    await this.save();
+    return null;
+  }
+
+  this.previousValue = product.pricing[this.field];
+  product.pricing[this.field] = this.newValue;
+  product.metadata.updatedBy = this.changedBy;
+  await product.save();
+
+  this.status = "applied";
+  this.appliedAt = new Date();
+  await this.save();
+
+  return product;
+};
+
+// Method to cancel a scheduled change
+priceChangeSchema.methods.cancel = async function (userId) {
+  if (this.status !== "scheduled") {
+    throw new Error(`Cannot cancel a ${this.status} price change`);
+  }
+
+  this.status = "cancelled";
+  this.cancelledBy = userId;
+  await this.save();
+  return this;
+};
+
+const PriceChange = mongoose.model("PriceChange", priceChangeSchema);
+
+module.exports = PriceChange;
@@ -0,0 +1,182 @@
+// backend/src/models/PriceList.js
+const mongoose = require("mongoose");
+
+const priceListSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Price list name is required"],
+      unique: true,
+      trim: true,
+      maxlength: [50, "Price list name cannot exceed 50 characters"],
+    },
+    description: String,
+    // Price the rules start from, per selling unit
+    basePrice: {
+      type: String,
+      enum: ["sellingPrice", "wholesalePrice"],
+      default: "sellingPrice",
+    },
+    // Loyalty tiers that get this list. Customers can also be given a list
+    // of their own, which takes precedence.
+    tiers: [
+      {
+        type: String,
+        enum: ["bronze", "silver", "gold", "platinum"],
+      },
+    ],
+    // A rule sets a fixed price or adjusts the base price by a percentage
+    // (negative for a discount). Rules name a product, a category, or
+    // neither to cover everything. Quantity breaks are separate rules with
+    // a higher minimum quantity, counted in base units.
+    rules: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+        },
+        category: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Category",
+        },
+        price: {
+          type: Number,
+          min: [0, "Price cannot be negative"],
+        },
+        adjustment: {
+          type: Number,
+          min: [-100, "Adjustment cannot take the price below zero"],
+        },
+        minQuantity: {
+          type: Number,
+          default: 1,
+          min: [1, "Minimum quantity must be at least 1"],
+        },
+      },
+    ],
+    // Lists matching the same tier are tried highest priority first
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    validFrom: Date,
+    validTo: Date,
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    metadata: {
+      createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+priceListSchema.index({ isActive: 1, tiers: 1 });
+
+// Virtual for whether the list applies today
+priceListSchema.virtual("isCurrent").get(function () {
+  const now = new Date();
+  return (
+    this.isActive &&
+    (!this.validFrom || this.validFrom <= now) &&
+    (!this.validTo || this.validTo >= now)
+  );
+});
+
+// Each rule needs exactly one of a fixed price or an adjustment
+priceListSchema.pre("save", function (next) {
+  for (const rule of this.rules) {
+    const hasPrice = rule.price !== undefined && rule.price !== null;
+    const hasAdjustment =
+      rule.adjustment !== undefined && rule.adjustment !== null;
+
+    if (hasPrice === hasAdjustment) {
+      return next(
+        new Error("Each rule needs either a price or a percentage adjustment")
+      );
+    }
+    if (rule.product && rule.category) {
+      return next(
+        new Error("A rule can name a product or a category, not both")
+      );
+    }
+  }
+
+  if (this.validFrom && this.validTo && this.validTo < this.validFrom) {
+    return next(new Error("Price list cannot end before it starts"));
+  }
+  next();
+});
+
+// Method to find the rule for a product at a quantity. Product rules beat
+// category rules, which beat catch-all rules; within those the largest
+// quantity break reached wins.
+priceListSchema.methods.findRule = function (product, baseQuantity) {
+  const categoryId = (product.category?._id || product.category)?.toString();
+  const specificity = (rule) => {
+    if (rule.product) {
+      return rule.product.toString() === product._id.toString() ? 3 : 0;
+    }
+    if (rule.category) {
+      return rule.category.toString() === categoryId ? 2 : 0;
+    }
+    return 1;
+  };
+
+  return this.rules
+    .filter((rule) => specificity(rule) > 0 && rule.minQuantity <= baseQuantity)
+    .sort(
+      (a, b) => specificity(b) - specificity(a) || b.minQuantity - a.minQuantity
+    )[0];
+};
+
+// Method to price a product from this list, per `unit`
+priceListSchema.methods.getPrice = function (product, unit, baseQuantity = 1) {
+  const sellingFactor = product.getUnitFactor(product.sellingUnit);
+  const factor = product.getUnitFactor(unit) / sellingFactor;
+
+  let base = product.effectivePrice;
+  if (this.basePrice === "wholesalePrice" && product.pricing.wholesalePrice) {
+    base = product.pricing.wholesalePrice;
+  }
+
+  const rule = this.findRule(product, baseQuantity);
+  let price = base;
+  if (rule) {
+    price = rule.price ?? base * (1 + rule.adjustment / 100);
+  }
+
+  return price * factor;
+};
+
+// Static method to find the price list a customer buys on: their own list,
+// else the highest priority list for their loyalty tier
+priceListSchema.statics.findForCustomer = async function (customer) {
+  if (!customer) return null;
+
+  if (customer.priceList) {
+    const own = await this.findById(customer.priceList);
+    if (own?.isCurrent) return own;
+  }
+
+  const lists = await this.find({
+    isActive: true,
+    tiers: customer.loyalty?.tier,
+  }).sort("-priority");
+  return lists.find((list) => list.isCurrent) || null;
+};
+
+const PriceList = mongoose.model("PriceList", priceListSchema);
+
+module.exports = PriceList;
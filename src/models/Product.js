@@ -1,5 +1,25 @@
 // backend/src/models/Product.js
 const mongoose = require("mongoose");
+const config = require("../config/app");
+const Settings = require("./Settings");
+const Location = require("./Location");
+const StockMovement = require("./StockMovement");
+const Counter = require("./Counter");
+const { buildEan13 } = require("../utils/barcode");
+
+const UNITS = [
+  "piece",
+  "kg",
+  "g",
+  "l",
+  "ml",
+  "dozen",
+  "pack",
+  "box",
+  "bag",
+  "bottle",
+  "can",
+];
 
 const productSchema = new mongoose.Schema(
   {
@@ -40,25 +60,47 @@ const productSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Base unit. Stock is always held in this unit.
     unit: {
       type: String,
       required: [true, "Unit of measurement is required"],
-      enum: [
-        "piece",
-        "kg",
-        "g",
-        "l",
-        "ml",
-        "dozen",
-        "pack",
-        "box",
-        "bag",
-        "bottle",
-        "can",
-      ],
+      enum: UNITS,
       default: "piece",
     },
+    // Other units the product is bought or sold in, with the number of base
+    // units in each, e.g. { unit: "box", factor: 24 } or { unit: "kg",
+    // factor: 1000 } for a product held in g
+    unitConversions: [
+      {
+        _id: false,
+        unit: {
+          type: String,
+          enum: UNITS,
+          required: true,
+        },
+        factor: {
+          type: Number,
+          required: true,
+          min: [0.000001, "Conversion factor must be greater than 0"],
+        },
+      },
+    ],
+    // Units bought and sold in when none is given. Both default to the base
+    // unit; the selling price is per selling unit.
+    purchaseUnit: {
+      type: String,
+      enum: UNITS,
+    },
+    sellingUnit: {
+      type: String,
+      enum: UNITS,
+    },
     pricing: {
+      cost: {
+        type: Number,
+        min: [0, "Cost cannot be negative"],
+        default: 0, // Carried unit cost, maintained from cost layers
+      },
       sellingPrice: {
         type: Number,
         required: [true, "Selling price is required"],
@@ -85,7 +127,20 @@ const productSchema = new mongoose.Schema(
       currentStock: {
         type: Number,
         required: [true, "Current stock is required"],
-        min: [0, "Stock cannot be negative"],
+        // Only stock movements take it below zero (backorders and offline
+        // sales synced late), never a new product
+        validate: {
+          validator: function (value) {
+            return value >= 0 || !this.isNew;
+          },
+          message: "Stock cannot be negative",
+        },
+        default: 0,
+      },
+      // Held for parked sales and layaways until they're closed. Only ever
+      // changed with $inc so concurrent reservations can't overwrite it.
+      reservedStock: {
+        type: Number,
         default: 0,
       },
       minStock: {
@@ -114,49 +169,80 @@ const productSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      // Each unit carries a serial number, captured on receipt and sale
+      serialized: {
+        type: Boolean,
+        default: false,
+      },
+      lastCountedAt: Date, // Set when a stock take is approved
+      // Stock held at each location when running multi-location.
+      // currentStock remains the total across all locations.
+      locations: [
+        {
+          location: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Location",
+            required: true,
+          },
+          quantity: {
+            type: Number,
+            default: 0,
+          },
+        },
+      ],
     },
-    stockMovements: [
+    costLayers: [
       {
-        type: {
-          type: String,
-          enum: [
-            "purchase",
-            "sale",
-            "return",
-            "adjustment",
-            "damage",
-            "transfer",
-          ],
-          required: true,
-        },
         quantity: {
           type: Number,
           required: true,
         },
-        previousStock: {
+        remaining: {
           type: Number,
           required: true,
+          min: 0,
         },
-        newStock: {
+        unitCost: {
           type: Number,
           required: true,
+          min: 0,
         },
-        reference: {
-          type: String, // Reference to sale, purchase order, etc.
+        reference: String,
+        receivedAt: {
+          type: Date,
+          default: Date.now,
         },
-        reason: String,
-        performedBy: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "User",
+      },
+    ],
+    lots: [
+      {
+        lotNumber: {
+          type: String,
           required: true,
+          trim: true,
         },
-        timestamp: {
+        expiryDate: Date,
+        quantity: {
+          type: Number,
+          required: true,
+        },
+        remaining: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        reference: String,
+        receivedAt: {
           type: Date,
           default: Date.now,
         },
       },
     ],
     supplier: {
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Supplier",
+      },
       name: String,
       contact: String,
       lastPurchaseDate: Date,
@@ -170,6 +256,15 @@ const productSchema = new mongoose.Schema(
           type: Boolean,
           default: false,
         },
+        // Resized copies of uploaded images, by size name
+        sizes: {
+          large: String,
+          medium: String,
+          thumbnail: String,
+        },
+        storageKeys: [String], // Files to remove along with the image
+        width: Number,
+        height: Number,
       },
     ],
     attributes: [
@@ -178,6 +273,52 @@ const productSchema = new mongoose.Schema(
         value: String,
       },
     ],
+    // Bundles (hampers, combo packs) are made up of other products. They
+    // hold no stock; selling one takes its components out of stock.
+    productType: {
+      type: String,
+      enum: ["standard", "bundle"],
+      default: "standard",
+    },
+    components: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: [1, "Component quantity must be at least 1"],
+        },
+      },
+    ],
+    // Variants (size, colour, pack) hang off a parent product. The parent
+    // holds the shared category and attributes but no stock of its own.
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+    hasVariants: {
+      type: Boolean,
+      default: false,
+    },
+    variantOptions: [
+      {
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        value: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+      },
+    ],
     status: {
       isActive: {
         type: Boolean,
@@ -199,6 +340,10 @@ const productSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      totalCost: {
+        type: Number,
+        default: 0, // Cost of goods sold
+      },
       averageDailySales: {
         type: Number,
         default: 0,
@@ -209,6 +354,23 @@ const productSchema = new mongoose.Schema(
         default: 0,
       },
     },
+    // ABC class by share of revenue and XYZ class by how steady weekly
+    // demand is, over the last classification period
+    classification: {
+      abc: {
+        type: String,
+        enum: ["A", "B", "C"],
+      },
+      xyz: {
+        type: String,
+        enum: ["X", "Y", "Z"],
+      },
+      revenue: Number,
+      revenueShare: Number,
+      variability: Number, // Coefficient of variation of weekly demand
+      periodDays: Number,
+      classifiedAt: Date,
+    },
     metadata: {
       createdBy: {
         type: mongoose.Schema.Types.ObjectId,
@@ -239,10 +401,17 @@ productSchema.index({ "status.isActive": 1 });
 productSchema.index({ "inventory.currentStock": 1 });
 productSchema.index({ "pricing.sellingPrice": 1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ "lots.expiryDate": 1 });
+productSchema.index({ "inventory.locations.location": 1 });
+productSchema.index({ parent: 1 });
+productSchema.index({ "components.product": 1 });
+productSchema.index({ "variantOptions.value": 1 });
+productSchema.index({ "classification.abc": 1, "classification.xyz": 1 });
+productSchema.index({ "performance.lastSoldDate": 1 });
 
 // Virtual for profit margin
 productSchema.virtual("profitMargin").get(function () {
-  if (this.pricing.cost === 0) return 100;
+  if (!this.pricing.cost) return 100;
   return (
     ((this.pricing.sellingPrice - this.pricing.cost) / this.pricing.cost) *
     100
@@ -259,20 +428,279 @@ productSchema.virtual("stockStatus").get(function () {
   return "in_stock";
 });
 
+// Virtual for the variant label, e.g. "500ml / Red"
+productSchema.virtual("variantLabel").get(function () {
+  if (!this.variantOptions || this.variantOptions.length === 0) return null;
+  return this.variantOptions.map((option) => option.value).join(" / ");
+});
+
 // Virtual for effective price (after discount)
 productSchema.virtual("effectivePrice").get(function () {
   const discount = this.pricing.discount || 0;
   return this.pricing.sellingPrice * (1 - discount / 100);
 });
 
-// Method to update stock
+// Virtual for effective price per base unit
+productSchema.virtual("baseUnitPrice").get(function () {
+  return this.effectivePrice / this.getUnitFactor(this.sellingUnit);
+});
+
+// Number of base units in one `unit`. No unit means the base unit.
+productSchema.methods.getUnitFactor = function (unit) {
+  if (!unit || unit === this.unit) return 1;
+
+  const conversion = this.unitConversions.find((c) => c.unit === unit);
+  if (!conversion) {
+    throw new Error(`${this.name} cannot be measured in ${unit}`);
+  }
+  return conversion.factor;
+};
+
+productSchema.methods.toBaseQuantity = function (quantity, unit) {
+  return quantity * this.getUnitFactor(unit);
+};
+
+// Effective price of one `unit`, scaled from the selling unit price
+productSchema.methods.getUnitPrice = function (unit) {
+  const sellingUnit = this.sellingUnit || this.unit;
+  if (!unit || unit === sellingUnit) return this.effectivePrice;
+  return this.baseUnitPrice * this.getUnitFactor(unit);
+};
+
+// Make sure the cost layers cover stock that was on hand before costing
+// was tracked, so older products can be valued and costed like new ones
+productSchema.methods.syncCostLayers = function () {
+  const layered = this.costLayers.reduce(
+    (sum, layer) => sum + layer.remaining,
+    0
+  );
+  const untracked = this.inventory.currentStock - layered;
+
+  if (untracked > 0) {
+    this.costLayers.unshift({
+      quantity: untracked,
+      remaining: untracked,
+      unitCost: this.pricing.cost || 0,
+      reference: "Opening balance",
+    });
+  }
+};
+
+// Book units in at `unitCost` and update the carried cost
+productSchema.methods.addCostLayer = function (
+  quantity,
+  unitCost,
+  reference,
+  costingMethod
+) {
+  const onHand = Math.max(0, this.inventory.currentStock);
+  // Units that fill a backorder were already costed when they went out
+  const backordered = Math.max(0, -this.inventory.currentStock);
+
+  if (quantity > backordered) {
+    this.costLayers.push({
+      quantity,
+      remaining: quantity - backordered,
+      unitCost,
+      reference,
+    });
+  }
+
+  if (costingMethod === "fifo") {
+    this.pricing.cost = this.getLayerAverageCost();
+  } else {
+    this.pricing.cost =
+      (onHand * (this.pricing.cost || 0) + quantity * unitCost) /
+      (onHand + quantity);
+  }
+};
+
+// Take units out of the cost layers oldest first and return their cost.
+// Under weighted average the issue is costed at the carried cost instead.
+productSchema.methods.consumeCostLayers = function (quantity, costingMethod) {
+  const carriedCost = this.pricing.cost || 0;
+  let outstanding = quantity;
+  let fifoCost = 0;
+
+  for (const layer of this.costLayers) {
+    if (outstanding === 0) break;
+
+    const taken = Math.min(layer.remaining, outstanding);
+    layer.remaining -= taken;
+    outstanding -= taken;
+    fifoCost += taken * layer.unitCost;
+  }
+
+  this.costLayers = this.costLayers.filter((layer) => layer.remaining > 0);
+
+  // Anything sold on backorder has no layer yet, so cost it at carried cost
+  fifoCost += outstanding * carriedCost;
+
+  if (costingMethod === "fifo") {
+    if (this.costLayers.length > 0) {
+      this.pricing.cost = this.getLayerAverageCost();
+    }
+    return fifoCost;
+  }
+
+  return quantity * carriedCost;
+};
+
+// Average unit cost of the units still held in cost layers
+productSchema.methods.getLayerAverageCost = function () {
+  let quantity = 0;
+  let value = 0;
+
+  this.costLayers.forEach((layer) => {
+    quantity += layer.remaining;
+    value += layer.remaining * layer.unitCost;
+  });
+
+  return quantity > 0 ? value / quantity : this.pricing.cost || 0;
+};
+
+// Book units into a lot, topping up an existing lot with the same number
+productSchema.methods.addToLot = function (lot, quantity, reference) {
+  const existing = this.lots.find((l) => l.lotNumber === lot.lotNumber);
+
+  if (existing) {
+    existing.quantity += quantity;
+    existing.remaining += quantity;
+    if (lot.expiryDate) existing.expiryDate = lot.expiryDate;
+  } else {
+    this.lots.push({
+      lotNumber: lot.lotNumber,
+      expiryDate: lot.expiryDate,
+      quantity,
+      remaining: quantity,
+      reference,
+    });
+  }
+};
+
+// Take units out of lots first-expiry-first-out and return what was taken.
+// Sales skip expired lots; write-offs and adjustments may take them. A named
+// lot is drawn down before any other.
+productSchema.methods.consumeLots = function (
+  quantity,
+  skipExpired = false,
+  lotNumber = null
+) {
+  const now = new Date();
+  const taken = [];
+  let outstanding = quantity;
+
+  const lots = [...this.lots].sort((a, b) => {
+    if (lotNumber && a.lotNumber === lotNumber) return -1;
+    if (lotNumber && b.lotNumber === lotNumber) return 1;
+    if (!a.expiryDate) return 1;
+    if (!b.expiryDate) return -1;
+    return a.expiryDate - b.expiryDate;
+  });
+
+  for (const lot of lots) {
+    if (outstanding === 0) break;
+    if (skipExpired && lot.expiryDate && lot.expiryDate <= now) continue;
+
+    const quantityTaken = Math.min(lot.remaining, outstanding);
+    if (quantityTaken === 0) continue;
+
+    lot.remaining -= quantityTaken;
+    outstanding -= quantityTaken;
+    taken.push({
+      lotNumber: lot.lotNumber,
+      expiryDate: lot.expiryDate,
+      quantity: quantityTaken,
+    });
+  }
+
+  this.lots = this.lots.filter((lot) => lot.remaining > 0);
+  return taken;
+};
+
+// Stock that can still be sold, i.e. everything except expired lots and
+// stock held for parked sales and layaways
+productSchema.methods.getSellableStock = function () {
+  const now = new Date();
+  const expired = this.lots
+    .filter((lot) => lot.expiryDate && lot.expiryDate <= now)
+    .reduce((sum, lot) => sum + lot.remaining, 0);
+
+  return Math.max(
+    0,
+    this.inventory.currentStock - expired - this.inventory.reservedStock
+  );
+};
+
+// Put stock not yet allocated to any location (e.g. stock held before
+// multi-location was switched on) at the default location
+productSchema.methods.syncLocationStock = function (defaultLocationId) {
+  const allocated = this.inventory.locations.reduce(
+    (sum, entry) => sum + entry.quantity,
+    0
+  );
+  const unallocated = this.inventory.currentStock - allocated;
+
+  if (unallocated !== 0) {
+    const entry = this.inventory.locations.find(
+      (e) => e.location.toString() === defaultLocationId.toString()
+    );
+    if (entry) {
+      entry.quantity += unallocated;
+    } else {
+      this.inventory.locations.push({
+        location: defaultLocationId,
+        quantity: unallocated,
+      });
+    }
+  }
+};
+
+// Stock held at a single location. Unallocated stock counts towards the
+// default location.
+productSchema.methods.getLocationStock = function (
+  locationId,
+  defaultLocationId = null
+) {
+  const entry = this.inventory.locations.find(
+    (e) => e.location.toString() === locationId.toString()
+  );
+  let quantity = entry ? entry.quantity : 0;
+
+  if (
+    defaultLocationId &&
+    locationId.toString() === defaultLocationId.toString()
+  ) {
+    const allocated = this.inventory.locations.reduce(
+      (sum, e) => sum + e.quantity,
+      0
+    );
+    quantity += this.inventory.currentStock - allocated;
+  }
+
+  return quantity;
+};
+
+// Method to update stock. Runs in the session the product was loaded in, if
+// any. `details` can carry:
+//   unitCost  - cost of incoming units (defaults to the carried cost)
+//   lotNumber, expiryDate - lot the units are booked into or taken from
+//   lots      - [{ lotNumber, expiryDate, quantity }] for returns spread
+//               over several lots
+//   location  - location the stock moves in or out of (multi-location only,
+//               defaults to the default location)
+//   allowNegative - let stock go below zero, for sales that already happened
+//               (offline sales synced later)
 productSchema.methods.updateStock = async function (
   quantity,
   type,
   reference,
   userId,
-  reason = null
+  reason = null,
+  details = {}
 ) {
+  const { unitCost = null, lotNumber, expiryDate } = details;
+  const allowNegative = this.inventory.allowBackorder || details.allowNegative;
   const previousStock = this.inventory.currentStock;
   let newStock = previousStock;
 
@@ -285,41 +713,196 @@ productSchema.methods.updateStock = async function (
     case "purchase":
     case "return":
     case "adjustment":
+    case "transfer_in":
       newStock = previousStock + quantity;
       break;
   }
 
-  if (newStock < 0 && !this.inventory.allowBackorder) {
+  if (newStock < 0 && !allowNegative) {
     throw new Error("Insufficient stock");
   }
 
-  this.inventory.currentStock = newStock;
+  // Keep per-location stock in step with the total
+  let location = null;
 
-  // Record stock movement
-  this.stockMovements.push({
-    type,
-    quantity,
-    previousStock,
-    newStock,
-    reference,
-    reason,
-    performedBy: userId,
-  });
+  if (config.features.multiLocation) {
+    const defaultLocation = await Location.getDefault();
 
-  // Keep only last 100 stock movements
-  if (this.stockMovements.length > 100) {
-    this.stockMovements = this.stockMovements.slice(-100);
+    if (defaultLocation) {
+      location = details.location || defaultLocation._id;
+      this.syncLocationStock(defaultLocation._id);
+
+      let entry = this.inventory.locations.find(
+        (e) => e.location.toString() === location.toString()
+      );
+      if (!entry) {
+        this.inventory.locations.push({ location, quantity: 0 });
+        entry = this.inventory.locations[this.inventory.locations.length - 1];
+      }
+
+      const locationStock = entry.quantity + (newStock - previousStock);
+      if (locationStock < 0 && !allowNegative) {
+        throw new Error("Insufficient stock at this location");
+      }
+      entry.quantity = locationStock;
+    }
+  }
+
+  // Value the movement against the cost layers
+  const settings = await Settings.getSettings();
+  const costingMethod = settings.inventory.costingMethod;
+  const movedQuantity = Math.abs(newStock - previousStock);
+  let movementCost = 0;
+
+  this.syncCostLayers();
+
+  if (newStock > previousStock) {
+    const layerCost = unitCost !== null ? unitCost : this.pricing.cost || 0;
+    this.addCostLayer(movedQuantity, layerCost, reference, costingMethod);
+    movementCost = movedQuantity * layerCost;
+  } else if (newStock < previousStock) {
+    movementCost = this.consumeCostLayers(movedQuantity, costingMethod);
+  }
+
+  // Track lots. Incoming units only join a lot when one is given.
+  let movementLots = [];
+
+  if (newStock > previousStock) {
+    if (details.lots) {
+      movementLots = details.lots;
+    } else if (lotNumber) {
+      movementLots = [{ lotNumber, expiryDate, quantity: movedQuantity }];
+    }
+    movementLots.forEach((lot) => this.addToLot(lot, lot.quantity, reference));
+  } else if (newStock < previousStock && this.lots.length > 0) {
+    movementLots = this.consumeLots(movedQuantity, type === "sale", lotNumber);
   }
 
+  this.inventory.currentStock = newStock;
+
   // Update performance metrics
   if (type === "sale") {
     this.performance.totalSold += quantity;
-    this.performance.totalRevenue += quantity * this.effectivePrice;
+    this.performance.totalRevenue += quantity * this.baseUnitPrice;
+    this.performance.totalCost += movementCost;
     this.performance.lastSoldDate = new Date();
   }
 
+  // Average daily sales over the last 30 days, from the ledger
+  const recentlySold =
+    (await StockMovement.getQuantitySold(this._id, 30)) +
+    (type === "sale" ? quantity : 0);
+  this.performance.averageDailySales = recentlySold / 30;
+
+  if (newStock > 0) {
+    this.performance.turnoverRate =
+      this.performance.averageDailySales / newStock;
+  }
+
+  await this.validate();
+
+  // Only write the new stock if nobody has moved it since this product was
+  // loaded, so two tills can't both sell the last unit
+  const session = this.$session();
+  const { matchedCount } = await this.constructor.updateOne(
+    { _id: this._id, "inventory.currentStock": previousStock },
+    { $set: { "inventory.currentStock": newStock } },
+    { session }
+  );
+  if (matchedCount === 0) {
+    throw new Error(
+      `Stock of ${this.name} changed while it was being updated. Please try again`
+    );
+  }
+
   await this.save();
-  return this;
+
+  // Record the movement in the ledger
+  const [movement] = await StockMovement.create(
+    [
+      {
+        product: this._id,
+        type,
+        quantity,
+        previousStock,
+        newStock,
+        reference,
+        reason,
+        unitCost: movedQuantity > 0 ? movementCost / movedQuantity : 0,
+        totalCost: movementCost,
+        lots: movementLots,
+        location,
+        performedBy: userId,
+      },
+    ],
+    { session }
+  );
+  return movement;
+};
+
+// Method to compare current stock against the movement ledger. With `apply`
+// the recorded stock is rebuilt from the ledger.
+productSchema.methods.reconcileStock = async function (apply = false) {
+  const ledger = await StockMovement.getLedgerBalance(this._id);
+  const recorded = this.inventory.currentStock;
+
+  const result = {
+    recorded,
+    ledger: ledger ? ledger.balance : null,
+    difference: ledger ? ledger.balance - recorded : 0,
+    movements: ledger ? ledger.movements : 0,
+    breaks: ledger ? ledger.breaks : [],
+    applied: false,
+  };
+
+  if (apply && ledger && result.difference !== 0) {
+    const settings = await Settings.getSettings();
+    this.syncCostLayers();
+    if (result.difference < 0) {
+      this.consumeCostLayers(
+        -result.difference,
+        settings.inventory.costingMethod
+      );
+    }
+    this.inventory.currentStock = ledger.balance;
+    this.syncCostLayers();
+    await this.save();
+    result.applied = true;
+  }
+
+  return result;
+};
+
+// Method to work out how many of a bundle can be made up from component
+// stock, optionally at one location
+productSchema.methods.getBundleAvailability = async function (
+  locationId = null,
+  defaultLocationId = null
+) {
+  if (this.productType !== "bundle") return this.inventory.currentStock;
+
+  const Product = this.constructor;
+  let available = Infinity;
+
+  for (const component of this.components) {
+    const product = await Product.findById(component.product);
+    if (!product || !product.status.isActive) return 0;
+    if (!product.inventory.trackInventory || product.inventory.allowBackorder) {
+      continue;
+    }
+
+    let stock = product.getSellableStock();
+    if (locationId) {
+      stock = Math.min(
+        stock,
+        product.getLocationStock(locationId, defaultLocationId)
+      );
+    }
+
+    available = Math.min(available, Math.floor(stock / component.quantity));
+  }
+
+  return Math.max(0, available);
 };
 
 // Method to check if product needs reorder
@@ -331,7 +914,7 @@ productSchema.methods.needsReorder = function () {
 
 // Method to calculate stock value
 productSchema.methods.getStockValue = function () {
-  return this.inventory.currentStock * this.pricing.cost;
+  return this.inventory.currentStock * (this.pricing.cost || 0);
 };
 
 // Method to calculate days of stock remaining
@@ -342,6 +925,134 @@ productSchema.methods.getDaysOfStock = function () {
   );
 };
 
+// Method to make one of the product's images the primary image
+productSchema.methods.setPrimaryImage = function (imageId) {
+  const image = this.images.id(imageId);
+  if (!image) {
+    throw new Error("Image not found");
+  }
+
+  this.images.forEach((other) => {
+    other.isPrimary = other === image;
+  });
+  return image;
+};
+
+// Static method to copy the fields variants share from their parent
+productSchema.statics.syncVariants = function (parent) {
+  return this.updateMany(
+    { parent: parent._id },
+    {
+      category: parent.category,
+      subcategory: parent.subcategory,
+      brand: parent.brand,
+      attributes: parent.attributes,
+    }
+  );
+};
+
+// Static method to check a bundle's components exist and are not bundles
+// themselves
+productSchema.statics.checkComponents = async function (components, bundleId) {
+  if (!components || components.length === 0) {
+    throw new Error("A bundle needs at least one component");
+  }
+
+  for (const component of components) {
+    if (bundleId && component.product.toString() === bundleId.toString()) {
+      throw new Error("A bundle cannot contain itself");
+    }
+
+    const product = await this.findById(component.product);
+    if (!product) {
+      throw new Error(`Component ${component.product} not found`);
+    }
+    // Serialized units have to be picked by serial number when sold
+    if (
+      product.productType === "bundle" ||
+      product.hasVariants ||
+      product.inventory.serialized
+    ) {
+      throw new Error(`${product.name} cannot be used as a bundle component`);
+    }
+  }
+};
+
+// Static method to hold stock for parked sales and layaways, from lines of
+// { product, baseQuantity }. Only free stock is held, so two baskets can't
+// hold the same units, and nothing is held unless every line can be.
+// Bundles and products that don't track stock hold nothing.
+productSchema.statics.reserveStock = async function (lines) {
+  const quantities = new Map();
+  for (const line of lines) {
+    const key = line.product.toString();
+    quantities.set(key, (quantities.get(key) || 0) + line.baseQuantity);
+  }
+
+  const reservations = [];
+  for (const [productId, quantity] of quantities) {
+    const product = await this.findById(productId);
+    if (
+      !product ||
+      product.productType === "bundle" ||
+      !product.inventory.trackInventory
+    ) {
+      continue;
+    }
+
+    const available = product.getSellableStock();
+    if (available < quantity && !product.inventory.allowBackorder) {
+      await this.releaseStock(reservations);
+      throw new Error(`Only ${available} of ${product.name} can be held`);
+    }
+
+    const { matchedCount } = await this.updateOne(
+      {
+        _id: product._id,
+        "inventory.reservedStock": product.inventory.reservedStock,
+      },
+      { $inc: { "inventory.reservedStock": quantity } }
+    );
+    if (matchedCount === 0) {
+      await this.releaseStock(reservations);
+      throw new Error(
+        `Stock of ${product.name} changed while it was being held. Please try again`
+      );
+    }
+    reservations.push({ product: product._id, quantity });
+  }
+
+  return reservations;
+};
+
+// Static method to give back stock held by reserveStock
+productSchema.statics.releaseStock = async function (
+  reservations,
+  session = null
+) {
+  for (const reservation of reservations) {
+    await this.updateOne(
+      { _id: reservation.product },
+      { $inc: { "inventory.reservedStock": -reservation.quantity } },
+      { session }
+    );
+  }
+};
+
+// Static method to get the next unused in-store EAN-13
+productSchema.statics.generateBarcode = async function () {
+  const settings = await Settings.getSettings();
+  const prefix = settings.inventory.barcodePrefix;
+
+  let barcode;
+  do {
+    const sequence = await Counter.getNextSequence(`barcode_${prefix}`);
+    barcode = buildEan13(prefix, sequence);
+  } while (await this.exists({ barcode }));
+
+  return barcode;
+};
+
 // Static method to find low stock products
 productSchema.statics.findLowStock = function () {
   return this.find({
@@ -370,7 +1081,12 @@ productSchema.statics.calculateInventoryValue = async function () {
       $group: {
         _id: null,
         totalValue: {
-          $sum: { $multiply: ["$inventory.currentStock", "$pricing.cost"] },
+          $sum: {
+            $multiply: [
+              "$inventory.currentStock",
+              { $ifNull: ["$pricing.cost", 0] },
+            ],
+          },
         },
         totalRetailValue: {
           $sum: {
@@ -385,40 +1101,187 @@ productSchema.statics.calculateInventoryValue = async function () {
   return result[0] || { totalValue: 0, totalRetailValue: 0, totalItems: 0 };
 };
 
-// Pre-save middleware to update SKU if not provided
+// Static method to find stock that isn't selling. Products count from when
+// they were added until their first sale. Stock unsold for `deadDays` is
+// dead; anything unsold for `slowDays` is slow moving.
+productSchema.statics.findDeadStock = async function (
+  slowDays = 30,
+  deadDays = 90,
+  match = {}
+) {
+  const DAY = 24 * 60 * 60 * 1000;
+  const now = new Date();
+
+  return await this.aggregate([
+    {
+      $match: {
+        "status.isActive": true,
+        "inventory.currentStock": { $gt: 0 },
+        productType: "standard",
+        hasVariants: false,
+        ...match,
+      },
+    },
+    {
+      $project: {
+        name: 1,
+        sku: 1,
+        category: 1,
+        currentStock: "$inventory.currentStock",
+        cost: "$pricing.cost",
+        lastSoldDate: "$performance.lastSoldDate",
+        abcClass: "$classification.abc",
+        xyzClass: "$classification.xyz",
+        daysSinceSale: {
+          $floor: {
+            $divide: [
+              {
+                $subtract: [
+                  now,
+                  { $ifNull: ["$performance.lastSoldDate", "$createdAt"] },
+                ],
+              },
+              DAY,
+            ],
+          },
+        },
+        tiedUpValue: {
+          $multiply: [
+            "$inventory.currentStock",
+            { $ifNull: ["$pricing.cost", 0] },
+          ],
+        },
+      },
+    },
+    { $match: { daysSinceSale: { $gte: slowDays } } },
+    {
+      $addFields: {
+        status: {
+          $cond: [{ $gte: ["$daysSinceSale", deadDays] }, "dead", "slow"],
+        },
+      },
+    },
+    { $sort: { tiedUpValue: -1 } },
+  ]);
+};
+
+// Static method to find lots expiring within `days` (expired lots included)
+productSchema.statics.findExpiringLots = async function (days = 30) {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() + days);
+
+  return await this.aggregate([
+    {
+      $match: {
+        "status.isActive": true,
+        lots: {
+          $elemMatch: { remaining: { $gt: 0 }, expiryDate: { $lte: cutoff } },
+        },
+      },
+    },
+    { $unwind: "$lots" },
+    {
+      $match: {
+        "lots.remaining": { $gt: 0 },
+        "lots.expiryDate": { $lte: cutoff },
+      },
+    },
+    {
+      $project: {
+        name: 1,
+        sku: 1,
+        barcode: 1,
+        lotNumber: "$lots.lotNumber",
+        expiryDate: "$lots.expiryDate",
+        remaining: "$lots.remaining",
+        value: {
+          $multiply: ["$lots.remaining", { $ifNull: ["$pricing.cost", 0] }],
+        },
+        isExpired: { $lte: ["$lots.expiryDate", "$$NOW"] },
+      },
+    },
+    { $sort: { expiryDate: 1 } },
+  ]);
+};
+
+// Bundles don't hold stock of their own
 productSchema.pre("save", function (next) {
-  if (!this.sku && this.isNew) {
-    // Generate SKU from category and timestamp
-    this.sku = `PRD${Date.now().toString(36).toUpperCase()}`;
+  if (this.productType === "bundle") {
+    if (this.components.length === 0) {
+      return next(new Error("A bundle needs at least one component"));
+    }
+    if (this.inventory.serialized) {
+      return next(new Error("Bundles cannot be serialized"));
+    }
+    this.inventory.trackInventory = false;
+    this.inventory.currentStock = 0;
   }
   next();
 });
 
-// Pre-save middleware to update performance metrics
+// Purchase and selling units need a conversion to the base unit
 productSchema.pre("save", function (next) {
-  if (this.isModified("stockMovements")) {
-    // Calculate average daily sales from last 30 days
-    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    const recentSales = this.stockMovements.filter(
-      (movement) =>
-        movement.type === "sale" && movement.timestamp > thirtyDaysAgo
-    );
+  const units = this.unitConversions.map((conversion) => conversion.unit);
 
-    const totalQuantity = recentSales.reduce(
-      (sum, sale) => sum + sale.quantity,
-      0
-    );
-    this.performance.averageDailySales = totalQuantity / 30;
+  if (units.includes(this.unit)) {
+    return next(new Error("The base unit does not need a conversion"));
+  }
+  if (new Set(units).size !== units.length) {
+    return next(new Error("Each unit can only be converted once"));
+  }
 
-    // Calculate turnover rate
-    if (this.inventory.currentStock > 0) {
-      this.performance.turnoverRate =
-        this.performance.averageDailySales / this.inventory.currentStock;
+  for (const unit of [this.purchaseUnit, this.sellingUnit]) {
+    if (unit && unit !== this.unit && !units.includes(unit)) {
+      return next(
+        new Error(`Add a conversion from ${unit} to ${this.unit} first`)
+      );
     }
   }
   next();
 });
 
+// Exactly one image is primary, the first unless another is chosen
+productSchema.pre("save", function (next) {
+  if (this.isModified("images") && this.images.length > 0) {
+    const primary =
+      this.images.find((image) => image.isPrimary) || this.images[0];
+    this.images.forEach((image) => {
+      image.isPrimary = image === primary;
+    });
+  }
+  next();
+});
+
+// Open a cost layer for stock a product is created with
+productSchema.pre("save", function (next) {
+  if (this.isNew && this.inventory.currentStock > 0) {
+    this.syncCostLayers();
+  }
+  next();
+});
+
+// Give new products a barcode so they can be scanned. Parents of variants
+// aren't sold themselves, so they don't need one.
+productSchema.pre("save", async function (next) {
+  if (this.isNew && !this.barcode && !this.hasVariants) {
+    try {
+      this.barcode = await this.constructor.generateBarcode();
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Pre-save middleware to update SKU if not provided
+productSchema.pre("save", function (next) {
+  if (!this.sku && this.isNew) {
+    // Generate SKU from category and timestamp
+    this.sku = `PRD${Date.now().toString(36).toUpperCase()}`;
+  }
+  next();
+});
+
 const Product = mongoose.model("Product", productSchema);
 
 module.exports = Product;
@@ -0,0 +1,99 @@
+// backend/src/models/ProductImport.js
+const mongoose = require("mongoose");
+
+// A product import batch, kept so the whole batch can be rolled back
+const productImportSchema = new mongoose.Schema(
+  {
+    batch: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    fileName: String,
+    mode: {
+      type: String,
+      enum: ["create", "upsert"],
+      default: "create",
+    },
+    matchBy: {
+      type: String,
+      enum: ["sku", "barcode"],
+      default: "sku",
+    },
+    status: {
+      type: String,
+      enum: ["completed", "rolled_back"],
+      default: "completed",
+    },
+    summary: {
+      total: { type: Number, default: 0 },
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+    created: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+    // Field values the import overwrote, and the stock it added
+    updated: [
+      {
+        _id: false,
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        fields: [
+          {
+            _id: false,
+            path: String,
+            previous: mongoose.Schema.Types.Mixed,
+          },
+        ],
+        stockChange: {
+          type: Number,
+          default: 0,
+        },
+        // Set once a rollback has restored this product
+        rolledBack: {
+          type: Boolean,
+          default: false,
+        },
+      },
+    ],
+    // Products the rollback had to leave alone, and why
+    skipped: [
+      {
+        _id: false,
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+        },
+        name: String,
+        reason: String,
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    rolledBackBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    rolledBackAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+productImportSchema.index({ createdAt: -1 });
+
+const ProductImport = mongoose.model("ProductImport", productImportSchema);
+
+module.exports = ProductImport;
@@ -0,0 +1,536 @@
+// backend/src/models/PurchaseOrder.js
+const mongoose = require("mongoose");
+const Counter = require("./Counter");
+const GoodsReceivedNote = require("./GoodsReceivedNote");
+const SerialNumber = require("./SerialNumber");
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    poNumber: {
+      type: String,
+      required: function () {
+        return !this.isNew; // Only required after creation
+      },
+      unique: true,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: [true, "Supplier is required"],
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        productName: {
+          type: String,
+          required: true, // Store name at time of ordering
+        },
+        sku: String,
+        // Unit ordered in, with the number of stock units in each
+        unit: String,
+        unitFactor: {
+          type: Number,
+          default: 1,
+        },
+        quantityOrdered: {
+          type: Number,
+          required: true,
+          min: [1, "Quantity must be at least 1"],
+        },
+        quantityReceived: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        quantityRejected: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        unitCost: {
+          type: Number,
+          required: true,
+          min: [0, "Cost cannot be negative"],
+        },
+        subtotal: {
+          type: Number,
+          default: 0,
+        },
+      },
+    ],
+    status: {
+      type: String,
+      enum: [
+        "draft",
+        "sent",
+        "partially_received",
+        "received",
+        "closed",
+        "cancelled",
+      ],
+      default: "draft",
+    },
+    statusHistory: [
+      {
+        status: String,
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+        updatedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        notes: String,
+      },
+    ],
+    receipts: [
+      {
+        grn: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "GoodsReceivedNote",
+        },
+        grnNumber: String,
+        receivedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        receivedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        items: [
+          {
+            product: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Product",
+            },
+            quantity: Number,
+            unitCost: Number,
+          },
+        ],
+        value: Number,
+        notes: String,
+      },
+    ],
+    expectedDate: Date,
+    totals: {
+      subtotal: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      tax: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      shipping: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      total: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      received: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+    },
+    payment: {
+      status: {
+        type: String,
+        enum: ["unpaid", "partial", "paid"],
+        default: "unpaid",
+      },
+      amountPaid: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      dueDate: Date,
+      transactions: [
+        {
+          amount: Number,
+          method: {
+            type: String,
+            enum: ["cash", "mpesa", "bank_transfer", "cheque", "credit"],
+          },
+          reference: String,
+          date: {
+            type: Date,
+            default: Date.now,
+          },
+          recordedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+        },
+      ],
+    },
+    notes: {
+      internal: String,
+      supplier: String, // Printed on the PO sent to the supplier
+    },
+    // Drafts raised by the reorder job are left for the owner to approve
+    source: {
+      type: String,
+      enum: ["manual", "auto_reorder"],
+      default: "manual",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+purchaseOrderSchema.index({ poNumber: 1 });
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+purchaseOrderSchema.index({ status: 1 });
+purchaseOrderSchema.index({ "items.product": 1 });
+purchaseOrderSchema.index({ "payment.status": 1 });
+purchaseOrderSchema.index({ expectedDate: 1 });
+
+// Virtual for outstanding quantity across all lines
+purchaseOrderSchema.virtual("outstandingQuantity").get(function () {
+  return this.items.reduce(
+    (sum, item) =>
+      sum + Math.max(0, item.quantityOrdered - item.quantityReceived),
+    0
+  );
+});
+
+// Virtual for amount still owed to the supplier for goods received
+purchaseOrderSchema.virtual("balanceDue").get(function () {
+  return Math.max(0, this.totals.received - this.payment.amountPaid);
+});
+
+// Generate PO number before saving
+purchaseOrderSchema.pre("save", async function (next) {
+  if (this.isNew && !this.poNumber) {
+    try {
+      const sequence = await Counter.getNextSequence("purchase_order");
+
+      const date = new Date();
+      const year = date.getFullYear().toString().substr(-2);
+      const month = (date.getMonth() + 1).toString().padStart(2, "0");
+      const sequenceStr = sequence.toString().padStart(5, "0");
+
+      this.poNumber = `PO${year}${month}${sequenceStr}`;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Calculate totals before saving
+purchaseOrderSchema.pre("save", function (next) {
+  if (
+    this.isNew ||
+    this.isModified("items") ||
+    this.isModified("totals.tax") ||
+    this.isModified("totals.shipping")
+  ) {
+    let subtotal = 0;
+
+    this.items.forEach((item) => {
+      item.subtotal = item.unitCost * item.quantityOrdered;
+      subtotal += item.subtotal;
+    });
+
+    this.totals.subtotal = subtotal;
+    this.totals.total =
+      subtotal + (this.totals.tax || 0) + (this.totals.shipping || 0);
+  }
+  next();
+});
+
+// Instance methods
+purchaseOrderSchema.methods.updateStatus = async function (
+  newStatus,
+  userId,
+  notes
+) {
+  this.status = newStatus;
+  this.statusHistory.push({
+    status: newStatus,
+    updatedBy: userId,
+    notes,
+  });
+  this.updatedBy = userId;
+
+  await this.save();
+  return this;
+};
+
+// Receive a delivery against this PO. `delivery.items` is
+// [{ productId, quantity, quantityDispatched?, quantityDamaged?,
+// damageReason?, unitCost?, lotNumber?, expiryDate? }] where
+// `quantity` is what physically arrived and `quantityDispatched` what the
+// supplier's delivery note says was sent (the same if not given). A goods
+// received note is raised for the delivery and only accepted units count
+// towards the order. Everything is written in the session the PO was loaded
+// in, so run it in a transaction (utils/transaction) to receive all or
+// nothing.
+purchaseOrderSchema.methods.receive = async function (delivery, userId) {
+  if (!["sent", "partially_received"].includes(this.status)) {
+    throw new Error(`Cannot receive goods on a ${this.status} purchase order`);
+  }
+
+  const { items, deliveryNote, notes } = delivery;
+  const Product = mongoose.model("Product");
+  const Supplier = mongoose.model("Supplier");
+  const session = this.$session();
+  const supplier = await Supplier.findById(this.supplier).session(session);
+
+  const grnItems = [];
+
+  for (const receiveItem of items) {
+    const line = this.items.find(
+      (item) => item.product.toString() === receiveItem.productId
+    );
+
+    if (!line) {
+      throw new Error(
+        `Product ${receiveItem.productId} not found in purchase order`
+      );
+    }
+
+    const quantityDamaged = receiveItem.quantityDamaged || 0;
+    const quantityDispatched =
+      receiveItem.quantityDispatched !== undefined
+        ? receiveItem.quantityDispatched
+        : receiveItem.quantity;
+
+    if (quantityDamaged > receiveItem.quantity) {
+      throw new Error(
+        `Damaged quantity for ${line.productName} exceeds quantity delivered`
+      );
+    }
+
+    // Serialized products need a serial number for each unit accepted
+    let serialNumbers = [];
+    const product = await Product.findById(line.product).session(session);
+    if (product?.inventory.serialized) {
+      serialNumbers = await SerialNumber.checkIncoming(
+        product,
+        receiveItem.serialNumbers,
+        (receiveItem.quantity - quantityDamaged) * (line.unitFactor || 1)
+      );
+    }
+
+    grnItems.push({
+      product: line.product,
+      productName: line.productName,
+      unit: line.unit,
+      unitFactor: line.unitFactor,
+      quantityExpected: Math.max(
+        0,
+        line.quantityOrdered - line.quantityReceived
+      ),
+      quantityDispatched,
+      quantityDelivered: receiveItem.quantity,
+      quantityDamaged,
+      unitCost:
+        receiveItem.unitCost !== undefined
+          ? receiveItem.unitCost
+          : line.unitCost,
+      lotNumber: receiveItem.lotNumber,
+      expiryDate: receiveItem.expiryDate,
+      serialNumbers,
+      damageReason: receiveItem.damageReason,
+      notes: receiveItem.notes,
+    });
+  }
+
+  if (!grnItems.some((item) => item.quantityDelivered > 0)) {
+    throw new Error("No quantities to receive");
+  }
+
+  const grn = new GoodsReceivedNote({
+    purchaseOrder: this._id,
+    poNumber: this.poNumber,
+    supplier: this.supplier,
+    deliveryNote,
+    items: grnItems,
+    receivedBy: userId,
+    notes,
+  });
+  await grn.save({ session });
+  await grn.postStock(userId);
+
+  const receivedItems = [];
+
+  for (const grnItem of grn.items) {
+    if (grnItem.quantityDelivered === 0) continue;
+
+    const line = this.items.find(
+      (item) => item.product.toString() === grnItem.product.toString()
+    );
+    line.quantityReceived += grnItem.quantityAccepted;
+    line.quantityRejected += grnItem.quantityDamaged;
+
+    if (grnItem.quantityAccepted > 0) {
+      receivedItems.push({
+        product: grnItem.product,
+        quantity: grnItem.quantityAccepted,
+        unitCost: grnItem.unitCost,
+      });
+
+      // Keep the product's supplier snapshot in step with what we paid
+      const product = await Product.findById(grnItem.product).session(session);
+      if (product) {
+        product.supplier.id = this.supplier;
+        if (supplier) {
+          product.supplier.name = supplier.name;
+          product.supplier.contact = supplier.contact.phone;
+        }
+        product.supplier.lastPurchaseDate = new Date();
+        product.supplier.lastPurchasePrice = grnItem.unitCost;
+        await product.save();
+      }
+    }
+  }
+
+  // We only owe the supplier for what we accepted
+  const receiptValue = grn.totals.acceptedValue;
+
+  this.receipts.push({
+    grn: grn._id,
+    grnNumber: grn.grnNumber,
+    receivedBy: userId,
+    items: receivedItems,
+    value: receiptValue,
+    notes,
+  });
+  this.totals.received += receiptValue;
+
+  const fullyReceived = this.items.every(
+    (item) => item.quantityReceived >= item.quantityOrdered
+  );
+  const newStatus = fullyReceived ? "received" : "partially_received";
+
+  if (newStatus !== this.status) {
+    this.status = newStatus;
+    this.statusHistory.push({
+      status: newStatus,
+      updatedBy: userId,
+      notes: `Received on ${grn.grnNumber}`,
+    });
+  }
+
+  if (!this.payment.dueDate && supplier) {
+    const dueDate = new Date();
+    dueDate.setDate(dueDate.getDate() + supplier.paymentTerms);
+    this.payment.dueDate = dueDate;
+  }
+
+  this.updatedBy = userId;
+  await this.save();
+
+  if (supplier && receiptValue > 0) {
+    await supplier.recordPurchase(receiptValue);
+  }
+
+  return grn;
+};
+
+purchaseOrderSchema.methods.recordPayment = async function (
+  amount,
+  method,
+  reference,
+  userId
+) {
+  this.payment.transactions.push({
+    amount,
+    method,
+    reference,
+    recordedBy: userId,
+  });
+  this.payment.amountPaid += amount;
+
+  if (this.payment.amountPaid >= this.totals.total) {
+    this.payment.status = "paid";
+  } else if (this.payment.amountPaid > 0) {
+    this.payment.status = "partial";
+  }
+
+  await this.save();
+
+  const Supplier = mongoose.model("Supplier");
+  const supplier = await Supplier.findById(this.supplier);
+  if (supplier) {
+    await supplier.recordPayment(amount);
+  }
+
+  return this;
+};
+
+// Static methods
+purchaseOrderSchema.statics.getOpenOrders = function (supplierId) {
+  const query = { status: { $in: ["sent", "partially_received"] } };
+  if (supplierId) query.supplier = supplierId;
+
+  return this.find(query)
+    .populate("supplier", "name contact")
+    .sort({ expectedDate: 1, createdAt: 1 });
+};
+
+// Static method to total the stock still to arrive on open and draft purchase
+// orders, in base units. Returns a Map of product ID to quantity.
+purchaseOrderSchema.statics.getOnOrderQuantities = async function () {
+  const result = await this.aggregate([
+    { $match: { status: { $in: ["draft", "sent", "partially_received"] } } },
+    { $unwind: "$items" },
+    {
+      $group: {
+        _id: "$items.product",
+        quantity: {
+          $sum: {
+            $multiply: [
+              {
+                $max: [
+                  0,
+                  {
+                    $subtract: [
+                      "$items.quantityOrdered",
+                      "$items.quantityReceived",
+                    ],
+                  },
+                ],
+              },
+              { $ifNull: ["$items.unitFactor", 1] },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  return new Map(result.map((entry) => [entry._id.toString(), entry.quantity]));
+};
+
+const PurchaseOrder = mongoose.model("PurchaseOrder", purchaseOrderSchema);
+
+module.exports = PurchaseOrder;
@@ -1,5 +1,6 @@
 // backend/src/models/Sale.js
 const mongoose = require("mongoose");
+const SerialNumber = require("./SerialNumber");
 
 const saleSchema = new mongoose.Schema(
   {
@@ -21,11 +22,19 @@ const saleSchema = new mongoose.Schema(
           type: String,
           required: true, // Store name at time of sale
         },
+        // Parent product for variants, so sales roll up to it
+        parentProduct: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+        },
+        parentName: String,
         quantity: {
           type: Number,
           required: true,
           min: [1, "Quantity must be at least 1"],
         },
+        unit: String, // Unit sold in, defaults to the selling unit
+        baseQuantity: Number, // Quantity in the product's base unit
         unitPrice: {
           type: Number,
           required: true,
@@ -44,6 +53,11 @@ const saleSchema = new mongoose.Schema(
           },
         },
         tax: {
+          rate: {
+            type: Number,
+            default: 0,
+            min: [0, "Tax rate cannot be negative"],
+          },
           amount: {
             type: Number,
             default: 0,
@@ -53,12 +67,54 @@ const saleSchema = new mongoose.Schema(
           type: Number,
           required: true,
         },
+        unitCost: {
+          type: Number,
+          default: 0, // Cost per base unit at time of sale
+        },
+        costOfGoods: {
+          type: Number,
+          default: 0,
+        },
+        lots: [
+          {
+            lotNumber: String,
+            expiryDate: Date,
+            quantity: Number,
+          },
+        ],
+        serialNumbers: [String], // Units sold of a serialized product
+        // Components taken out of stock when the line is a bundle, with the
+        // share of the line's revenue each one carries
+        components: [
+          {
+            product: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Product",
+            },
+            productName: String,
+            quantity: Number,
+            unitCost: Number,
+            costOfGoods: Number,
+            revenue: Number,
+            lots: [
+              {
+                lotNumber: String,
+                expiryDate: Date,
+                quantity: Number,
+              },
+            ],
+          },
+        ],
       },
     ],
     customer: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Customer",
     },
+    priceList: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PriceList", // List the customer's prices came from
+    },
     customerInfo: {
       name: String,
       phone: String,
@@ -128,6 +184,10 @@ const saleSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+    },
     status: {
       type: String,
       enum: ["completed", "voided", "refunded", "partial_refund"],
@@ -169,12 +229,39 @@ const saleSchema = new mongoose.Schema(
       device: String,
       location: String,
       notes: String,
+      // Layaway the sale completed, once it was fully paid
+      layaway: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Layaway",
+      },
+      // "flagged": an offline sale that took stock below zero
       syncStatus: {
         type: String,
-        enum: ["synced", "pending", "failed"],
+        enum: ["synced", "pending", "failed", "flagged"],
         default: "synced",
       },
       offlineId: String, // For offline sales
+      syncedAt: Date,
+      // Times the receipt has been printed; every print after the first is
+      // marked as a reprint
+      receiptPrints: {
+        type: Number,
+        default: 0,
+      },
+      lastPrintedAt: Date,
+      // Lines an offline sale sold more of than was in stock when it synced
+      stockConflicts: [
+        {
+          _id: false,
+          product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",
+          },
+          productName: String,
+          requested: Number,
+          available: Number,
+        },
+      ],
     },
   },
   {
@@ -195,21 +282,28 @@ saleSchema.index({ createdAt: -1 });
 saleSchema.index({ "totals.total": 1 });
 saleSchema.index({ "metadata.source": 1 });
 saleSchema.index({ "metadata.syncStatus": 1 });
+// An offline sale is only ever recorded once, however often it is uploaded
+saleSchema.index(
+  { "metadata.offlineId": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "metadata.offlineId": { $type: "string" } },
+  }
+);
+saleSchema.index({ "items.parentProduct": 1 });
 
 // Compound indexes for common queries
 saleSchema.index({ seller: 1, createdAt: -1 });
+saleSchema.index({ location: 1, createdAt: -1 });
 saleSchema.index({ status: 1, createdAt: -1 });
 saleSchema.index({ "payment.status": 1, createdAt: -1 });
 
-// Virtual for profit calculation
+// Virtual for profit calculation (net of discount and tax)
 saleSchema.virtual("profit").get(function () {
   let totalProfit = 0;
   this.items.forEach((item) => {
-    if (item.product && item.product.pricing) {
-      const itemProfit =
-        (item.unitPrice - item.product.pricing.cost) * item.quantity;
-      totalProfit += itemProfit;
-    }
+    const netRevenue = item.subtotal - (item.tax?.amount || 0);
+    totalProfit += netRevenue - (item.costOfGoods || 0);
   });
   return totalProfit;
 });
@@ -221,7 +315,8 @@ saleSchema.pre("save", async function (next) {
       const Counter = mongoose.model("Counter");
       const sequence = await Counter.getNextSequence("receipt");
 
-      const date = new Date();
+      // Offline sales are numbered for the day they were made
+      const date = this.createdAt || new Date();
       const year = date.getFullYear().toString().substr(-2);
       const month = (date.getMonth() + 1).toString().padStart(2, "0");
       const day = date.getDate().toString().padStart(2, "0");
@@ -280,7 +375,25 @@ saleSchema.pre("save", function (next) {
   next();
 });
 
-// Instance methods
+// Take `quantity` units from `lots` in the order they were sold from
+const allocateLots = (lots, quantity) => {
+  const allocated = [];
+  let toAllocate = quantity;
+  for (const lot of lots) {
+    if (toAllocate === 0) break;
+    const taken = Math.min(lot.quantity, toAllocate);
+    allocated.push({
+      lotNumber: lot.lotNumber,
+      expiryDate: lot.expiryDate,
+      quantity: taken,
+    });
+    toAllocate -= taken;
+  }
+  return allocated;
+};
+
+// Instance methods. Stock and serial numbers are updated in the session the
+// sale was loaded in, if any.
 saleSchema.methods.void = async function (userId, reason) {
   if (this.status === "voided") {
     throw new Error("Sale is already voided");
@@ -296,16 +409,62 @@ saleSchema.methods.void = async function (userId, reason) {
   // Restore stock for each item
   for (const item of this.items) {
     const Product = mongoose.model("Product");
-    const product = await Product.findById(item.product);
+
+    // Bundles go back into stock as their components
+    if (item.components.length > 0) {
+      for (const component of item.components) {
+        const product = await Product.findById(component.product).session(
+          this.$session()
+        );
+        if (product) {
+          await product.updateStock(
+            component.quantity,
+            "return",
+            this.receiptNumber,
+            userId,
+            `Voided sale: ${reason}`,
+            {
+              unitCost: component.unitCost,
+              lots: component.lots,
+              location: this.location,
+            }
+          );
+        }
+      }
+      continue;
+    }
+
+    const product = await Product.findById(item.product).session(
+      this.$session()
+    );
     if (product) {
       await product.updateStock(
-        item.quantity,
+        item.baseQuantity || item.quantity,
         "return",
         this.receiptNumber,
         userId,
-        `Voided sale: ${reason}`
+        `Voided sale: ${reason}`,
+        { unitCost: item.unitCost, lots: item.lots, location: this.location }
       );
     }
+
+    // The units were never handed over, so go straight back into stock
+    if (item.serialNumbers.length > 0) {
+      const units = await SerialNumber.find({
+        product: item.product,
+        serialNumber: { $in: item.serialNumbers },
+        sale: this._id,
+      }).session(this.$session());
+      for (const unit of units) {
+        unit.record("voided", "in_stock", {
+          reference: this.receiptNumber,
+          sale: this._id,
+          notes: reason,
+          userId,
+        });
+        await unit.save();
+      }
+    }
   }
 
   await this.save();
@@ -333,6 +492,28 @@ saleSchema.methods.refund = async function (userId, items, reason) {
       throw new Error(`Cannot refund more than sold quantity`);
     }
 
+    // Serialized units coming back must be ones this sale sold
+    let returnedUnits = [];
+    if (saleItem.serialNumbers.length > 0) {
+      const count =
+        ((saleItem.baseQuantity || saleItem.quantity) / saleItem.quantity) *
+        refundItem.quantity;
+      const serials = (refundItem.serialNumbers || []).map((serial) =>
+        String(serial).trim().toUpperCase()
+      );
+      returnedUnits = await SerialNumber.find({
+        product: saleItem.product,
+        serialNumber: { $in: serials },
+        sale: this._id,
+        status: "sold",
+      }).session(this.$session());
+      if (new Set(serials).size !== count || returnedUnits.length !== count) {
+        throw new Error(
+          `Give the serial numbers of the ${count} ${saleItem.productName} being returned`
+        );
+      }
+    }
+
     const refundAmount =
       (saleItem.subtotal / saleItem.quantity) * refundItem.quantity;
 
@@ -344,18 +525,66 @@ saleSchema.methods.refund = async function (userId, items, reason) {
 
     totalRefunded += refundAmount;
 
-    // Restore stock
     const Product = mongoose.model("Product");
-    const product = await Product.findById(refundItem.productId);
+
+    // Bundles go back into stock as their components
+    if (saleItem.components.length > 0) {
+      for (const component of saleItem.components) {
+        const quantity =
+          (component.quantity / saleItem.quantity) * refundItem.quantity;
+        const product = await Product.findById(component.product).session(
+          this.$session()
+        );
+        if (product) {
+          await product.updateStock(
+            quantity,
+            "return",
+            this.receiptNumber,
+            userId,
+            `Refund: ${reason}`,
+            {
+              unitCost: component.unitCost,
+              lots: allocateLots(component.lots, quantity),
+              location: this.location,
+            }
+          );
+        }
+      }
+      continue;
+    }
+
+    // Put refunded units back into the lots they were sold from, in the
+    // base unit stock is held in
+    const baseQuantity =
+      ((saleItem.baseQuantity || saleItem.quantity) / saleItem.quantity) *
+      refundItem.quantity;
+    const lots = allocateLots(saleItem.lots, baseQuantity);
+
+    // Restore stock
+    const product = await Product.findById(refundItem.productId).session(
+      this.$session()
+    );
     if (product) {
       await product.updateStock(
-        refundItem.quantity,
+        baseQuantity,
         "return",
         this.receiptNumber,
         userId,
-        `Refund: ${reason}`
+        `Refund: ${reason}`,
+        { unitCost: saleItem.unitCost, lots, location: this.location }
       );
     }
+
+    for (const unit of returnedUnits) {
+      unit.record("returned", "returned", {
+        reference: this.receiptNumber,
+        sale: this._id,
+        customer: this.customer,
+        notes: reason,
+        userId,
+      });
+      await unit.save();
+    }
   }
 
   this.refundInfo = {
@@ -417,6 +646,52 @@ saleSchema.statics.getDailySales = async function (date) {
   ]);
 };
 
+// Aggregation stages that turn each sale into one line per product sold.
+// Bundles are split into their components, carrying their revenue share, and
+// variants roll up to their parent product.
+saleSchema.statics.productLineStages = function () {
+  return [
+    { $unwind: "$items" },
+    {
+      $project: {
+        createdAt: 1,
+        line: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ["$items.components", []] } }, 0] },
+            {
+              $map: {
+                input: "$items.components",
+                as: "component",
+                in: {
+                  product: "$$component.product",
+                  productName: "$$component.productName",
+                  quantity: "$$component.quantity",
+                  revenue: "$$component.revenue",
+                },
+              },
+            },
+            [
+              {
+                product: {
+                  $ifNull: ["$items.parentProduct", "$items.product"],
+                },
+                productName: {
+                  $ifNull: ["$items.parentName", "$items.productName"],
+                },
+                quantity: {
+                  $ifNull: ["$items.baseQuantity", "$items.quantity"],
+                },
+                revenue: "$items.subtotal",
+              },
+            ],
+          ],
+        },
+      },
+    },
+    { $unwind: "$line" },
+  ];
+};
+
 saleSchema.statics.getTopProducts = async function (
   startDate,
   endDate,
@@ -429,13 +704,13 @@ saleSchema.statics.getTopProducts = async function (
         status: { $in: ["completed", "partial_refund"] },
       },
     },
-    { $unwind: "$items" },
+    ...this.productLineStages(),
     {
       $group: {
-        _id: "$items.product",
-        productName: { $first: "$items.productName" },
-        totalQuantity: { $sum: "$items.quantity" },
-        totalRevenue: { $sum: "$items.subtotal" },
+        _id: "$line.product",
+        productName: { $first: "$line.productName" },
+        totalQuantity: { $sum: "$line.quantity" },
+        totalRevenue: { $sum: "$line.revenue" },
       },
     },
     { $sort: { totalRevenue: -1 } },
@@ -0,0 +1,215 @@
+// backend/src/models/SerialNumber.js
+const mongoose = require("mongoose");
+
+// Units of a serialized product that can be sold: never sold, or sold and
+// brought back
+const SELLABLE = ["in_stock", "returned"];
+
+// Units we hold, which can't be received again
+const HELD = ["in_stock", "returned", "warranty"];
+
+// One unit of a serialized product (phones, electronics), followed from
+// receipt through sale, refund and warranty
+const serialNumberSchema = new mongoose.Schema(
+  {
+    serialNumber: {
+      type: String,
+      required: [true, "Serial number is required"],
+      trim: true,
+      uppercase: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["in_stock", "sold", "returned", "warranty", "written_off"],
+      default: "in_stock",
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+    },
+    unitCost: Number,
+    receivedAt: Date,
+    // Latest sale of the unit and who bought it
+    sale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Sale",
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+    },
+    soldAt: Date,
+    history: [
+      {
+        _id: false,
+        event: {
+          type: String,
+          enum: [
+            "received",
+            "sold",
+            "voided",
+            "returned",
+            "restocked",
+            "warranty_in",
+            "warranty_out",
+            "written_off",
+          ],
+          required: true,
+        },
+        reference: String, // GRN, PO or receipt number
+        sale: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Sale",
+        },
+        customer: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Customer",
+        },
+        notes: String,
+        performedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+serialNumberSchema.index({ product: 1, serialNumber: 1 }, { unique: true });
+serialNumberSchema.index({ serialNumber: 1 });
+serialNumberSchema.index({ product: 1, status: 1 });
+serialNumberSchema.index({ sale: 1 });
+
+// Tidy a list of serial numbers the way they're stored, rejecting repeats
+const normalise = (serialNumbers) => {
+  const normalised = serialNumbers.map((serial) =>
+    String(serial).trim().toUpperCase()
+  );
+  const repeated = normalised.find(
+    (serial, i) => normalised.indexOf(serial) !== i
+  );
+  if (repeated) {
+    throw new Error(`Serial number ${repeated} is given more than once`);
+  }
+  return normalised;
+};
+
+// Static method to check serial numbers for units coming into stock: one per
+// unit, none of them already held
+serialNumberSchema.statics.checkIncoming = async function (
+  product,
+  serialNumbers = [],
+  quantity
+) {
+  const serials = normalise(serialNumbers);
+  if (serials.length !== quantity) {
+    throw new Error(
+      `${product.name} needs ${quantity} serial numbers, ${serials.length} given`
+    );
+  }
+
+  const held = await this.findOne({
+    product: product._id,
+    serialNumber: { $in: serials },
+    status: { $in: HELD },
+  });
+  if (held) {
+    throw new Error(
+      `Serial number ${held.serialNumber} of ${product.name} is already in stock`
+    );
+  }
+
+  return serials;
+};
+
+// Static method to check serial numbers for units going out of stock: one
+// per unit, each in stock and able to be sold
+serialNumberSchema.statics.checkAvailable = async function (
+  product,
+  serialNumbers = [],
+  quantity
+) {
+  const serials = normalise(serialNumbers);
+  if (serials.length !== quantity) {
+    throw new Error(
+      `${product.name} needs ${quantity} serial numbers, ${serials.length} given`
+    );
+  }
+
+  const units = await this.find({
+    product: product._id,
+    serialNumber: { $in: serials },
+    status: { $in: SELLABLE },
+  });
+  const missing = serials.find(
+    (serial) => !units.some((unit) => unit.serialNumber === serial)
+  );
+  if (missing) {
+    throw new Error(
+      `Serial number ${missing} of ${product.name} is not in stock`
+    );
+  }
+
+  return units;
+};
+
+// Static method to book units into stock, in `session` if given. Units sold
+// before (bought back, or a supplier replacement) keep their history.
+serialNumberSchema.statics.receive = async function (
+  product,
+  serialNumbers,
+  { reference, supplier, unitCost, userId, notes, session = null } = {}
+) {
+  const units = [];
+
+  for (const serialNumber of normalise(serialNumbers)) {
+    const unit =
+      (await this.findOne({ product: product._id, serialNumber }).session(
+        session
+      )) || new this({ product: product._id, serialNumber });
+
+    unit.supplier = supplier || unit.supplier;
+    unit.unitCost = unitCost ?? unit.unitCost;
+    unit.receivedAt = new Date();
+    unit.record("received", "in_stock", { reference, notes, userId });
+    await unit.save({ session });
+    units.push(unit);
+  }
+
+  return units;
+};
+
+// Method to move the unit to a new status, adding the event to its history
+serialNumberSchema.methods.record = function (
+  event,
+  status,
+  { reference, sale, customer, notes, userId } = {}
+) {
+  this.status = status;
+  this.history.push({
+    event,
+    reference,
+    sale,
+    customer,
+    notes,
+    performedBy: userId,
+  });
+  return this;
+};
+
+const SerialNumber = mongoose.model("SerialNumber", serialNumberSchema);
+
+module.exports = SerialNumber;
@@ -17,6 +17,11 @@ const settingsSchema = new mongoose.Schema(
       logo: {
         url: String,
         alt: String,
+        sizes: {
+          large: String,
+          thumbnail: String,
+        },
+        storageKeys: [String], // Uploaded files, removed when replaced
       },
       address: {
         street: String,
@@ -145,6 +150,57 @@ const settingsSchema = new mongoose.Schema(
           default: 20,
         },
       },
+      offline: {
+        // What to do when a sale made offline sells more than is now in
+        // stock: record it and flag it, or turn it away
+        stockConflictPolicy: {
+          type: String,
+          enum: ["allow_negative", "reject"],
+          default: "allow_negative",
+        },
+      },
+      parking: {
+        // Parked sales not resumed within this many minutes expire
+        expiryMinutes: {
+          type: Number,
+          default: 120,
+          min: 5,
+        },
+        // Hold the stock of parked sales so it can't be sold meanwhile
+        reserveStock: {
+          type: Boolean,
+          default: false,
+        },
+      },
+      layaway: {
+        // Share of the total paid up front, as a percentage
+        minDepositPercentage: {
+          type: Number,
+          default: 20,
+          min: 0,
+          max: 100,
+        },
+        // Longest time a layaway can run from its start to the last instalment
+        maxTermDays: {
+          type: Number,
+          default: 90,
+          min: 1,
+        },
+        // Kept from what has been paid when a layaway is cancelled with a
+        // refund, as a percentage of the total
+        cancellationFeePercentage: {
+          type: Number,
+          default: 10,
+          min: 0,
+          max: 100,
+        },
+        // Customers are reminded this many days before an instalment is due
+        reminderDaysBefore: {
+          type: Number,
+          default: 2,
+          min: 0,
+        },
+      },
     },
     inventory: {
       lowStockAlert: {
@@ -166,12 +222,29 @@ const settingsSchema = new mongoose.Schema(
           type: Number,
           default: 7, // days
         },
+        // Safety stock, in days of average sales
+        safetyDays: {
+          type: Number,
+          default: 3,
+        },
+      },
+      costingMethod: {
+        type: String,
+        enum: ["weighted_average", "fifo"],
+        default: "weighted_average",
       },
       barcodeFormat: {
         type: String,
         enum: ["EAN13", "CODE128", "QR"],
         default: "CODE128",
       },
+      // Leading digits of the EAN-13s given to products without a barcode.
+      // 200-299 is the GS1 range set aside for in-store numbering.
+      barcodePrefix: {
+        type: String,
+        match: [/^\d{1,11}$/, "Barcode prefix must be 1 to 11 digits"],
+        default: "200",
+      },
       trackExpiry: {
         enabled: {
           type: Boolean,
@@ -182,6 +255,39 @@ const settingsSchema = new mongoose.Schema(
           default: 30,
         },
       },
+      // Days of sales the ABC/XYZ classification looks back over
+      classification: {
+        periodDays: {
+          type: Number,
+          default: 90,
+        },
+      },
+      // Days without a sale before stock counts as slow moving or dead
+      deadStock: {
+        slowDays: {
+          type: Number,
+          default: 30,
+        },
+        deadDays: {
+          type: Number,
+          default: 90,
+        },
+      },
+      // Days between cycle counts for each ABC class
+      cycleCount: {
+        A: {
+          type: Number,
+          default: 30,
+        },
+        B: {
+          type: Number,
+          default: 90,
+        },
+        C: {
+          type: Number,
+          default: 180,
+        },
+      },
     },
     orders: {
       delivery: {
@@ -0,0 +1,194 @@
+// backend/src/models/StockMovement.js
+const mongoose = require("mongoose");
+
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: [
+      "purchase",
+      "sale",
+      "return",
+      "adjustment",
+      "damage",
+      "transfer",
+      "transfer_in",
+    ],
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+  },
+  previousStock: {
+    type: Number,
+    required: true,
+  },
+  newStock: {
+    type: Number,
+    required: true,
+  },
+  reference: {
+    type: String, // Reference to sale, purchase order, etc.
+  },
+  reason: String,
+  unitCost: Number, // Cost per unit booked in or out
+  totalCost: Number,
+  lots: [
+    {
+      _id: false,
+      lotNumber: String,
+      expiryDate: Date,
+      quantity: Number,
+    },
+  ],
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Location",
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+stockMovementSchema.index({ product: 1, timestamp: -1 });
+stockMovementSchema.index({ type: 1, timestamp: -1 });
+stockMovementSchema.index({ reference: 1 });
+stockMovementSchema.index({ timestamp: -1 });
+stockMovementSchema.index({ location: 1, timestamp: -1 });
+
+// The ledger is append-only. Corrections are made with new movements.
+const rejectChange = function (next) {
+  next(new Error("Stock movements cannot be modified or deleted"));
+};
+
+stockMovementSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "findOneAndDelete",
+  "deleteOne",
+  "deleteMany",
+].forEach((operation) => stockMovementSchema.pre(operation, rejectChange));
+
+// Static method to open the ledger for a product created with stock
+stockMovementSchema.statics.recordOpeningBalance = function (product, userId) {
+  const { currentStock } = product.inventory;
+  if (!currentStock) return null;
+
+  return this.create({
+    product: product._id,
+    type: "adjustment",
+    quantity: currentStock,
+    previousStock: 0,
+    newStock: currentStock,
+    reference: "OPENING",
+    reason: "Opening stock",
+    unitCost: product.pricing.cost || 0,
+    totalCost: currentStock * (product.pricing.cost || 0),
+    performedBy: userId,
+  });
+};
+
+// Static method to total units sold over the last `days`
+stockMovementSchema.statics.getQuantitySold = async function (
+  productId,
+  days = 30
+) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const result = await this.aggregate([
+    {
+      $match: {
+        product: new mongoose.Types.ObjectId(productId),
+        type: "sale",
+        timestamp: { $gt: since },
+      },
+    },
+    { $group: { _id: null, quantity: { $sum: "$quantity" } } },
+  ]);
+
+  return result[0]?.quantity || 0;
+};
+
+// Static method to replay a product's ledger. The balance is the stock the
+// first movement started from plus every change since. Breaks are movements
+// that don't start where the one before ended.
+stockMovementSchema.statics.getLedgerBalance = async function (productId) {
+  const movements = await this.find({ product: productId })
+    .select("previousStock newStock reference timestamp")
+    .sort({ timestamp: 1, _id: 1 })
+    .lean();
+
+  if (movements.length === 0) return null;
+
+  let balance = movements[0].previousStock;
+  const breaks = [];
+
+  movements.forEach((movement) => {
+    if (movement.previousStock !== balance) {
+      breaks.push({
+        movement: movement._id,
+        reference: movement.reference,
+        timestamp: movement.timestamp,
+        expected: balance,
+        recorded: movement.previousStock,
+      });
+    }
+    balance += movement.newStock - movement.previousStock;
+  });
+
+  return {
+    opening: movements[0].previousStock,
+    balance,
+    movements: movements.length,
+    breaks,
+  };
+};
+
+// Static method to get ledger balances for every product in one pass
+stockMovementSchema.statics.getLedgerBalances = async function () {
+  const result = await this.aggregate([
+    { $sort: { timestamp: 1, _id: 1 } },
+    {
+      $group: {
+        _id: "$product",
+        opening: { $first: "$previousStock" },
+        net: { $sum: { $subtract: ["$newStock", "$previousStock"] } },
+        movements: { $sum: 1 },
+      },
+    },
+  ]).allowDiskUse(true);
+
+  return new Map(
+    result.map((entry) => [
+      entry._id.toString(),
+      {
+        balance: entry.opening + entry.net,
+        movements: entry.movements,
+      },
+    ])
+  );
+};
+
+const StockMovement = mongoose.model("StockMovement", stockMovementSchema);
+
+module.exports = StockMovement;
@@ -0,0 +1,424 @@
+// backend/src/models/StockTake.js
+const mongoose = require("mongoose");
+const Counter = require("./Counter");
+
+const stockTakeSchema = new mongoose.Schema(
+  {
+    sessionNumber: {
+      type: String,
+      required: function () {
+        return !this.isNew; // Only required after creation
+      },
+      unique: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    type: {
+      type: String,
+      enum: ["full", "partial", "cycle"],
+      default: "full",
+    },
+    scope: {
+      categories: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Category",
+        },
+      ],
+      abcClasses: [
+        {
+          type: String,
+          enum: ["A", "B", "C"],
+        },
+      ],
+    },
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        productName: String,
+        sku: String,
+        barcode: String,
+        category: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Category",
+        },
+        abcClass: String,
+        systemQuantity: {
+          type: Number,
+          required: true, // Stock on record when the session started
+        },
+        unitCost: {
+          type: Number,
+          default: 0,
+        },
+        counts: [
+          {
+            quantity: {
+              type: Number,
+              required: true,
+            },
+            method: {
+              type: String,
+              enum: ["manual", "scan"],
+              default: "manual",
+            },
+            countedBy: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "User",
+            },
+            countedAt: {
+              type: Date,
+              default: Date.now,
+            },
+          },
+        ],
+        countedQuantity: {
+          type: Number,
+          default: null, // null until someone counts the product
+        },
+        variance: {
+          type: Number,
+          default: 0,
+        },
+        varianceValue: {
+          type: Number,
+          default: 0,
+        },
+        // How a shortage is booked when the session is approved
+        resolution: {
+          type: String,
+          enum: ["adjustment", "damage"],
+          default: "adjustment",
+        },
+        // Set once the line's variance is posted, so a retried approval
+        // doesn't post it again
+        postedAt: Date,
+        notes: String,
+      },
+    ],
+    totals: {
+      itemsCounted: {
+        type: Number,
+        default: 0,
+      },
+      itemsWithVariance: {
+        type: Number,
+        default: 0,
+      },
+      shortageValue: {
+        type: Number,
+        default: 0,
+      },
+      surplusValue: {
+        type: Number,
+        default: 0,
+      },
+      varianceValue: {
+        type: Number,
+        default: 0,
+      },
+    },
+    status: {
+      type: String,
+      enum: ["counting", "submitted", "approved", "cancelled"],
+      default: "counting",
+    },
+    statusHistory: [
+      {
+        status: String,
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+        updatedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        notes: String,
+      },
+    ],
+    snapshotAt: {
+      type: Date,
+      default: Date.now,
+    },
+    startedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    approvedAt: Date,
+    notes: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+stockTakeSchema.index({ sessionNumber: 1 });
+stockTakeSchema.index({ status: 1, createdAt: -1 });
+stockTakeSchema.index({ "items.product": 1 });
+
+// Virtual for progress through the count
+stockTakeSchema.virtual("progress").get(function () {
+  if (this.items.length === 0) return 100;
+  return Math.round((this.totals.itemsCounted / this.items.length) * 100);
+});
+
+// Generate session number before saving
+stockTakeSchema.pre("save", async function (next) {
+  if (this.isNew && !this.sessionNumber) {
+    try {
+      const sequence = await Counter.getNextSequence("stock_take");
+
+      const date = new Date();
+      const year = date.getFullYear().toString().substr(-2);
+      const month = (date.getMonth() + 1).toString().padStart(2, "0");
+      const sequenceStr = sequence.toString().padStart(5, "0");
+
+      this.sessionNumber = `STK${year}${month}${sequenceStr}`;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Work out variances and their value impact before saving
+stockTakeSchema.pre("save", function (next) {
+  let itemsCounted = 0;
+  let itemsWithVariance = 0;
+  let shortageValue = 0;
+  let surplusValue = 0;
+
+  this.items.forEach((item) => {
+    if (item.countedQuantity === null) {
+      item.variance = 0;
+      item.varianceValue = 0;
+      return;
+    }
+
+    itemsCounted++;
+    item.variance = item.countedQuantity - item.systemQuantity;
+    item.varianceValue = item.variance * item.unitCost;
+
+    if (item.variance !== 0) itemsWithVariance++;
+    if (item.variance < 0) shortageValue += -item.varianceValue;
+    if (item.variance > 0) surplusValue += item.varianceValue;
+  });
+
+  this.totals = {
+    itemsCounted,
+    itemsWithVariance,
+    shortageValue,
+    surplusValue,
+    varianceValue: surplusValue - shortageValue,
+  };
+
+  next();
+});
+
+// Record a count. Counts from several staff add up so a product spread over
+// shelves can be counted in parts; "set" replaces earlier counts instead.
+stockTakeSchema.methods.recordCount = function (
+  productId,
+  quantity,
+  userId,
+  method = "manual",
+  mode = "add"
+) {
+  if (this.status !== "counting") {
+    throw new Error(`Cannot count a ${this.status} stock take`);
+  }
+
+  const item = this.items.find(
+    (line) => line.product.toString() === productId.toString()
+  );
+  if (!item) {
+    throw new Error("Product is not part of this stock take");
+  }
+
+  if (mode === "set") {
+    item.counts = [];
+  }
+
+  item.counts.push({ quantity, method, countedBy: userId });
+  item.countedQuantity = item.counts.reduce(
+    (sum, count) => sum + count.quantity,
+    0
+  );
+
+  if (item.countedQuantity < 0) {
+    throw new Error("Counted quantity cannot be negative");
+  }
+
+  return item;
+};
+
+stockTakeSchema.methods.submit = async function (userId, notes) {
+  if (this.status !== "counting") {
+    throw new Error(`Cannot submit a ${this.status} stock take`);
+  }
+  if (this.items.every((item) => item.countedQuantity === null)) {
+    throw new Error("No products have been counted");
+  }
+
+  this.status = "submitted";
+  this.statusHistory.push({ status: "submitted", updatedBy: userId, notes });
+
+  await this.save();
+  return this;
+};
+
+// Post the counted variances to stock, in the session the stock take was
+// loaded in. Surpluses are booked as adjustments; shortages as adjustments or
+// damage depending on each line's resolution. Products left uncounted are not
+// touched. Each line is marked as it's posted, so if a later line fails the
+// approval can be retried without posting the earlier ones twice.
+stockTakeSchema.methods.approve = async function (userId, resolutions = []) {
+  if (this.status !== "submitted") {
+    throw new Error("Only submitted stock takes can be approved");
+  }
+
+  const Product = mongoose.model("Product");
+  const session = this.$session();
+
+  resolutions.forEach(({ productId, resolution }) => {
+    const item = this.items.find(
+      (line) => line.product.toString() === productId.toString()
+    );
+    if (item) item.resolution = resolution;
+  });
+
+  const reason = `Stock take ${this.sessionNumber}`;
+  const countedAt = new Date();
+
+  for (const item of this.items) {
+    if (item.countedQuantity === null || item.postedAt) continue;
+
+    const product = await Product.findById(item.product).session(session);
+    if (!product) continue;
+
+    product.inventory.lastCountedAt = countedAt;
+
+    if (item.variance > 0) {
+      await product.updateStock(
+        item.variance,
+        "adjustment",
+        this.sessionNumber,
+        userId,
+        reason,
+        { location: this.location, unitCost: item.unitCost }
+      );
+    } else if (item.variance < 0 && item.resolution === "damage") {
+      await product.updateStock(
+        -item.variance,
+        "damage",
+        this.sessionNumber,
+        userId,
+        item.notes || reason,
+        { location: this.location }
+      );
+    } else if (item.variance < 0) {
+      await product.updateStock(
+        item.variance,
+        "adjustment",
+        this.sessionNumber,
+        userId,
+        item.notes || reason,
+        { location: this.location }
+      );
+    } else {
+      await product.save();
+    }
+
+    item.postedAt = countedAt;
+    await this.save();
+  }
+
+  this.status = "approved";
+  this.approvedBy = userId;
+  this.approvedAt = countedAt;
+  this.statusHistory.push({ status: "approved", updatedBy: userId });
+
+  await this.save();
+  return this;
+};
+
+stockTakeSchema.methods.cancel = async function (userId, notes) {
+  if (!["counting", "submitted"].includes(this.status)) {
+    throw new Error(`Cannot cancel a ${this.status} stock take`);
+  }
+
+  this.status = "cancelled";
+  this.statusHistory.push({ status: "cancelled", updatedBy: userId, notes });
+
+  await this.save();
+  return this;
+};
+
+// Static method to find products due a cycle count. `intervals` maps each
+// ABC class to the days allowed between counts. Unclassified products count
+// as C. Within a class, erratic (Z) sellers come first as their stock drifts
+// furthest from the books.
+stockTakeSchema.statics.findDueForCycleCount = async function (intervals) {
+  const Product = mongoose.model("Product");
+
+  const products = await Product.find({
+    "status.isActive": true,
+    "inventory.trackInventory": true,
+  }).select("name sku barcode category inventory.lastCountedAt classification");
+
+  const now = Date.now();
+  return products
+    .map((product) => {
+      const abcClass = product.classification?.abc || "C";
+      const xyzClass = product.classification?.xyz || "Z";
+      const lastCountedAt = product.inventory.lastCountedAt;
+      const dueDate = lastCountedAt
+        ? new Date(
+            lastCountedAt.getTime() + intervals[abcClass] * 24 * 60 * 60 * 1000
+          )
+        : null;
+
+      return {
+        _id: product._id,
+        name: product.name,
+        sku: product.sku,
+        barcode: product.barcode,
+        category: product.category,
+        abcClass,
+        xyzClass,
+        lastCountedAt,
+        dueDate,
+      };
+    })
+    .filter((product) => !product.dueDate || product.dueDate <= now)
+    .sort(
+      (a, b) =>
+        a.abcClass.localeCompare(b.abcClass) ||
+        b.xyzClass.localeCompare(a.xyzClass) ||
+        (a.dueDate || 0) - (b.dueDate || 0)
+    );
+};
+
+const StockTake = mongoose.model("StockTake", stockTakeSchema);
+
+module.exports = StockTake;
@@ -0,0 +1,322 @@
+// backend/src/models/StockTransfer.js
+const mongoose = require("mongoose");
+const Counter = require("./Counter");
+
+const stockTransferSchema = new mongoose.Schema(
+  {
+    transferNumber: {
+      type: String,
+      required: function () {
+        return !this.isNew; // Only required after creation
+      },
+      unique: true,
+    },
+    fromLocation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      required: [true, "Source location is required"],
+    },
+    toLocation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      required: [true, "Destination location is required"],
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        productName: String,
+        sku: String,
+        quantityRequested: {
+          type: Number,
+          required: true,
+          min: [1, "Quantity must be at least 1"],
+        },
+        quantityDispatched: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        quantityReceived: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        unitCost: {
+          type: Number,
+          default: 0, // Cost the units left the source location at
+        },
+        lots: [
+          {
+            lotNumber: String,
+            expiryDate: Date,
+            quantity: Number,
+          },
+        ],
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["requested", "dispatched", "received", "cancelled"],
+      default: "requested",
+    },
+    statusHistory: [
+      {
+        status: String,
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+        updatedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        notes: String,
+      },
+    ],
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    dispatchedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    dispatchedAt: Date,
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    receivedAt: Date,
+    notes: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+stockTransferSchema.index({ transferNumber: 1 });
+stockTransferSchema.index({ fromLocation: 1, status: 1 });
+stockTransferSchema.index({ toLocation: 1, status: 1 });
+stockTransferSchema.index({ "items.product": 1 });
+stockTransferSchema.index({ createdAt: -1 });
+
+// Virtual for units dispatched but not received (lost or damaged in transit)
+stockTransferSchema.virtual("shortfall").get(function () {
+  if (this.status !== "received") return 0;
+  return this.items.reduce(
+    (sum, item) => sum + (item.quantityDispatched - item.quantityReceived),
+    0
+  );
+});
+
+// Generate transfer number before saving
+stockTransferSchema.pre("save", async function (next) {
+  if (this.isNew && !this.transferNumber) {
+    try {
+      const sequence = await Counter.getNextSequence("stock_transfer");
+
+      const date = new Date();
+      const year = date.getFullYear().toString().substr(-2);
+      const month = (date.getMonth() + 1).toString().padStart(2, "0");
+      const sequenceStr = sequence.toString().padStart(5, "0");
+
+      this.transferNumber = `TRF${year}${month}${sequenceStr}`;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Resolve the transfer line for `productId`
+const findLine = (transfer, productId) => {
+  const line = transfer.items.find(
+    (item) => item.product.toString() === productId.toString()
+  );
+  if (!line) {
+    throw new Error(`Product ${productId} not found in transfer`);
+  }
+  return line;
+};
+
+// Take stock out of the source location. `items` is optional
+// [{ productId, quantity }] to dispatch less than was requested.
+stockTransferSchema.methods.dispatch = async function (userId, items, notes) {
+  if (this.status !== "requested") {
+    throw new Error(`Cannot dispatch a ${this.status} transfer`);
+  }
+
+  const Product = mongoose.model("Product");
+
+  if (items) {
+    items.forEach((item) => {
+      const line = findLine(this, item.productId);
+      if (item.quantity > line.quantityRequested) {
+        throw new Error(
+          `Cannot dispatch more ${line.productName} than was requested`
+        );
+      }
+      line.quantityDispatched = item.quantity;
+    });
+  } else {
+    this.items.forEach((line) => {
+      line.quantityDispatched = line.quantityRequested;
+    });
+  }
+
+  // Check everything is available before moving any stock
+  const Location = mongoose.model("Location");
+  const defaultLocation = await Location.getDefault();
+  const products = new Map();
+  for (const line of this.items) {
+    if (line.quantityDispatched === 0) continue;
+
+    const product = await Product.findById(line.product);
+    if (!product) {
+      throw new Error(`Product ${line.productName} no longer exists`);
+    }
+    const available = product.getLocationStock(
+      this.fromLocation,
+      defaultLocation?._id
+    );
+    if (available < line.quantityDispatched) {
+      throw new Error(`Insufficient stock of ${line.productName} to dispatch`);
+    }
+    products.set(line.product.toString(), product);
+  }
+
+  if (products.size === 0) {
+    throw new Error("No quantities to dispatch");
+  }
+
+  for (const line of this.items) {
+    if (line.quantityDispatched === 0) continue;
+
+    const product = products.get(line.product.toString());
+    const movement = await product.updateStock(
+      line.quantityDispatched,
+      "transfer",
+      this.transferNumber,
+      userId,
+      "Dispatched to another location",
+      { location: this.fromLocation }
+    );
+
+    // Carry cost and lots across so the receiving side books the same units
+    line.unitCost = movement.unitCost;
+    line.lots = movement.lots;
+  }
+
+  this.status = "dispatched";
+  this.dispatchedBy = userId;
+  this.dispatchedAt = new Date();
+  this.statusHistory.push({ status: "dispatched", updatedBy: userId, notes });
+
+  await this.save();
+  return this;
+};
+
+// Book stock into the destination location. `items` is optional
+// [{ productId, quantity }] when less arrived than was dispatched.
+stockTransferSchema.methods.receive = async function (userId, items, notes) {
+  if (this.status !== "dispatched") {
+    throw new Error(`Cannot receive a ${this.status} transfer`);
+  }
+
+  const Product = mongoose.model("Product");
+
+  if (items) {
+    items.forEach((item) => {
+      const line = findLine(this, item.productId);
+      if (item.quantity > line.quantityDispatched) {
+        throw new Error(
+          `Cannot receive more ${line.productName} than was dispatched`
+        );
+      }
+      line.quantityReceived = item.quantity;
+    });
+  } else {
+    this.items.forEach((line) => {
+      line.quantityReceived = line.quantityDispatched;
+    });
+  }
+
+  for (const line of this.items) {
+    if (line.quantityReceived === 0) continue;
+
+    const product = await Product.findById(line.product);
+    if (!product) {
+      throw new Error(`Product ${line.productName} no longer exists`);
+    }
+
+    // Lots are filled in dispatch order until the received quantity is used
+    const lots = [];
+    let toAllocate = line.quantityReceived;
+    for (const lot of line.lots) {
+      if (toAllocate === 0) break;
+      const quantity = Math.min(lot.quantity, toAllocate);
+      lots.push({
+        lotNumber: lot.lotNumber,
+        expiryDate: lot.expiryDate,
+        quantity,
+      });
+      toAllocate -= quantity;
+    }
+
+    await product.updateStock(
+      line.quantityReceived,
+      "transfer_in",
+      this.transferNumber,
+      userId,
+      "Received from another location",
+      { location: this.toLocation, unitCost: line.unitCost, lots }
+    );
+  }
+
+  this.status = "received";
+  this.receivedBy = userId;
+  this.receivedAt = new Date();
+  this.statusHistory.push({ status: "received", updatedBy: userId, notes });
+
+  await this.save();
+  return this;
+};
+
+stockTransferSchema.methods.cancel = async function (userId, notes) {
+  if (this.status !== "requested") {
+    throw new Error(
+      "Only transfers that have not been dispatched can be cancelled"
+    );
+  }
+
+  this.status = "cancelled";
+  this.statusHistory.push({ status: "cancelled", updatedBy: userId, notes });
+
+  await this.save();
+  return this;
+};
+
+// Static methods
+stockTransferSchema.statics.getPendingForLocation = function (locationId) {
+  return this.find({
+    $or: [
+      { fromLocation: locationId, status: "requested" },
+      { toLocation: locationId, status: "dispatched" },
+    ],
+  })
+    .populate("fromLocation", "name code")
+    .populate("toLocation", "name code")
+    .sort("createdAt");
+};
+
+const StockTransfer = mongoose.model("StockTransfer", stockTransferSchema);
+
+module.exports = StockTransfer;
@@ -0,0 +1,142 @@
+// backend/src/models/Supplier.js
+const mongoose = require("mongoose");
+
+const supplierSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Supplier name is required"],
+      unique: true,
+      trim: true,
+      minlength: [2, "Supplier name must be at least 2 characters"],
+      maxlength: [100, "Supplier name cannot exceed 100 characters"],
+    },
+    code: {
+      type: String,
+      unique: true,
+      sparse: true,
+      uppercase: true,
+      trim: true,
+    },
+    contact: {
+      person: String,
+      phone: {
+        type: String,
+        validate: {
+          validator: function (phone) {
+            return !phone || /^(\+254|0)[17]\d{8}$/.test(phone);
+          },
+          message: "Please provide a valid Kenyan phone number",
+        },
+      },
+      email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        validate: {
+          validator: function (email) {
+            return !email || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+          },
+          message: "Please provide a valid email",
+        },
+      },
+      address: {
+        street: String,
+        area: String,
+        city: {
+          type: String,
+          default: "Nairobi",
+        },
+      },
+    },
+    taxId: String,
+    paymentTerms: {
+      type: Number,
+      default: 0, // days, 0 means cash on delivery
+      min: [0, "Payment terms cannot be negative"],
+    },
+    leadTime: {
+      type: Number, // days from order to delivery, overrides the default
+      min: [0, "Lead time cannot be negative"],
+    },
+    statistics: {
+      totalOrders: {
+        type: Number,
+        default: 0,
+      },
+      totalPurchased: {
+        type: Number,
+        default: 0,
+      },
+      totalPaid: {
+        type: Number,
+        default: 0,
+      },
+      outstandingBalance: {
+        type: Number,
+        default: 0,
+      },
+      lastPurchaseDate: Date,
+    },
+    notes: String,
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    metadata: {
+      createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+supplierSchema.index({ name: 1 });
+supplierSchema.index({ code: 1 });
+supplierSchema.index({ isActive: 1 });
+supplierSchema.index({ "statistics.outstandingBalance": -1 });
+
+// Method to record goods received against this supplier
+supplierSchema.methods.recordPurchase = async function (amount) {
+  this.statistics.totalPurchased += amount;
+  this.statistics.outstandingBalance += amount;
+  this.statistics.lastPurchaseDate = new Date();
+
+  await this.save();
+  return this;
+};
+
+// Method to record a payment made to this supplier
+supplierSchema.methods.recordPayment = async function (amount) {
+  this.statistics.totalPaid += amount;
+  this.statistics.outstandingBalance = Math.max(
+    0,
+    this.statistics.outstandingBalance - amount
+  );
+
+  await this.save();
+  return this;
+};
+
+// Static method to find suppliers we still owe money
+supplierSchema.statics.findWithBalance = function () {
+  return this.find({
+    isActive: true,
+    "statistics.outstandingBalance": { $gt: 0 },
+  }).sort("-statistics.outstandingBalance");
+};
+
+const Supplier = mongoose.model("Supplier", supplierSchema);
+
+module.exports = Supplier;
@@ -81,6 +81,10 @@ const userSchema = new mongoose.Schema(
         manage: { type: Boolean, default: false },
       },
     },
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location", // Branch the user sells from
+    },
     isActive: {
       type: Boolean,
       default: true,
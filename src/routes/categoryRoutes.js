@@ -0,0 +1,68 @@
+// backend/src/routes/categoryRoutes.js
+const router = require("express").Router();
+const {
+  getCategories,
+  getCategoryTree,
+  createCategory,
+  updateCategory,
+  moveCategory,
+  mergeCategory,
+  deleteCategory,
+  reorderCategories,
+} = require("../controllers/categoryController");
+
+const { authenticate, checkPermission } = require("../middleware/auth");
+
+const {
+  categoryValidations,
+  commonValidations,
+} = require("../middleware/validation");
+
+// All routes require authentication
+router.use(authenticate);
+
+// Category listing routes
+router.get("/", checkPermission("products", "read"), getCategories);
+router.get("/tree", checkPermission("products", "read"), getCategoryTree);
+router.post(
+  "/",
+  checkPermission("products", "create"),
+  categoryValidations.create,
+  createCategory
+);
+router.put(
+  "/reorder",
+  checkPermission("products", "update"),
+  categoryValidations.reorder,
+  reorderCategories
+);
+
+// Individual category routes
+router.put(
+  "/:id",
+  checkPermission("products", "update"),
+  categoryValidations.update,
+  updateCategory
+);
+router.delete(
+  "/:id",
+  checkPermission("products", "delete"),
+  categoryValidations.delete,
+  deleteCategory
+);
+
+// Tree management
+router.put(
+  "/:id/move",
+  checkPermission("products", "update"),
+  categoryValidations.move,
+  moveCategory
+);
+router.post(
+  "/:id/merge",
+  checkPermission("products", "delete"),
+  categoryValidations.merge,
+  mergeCategory
+);
+
+module.exports = router;
@@ -33,6 +33,17 @@ const moduleStatus = {
   orderRoutes: false,
   customerRoutes: false,
   reportRoutes: false,
+  supplierRoutes: false,
+  purchaseOrderRoutes: false,
+  locationRoutes: false,
+  transferRoutes: false,
+  stockTakeRoutes: false,
+  priceListRoutes: false,
+  categoryRoutes: false,
+  serialNumberRoutes: false,
+  parkedSaleRoutes: false,
+  layawayRoutes: false,
+  jobRoutes: false,
   dashboardController: false,
   activityController: false,
   auth: false,
@@ -47,7 +58,18 @@ let authRoutes,
   saleRoutes,
   orderRoutes,
   customerRoutes,
-  reportRoutes;
+  reportRoutes,
+  supplierRoutes,
+  purchaseOrderRoutes,
+  locationRoutes,
+  transferRoutes,
+  stockTakeRoutes,
+  priceListRoutes,
+  categoryRoutes,
+  serialNumberRoutes,
+  parkedSaleRoutes,
+  layawayRoutes,
+  jobRoutes;
 
 // Auth Routes
 try {
@@ -189,12 +211,198 @@ try {
   });
 }
 
+// Supplier Routes
+try {
+  supplierRoutes = require("./supplierRoutes");
+  router.use("/suppliers", supplierRoutes);
+  moduleStatus.supplierRoutes = true;
+  log("Supplier routes loaded successfully");
+} catch (error) {
+  log(`Supplier routes FAILED: ${error.message}`);
+
+  router.get("/suppliers", (req, res) => {
+    res.status(503).json({
+      success: false,
+      message: "Supplier service temporarily unavailable",
+    });
+  });
+}
+
+// Purchase Order Routes
+try {
+  purchaseOrderRoutes = require("./purchaseOrderRoutes");
+  router.use("/purchase-orders", purchaseOrderRoutes);
+  moduleStatus.purchaseOrderRoutes = true;
+  log("Purchase order routes loaded successfully");
+} catch (error) {
+  log(`Purchase order routes FAILED: ${error.message}`);
+
+  router.get("/purchase-orders", (req, res) => {
+    res.status(503).json({
+      success: false,
+      message: "Purchase order service temporarily unavailable",
+    });
+  });
+}
+
+// Location Routes
+try {
+  locationRoutes = require("./locationRoutes");
+  router.use("/locations", locationRoutes);
+  moduleStatus.locationRoutes = true;
+  log("Location routes loaded successfully");
+} catch (error) {
+  log(`Location routes FAILED: ${error.message}`);
+
+  router.get("/locations", (req, res) => {
+    res.status(503).json({
+      success: false,
+      message: "Location service temporarily unavailable",
+    });
+  });
+}
+
+// Stock Transfer Routes
+try {
+  transferRoutes = require("./transferRoutes");
+  router.use("/transfers", transferRoutes);
+  moduleStatus.transferRoutes = true;
+  log("Transfer routes loaded successfully");
+} catch (error) {
+  log(`Transfer routes FAILED: ${error.message}`);
+
+  router.get("/transfers", (req, res) => {
+    res.status(503).json({
+      success: false,
+      message: "Transfer service temporarily unavailable",
+    });
+  });
+}
+
+// Stock Take Routes
+try {
+  stockTakeRoutes = require("./stockTakeRoutes");
+  router.use("/stock-takes", stockTakeRoutes);
+  moduleStatus.stockTakeRoutes = true;
+  log("Stock take routes loaded successfully");
+} catch (error) {
+  log(`Stock take routes FAILED: ${error.message}`);
+
+  router.get("/stock-takes", (req, res) => {
+    res.status(503).json({
+      success: false,
+      message: "Stock take service temporarily unavailable",
+    });
+  });
+}
+
+// Price List Routes
+try {
+  priceListRoutes = require("./priceListRoutes");
+  router.use("/price-lists", priceListRoutes);
+  moduleStatus.priceListRoutes = true;
+  log("Price list routes loaded successfully");
+} catch (error) {
+  log(`Price list routes FAILED: ${error.message}`);
+
+  router.get("/price-lists", (req, res) => {
+    res.status(503).json({
+      success: false,
+      message: "Price list service temporarily unavailable",
+    });
+  });
+}
+
+// Category Routes
+try {
+  categoryRoutes = require("./categoryRoutes");
+  router.use("/categories", categoryRoutes);
+  moduleStatus.categoryRoutes = true;
+  log("Category routes loaded successfully");
+} catch (error) {
+  log(`Category routes FAILED: ${error.message}`);
+
+  router.get("/categories", (req, res) => {
+    res.status(503).json({
+      success: false,
+      message: "Category service temporarily unavailable",
+    });
+  });
+}
+
+// Serial Number Routes
+try {
+  serialNumberRoutes = require("./serialNumberRoutes");
+  router.use("/serials", serialNumberRoutes);
+  moduleStatus.serialNumberRoutes = true;
+  log("Serial number routes loaded successfully");
+} catch (error) {
+  log(`Serial number routes FAILED: ${error.message}`);
+
+  router.get("/serials", (req, res) => {
+    res.status(503).json({
+      success: false,
+      message: "Serial number service temporarily unavailable",
+    });
+  });
+}
+
+// Parked Sale Routes
+try {
+  parkedSaleRoutes = require("./parkedSaleRoutes");
+  router.use("/parked-sales", parkedSaleRoutes);
+  moduleStatus.parkedSaleRoutes = true;
+  log("Parked sale routes loaded successfully");
+} catch (error) {
+  log(`Parked sale routes FAILED: ${error.message}`);
+
+  router.get("/parked-sales", (req, res) => {
+    res.status(503).json({
+      success: false,
+      message: "Parked sale service temporarily unavailable",
+    });
+  });
+}
+
+// Layaway Routes
+try {
+  layawayRoutes = require("./layawayRoutes");
+  router.use("/layaways", layawayRoutes);
+  moduleStatus.layawayRoutes = true;
+  log("Layaway routes loaded successfully");
+} catch (error) {
+  log(`Layaway routes FAILED: ${error.message}`);
+
+  router.get("/layaways", (req, res) => {
+    res.status(503).json({
+      success: false,
+      message: "Layaway service temporarily unavailable",
+    });
+  });
+}
+
+// Job Routes
+try {
+  jobRoutes = require("./jobRoutes");
+  router.use("/jobs", jobRoutes);
+  moduleStatus.jobRoutes = true;
+  log("Job routes loaded successfully");
+} catch (error) {
+  log(`Job routes FAILED: ${error.message}`);
+
+  router.post("/jobs/:job", (req, res) => {
+    res.status(503).json({
+      success: false,
+      message: "Job service temporarily unavailable",
+    });
+  });
+}
+
 // Load controllers and middleware with error handling
 let dashboardController,
   activityController,
   authenticate,
   checkPermission,
-  Category,
   Settings,
   asyncHandler;
 
@@ -254,7 +462,6 @@ try {
 
 // Models
 try {
-  Category = require("../models/Category");
   Settings = require("../models/Settings");
   moduleStatus.models = true;
   log("Models loaded successfully");
@@ -339,94 +546,6 @@ if (activityController && authenticate) {
   });
 }
 
-// Category routes (only if model and middleware loaded)
-if (Category && authenticate && asyncHandler) {
-  try {
-    router.use("/categories", authenticate);
-
-    router.get(
-      "/categories",
-      checkPermission("products", "read"),
-      asyncHandler(async (req, res) => {
-        const categories = await Category.find({ isActive: true })
-          .populate("parent", "name")
-          .sort("displayOrder name");
-
-        res.json({
-          success: true,
-          data: categories,
-        });
-      })
-    );
-
-    router.get(
-      "/categories/tree",
-      checkPermission("products", "read"),
-      asyncHandler(async (req, res) => {
-        const tree = await Category.getCategoryTree();
-        res.json({
-          success: true,
-          data: tree,
-        });
-      })
-    );
-
-    router.post(
-      "/categories",
-      checkPermission("products", "create"),
-      asyncHandler(async (req, res) => {
-        req.body.metadata = { createdBy: req.user._id };
-        const category = await Category.create(req.body);
-
-        res.status(201).json({
-          success: true,
-          message: "Category created successfully",
-          data: category,
-        });
-      })
-    );
-
-    router.put(
-      "/categories/:id",
-      checkPermission("products", "update"),
-      asyncHandler(async (req, res) => {
-        const category = await Category.findByIdAndUpdate(
-          req.params.id,
-          req.body,
-          {
-            new: true,
-            runValidators: true,
-          }
-        );
-
-        if (!category) {
-          return res.status(404).json({
-            success: false,
-            message: "Category not found",
-          });
-        }
-
-        res.json({
-          success: true,
-          message: "Category updated successfully",
-          data: category,
-        });
-      })
-    );
-
-    log("Category routes configured successfully");
-  } catch (error) {
-    log(`Category routes configuration FAILED: ${error.message}`);
-  }
-} else {
-  router.get("/categories", (req, res) => {
-    res.status(503).json({
-      success: false,
-      message: "Category service temporarily unavailable",
-    });
-  });
-}
-
 // Settings routes (only if model and middleware loaded)
 if (Settings && authenticate && asyncHandler) {
   try {
@@ -465,6 +584,59 @@ if (Settings && authenticate && asyncHandler) {
       })
     );
 
+    // Business logo, resized like product images
+    const { imageUpload } = require("../middleware/upload");
+    const imageService = require("../services/imageService");
+    const storageService = require("../services/storageService");
+
+    router.post(
+      "/settings/logo",
+      checkPermission("users", "manage"),
+      imageUpload.single("logo"),
+      asyncHandler(async (req, res) => {
+        if (!req.file) {
+          return res.status(400).json({
+            success: false,
+            message: "No logo uploaded",
+          });
+        }
+
+        const settings = await Settings.getSettings();
+        const previousKeys = settings.business.logo?.storageKeys || [];
+
+        let image;
+        try {
+          image = await imageService.process(req.file.buffer, "logo", {
+            large: 600,
+            thumbnail: 200,
+          });
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            message: "Logo could not be read as an image",
+          });
+        }
+
+        settings.business.logo = {
+          url: image.urls.large,
+          alt: req.body.alt || settings.business.name,
+          sizes: image.urls,
+          storageKeys: image.keys,
+        };
+        settings.metadata.lastUpdated = new Date();
+        settings.metadata.updatedBy = req.user._id;
+        await settings.save();
+
+        await storageService.remove(previousKeys);
+
+        res.json({
+          success: true,
+          message: "Logo updated successfully",
+          data: settings.business.logo,
+        });
+      })
+    );
+
     log("Settings routes configured successfully");
   } catch (error) {
     log(`Settings routes configuration FAILED: ${error.message}`);
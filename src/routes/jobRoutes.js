@@ -0,0 +1,13 @@
+// backend/src/routes/jobRoutes.js
+const router = require("express").Router();
+const { runJob } = require("../controllers/jobController");
+
+const { validateApiKey } = require("../middleware/auth");
+
+// Called by a scheduler rather than a user, so these take the API key
+router.use(validateApiKey);
+
+// Job routes
+router.post("/:job", runJob);
+
+module.exports = router;
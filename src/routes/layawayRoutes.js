@@ -0,0 +1,60 @@
+// backend/src/routes/layawayRoutes.js
+const router = require("express").Router();
+const {
+  createLayaway,
+  getLayaways,
+  getLayaway,
+  recordLayawayPayment,
+  cancelLayaway,
+} = require("../controllers/layawayController");
+
+const { authenticate, checkPermission } = require("../middleware/auth");
+
+const {
+  layawayValidations,
+  commonValidations,
+} = require("../middleware/validation");
+
+const { transactionLimiter } = require("../middleware/rateLimiter");
+
+// All routes require authentication
+router.use(authenticate);
+
+// Layaway routes
+router.post(
+  "/",
+  checkPermission("sales", "create"),
+  transactionLimiter,
+  layawayValidations.create,
+  createLayaway
+);
+router.get(
+  "/",
+  checkPermission("sales", "read"),
+  commonValidations.pagination,
+  layawayValidations.list,
+  getLayaways
+);
+router.get(
+  "/:id",
+  checkPermission("sales", "read"),
+  commonValidations.mongoId("id"),
+  getLayaway
+);
+router.post(
+  "/:id/payments",
+  checkPermission("sales", "create"),
+  transactionLimiter,
+  layawayValidations.payment,
+  recordLayawayPayment
+);
+
+// Cancelling gives stock back and settles the deposit (restricted)
+router.post(
+  "/:id/cancel",
+  checkPermission("sales", "void"),
+  layawayValidations.cancel,
+  cancelLayaway
+);
+
+module.exports = router;
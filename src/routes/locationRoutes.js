@@ -0,0 +1,57 @@
+// backend/src/routes/locationRoutes.js
+const router = require("express").Router();
+const {
+  getLocations,
+  getLocation,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+  getLocationStock,
+} = require("../controllers/locationController");
+
+const {
+  authenticate,
+  authorize,
+  checkPermission,
+} = require("../middleware/auth");
+
+const {
+  locationValidations,
+  commonValidations,
+} = require("../middleware/validation");
+
+// All routes require authentication
+router.use(authenticate);
+
+// Location listing routes
+router.get("/", getLocations);
+router.post(
+  "/",
+  authorize("owner"),
+  locationValidations.create,
+  createLocation
+);
+
+// Individual location routes
+router.get("/:id", commonValidations.mongoId("id"), getLocation);
+router.get(
+  "/:id/stock",
+  checkPermission("products", "read"),
+  commonValidations.mongoId("id"),
+  commonValidations.pagination,
+  getLocationStock
+);
+router.put(
+  "/:id",
+  authorize("owner"),
+  locationValidations.update,
+  updateLocation
+);
+router.delete(
+  "/:id",
+  authorize("owner"),
+  commonValidations.mongoId("id"),
+  deleteLocation
+);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// backend/src/routes/parkedSaleRoutes.js
+const router = require("express").Router();
+const {
+  parkSale,
+  getParkedSales,
+  getParkedSale,
+  resumeParkedSale,
+  cancelParkedSale,
+} = require("../controllers/parkedSaleController");
+
+const { authenticate, checkPermission } = require("../middleware/auth");
+
+const {
+  parkedSaleValidations,
+  commonValidations,
+} = require("../middleware/validation");
+
+// All routes require authentication
+router.use(authenticate);
+
+// Parked sale routes
+router.post(
+  "/",
+  checkPermission("sales", "create"),
+  parkedSaleValidations.park,
+  parkSale
+);
+router.get(
+  "/",
+  checkPermission("sales", "read"),
+  commonValidations.pagination,
+  parkedSaleValidations.list,
+  getParkedSales
+);
+router.get(
+  "/:id",
+  checkPermission("sales", "read"),
+  commonValidations.mongoId("id"),
+  getParkedSale
+);
+router.post(
+  "/:id/resume",
+  checkPermission("sales", "create"),
+  parkedSaleValidations.resume,
+  resumeParkedSale
+);
+router.delete(
+  "/:id",
+  checkPermission("sales", "create"),
+  commonValidations.mongoId("id"),
+  cancelParkedSale
+);
+
+module.exports = router;
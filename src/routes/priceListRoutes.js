@@ -0,0 +1,47 @@
+// backend/src/routes/priceListRoutes.js
+const router = require("express").Router();
+const {
+  getPriceLists,
+  getPriceList,
+  createPriceList,
+  updatePriceList,
+  deletePriceList,
+  quotePrices,
+} = require("../controllers/priceListController");
+
+const { authenticate, authorize } = require("../middleware/auth");
+
+const {
+  priceListValidations,
+  commonValidations,
+} = require("../middleware/validation");
+
+// All routes require authentication
+router.use(authenticate);
+
+// Price list routes
+router.get("/", getPriceLists);
+router.post(
+  "/",
+  authorize("owner"),
+  priceListValidations.create,
+  createPriceList
+);
+router.post("/quote", priceListValidations.quote, quotePrices);
+
+// Individual price list routes
+router.get("/:id", commonValidations.mongoId("id"), getPriceList);
+router.put(
+  "/:id",
+  authorize("owner"),
+  priceListValidations.update,
+  updatePriceList
+);
+router.delete(
+  "/:id",
+  authorize("owner"),
+  commonValidations.mongoId("id"),
+  deletePriceList
+);
+
+module.exports = router;
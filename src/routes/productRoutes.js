@@ -9,10 +9,28 @@ const {
   deleteProduct,
   getLowStockProducts,
   getOutOfStockProducts,
+  getExpiringProducts,
   getInventoryValue,
   bulkUpdateProducts,
   importProducts,
+  getImports,
+  rollbackImport,
   getProductPerformance,
+  getProductMovements,
+  reconcileStock,
+  getReconciliationReport,
+  getVariants,
+  createVariant,
+  removeVariant,
+  assignBarcodes,
+  printLabels,
+  getProductForecast,
+  getPriceHistory,
+  schedulePriceChange,
+  cancelPriceChange,
+  uploadProductImages,
+  updateProductImage,
+  deleteProductImage,
 } = require("../controllers/productController");
 
 const {
@@ -27,6 +45,7 @@ const {
 } = require("../middleware/validation");
 
 const { uploadLimiter } = require("../middleware/rateLimiter");
+const { imageUpload, spreadsheetUpload } = require("../middleware/upload");
 
 // All routes require authentication
 router.use(authenticate);
@@ -48,11 +67,26 @@ router.get(
   checkPermission("products", "read"),
   getOutOfStockProducts
 );
+router.get(
+  "/expiring",
+  checkPermission("products", "read"),
+  getExpiringProducts
+);
 router.get(
   "/inventory-value",
   checkPermission("reports", "view"),
   getInventoryValue
 );
+router.get("/reconciliation", authorize("owner"), getReconciliationReport);
+
+// Barcodes and labels
+router.post("/barcodes", authorize("owner"), assignBarcodes);
+router.post(
+  "/labels",
+  checkPermission("products", "read"),
+  productValidations.labels,
+  printLabels
+);
 
 // Bulk operations (Owner/Manager only)
 router.put("/bulk-update", authorize("owner"), bulkUpdateProducts);
@@ -60,8 +94,22 @@ router.post(
   "/import",
   checkPermission("products", "create"),
   uploadLimiter,
+  spreadsheetUpload.single("file"),
+  productValidations.import,
   importProducts
 );
+router.get(
+  "/imports",
+  checkPermission("products", "read"),
+  commonValidations.pagination,
+  getImports
+);
+router.post(
+  "/import/:batch/rollback",
+  authorize("owner"),
+  productValidations.rollbackImport,
+  rollbackImport
+);
 
 // Individual product routes
 router.get(
@@ -98,6 +146,41 @@ router.put(
   productValidations.updateStock,
   updateStock
 );
+router.get(
+  "/:id/movements",
+  checkPermission("products", "read"),
+  commonValidations.mongoId("id"),
+  commonValidations.pagination,
+  commonValidations.dateRange,
+  getProductMovements
+);
+router.post(
+  "/:id/reconcile",
+  authorize("owner"),
+  commonValidations.mongoId("id"),
+  reconcileStock
+);
+
+// Variants
+router.get(
+  "/:id/variants",
+  checkPermission("products", "read"),
+  commonValidations.mongoId("id"),
+  getVariants
+);
+router.post(
+  "/:id/variants",
+  checkPermission("products", "create"),
+  productValidations.createVariant,
+  createVariant
+);
+router.delete(
+  "/:id/variants/:variantId",
+  checkPermission("products", "update"),
+  commonValidations.mongoId("id"),
+  commonValidations.mongoId("variantId"),
+  removeVariant
+);
 
 // Performance metrics
 router.get(
@@ -106,5 +189,55 @@ router.get(
   commonValidations.mongoId("id"),
   getProductPerformance
 );
+router.get(
+  "/:id/forecast",
+  checkPermission("reports", "view"),
+  productValidations.forecast,
+  getProductForecast
+);
+
+// Pricing
+router.get(
+  "/:id/prices",
+  checkPermission("reports", "view"),
+  productValidations.priceHistory,
+  getPriceHistory
+);
+router.post(
+  "/:id/prices",
+  checkPermission("products", "update"),
+  productValidations.schedulePrice,
+  schedulePriceChange
+);
+router.delete(
+  "/:id/prices/:changeId",
+  checkPermission("products", "update"),
+  commonValidations.mongoId("id"),
+  commonValidations.mongoId("changeId"),
+  cancelPriceChange
+);
+
+// Images
+router.post(
+  "/:id/images",
+  checkPermission("products", "update"),
+  uploadLimiter,
+  commonValidations.mongoId("id"),
+  imageUpload.array("images"),
+  uploadProductImages
+);
+router.put(
+  "/:id/images/:imageId",
+  checkPermission("products", "update"),
+  productValidations.updateImage,
+  updateProductImage
+);
+router.delete(
+  "/:id/images/:imageId",
+  checkPermission("products", "update"),
+  commonValidations.mongoId("id"),
+  commonValidations.mongoId("imageId"),
+  deleteProductImage
+);
 
 module.exports = router;
@@ -0,0 +1,112 @@
+// backend/src/routes/purchaseOrderRoutes.js
+const router = require("express").Router();
+const {
+  createPurchaseOrder,
+  getPurchaseOrders,
+  getPurchaseOrder,
+  updatePurchaseOrder,
+  updatePurchaseOrderStatus,
+  receivePurchaseOrder,
+  recordPurchaseOrderPayment,
+  getOpenPurchaseOrders,
+  getGoodsReceivedNotes,
+  getGoodsReceivedNote,
+  getPurchaseOrderReceipts,
+  getReorderSuggestions,
+  createReorderDrafts,
+} = require("../controllers/purchaseOrderController");
+
+const {
+  authenticate,
+  authorize,
+  checkPermission,
+} = require("../middleware/auth");
+
+const {
+  purchaseOrderValidations,
+  commonValidations,
+} = require("../middleware/validation");
+
+// All routes require authentication
+router.use(authenticate);
+
+// Purchase order creation and listing routes
+router.post(
+  "/",
+  checkPermission("products", "create"),
+  purchaseOrderValidations.create,
+  createPurchaseOrder
+);
+router.get(
+  "/",
+  checkPermission("products", "read"),
+  commonValidations.pagination,
+  commonValidations.dateRange,
+  getPurchaseOrders
+);
+router.get("/open", checkPermission("products", "read"), getOpenPurchaseOrders);
+
+// Reorder suggestions and the drafts raised from them
+router.get(
+  "/reorder-suggestions",
+  checkPermission("products", "read"),
+  getReorderSuggestions
+);
+router.post("/reorder", authorize("owner"), createReorderDrafts);
+
+// Goods received note routes
+router.get(
+  "/receipts",
+  checkPermission("products", "read"),
+  commonValidations.pagination,
+  commonValidations.dateRange,
+  getGoodsReceivedNotes
+);
+router.get(
+  "/receipts/:grnId",
+  checkPermission("products", "read"),
+  commonValidations.mongoId("grnId"),
+  getGoodsReceivedNote
+);
+
+// Individual purchase order routes
+router.get(
+  "/:id",
+  checkPermission("products", "read"),
+  commonValidations.mongoId("id"),
+  getPurchaseOrder
+);
+router.get(
+  "/:id/receipts",
+  checkPermission("products", "read"),
+  commonValidations.mongoId("id"),
+  getPurchaseOrderReceipts
+);
+router.put(
+  "/:id",
+  checkPermission("products", "update"),
+  commonValidations.mongoId("id"),
+  updatePurchaseOrder
+);
+
+// Purchase order workflow routes
+router.put(
+  "/:id/status",
+  checkPermission("products", "update"),
+  purchaseOrderValidations.updateStatus,
+  updatePurchaseOrderStatus
+);
+router.post(
+  "/:id/receive",
+  checkPermission("products", "update"),
+  purchaseOrderValidations.receive,
+  receivePurchaseOrder
+);
+router.post(
+  "/:id/payment",
+  authorize("owner"),
+  purchaseOrderValidations.payment,
+  recordPurchaseOrderPayment
+);
+
+module.exports = router;
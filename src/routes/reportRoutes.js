@@ -3,9 +3,14 @@ const router = require("express").Router();
 const {
   getSalesReport,
   getInventoryReport,
+  getClassificationReport,
+  classifyProducts,
+  getDeadStockReport,
   getStaffPerformance,
   getCustomerAnalytics,
   getFinancialSummary,
+  getSupplierDiscrepancies,
+  getLayawayAging,
   exportToExcel,
   getDashboardSummary,
 } = require("../controllers/reportController");
@@ -16,7 +21,10 @@ const {
   checkPermission,
 } = require("../middleware/auth");
 
-const { commonValidations } = require("../middleware/validation");
+const {
+  commonValidations,
+  reportValidations,
+} = require("../middleware/validation");
 
 const {
   reportLimiter,
@@ -38,6 +46,18 @@ router.get(
   getSalesReport
 );
 router.get("/inventory", reportLimiter, getInventoryReport);
+router.get(
+  "/classification",
+  reportLimiter,
+  reportValidations.classification,
+  getClassificationReport
+);
+router.get(
+  "/dead-stock",
+  reportLimiter,
+  reportValidations.deadStock,
+  getDeadStockReport
+);
 router.get(
   "/customer-analytics",
   reportLimiter,
@@ -53,6 +73,19 @@ router.get(
   commonValidations.dateRange,
   getStaffPerformance
 );
+router.get(
+  "/supplier-discrepancies",
+  authorize("owner", "manager"),
+  reportLimiter,
+  commonValidations.dateRange,
+  getSupplierDiscrepancies
+);
+router.get(
+  "/layaway-aging",
+  authorize("owner", "manager"),
+  reportLimiter,
+  getLayawayAging
+);
 router.get(
   "/financial-summary",
   authorize("owner"),
@@ -61,6 +94,14 @@ router.get(
   getFinancialSummary
 );
 
+router.post(
+  "/classification",
+  authorize("owner"),
+  expensiveReportLimiter,
+  reportValidations.classify,
+  classifyProducts
+);
+
 // Export functionality (requires export permission)
 router.post(
   "/export/excel",
@@ -2,6 +2,7 @@
 const router = require("express").Router();
 const {
   createSale,
+  syncSales,
   getSales,
   getSale,
   voidSale,
@@ -9,6 +10,7 @@ const {
   getDailySummary,
   getSalesReport,
   printReceipt,
+  verifyReceipt,
   quickSale,
   getSalesByProduct,
   getPendingPayments,
@@ -34,6 +36,13 @@ const { transactionLimiter } = require("../middleware/rateLimiter");
 // M-Pesa callback route (must be BEFORE authentication)
 router.post("/mpesa/callback", mpesaCallback);
 
+// Receipt QR codes link here, so it's open to anyone holding a receipt
+router.get(
+  "/verify/:receiptNumber",
+  saleValidations.verifyReceipt,
+  verifyReceipt
+);
+
 // All routes require authentication
 router.use(authenticate);
 
@@ -45,6 +54,12 @@ router.post(
   saleValidations.create,
   createSale
 );
+router.post(
+  "/sync",
+  checkPermission("sales", "create"),
+  saleValidations.sync,
+  syncSales
+);
 router.post(
   "/quick-sale",
   checkPermission("sales", "create"),
@@ -90,6 +105,7 @@ router.get(
   "/:id/receipt",
   checkPermission("sales", "read"),
   commonValidations.mongoId("id"),
+  saleValidations.receipt,
   printReceipt
 );
 
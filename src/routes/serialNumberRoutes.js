@@ -0,0 +1,40 @@
+// backend/src/routes/serialNumberRoutes.js
+const router = require("express").Router();
+const {
+  getSerialNumbers,
+  lookupSerialNumber,
+  updateSerialStatus,
+} = require("../controllers/serialNumberController");
+
+const { authenticate, checkPermission } = require("../middleware/auth");
+
+const {
+  serialNumberValidations,
+  commonValidations,
+} = require("../middleware/validation");
+
+// All routes require authentication
+router.use(authenticate);
+
+// Serial number routes
+router.get(
+  "/",
+  checkPermission("products", "read"),
+  commonValidations.pagination,
+  serialNumberValidations.list,
+  getSerialNumbers
+);
+router.get(
+  "/:serialNumber",
+  checkPermission("products", "read"),
+  serialNumberValidations.lookup,
+  lookupSerialNumber
+);
+router.put(
+  "/:id/status",
+  checkPermission("products", "update"),
+  serialNumberValidations.updateStatus,
+  updateSerialStatus
+);
+
+module.exports = router;
@@ -0,0 +1,90 @@
+// backend/src/routes/stockTakeRoutes.js
+const router = require("express").Router();
+const {
+  createStockTake,
+  getStockTakes,
+  getStockTake,
+  recordCounts,
+  getVarianceReport,
+  submitStockTake,
+  approveStockTake,
+  cancelStockTake,
+  getCycleCountSchedule,
+} = require("../controllers/stockTakeController");
+
+const {
+  authenticate,
+  authorize,
+  checkPermission,
+} = require("../middleware/auth");
+
+const {
+  stockTakeValidations,
+  commonValidations,
+} = require("../middleware/validation");
+
+// All routes require authentication
+router.use(authenticate);
+
+// Stock take listing routes
+router.get(
+  "/",
+  checkPermission("products", "read"),
+  commonValidations.pagination,
+  getStockTakes
+);
+router.post(
+  "/",
+  checkPermission("products", "update"),
+  stockTakeValidations.create,
+  createStockTake
+);
+
+// Cycle count schedule (must come before /:id)
+router.get(
+  "/cycle-count",
+  checkPermission("products", "read"),
+  getCycleCountSchedule
+);
+
+// Individual stock take routes
+router.get(
+  "/:id",
+  checkPermission("products", "read"),
+  commonValidations.mongoId("id"),
+  getStockTake
+);
+router.get(
+  "/:id/variance",
+  checkPermission("products", "read"),
+  commonValidations.mongoId("id"),
+  getVarianceReport
+);
+
+// Counting workflow routes
+router.post(
+  "/:id/counts",
+  checkPermission("products", "update"),
+  stockTakeValidations.counts,
+  recordCounts
+);
+router.post(
+  "/:id/submit",
+  checkPermission("products", "update"),
+  commonValidations.mongoId("id"),
+  submitStockTake
+);
+router.post(
+  "/:id/approve",
+  authorize("owner"),
+  stockTakeValidations.approve,
+  approveStockTake
+);
+router.post(
+  "/:id/cancel",
+  authorize("owner"),
+  commonValidations.mongoId("id"),
+  cancelStockTake
+);
+
+module.exports = router;
@@ -0,0 +1,75 @@
+// backend/src/routes/transferRoutes.js
+const router = require("express").Router();
+const config = require("../config/app");
+const {
+  createTransfer,
+  getTransfers,
+  getTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer,
+} = require("../controllers/transferController");
+
+const { authenticate, checkPermission } = require("../middleware/auth");
+const { AppError } = require("../middleware/errorHandler");
+
+const {
+  transferValidations,
+  commonValidations,
+} = require("../middleware/validation");
+
+// Transfers only make sense when stock is tracked per location
+router.use((req, res, next) => {
+  if (!config.features.multiLocation) {
+    return next(new AppError("Multi-location inventory is not enabled", 404));
+  }
+  next();
+});
+
+// All routes require authentication
+router.use(authenticate);
+
+// Transfer listing routes
+router.post(
+  "/",
+  checkPermission("products", "update"),
+  transferValidations.create,
+  createTransfer
+);
+router.get(
+  "/",
+  checkPermission("products", "read"),
+  commonValidations.pagination,
+  commonValidations.dateRange,
+  getTransfers
+);
+
+// Individual transfer routes
+router.get(
+  "/:id",
+  checkPermission("products", "read"),
+  commonValidations.mongoId("id"),
+  getTransfer
+);
+
+// Transfer workflow routes
+router.post(
+  "/:id/dispatch",
+  checkPermission("products", "update"),
+  transferValidations.move,
+  dispatchTransfer
+);
+router.post(
+  "/:id/receive",
+  checkPermission("products", "update"),
+  transferValidations.move,
+  receiveTransfer
+);
+router.post(
+  "/:id/cancel",
+  checkPermission("products", "update"),
+  commonValidations.mongoId("id"),
+  cancelTransfer
+);
+
+module.exports = router;
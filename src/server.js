@@ -398,6 +398,9 @@ if (process.env.NODE_ENV !== "production" && require.main === module) {
       // Initialize default data
       await initializeDefaultData();
 
+      // Start scheduled jobs
+      require("./jobs").startJobs();
+
       // Start listening
       const server = app.listen(PORT, () => {
         log.info(`🚀 Server running locally on port ${PORT}`);
@@ -0,0 +1,236 @@
+// backend/src/services/classificationService.js
+const moment = require("moment-timezone");
+const Product = require("../models/Product");
+const Sale = require("../models/Sale");
+const forecastService = require("./forecastService");
+const config = require("../config/app");
+
+// Cumulative share of revenue at which the A and B classes end
+const ABC_LIMITS = { A: 0.8, B: 0.95 };
+
+// Coefficient of variation of weekly demand at which X and Y end
+const XYZ_LIMITS = { X: 0.5, Y: 1 };
+
+class ClassificationService {
+  constructor() {
+    this.timezone = config.app.timezone;
+  }
+
+  /**
+   * Revenue per product from sales between two dates. Bundle lines count
+   * towards their components, which carry the stock.
+   * @param {Date} since - Start of the period
+   * @param {Date} until - End of the period (exclusive)
+   * @returns {Promise<Map>} Product ID to revenue
+   */
+  async getRevenue(since, until) {
+    const result = await Sale.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: since, $lt: until },
+          status: { $in: ["completed", "partial_refund"] },
+        },
+      },
+      { $unwind: "$items" },
+      {
+        $project: {
+          lines: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ["$items.components", []] } }, 0] },
+              {
+                $map: {
+                  input: "$items.components",
+                  as: "component",
+                  in: {
+                    product: "$$component.product",
+                    revenue: "$$component.revenue",
+                  },
+                },
+              },
+              [{ product: "$items.product", revenue: "$items.subtotal" }],
+            ],
+          },
+        },
+      },
+      { $unwind: "$lines" },
+      {
+        $group: {
+          _id: "$lines.product",
+          revenue: { $sum: "$lines.revenue" },
+        },
+      },
+    ]);
+
+    return new Map(result.map((r) => [r._id.toString(), r.revenue]));
+  }
+
+  /**
+   * Coefficient of variation of weekly demand. Only whole weeks count, so a
+   * daily series is trimmed from the oldest end.
+   * @param {Array} series - [{ date, quantity }], oldest first
+   * @returns {number|null} Variability, or null if nothing sold
+   */
+  getVariability(series) {
+    const weeks = forecastService
+      .toWeekly(series.slice(series.length % 7))
+      .map((week) => week.quantity);
+    if (weeks.length === 0) return null;
+
+    const mean = weeks.reduce((sum, q) => sum + q, 0) / weeks.length;
+    if (mean === 0) return null;
+
+    const variance =
+      weeks.reduce((sum, q) => sum + (q - mean) ** 2, 0) / weeks.length;
+    return Math.sqrt(variance) / mean;
+  }
+
+  // Products that never sold have no steady demand to speak of
+  getXyzClass(variability) {
+    if (variability === null) return "Z";
+    if (variability < XYZ_LIMITS.X) return "X";
+    if (variability < XYZ_LIMITS.Y) return "Y";
+    return "Z";
+  }
+
+  // Rank products by revenue and give each its ABC class. A product's class
+  // is set by the share of revenue ranked above it, so the product that
+  // crosses a limit stays in the higher class.
+  rankAbc(entries) {
+    const total = entries.reduce((sum, entry) => sum + entry.revenue, 0);
+    let cumulative = 0;
+
+    return entries
+      .sort((a, b) => b.revenue - a.revenue)
+      .map((entry) => {
+        const share = total > 0 ? cumulative / total : 1;
+        cumulative += entry.revenue;
+
+        let abc = "C";
+        if (entry.revenue > 0 && share < ABC_LIMITS.A) abc = "A";
+        else if (entry.revenue > 0 && share < ABC_LIMITS.B) abc = "B";
+
+        return {
+          ...entry,
+          abc,
+          revenueShare: total > 0 ? entry.revenue / total : 0,
+        };
+      });
+  }
+
+  /**
+   * Classify active stock products over the last `days` and store the
+   * classes on each product
+   * @param {number} days - Days of sales to classify on, ending yesterday
+   * @returns {Promise<Object>} Period, product count and class matrix
+   */
+  async classify(days = 90) {
+    const today = moment.tz(this.timezone).startOf("day");
+    const since = today.clone().subtract(days, "days");
+
+    const products = await Product.find({
+      "status.isActive": true,
+      productType: "standard",
+      hasVariants: false,
+    }).select("_id");
+    const ids = products.map((product) => product._id);
+
+    const [revenue, history] = await Promise.all([
+      this.getRevenue(since.toDate(), today.toDate()),
+      forecastService.getSalesHistory(ids, days),
+    ]);
+
+    const classifiedAt = new Date();
+    const ranked = this.rankAbc(
+      ids.map((id) => ({
+        id,
+        revenue: revenue.get(id.toString()) || 0,
+        variability: this.getVariability(history.get(id.toString())),
+      }))
+    );
+
+    if (ranked.length > 0) {
+      await Product.bulkWrite(
+        ranked.map((entry) => ({
+          updateOne: {
+            filter: { _id: entry.id },
+            update: {
+              $set: {
+                classification: {
+                  abc: entry.abc,
+                  xyz: this.getXyzClass(entry.variability),
+                  revenue: entry.revenue,
+                  revenueShare: entry.revenueShare,
+                  variability: entry.variability,
+                  periodDays: days,
+                  classifiedAt,
+                },
+              },
+            },
+          },
+        }))
+      );
+    }
+
+    return {
+      period: {
+        days,
+        startDate: since.toDate(),
+        endDate: today.toDate(),
+      },
+      classifiedAt,
+      products: ranked.length,
+      matrix: await this.getMatrix(),
+    };
+  }
+
+  /**
+   * Count, revenue and stock value of active products in each ABC/XYZ cell,
+   * from the stored classes
+   * @param {Object} match - Extra product filters, e.g. a category
+   * @returns {Promise<Array>} One entry per cell, AX first
+   */
+  async getMatrix(match = {}) {
+    const result = await Product.aggregate([
+      {
+        $match: {
+          "status.isActive": true,
+          "classification.abc": { $exists: true },
+          ...match,
+        },
+      },
+      {
+        $group: {
+          _id: { abc: "$classification.abc", xyz: "$classification.xyz" },
+          products: { $sum: 1 },
+          revenue: { $sum: "$classification.revenue" },
+          stockValue: {
+            $sum: {
+              $multiply: [
+                "$inventory.currentStock",
+                { $ifNull: ["$pricing.cost", 0] },
+              ],
+            },
+          },
+        },
+      },
+    ]);
+
+    const cells = [];
+    ["A", "B", "C"].forEach((abc) => {
+      ["X", "Y", "Z"].forEach((xyz) => {
+        const cell = result.find((r) => r._id.abc === abc && r._id.xyz === xyz);
+        cells.push({
+          abc,
+          xyz,
+          products: cell?.products || 0,
+          revenue: cell?.revenue || 0,
+          stockValue: cell?.stockValue || 0,
+        });
+      });
+    });
+
+    return cells;
+  }
+}
+
+module.exports = new ClassificationService();
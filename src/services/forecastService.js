@@ -0,0 +1,269 @@
+// backend/src/services/forecastService.js
+const mongoose = require("mongoose");
+const moment = require("moment-timezone");
+const Sale = require("../models/Sale");
+const config = require("../config/app");
+
+const DAY_NAMES = [
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+  "Sunday",
+];
+
+// Fewer days than this and there isn't enough history to fit a trend
+const MIN_TREND_DAYS = 14;
+
+class ForecastService {
+  constructor() {
+    this.timezone = config.app.timezone;
+  }
+
+  /**
+   * Daily quantities sold for each product over the last `days`, taken from
+   * sale lines. Variants also count towards their parent and bundles
+   * towards their components. Quantities are in base units.
+   * @param {Array} productIds - Products to fetch
+   * @param {number} days - Days of history, ending yesterday
+   * @returns {Promise<Map>} Product ID to [{ date, quantity }], oldest first
+   */
+  async getSalesHistory(productIds, days = 84) {
+    const ids = productIds.map((id) => new mongoose.Types.ObjectId(id));
+    const today = moment.tz(this.timezone).startOf("day");
+    const since = today.clone().subtract(days, "days");
+
+    const result = await Sale.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: since.toDate(), $lt: today.toDate() },
+          status: { $in: ["completed", "partial_refund"] },
+          $or: [
+            { "items.product": { $in: ids } },
+            { "items.parentProduct": { $in: ids } },
+            { "items.components.product": { $in: ids } },
+          ],
+        },
+      },
+      { $unwind: "$items" },
+      {
+        $project: {
+          createdAt: 1,
+          lines: {
+            $concatArrays: [
+              [
+                {
+                  product: "$items.product",
+                  quantity: {
+                    $ifNull: ["$items.baseQuantity", "$items.quantity"],
+                  },
+                },
+              ],
+              {
+                $cond: [
+                  { $ifNull: ["$items.parentProduct", false] },
+                  [
+                    {
+                      product: "$items.parentProduct",
+                      quantity: {
+                        $ifNull: ["$items.baseQuantity", "$items.quantity"],
+                      },
+                    },
+                  ],
+                  [],
+                ],
+              },
+              {
+                $map: {
+                  input: { $ifNull: ["$items.components", []] },
+                  as: "component",
+                  in: {
+                    product: "$$component.product",
+                    quantity: "$$component.quantity",
+                  },
+                },
+              },
+            ],
+          },
+        },
+      },
+      { $unwind: "$lines" },
+      { $match: { "lines.product": { $in: ids } } },
+      {
+        $group: {
+          _id: {
+            product: "$lines.product",
+            date: {
+              $dateToString: {
+                format: "%Y-%m-%d",
+                date: "$createdAt",
+                timezone: this.timezone,
+              },
+            },
+          },
+          quantity: { $sum: "$lines.quantity" },
+        },
+      },
+    ]);
+
+    const sold = new Map();
+    result.forEach(({ _id, quantity }) => {
+      sold.set(`${_id.product}:${_id.date}`, quantity);
+    });
+
+    // Fill in the days with no sales
+    const history = new Map();
+    productIds.forEach((id) => {
+      const series = [];
+      for (let day = since.clone(); day.isBefore(today); day.add(1, "day")) {
+        const date = day.format("YYYY-MM-DD");
+        series.push({ date, quantity: sold.get(`${id}:${date}`) || 0 });
+      }
+      history.set(id.toString(), series);
+    });
+
+    return history;
+  }
+
+  /**
+   * Fit day-of-week seasonality and a linear trend to a daily series and
+   * project it forward. Seasonal indices are each weekday's average over
+   * the overall average; the trend is fitted to the deseasonalised series.
+   * @param {Array} series - [{ date, quantity }], oldest first
+   * @param {number} horizon - Days to forecast, starting the day after
+   * @returns {Object} Forecast with the fitted model
+   */
+  buildForecast(series, horizon = 28) {
+    const n = series.length;
+    const weekday = (date) => moment(date, "YYYY-MM-DD").isoWeekday() - 1;
+    const mean = n ? series.reduce((sum, d) => sum + d.quantity, 0) / n : 0;
+
+    // Seasonal index per weekday, Monday first
+    const totals = Array(7).fill(0);
+    const counts = Array(7).fill(0);
+    series.forEach((day) => {
+      totals[weekday(day.date)] += day.quantity;
+      counts[weekday(day.date)]++;
+    });
+    const seasonality = totals.map((total, i) =>
+      mean > 0 && counts[i] > 0 ? total / counts[i] / mean : 1
+    );
+
+    // Least squares trend through the deseasonalised days. Days that never
+    // sell (a closed day) carry no information about the level.
+    const points = series
+      .map((day, t) => ({ t, index: seasonality[weekday(day.date)], day }))
+      .filter((point) => point.index > 0)
+      .map((point) => ({ t: point.t, y: point.day.quantity / point.index }));
+
+    let level = points.length
+      ? points.reduce((sum, p) => sum + p.y, 0) / points.length
+      : 0;
+    let slope = 0;
+
+    if (points.length >= MIN_TREND_DAYS) {
+      const meanT = points.reduce((sum, p) => sum + p.t, 0) / points.length;
+      const meanY = level;
+      const sxx = points.reduce((sum, p) => sum + (p.t - meanT) ** 2, 0);
+      const sxy = points.reduce(
+        (sum, p) => sum + (p.t - meanT) * (p.y - meanY),
+        0
+      );
+      slope = sxx > 0 ? sxy / sxx : 0;
+      // Level at the last day of history
+      level = meanY + slope * (n - 1 - meanT);
+    }
+
+    const project = (t) => Math.max(0, level + slope * (t - (n - 1)));
+
+    // How far the fitted model is from what actually sold
+    const fitError = n
+      ? series.reduce(
+          (sum, day, t) =>
+            sum +
+            Math.abs(
+              day.quantity - project(t) * seasonality[weekday(day.date)]
+            ),
+          0
+        ) / n
+      : 0;
+
+    const lastDate = n
+      ? moment(series[n - 1].date, "YYYY-MM-DD")
+      : moment.tz(this.timezone).startOf("day").subtract(1, "day");
+
+    const forecast = [];
+    for (let h = 1; h <= horizon; h++) {
+      const date = lastDate.clone().add(h, "days");
+      forecast.push({
+        date: date.format("YYYY-MM-DD"),
+        quantity: project(n - 1 + h) * seasonality[date.isoWeekday() - 1],
+      });
+    }
+
+    return {
+      averageDailySales: mean,
+      level,
+      trend: {
+        perDay: slope,
+        // Change over a week as a share of the current level
+        weeklyChange: level > 0 ? (slope * 7) / level : 0,
+      },
+      seasonality: DAY_NAMES.map((day, i) => ({ day, index: seasonality[i] })),
+      fitError,
+      forecast,
+    };
+  }
+
+  // Sum a daily forecast into weeks starting from its first day
+  toWeekly(forecast) {
+    const weeks = [];
+    forecast.forEach((day, i) => {
+      if (i % 7 === 0) {
+        weeks.push({ weekStarting: day.date, quantity: 0 });
+      }
+      weeks[weeks.length - 1].quantity += day.quantity;
+    });
+    return weeks;
+  }
+
+  // Days until forecast sales use up `stock`. Null when the stock outlasts
+  // the forecast.
+  getDaysOfStock(stock, forecast) {
+    if (stock <= 0) return 0;
+
+    let remaining = stock;
+    for (let i = 0; i < forecast.length; i++) {
+      remaining -= forecast[i].quantity;
+      if (remaining <= 0) return i + 1;
+    }
+    return null;
+  }
+
+  // Forecast sales for the next `days`
+  getDemand(forecast, days) {
+    return forecast.slice(0, days).reduce((sum, day) => sum + day.quantity, 0);
+  }
+
+  /**
+   * Forecast several products at once
+   * @param {Array} productIds - Products to forecast
+   * @param {number} horizon - Days to forecast
+   * @param {number} historyDays - Days of sales history to fit
+   * @returns {Promise<Map>} Product ID to forecast
+   */
+  async forecastProducts(productIds, horizon = 28, historyDays = 84) {
+    const history = await this.getSalesHistory(productIds, historyDays);
+    const forecasts = new Map();
+
+    history.forEach((series, id) => {
+      forecasts.set(id, this.buildForecast(series, horizon));
+    });
+
+    return forecasts;
+  }
+}
+
+module.exports = new ForecastService();
@@ -0,0 +1,44 @@
+// backend/src/services/imageService.js
+const crypto = require("crypto");
+const sharp = require("sharp");
+const config = require("../config/app");
+const storageService = require("./storageService");
+
+class ImageService {
+  /**
+   * Resize an uploaded image to each configured size as WebP and store the
+   * results. Images are turned upright from their EXIF orientation and
+   * never enlarged.
+   * @param {Buffer} buffer - Uploaded image
+   * @param {string} folder - Storage folder, e.g. "products/<id>"
+   * @param {Object} sizes - Size name to longest edge in pixels
+   * @returns {Promise<Object>} URLs and storage keys by size, with the
+   *   original's dimensions
+   */
+  async process(buffer, folder, sizes = config.upload.images.sizes) {
+    const image = sharp(buffer, { failOn: "error" }).rotate();
+    const { width, height, orientation } = await image.metadata();
+    const name = crypto.randomBytes(8).toString("hex");
+
+    const urls = {};
+    const keys = [];
+    for (const [size, edge] of Object.entries(sizes)) {
+      const output = await image
+        .clone()
+        .resize(edge, edge, { fit: "inside", withoutEnlargement: true })
+        .webp({ quality: config.upload.images.quality })
+        .toBuffer();
+
+      const key = `${folder}/${name}-${size}.webp`;
+      urls[size] = await storageService.put(key, output, "image/webp");
+      keys.push(key);
+    }
+
+    // EXIF orientations 5-8 are stored sideways
+    return orientation >= 5
+      ? { urls, keys, width: height, height: width }
+      : { urls, keys, width, height };
+  }
+}
+
+module.exports = new ImageService();
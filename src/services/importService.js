@@ -0,0 +1,567 @@
+// backend/src/services/importService.js
+const path = require("path");
+const { Readable } = require("stream");
+const ExcelJS = require("exceljs");
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const StockMovement = require("../models/StockMovement");
+const PriceChange = require("../models/PriceChange");
+const { withTransaction } = require("../utils/transaction");
+
+// Product fields a spreadsheet column can fill, with the headers recognised
+// for each when no mapping is given
+const FIELDS = {
+  name: ["name", "product", "product name", "item", "item name"],
+  sku: ["sku", "code", "item code", "product code"],
+  barcode: ["barcode", "ean", "upc"],
+  category: ["category", "category name"],
+  subcategory: ["subcategory", "sub category"],
+  description: ["description"],
+  brand: ["brand"],
+  unit: ["unit", "uom"],
+  "pricing.cost": ["cost", "cost price", "buying price", "unit cost"],
+  "pricing.sellingPrice": ["price", "selling price", "retail price"],
+  "pricing.wholesalePrice": ["wholesale price"],
+  "pricing.discount": ["discount"],
+  "pricing.tax": ["tax", "vat"],
+  "inventory.currentStock": ["stock", "qty", "quantity", "current stock"],
+  "inventory.minStock": ["min stock", "minimum stock"],
+  "inventory.maxStock": ["max stock", "maximum stock"],
+  "inventory.reorderPoint": ["reorder point"],
+  "inventory.reorderQuantity": ["reorder quantity", "reorder qty"],
+};
+
+// Fields the import looks after itself rather than taking from the file
+const RESERVED_FIELDS = /^(_id|metadata|performance|classification)(\.|$)/;
+
+const normalise = (header) =>
+  String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const isNumeric = (field) => /^(pricing|inventory)\./.test(field);
+
+// Plain copy of a document value, for keeping and comparing
+const toPlain = (value) => (value?.toObject ? value.toObject() : value);
+const isSame = (a, b) =>
+  JSON.stringify(toPlain(a) ?? null) === JSON.stringify(toPlain(b) ?? null);
+
+class ImportService {
+  constructor() {
+    this.headers = new Map();
+    Object.entries(FIELDS).forEach(([field, aliases]) => {
+      [field, ...aliases].forEach((alias) => {
+        this.headers.set(normalise(alias), field);
+      });
+    });
+  }
+
+  /**
+   * Read the first sheet of an uploaded CSV or XLSX file into product
+   * fields, one record per row. The first row holds the column headers.
+   * @param {Buffer} buffer - Uploaded file
+   * @param {string} fileName - Original file name, for its extension
+   * @param {Object} mapping - Column header to product field, overriding
+   *   the recognised headers. Map a column to null to leave it out.
+   * @returns {Promise<Object>} Columns used and ignored, and the records
+   */
+  async readFile(buffer, fileName, mapping = {}) {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+
+    if (path.extname(fileName).toLowerCase() === ".csv") {
+      // Cells are kept as text so codes like barcodes keep leading zeros
+      worksheet = await workbook.csv.read(Readable.from(buffer), {
+        map: (value) => value,
+      });
+    } else {
+      await workbook.xlsx.load(buffer);
+      worksheet = workbook.worksheets[0];
+    }
+
+    if (!worksheet || worksheet.actualRowCount < 2) {
+      throw new Error("The file has no rows to import");
+    }
+
+    const headers = [];
+    worksheet.getRow(1).eachCell((cell, column) => {
+      headers[column] = cell.text.trim();
+    });
+
+    const columns = this.getColumnMap(headers.filter(Boolean), mapping);
+    if (!Object.values(columns).includes("name")) {
+      throw new Error("No column holds the product name");
+    }
+
+    const records = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+
+      const values = {};
+      row.eachCell((cell, column) => {
+        if (headers[column]) values[headers[column]] = cell.text.trim();
+      });
+      if (!Object.values(values).some(Boolean)) return;
+
+      try {
+        records.push({
+          row: rowNumber,
+          fields: this.toFields(values, columns),
+        });
+      } catch (error) {
+        records.push({ row: rowNumber, error: error.message });
+      }
+    });
+
+    return {
+      columns,
+      ignored: headers.filter((header) => header && !columns[header]),
+      records,
+    };
+  }
+
+  /**
+   * Work out which product field each column fills
+   * @param {Array} headers - Column headers from the file
+   * @param {Object} mapping - Column header to product field, or null
+   * @returns {Object} Column header to product field, for columns used
+   */
+  getColumnMap(headers, mapping = {}) {
+    Object.entries(mapping).forEach(([header, field]) => {
+      if (!headers.includes(header)) {
+        throw new Error(`Column ${header} is not in the file`);
+      }
+      if (field && !FIELDS[field]) {
+        throw new Error(`Cannot import column ${header} into ${field}`);
+      }
+    });
+
+    const columns = {};
+    headers.forEach((header) => {
+      const field =
+        header in mapping
+          ? mapping[header]
+          : this.headers.get(normalise(header));
+      if (field) columns[header] = field;
+    });
+
+    const used = Object.values(columns);
+    const repeated = used.find((field, i) => used.indexOf(field) !== i);
+    if (repeated) {
+      throw new Error(`More than one column maps to ${repeated}`);
+    }
+
+    return columns;
+  }
+
+  /**
+   * Turn a row's cells into product fields by path. Blank cells are left
+   * out so they don't overwrite existing values.
+   * @param {Object} values - Cell text by column header
+   * @param {Object} columns - Column header to product field
+   * @returns {Object} Product field values by path
+   */
+  toFields(values, columns) {
+    const fields = {};
+
+    Object.entries(columns).forEach(([header, field]) => {
+      const value = values[header];
+      if (value === undefined || value === "") return;
+
+      if (isNumeric(field)) {
+        const number = Number(value.replace(/,/g, ""));
+        if (Number.isNaN(number)) {
+          throw new Error(`${header} must be a number`);
+        }
+        fields[field] = number;
+      } else {
+        fields[field] = value;
+      }
+    });
+
+    return fields;
+  }
+
+  /**
+   * Turn a product given as JSON into fields by path, leaving out those the
+   * import sets itself
+   * @param {Object} product - Product data
+   * @returns {Object} Product field values by path
+   */
+  flatten(product, prefix = "") {
+    const fields = {};
+
+    Object.entries(product).forEach(([key, value]) => {
+      const field = `${prefix}${key}`;
+      if (RESERVED_FIELDS.test(field)) return;
+
+      if (value?.constructor === Object) {
+        Object.assign(fields, this.flatten(value, `${field}.`));
+      } else {
+        fields[field] = value;
+      }
+    });
+
+    return fields;
+  }
+
+  /**
+   * Active categories by lower case name and by id
+   * @returns {Promise<Map>} Name or id to category id
+   */
+  async getCategoryLookup() {
+    const categories = await Category.find({ isActive: true }).select("name");
+    const lookup = new Map();
+    categories.forEach((category) => {
+      lookup.set(category.name.trim().toLowerCase(), category._id);
+      lookup.set(category._id.toString(), category._id);
+    });
+    return lookup;
+  }
+
+  /**
+   * Import products, creating new ones and, in upsert mode, updating those
+   * matched by SKU or barcode. A dry run checks every row without saving.
+   * @param {Array} records - [{ row, fields }] or [{ row, error }]
+   * @param {Object} options - mode ("create" or "upsert"), matchBy ("sku"
+   *   or "barcode"), dryRun, batch and userId
+   * @returns {Promise<Object>} Outcome of each row, a summary, and what
+   *   rolling the batch back needs
+   */
+  async importRows(records, options) {
+    const lookup = await this.getCategoryLookup();
+    const seen = { sku: new Set(), barcode: new Set() };
+    const categories = new Set();
+    const rows = [];
+    const created = [];
+    const updated = [];
+
+    for (const record of records) {
+      if (record.error) {
+        rows.push({ row: record.row, action: "error", errors: [record.error] });
+        continue;
+      }
+
+      const fields = { ...record.fields };
+      try {
+        this.prepareFields(fields, lookup, seen);
+        const result = await this.importRow(fields, options);
+
+        if (!options.dryRun && result.action !== "unchanged") {
+          categories.add(result.product.category.toString());
+          if (result.previousCategory) {
+            categories.add(result.previousCategory.toString());
+          }
+          if (result.action === "create") {
+            created.push(result.product._id);
+          } else if (result.action === "update") {
+            updated.push({
+              product: result.product._id,
+              fields: result.previous,
+              stockChange: result.stockChange,
+            });
+          }
+        }
+
+        rows.push({
+          row: record.row,
+          action: result.action,
+          product: result.product?._id,
+          sku: result.product?.sku || fields.sku,
+          name: result.product?.name || fields.name,
+          changes: result.previous?.map((change) => change.path),
+          stockChange: result.stockChange || undefined,
+        });
+      } catch (error) {
+        rows.push({
+          row: record.row,
+          action: "error",
+          sku: fields.sku,
+          name: fields.name,
+          errors: error.errors
+            ? Object.values(error.errors).map((e) => e.message)
+            : [error.message],
+        });
+      }
+    }
+
+    // Keep category product counts in step
+    for (const id of categories) {
+      const category = await Category.findById(id);
+      if (category) await category.updateProductCount();
+    }
+
+    const count = (action) => rows.filter((r) => r.action === action).length;
+
+    return {
+      rows,
+      summary: {
+        total: rows.length,
+        created: count("create"),
+        updated: count("update"),
+        unchanged: count("unchanged"),
+        failed: count("error"),
+      },
+      created,
+      updated,
+    };
+  }
+
+  // Normalise a row's codes and category, and reject codes repeated within
+  // the file
+  prepareFields(fields, lookup, seen) {
+    if (fields.sku) fields.sku = String(fields.sku).trim().toUpperCase();
+    if (fields.barcode) fields.barcode = String(fields.barcode).trim();
+
+    for (const field of ["sku", "barcode"]) {
+      const value = fields[field];
+      if (!value) continue;
+      if (seen[field].has(value)) {
+        throw new Error(
+          `${field.toUpperCase()} ${value} appears more than once`
+        );
+      }
+      seen[field].add(value);
+    }
+
+    if (fields.category !== undefined) {
+      const category = String(fields.category).trim();
+      fields.category =
+        lookup.get(category.toLowerCase()) || lookup.get(category);
+      if (!fields.category) {
+        throw new Error(`Category ${category} not found`);
+      }
+    }
+  }
+
+  async importRow(fields, { mode, matchBy, dryRun, batch, userId }) {
+    const key = fields[matchBy];
+    const match =
+      mode === "upsert" && key
+        ? await Product.findOne({ [matchBy]: key })
+        : null;
+
+    // Codes must not belong to any other product
+    for (const field of ["sku", "barcode"]) {
+      if (!fields[field]) continue;
+      const owner = await Product.findOne({ [field]: fields[field] }).select(
+        "name"
+      );
+      if (owner && !owner._id.equals(match?._id)) {
+        throw new Error(
+          `${field.toUpperCase()} ${fields[field]} already belongs to ${owner.name}`
+        );
+      }
+    }
+
+    return match
+      ? this.updateProduct(match, fields, { dryRun, batch, userId })
+      : this.createProduct(fields, { dryRun, batch, userId });
+  }
+
+  async createProduct(fields, { dryRun, batch, userId }) {
+    const product = new Product();
+    Object.entries(fields).forEach(([field, value]) => {
+      product.set(field, value);
+    });
+    product.metadata.createdBy = userId;
+    product.metadata.importBatch = batch;
+
+    if (dryRun) {
+      await product.validate();
+      return { action: "create" };
+    }
+
+    await product.save();
+    await StockMovement.recordOpeningBalance(product, userId);
+    await PriceChange.recordChanges({}, product, userId, {
+      reason: "Opening price",
+      source: "import",
+    });
+
+    return { action: "create", product };
+  }
+
+  // Stock isn't set directly: the difference from the file is booked as an
+  // adjustment so the ledger stays complete
+  async updateProduct(product, fields, { dryRun, batch, userId }) {
+    const { "inventory.currentStock": stock, ...changes } = fields;
+    const previousPricing = product.toObject().pricing;
+    const previousCategory = product.category;
+
+    const previous = [];
+    Object.entries(changes).forEach(([field, value]) => {
+      const current = product.get(field);
+      if (isSame(current, value)) return;
+      previous.push({ path: field, previous: toPlain(current) });
+      product.set(field, value);
+    });
+
+    const stockChange =
+      stock === undefined ? 0 : stock - product.inventory.currentStock;
+    if (stockChange !== 0) {
+      if (product.productType === "bundle" || product.hasVariants) {
+        throw new Error(`${product.name} does not hold stock of its own`);
+      }
+      if (stock < 0) {
+        throw new Error("Stock cannot be negative");
+      }
+    }
+
+    if (previous.length === 0 && stockChange === 0) {
+      return { action: "unchanged", product };
+    }
+
+    product.metadata.updatedBy = userId;
+    await product.validate();
+
+    if (!dryRun) {
+      if (stockChange !== 0) {
+        // Saves the product along with the stock
+        await product.updateStock(
+          stockChange,
+          "adjustment",
+          batch,
+          userId,
+          "Stock level from import"
+        );
+      } else {
+        await product.save();
+      }
+
+      await PriceChange.recordChanges(previousPricing, product, userId, {
+        reason: `Import ${batch}`,
+        source: "import",
+      });
+
+      if (product.hasVariants) {
+        await Product.syncVariants(product);
+      }
+    }
+
+    return {
+      action: "update",
+      product,
+      previous,
+      previousCategory,
+      stockChange,
+    };
+  }
+
+  /**
+   * Undo an import batch. New products are removed, with their opening stock
+   * movements, unless stock has moved or other products use them since;
+   * updated products get their previous values back and the stock the
+   * import added is reversed. Each product is undone in its own transaction
+   * and marked done with it, so a rollback that fails part way (stock since
+   * sold can't be reversed) can be run again without undoing anything twice.
+   * @param {Object} productImport - ProductImport document
+   * @param {string} userId - User rolling back
+   * @returns {Promise<Object>} Counts of products removed and restored
+   */
+  async rollback(productImport, userId) {
+    const reference = `ROLLBACK_${productImport.batch}`;
+    const categories = new Set();
+    let removed = 0;
+    let restored = 0;
+
+    for (const id of productImport.created) {
+      if (productImport.skipped.some((entry) => entry.product?.equals(id))) {
+        continue;
+      }
+
+      const product = await Product.findById(id);
+      if (!product) continue;
+
+      const [moved, used] = await Promise.all([
+        StockMovement.exists({
+          product: id,
+          reference: { $nin: ["OPENING", reference] },
+        }),
+        Product.exists({ $or: [{ "components.product": id }, { parent: id }] }),
+      ]);
+      if (moved || used) {
+        productImport.skipped.push({
+          product: id,
+          name: product.name,
+          reason: moved
+            ? "Stock has moved since the import"
+            : "Used by other products",
+        });
+        await productImport.save();
+        continue;
+      }
+
+      // Nothing but the import touched it, so it goes with its whole history
+      await withTransaction(async (session) => {
+        await StockMovement.deleteMany({ product: id }, { session });
+        await PriceChange.deleteMany({ product: id }, { session });
+        await Product.deleteOne({ _id: id }, { session });
+      });
+      categories.add(product.category.toString());
+      removed++;
+    }
+
+    for (const entry of productImport.updated) {
+      if (entry.rolledBack) continue;
+
+      const product = await withTransaction(async (session) => {
+        const product = await Product.findById(entry.product).session(session);
+        if (!product) return null;
+
+        const previousPricing = product.toObject().pricing;
+        entry.fields.forEach((change) => {
+          product.set(change.path, change.previous ?? undefined);
+        });
+        product.metadata.updatedBy = userId;
+
+        if (entry.stockChange) {
+          try {
+            await product.updateStock(
+              -entry.stockChange,
+              "adjustment",
+              reference,
+              userId,
+              "Import rolled back"
+            );
+          } catch (error) {
+            throw new Error(
+              `Can't reverse the stock imported for ${product.name}: ${error.message}`
+            );
+          }
+        } else {
+          await product.save();
+        }
+
+        await PriceChange.recordChanges(previousPricing, product, userId, {
+          reason: `Rollback of ${productImport.batch}`,
+          source: "import",
+          session,
+        });
+
+        entry.rolledBack = true;
+        await productImport.save({ session });
+        return product;
+      });
+      if (!product) continue;
+
+      categories.add(product.category.toString());
+      restored++;
+    }
+
+    for (const id of categories) {
+      const category = await Category.findById(id);
+      if (category) await category.updateProductCount();
+    }
+
+    productImport.status = "rolled_back";
+    productImport.rolledBackBy = userId;
+    productImport.rolledBackAt = new Date();
+    await productImport.save();
+
+    return { removed, restored, skipped: productImport.skipped };
+  }
+}
+
+module.exports = new ImportService();
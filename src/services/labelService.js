@@ -0,0 +1,212 @@
+// backend/src/services/labelService.js
+const PDFDocument = require("pdfkit");
+const {
+  isValidEan13,
+  encodeEan13,
+  encodeCode128,
+} = require("../utils/barcode");
+
+const mm = (value) => (value * 72) / 25.4;
+
+// Sticker layouts, in mm. Sheet layouts match the common A4 label stock
+// (Avery L7160, L7159, L7651 and L7163 shelf labels).
+const LAYOUTS = {
+  a4_21: {
+    page: [210, 297],
+    columns: 3,
+    rows: 7,
+    width: 63.5,
+    height: 38.1,
+    top: 15.15,
+    left: 7.2,
+    gap: 2.5,
+  },
+  a4_24: {
+    page: [210, 297],
+    columns: 3,
+    rows: 8,
+    width: 63.5,
+    height: 33.9,
+    top: 12.9,
+    left: 7.2,
+    gap: 2.5,
+  },
+  a4_65: {
+    page: [210, 297],
+    columns: 5,
+    rows: 13,
+    width: 38.1,
+    height: 21.2,
+    top: 10.7,
+    left: 4.7,
+    gap: 2.5,
+  },
+  shelf_a4_14: {
+    page: [210, 297],
+    columns: 2,
+    rows: 7,
+    width: 99.1,
+    height: 38.1,
+    top: 15.15,
+    left: 4.65,
+    gap: 2.5,
+    shelf: true,
+  },
+  roll_50x25: {
+    page: [50, 25],
+    columns: 1,
+    rows: 1,
+    width: 50,
+    height: 25,
+    top: 0,
+    left: 0,
+    gap: 0,
+  },
+};
+
+class LabelService {
+  constructor() {
+    this.layouts = LAYOUTS;
+  }
+
+  // EAN-13 numbers print as EAN-13 unless the shop prefers Code 128.
+  // Anything else prints as Code 128. QR labels aren't supported, so they
+  // fall back to the same linear barcodes.
+  getSymbology(code, preferred) {
+    return preferred !== "CODE128" && isValidEan13(code) ? "EAN13" : "CODE128";
+  }
+
+  drawBarcode(doc, code, symbology, x, y, width, height) {
+    const pattern =
+      symbology === "EAN13" ? encodeEan13(code) : encodeCode128(code);
+
+    // Leave a quiet zone of ten modules either side
+    const moduleWidth = Math.min(width / (pattern.length + 20), mm(0.5));
+    const start = x + (width - pattern.length * moduleWidth) / 2;
+
+    let run = 0;
+    for (let i = 0; i <= pattern.length; i++) {
+      if (pattern[i] === "1") {
+        run++;
+      } else if (run > 0) {
+        doc.rect(start + (i - run) * moduleWidth, y, run * moduleWidth, height);
+        run = 0;
+      }
+    }
+    doc.fill("black");
+  }
+
+  drawLabel(doc, label, x, y, layout, symbology) {
+    const padding = mm(1.5);
+    const width = mm(layout.width) - padding * 2;
+    const height = mm(layout.height) - padding * 2;
+    const compact = layout.height < 25;
+
+    let nameSize = compact ? 6 : 8;
+    let priceSize = compact ? 8 : 12;
+    if (layout.shelf) {
+      nameSize = 11;
+      priceSize = 22;
+    }
+
+    let top = y + padding;
+    const left = x + padding;
+
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(nameSize)
+      .text(label.name, left, top, {
+        width,
+        height: nameSize * (compact ? 1.2 : 2.4),
+        align: "center",
+        ellipsis: true,
+      });
+    top += nameSize * (compact ? 1.2 : 2.4);
+
+    if (label.price) {
+      doc.fontSize(priceSize).text(label.price, left, top, {
+        width,
+        align: "center",
+        lineBreak: false,
+      });
+      top += priceSize * 1.1;
+    }
+
+    const digitsSize = compact ? 5 : 6;
+    const barHeight = y + padding + height - top - digitsSize * 1.2;
+    if (barHeight <= 0) return;
+
+    this.drawBarcode(
+      doc,
+      label.barcode,
+      symbology,
+      left,
+      top,
+      width,
+      barHeight
+    );
+
+    doc
+      .font("Helvetica")
+      .fontSize(digitsSize)
+      .text(label.barcode, left, top + barHeight, {
+        width,
+        align: "center",
+        lineBreak: false,
+      });
+  }
+
+  /**
+   * Render labels onto sheets of the chosen layout
+   * @param {Array} labels - [{ name, price, barcode }], one per sticker
+   * @param {Object} options - layout, preferred barcode format, and the
+   *   sticker to start from on the first sheet (to use up part-used sheets)
+   * @returns {Promise<Buffer>} PDF document
+   */
+  render(labels, { layout = "a4_21", format, startPosition = 1 } = {}) {
+    const sheet = LAYOUTS[layout];
+    if (!sheet) {
+      throw new Error(`Unknown label layout ${layout}`);
+    }
+
+    const perPage = sheet.columns * sheet.rows;
+    const doc = new PDFDocument({
+      size: sheet.page.map(mm),
+      margin: 0,
+      autoFirstPage: false,
+      info: { Title: "Product labels" },
+    });
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      try {
+        labels.forEach((label, i) => {
+          const slot = (i + startPosition - 1) % perPage;
+          if (i === 0 || slot === 0) doc.addPage();
+
+          const column = slot % sheet.columns;
+          const row = Math.floor(slot / sheet.columns);
+
+          this.drawLabel(
+            doc,
+            label,
+            mm(sheet.left + column * (sheet.width + sheet.gap)),
+            mm(sheet.top + row * sheet.height),
+            sheet,
+            this.getSymbology(label.barcode, format)
+          );
+        });
+      } catch (error) {
+        return reject(error);
+      }
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = new LabelService();
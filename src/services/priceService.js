@@ -0,0 +1,110 @@
+// backend/src/services/priceService.js
+const moment = require("moment-timezone");
+const PriceChange = require("../models/PriceChange");
+const forecastService = require("./forecastService");
+const config = require("../config/app");
+
+class PriceService {
+  constructor() {
+    this.timezone = config.app.timezone;
+  }
+
+  /**
+   * Price a sale or order line per unit, from the customer's price list if
+   * they buy on one, else the product's own price
+   * @param {Object} product - Product document
+   * @param {string} unit - Unit the line is sold in
+   * @param {number} baseQuantity - Quantity in base units, for quantity breaks
+   * @param {Object|null} priceList - Customer's price list
+   * @returns {number} Price per unit
+   */
+  getLinePrice(product, unit, baseQuantity, priceList) {
+    return priceList
+      ? priceList.getPrice(product, unit, baseQuantity)
+      : product.getUnitPrice(unit);
+  }
+
+  /**
+   * VAT rate to add on top of a product's price. None when tax is off or
+   * selling prices already include it.
+   * @param {Object} product - Product document
+   * @param {Object} tax - Settings.sales.tax
+   * @returns {number} Rate in percent
+   */
+  getTaxRate(product, tax) {
+    if (!tax.enabled || tax.inclusive) return 0;
+    return product.pricing.tax ?? tax.rate;
+  }
+
+  /**
+   * A product's selling price day by day next to the units it sold, and the
+   * same split into spells at each price
+   * @param {Object} product - Product document
+   * @param {number} days - Days of history, ending yesterday
+   * @returns {Promise<Object>} Daily timeline and price spells
+   */
+  async getPriceTimeline(product, days = 180) {
+    const [history, changes] = await Promise.all([
+      forecastService.getSalesHistory([product._id], days),
+      PriceChange.find({
+        product: product._id,
+        field: "sellingPrice",
+        status: "applied",
+      }).sort("effectiveAt"),
+    ]);
+    const series = history.get(product._id.toString());
+
+    const dayOf = (date) => moment.tz(date, this.timezone).format("YYYY-MM-DD");
+
+    // Changes keyed by the day they took effect, last one of a day winning
+    const changedOn = new Map();
+    changes.forEach((change) => {
+      changedOn.set(dayOf(change.effectiveAt), change.newValue);
+    });
+
+    // Price going into the first day: the last change before it, else what
+    // the first change in the window replaced (or set, for a new product),
+    // else today's price
+    const start = series[0]?.date;
+    const before = changes.filter((c) => dayOf(c.effectiveAt) < start);
+    const firstInWindow = changes.find((c) => dayOf(c.effectiveAt) >= start);
+
+    let price = product.pricing.sellingPrice;
+    if (before.length) {
+      price = before[before.length - 1].newValue;
+    } else if (firstInWindow) {
+      price = firstInWindow.previousValue ?? firstInWindow.newValue;
+    }
+
+    const timeline = series.map((day) => {
+      if (changedOn.has(day.date)) price = changedOn.get(day.date);
+      return { date: day.date, price, quantity: day.quantity };
+    });
+
+    // Consecutive days at the same price
+    const spells = [];
+    timeline.forEach((day) => {
+      const last = spells[spells.length - 1];
+      if (last && last.price === day.price) {
+        last.to = day.date;
+        last.days++;
+        last.quantity += day.quantity;
+      } else {
+        spells.push({
+          from: day.date,
+          to: day.date,
+          price: day.price,
+          days: 1,
+          quantity: day.quantity,
+        });
+      }
+    });
+    spells.forEach((spell) => {
+      spell.averageDailySales = spell.quantity / spell.days;
+    });
+
+    return { timeline, spells };
+  }
+}
+
+module.exports = new PriceService();
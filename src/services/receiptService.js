@@ -0,0 +1,825 @@
+// backend/src/services/receiptService.js
+const crypto = require("crypto");
+const moment = require("moment-timezone");
+const PDFDocument = require("pdfkit");
+const sharp = require("sharp");
+const storageService = require("./storageService");
+const { encodeQr } = require("../utils/qrcode");
+const { EscPosBuilder } = require("../utils/escpos");
+const config = require("../config/app");
+
+const mm = (value) => (value * 72) / 25.4;
+
+// Thermal paper: characters per line in the printer's normal font, dots
+// across the print head and printable width
+const ROLLS = {
+  "58mm": { columns: 32, dots: 384, width: 48 },
+  "80mm": { columns: 48, dots: 576, width: 72 },
+};
+
+const PAYMENT_METHODS = {
+  cash: "Cash",
+  mpesa: "M-Pesa",
+  card: "Card",
+  bank_transfer: "Bank transfer",
+  credit: "Credit",
+  mixed: "Mixed",
+};
+
+const SALE_STATUS = {
+  voided: "VOIDED",
+  refunded: "REFUNDED",
+  partial_refund: "PARTIALLY REFUNDED",
+};
+
+const formatMoney = (amount) =>
+  (amount || 0).toLocaleString("en-KE", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Left and right text on one line of `width` characters, the left cut short
+// if they don't both fit
+const columns = (left, right, width) => {
+  const room = width - right.length - 1;
+  const text = left.length > room ? left.slice(0, Math.max(0, room)) : left;
+  return `${text.padEnd(width - right.length)}${right}`;
+};
+
+// Break text into lines of at most `width` characters, at spaces if it can
+const wrap = (text, width) => {
+  const lines = [];
+  let line = "";
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    if (!line) {
+      line = word;
+    } else if (line.length + 1 + word.length <= width) {
+      line += ` ${word}`;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+    while (line.length > width) {
+      lines.push(line.slice(0, width));
+      line = line.slice(width);
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+};
+
+// Scale a grid of modules up to pixels, with a quiet zone around it
+const scaleModules = (modules, scale, quiet = 4) => {
+  const size = (modules.length + quiet * 2) * scale;
+  return Array.from({ length: size }, (_, y) => {
+    const row = modules[Math.floor(y / scale) - quiet];
+    return Array.from({ length: size }, (_, x) =>
+      Boolean(row?.[Math.floor(x / scale) - quiet])
+    );
+  });
+};
+
+class ReceiptService {
+  constructor() {
+    this.timezone = config.app.timezone;
+    this.currency = config.business.currency;
+  }
+
+  /**
+   * Code printed in a receipt's QR code, so anyone holding the receipt can
+   * check it against our records without guessing at receipt numbers
+   * @param {Object} sale - Sale document
+   * @returns {string} Verification code
+   */
+  getVerificationCode(sale) {
+    return crypto
+      .createHmac("sha256", config.jwt.secret)
+      .update(`${sale.receiptNumber}:${sale.totals.total.toFixed(2)}`)
+      .digest("hex")
+      .slice(0, 16);
+  }
+
+  /**
+   * Check a verification code against a sale
+   * @param {Object} sale - Sale document
+   * @param {string} code - Code from the receipt
+   * @returns {boolean} Whether the code is the sale's
+   */
+  isValidCode(sale, code) {
+    const expected = Buffer.from(this.getVerificationCode(sale));
+    const given = Buffer.from(String(code || ""));
+    return (
+      given.length === expected.length &&
+      crypto.timingSafeEqual(given, expected)
+    );
+  }
+
+  getVerificationUrl(sale) {
+    return `${config.app.url}/api/sales/verify/${
+      sale.receiptNumber
+    }?code=${this.getVerificationCode(sale)}`;
+  }
+
+  /**
+   * VAT on a sale by rate. Lines carrying their own tax rate had VAT added
+   * on top; other lines include it at the shop's rate when prices are set
+   * VAT-inclusive, and are zero-rated otherwise.
+   * @param {Object} sale - Sale document
+   * @param {Object} tax - Settings.sales.tax
+   * @returns {Array} [{ rate, net, vat, gross }], highest rate first
+   */
+  getVatBreakdown(sale, tax) {
+    const rates = new Map();
+
+    for (const item of sale.items) {
+      const gross = item.subtotal || 0;
+      let rate = 0;
+      let vat = 0;
+
+      if (item.tax?.rate > 0) {
+        rate = item.tax.rate;
+        vat = item.tax.amount || 0;
+      } else if (tax.enabled && tax.inclusive) {
+        rate = tax.rate;
+        vat = (gross * rate) / (100 + rate);
+      }
+
+      const entry = rates.get(rate) || { rate, net: 0, vat: 0, gross: 0 };
+      entry.net += gross - vat;
+      entry.vat += vat;
+      entry.gross += gross;
+      rates.set(rate, entry);
+    }
+
+    return [...rates.values()]
+      .sort((a, b) => b.rate - a.rate)
+      .map((entry) => ({
+        rate: entry.rate,
+        net: round(entry.net),
+        vat: round(entry.vat),
+        gross: round(entry.gross),
+      }));
+  }
+
+  /**
+   * Gather what goes on a receipt, independent of how it's printed
+   * @param {Object} sale - Sale with seller and customer populated
+   * @param {Object} settings - Settings document
+   * @param {Object} options
+   * @param {number} options.printNumber - 1 for the first print, more for
+   *   reprints
+   * @param {number} options.copy - Copy of this print, from 1
+   * @returns {Object} Receipt contents
+   */
+  compose(sale, settings, { printNumber = 1, copy = 1 } = {}) {
+    const { business } = settings;
+    const receiptSettings = settings.sales.receipt;
+    const address = business.address || {};
+
+    let marker = null;
+    if (printNumber > 1) {
+      marker = `COPY - REPRINT ${printNumber - 1}`;
+    } else if (copy > 1) {
+      marker = "COPY";
+    }
+
+    const vat = this.getVatBreakdown(sale, settings.sales.tax);
+    const vatAdded = sale.items.some((item) => item.tax?.rate > 0);
+
+    const payments =
+      sale.payment.details?.length > 0
+        ? sale.payment.details.map((detail) => {
+            const method = PAYMENT_METHODS[detail.method] || detail.method;
+            const reference = detail.reference || detail.transactionId;
+            return {
+              label: reference ? `${method} ${reference}` : method,
+              amount: detail.amount,
+            };
+          })
+        : [
+            {
+              label: PAYMENT_METHODS[sale.payment.method],
+              amount: sale.payment.totalPaid,
+            },
+          ];
+
+    return {
+      marker,
+      status: SALE_STATUS[sale.status] || null,
+      business: {
+        name: business.name,
+        tagline: business.tagline,
+        address: [address.street, address.area, address.city]
+          .filter(Boolean)
+          .join(", "),
+        phone: business.contact?.phone,
+        email: business.contact?.email,
+        pin: business.registration?.taxId,
+        vatNumber: business.registration?.vatNumber,
+      },
+      header: (receiptSettings.header || "").split("\n").filter(Boolean),
+      footer: (receiptSettings.footer || "").split("\n").filter(Boolean),
+      receiptNumber: sale.receiptNumber,
+      date: moment(sale.createdAt).tz(this.timezone).format("DD/MM/YYYY HH:mm"),
+      printedAt:
+        printNumber > 1
+          ? moment().tz(this.timezone).format("DD/MM/YYYY HH:mm")
+          : null,
+      seller: sale.seller?.name,
+      customer: sale.customer?.name || sale.customerInfo?.name,
+      customerPhone: sale.customer?.phone || sale.customerInfo?.phone,
+      items: sale.items.map((item) => ({
+        name: item.productName,
+        quantity: item.quantity,
+        unit: item.unit,
+        unitPrice: item.unitPrice,
+        gross: item.unitPrice * item.quantity,
+        discount:
+          item.unitPrice * item.quantity +
+          (item.tax?.amount || 0) -
+          item.subtotal,
+        amount: item.subtotal,
+        serialNumbers: item.serialNumbers || [],
+      })),
+      totals: {
+        subtotal: sale.totals.subtotal,
+        discount: sale.totals.discount,
+        tax: vatAdded ? sale.totals.tax : 0,
+        total: sale.totals.total,
+      },
+      vat,
+      vatInclusive:
+        settings.sales.tax.enabled &&
+        settings.sales.tax.inclusive &&
+        sale.items.some((item) => !(item.tax?.rate > 0)),
+      payments,
+      totalPaid: sale.payment.totalPaid,
+      change: sale.payment.change || 0,
+      balance: Math.max(0, round(sale.totals.total - sale.payment.totalPaid)),
+      verificationUrl: this.getVerificationUrl(sale),
+    };
+  }
+
+  /**
+   * Lay a receipt out as lines of text for a roll of `width` characters,
+   * with places for the logo and QR code
+   * @param {Object} receipt - From compose()
+   * @param {number} width - Characters per line
+   * @returns {Array} [{ type: "text"|"rule"|"logo"|"qr", text, align,
+   *   bold, tall }]
+   */
+  layoutLines(receipt, width) {
+    const lines = [];
+    const text = (value, options = {}) =>
+      lines.push({ type: "text", text: value, align: "left", ...options });
+    const centred = (value, options = {}) =>
+      wrap(value, width).forEach((line) =>
+        text(line, { align: "center", ...options })
+      );
+    const pair = (left, right, options) =>
+      text(columns(left, right, width), options);
+    const rule = () => lines.push({ type: "rule" });
+
+    if (receipt.marker) centred(`*** ${receipt.marker} ***`, { bold: true });
+    lines.push({ type: "logo" });
+
+    const { business } = receipt;
+    centred(business.name, { bold: true, tall: true });
+    if (business.tagline) centred(business.tagline);
+    if (business.address) centred(business.address);
+    if (business.phone) centred(`Tel: ${business.phone}`);
+    if (business.pin) centred(`PIN: ${business.pin}`);
+    if (business.vatNumber) centred(`VAT No: ${business.vatNumber}`);
+    receipt.header.forEach((line) => centred(line));
+    rule();
+
+    pair("Receipt", receipt.receiptNumber);
+    pair("Date", receipt.date);
+    if (receipt.seller) pair("Served by", receipt.seller);
+    if (receipt.customer) pair("Customer", receipt.customer);
+    if (receipt.printedAt) pair("Reprinted", receipt.printedAt);
+    if (receipt.status) centred(receipt.status, { bold: true });
+    rule();
+
+    for (const item of receipt.items) {
+      wrap(item.name, width).forEach((line) => text(line));
+      const unit = item.unit ? ` ${item.unit}` : "";
+      pair(
+        `  ${item.quantity}${unit} x ${formatMoney(item.unitPrice)}`,
+        formatMoney(item.gross)
+      );
+      if (item.discount > 0.005) {
+        pair("  Discount", `-${formatMoney(item.discount)}`);
+      }
+      item.serialNumbers.forEach((serial) => text(`  S/N ${serial}`));
+    }
+    rule();
+
+    const { totals } = receipt;
+    pair("Subtotal", formatMoney(totals.subtotal));
+    if (totals.discount > 0) {
+      pair("Discount", `-${formatMoney(totals.discount)}`);
+    }
+    if (totals.tax > 0) pair("VAT", formatMoney(totals.tax));
+    pair(`TOTAL ${this.currency}`, formatMoney(totals.total), {
+      bold: true,
+      tall: true,
+    });
+    rule();
+
+    receipt.payments.forEach((payment) =>
+      pair(payment.label, formatMoney(payment.amount))
+    );
+    if (receipt.change > 0) pair("Change", formatMoney(receipt.change));
+    if (receipt.balance > 0) {
+      pair("Balance due", formatMoney(receipt.balance), { bold: true });
+    }
+    rule();
+
+    // VAT analysis
+    const third = Math.floor(width / 3);
+    text(
+      `${"Rate".padEnd(width - third * 2)}${"Net".padStart(third)}${"VAT".padStart(third)}`,
+      { bold: true }
+    );
+    for (const entry of receipt.vat) {
+      text(
+        `${`${entry.rate}%`.padEnd(width - third * 2)}${formatMoney(
+          entry.net
+        ).padStart(third)}${formatMoney(entry.vat).padStart(third)}`
+      );
+    }
+    if (receipt.vatInclusive) centred("Prices include VAT");
+    rule();
+
+    lines.push({ type: "qr" });
+    centred("Scan to verify this receipt");
+    receipt.footer.forEach((line) => centred(line));
+
+    return lines;
+  }
+
+  // The shop's logo, if it has one and receipts show it. A logo that can't
+  // be read is left off rather than stopping the receipt.
+  async loadLogo(settings) {
+    const keys = settings.business.logo?.storageKeys || [];
+    if (!settings.sales.receipt.showLogo || keys.length === 0) return null;
+
+    const key = keys.find((k) => k.includes("-thumbnail")) || keys[0];
+    try {
+      return await storageService.get(key);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // An image as rows of black and white dots `width` dots across
+  async toBitmap(image, width) {
+    const { data, info } = await sharp(image)
+      .resize({ width, withoutEnlargement: true })
+      .flatten({ background: "#ffffff" })
+      .greyscale()
+      .threshold(160)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return Array.from({ length: info.height }, (_, y) =>
+      Array.from(
+        { length: info.width },
+        (_, x) => data[(y * info.width + x) * info.channels] === 0
+      )
+    );
+  }
+
+  /**
+   * Render receipts as an ESC/POS print job, cut after each one
+   * @param {Array} receipts - From compose(), one per copy
+   * @param {string} paperSize - "58mm" or "80mm"
+   * @param {Buffer|null} logo - Logo image
+   * @returns {Promise<Buffer>} ESC/POS bytes
+   */
+  async renderEscPos(receipts, paperSize, logo) {
+    const roll = ROLLS[paperSize];
+    if (!roll) {
+      throw new Error(
+        `${paperSize} receipts can't be printed on a thermal printer`
+      );
+    }
+
+    const logoBitmap = logo
+      ? await this.toBitmap(logo, Math.round(roll.dots / 2)).catch(() => null)
+      : null;
+
+    const printer = new EscPosBuilder();
+    for (const receipt of receipts) {
+      const modules = encodeQr(receipt.verificationUrl);
+      const scale = Math.max(
+        2,
+        Math.min(6, Math.floor((roll.dots * 0.45) / (modules.length + 8)))
+      );
+
+      for (const line of this.layoutLines(receipt, roll.columns)) {
+        if (line.type === "rule") {
+          printer.align("left").line("-".repeat(roll.columns));
+        } else if (line.type === "logo") {
+          if (logoBitmap) printer.align("center").image(logoBitmap).line();
+        } else if (line.type === "qr") {
+          printer.align("center").image(scaleModules(modules, scale));
+        } else {
+          printer
+            .align(line.align)
+            .bold(Boolean(line.bold))
+            .size(1, line.tall ? 2 : 1)
+            .line(line.text)
+            .bold(false)
+            .size(1, 1);
+        }
+      }
+      printer.feed(4).cut();
+    }
+
+    return printer.build();
+  }
+
+  // Draw a QR code with its top left corner at (x, y)
+  drawQr(doc, text, x, y, size) {
+    const modules = encodeQr(text);
+    const moduleSize = size / modules.length;
+    modules.forEach((row, j) =>
+      row.forEach((dark, i) => {
+        if (dark) {
+          doc.rect(
+            x + i * moduleSize,
+            y + j * moduleSize,
+            moduleSize,
+            moduleSize
+          );
+        }
+      })
+    );
+    doc.fill("black");
+  }
+
+  // A receipt on a page the width of a thermal roll, as the printer would
+  // print it
+  drawRollReceipt(doc, receipt, roll, logo) {
+    const lines = this.layoutLines(receipt, roll.columns);
+    const margin = mm(2);
+    const width = mm(roll.width);
+    const fontSize = width / (roll.columns * 0.6); // Courier is 0.6em wide
+    const lineHeight = fontSize * 1.3;
+    const logoSize = logo ? width / 2 : 0;
+    const qrSize = width * 0.45;
+
+    const height =
+      margin * 2 +
+      lines.reduce((sum, line) => {
+        if (line.type === "logo")
+          return sum + (logo ? logoSize + lineHeight : 0);
+        if (line.type === "qr") return sum + qrSize + lineHeight / 2;
+        return sum + (line.tall ? lineHeight * 2 : lineHeight);
+      }, 0);
+
+    doc.addPage({ size: [width + margin * 2, height], margin: 0 });
+
+    let y = margin;
+    for (const line of lines) {
+      if (line.type === "logo") {
+        if (logo) {
+          doc.image(logo, margin + (width - logoSize) / 2, y, {
+            fit: [logoSize, logoSize],
+            align: "center",
+            valign: "center",
+          });
+          y += logoSize + lineHeight;
+        }
+      } else if (line.type === "qr") {
+        this.drawQr(
+          doc,
+          receipt.verificationUrl,
+          margin + (width - qrSize) / 2,
+          y,
+          qrSize
+        );
+        y += qrSize + lineHeight / 2;
+      } else {
+        const text =
+          line.type === "rule" ? "-".repeat(roll.columns) : line.text;
+        const size = line.tall ? fontSize * 1.6 : fontSize;
+        doc
+          .font(line.bold ? "Courier-Bold" : "Courier")
+          .fontSize(size)
+          .text(text, margin, y + (line.tall ? lineHeight * 0.3 : 0), {
+            width,
+            align: line.align || "left",
+            lineBreak: false,
+          });
+        y += line.tall ? lineHeight * 2 : lineHeight;
+      }
+    }
+  }
+
+  // A receipt laid out on A4 as an invoice-style document
+  drawA4Receipt(doc, receipt, logo) {
+    doc.addPage({ size: "A4", margin: mm(15) });
+    const left = mm(15);
+    const width = doc.page.width - mm(30);
+    const right = left + width;
+    const { business } = receipt;
+
+    if (receipt.marker) {
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(14)
+        .fillColor("#b00020")
+        .text(receipt.marker, left, mm(15), { width, align: "right" })
+        .fillColor("black");
+    }
+
+    let y = mm(15);
+    if (logo) {
+      doc.image(logo, left, y, { fit: [mm(30), mm(30)] });
+    }
+    const headerLeft = logo ? left + mm(35) : left;
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(16)
+      .text(business.name, headerLeft, y, { width: width / 2 });
+    doc.font("Helvetica").fontSize(9);
+    [
+      business.tagline,
+      business.address,
+      business.phone && `Tel: ${business.phone}`,
+      business.email,
+      business.pin && `PIN: ${business.pin}`,
+      business.vatNumber && `VAT No: ${business.vatNumber}`,
+      ...receipt.header,
+    ]
+      .filter(Boolean)
+      .forEach((line) =>
+        doc.text(line, headerLeft, undefined, { width: width / 2 })
+      );
+    y = Math.max(doc.y, logo ? y + mm(30) : 0) + mm(8);
+
+    // Receipt details
+    doc.font("Helvetica-Bold").fontSize(13).text("RECEIPT", left, y);
+    if (receipt.status) {
+      doc
+        .fillColor("#b00020")
+        .text(receipt.status, left, y, { width, align: "right" })
+        .fillColor("black");
+    }
+    y = doc.y + mm(2);
+    doc.font("Helvetica").fontSize(9);
+    [
+      ["Receipt number", receipt.receiptNumber],
+      ["Date", receipt.date],
+      ["Served by", receipt.seller],
+      [
+        "Customer",
+        [receipt.customer, receipt.customerPhone].filter(Boolean).join(", "),
+      ],
+      ["Reprinted", receipt.printedAt],
+    ]
+      .filter(([, value]) => value)
+      .forEach(([label, value]) => {
+        doc.font("Helvetica-Bold").text(label, left, y, { width: mm(35) });
+        doc
+          .font("Helvetica")
+          .text(value, left + mm(35), y, { width: width - mm(35) });
+        y = doc.y + mm(1);
+      });
+    y += mm(4);
+
+    // Items
+    const cols = [
+      { label: "Item", x: left, width: width * 0.4, align: "left" },
+      {
+        label: "Qty",
+        x: left + width * 0.4,
+        width: width * 0.1,
+        align: "right",
+      },
+      {
+        label: "Unit price",
+        x: left + width * 0.5,
+        width: width * 0.17,
+        align: "right",
+      },
+      {
+        label: "Discount",
+        x: left + width * 0.67,
+        width: width * 0.15,
+        align: "right",
+      },
+      {
+        label: "Amount",
+        x: left + width * 0.82,
+        width: width * 0.18,
+        align: "right",
+      },
+    ];
+    const row = (values, bold = false) => {
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+      let bottom = y;
+      values.forEach((value, i) => {
+        doc.text(value, cols[i].x, y, {
+          width: cols[i].width,
+          align: cols[i].align,
+        });
+        bottom = Math.max(bottom, doc.y);
+      });
+      y = bottom + mm(1.5);
+    };
+
+    row(
+      cols.map((col) => col.label),
+      true
+    );
+    doc
+      .moveTo(left, y - mm(0.5))
+      .lineTo(right, y - mm(0.5))
+      .stroke();
+    for (const item of receipt.items) {
+      if (y > doc.page.height - mm(60)) {
+        doc.addPage({ size: "A4", margin: mm(15) });
+        y = mm(15);
+      }
+      const name =
+        item.serialNumbers.length > 0
+          ? `${item.name}\nS/N ${item.serialNumbers.join(", ")}`
+          : item.name;
+      row([
+        name,
+        `${item.quantity}${item.unit ? ` ${item.unit}` : ""}`,
+        formatMoney(item.unitPrice),
+        item.discount > 0.005 ? formatMoney(item.discount) : "",
+        formatMoney(item.amount),
+      ]);
+    }
+    doc.moveTo(left, y).lineTo(right, y).stroke();
+    y += mm(3);
+
+    // Totals
+    const total = (label, value, bold = false) => {
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(bold ? 11 : 9);
+      doc.text(label, left + width * 0.5, y, {
+        width: width * 0.3,
+        align: "right",
+      });
+      doc.text(value, left + width * 0.8, y, {
+        width: width * 0.2,
+        align: "right",
+      });
+      y = doc.y + mm(1.5);
+    };
+    const { totals } = receipt;
+    total("Subtotal", formatMoney(totals.subtotal));
+    if (totals.discount > 0)
+      total("Discount", `-${formatMoney(totals.discount)}`);
+    if (totals.tax > 0) total("VAT", formatMoney(totals.tax));
+    total(`TOTAL (${this.currency})`, formatMoney(totals.total), true);
+    y += mm(2);
+    receipt.payments.forEach((payment) =>
+      total(payment.label, formatMoney(payment.amount))
+    );
+    if (receipt.change > 0) total("Change", formatMoney(receipt.change));
+    if (receipt.balance > 0)
+      total("Balance due", formatMoney(receipt.balance), true);
+    y += mm(4);
+
+    // VAT analysis, with the QR code beside it
+    const qrSize = mm(30);
+    const qrTop = y;
+    doc.font("Helvetica-Bold").fontSize(10).text("VAT analysis", left, y);
+    y = doc.y + mm(1);
+    const vatCols = [0, width * 0.15, width * 0.3, width * 0.45];
+    const vatRow = (values, bold = false) => {
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+      values.forEach((value, i) =>
+        doc.text(value, left + vatCols[i], y, {
+          width: width * 0.15,
+          align: i === 0 ? "left" : "right",
+        })
+      );
+      y = doc.y + mm(1);
+    };
+    vatRow(["Rate", "Net", "VAT", "Gross"], true);
+    receipt.vat.forEach((entry) =>
+      vatRow([
+        `${entry.rate}%`,
+        formatMoney(entry.net),
+        formatMoney(entry.vat),
+        formatMoney(entry.gross),
+      ])
+    );
+    if (receipt.vatInclusive) {
+      doc
+        .font("Helvetica-Oblique")
+        .fontSize(8)
+        .text("Prices include VAT", left, y);
+      y = doc.y;
+    }
+
+    this.drawQr(doc, receipt.verificationUrl, right - qrSize, qrTop, qrSize);
+    doc
+      .font("Helvetica")
+      .fontSize(7)
+      .text("Scan to verify", right - qrSize, qrTop + qrSize + mm(1), {
+        width: qrSize,
+        align: "center",
+      });
+    y = Math.max(y, qrTop + qrSize + mm(6)) + mm(6);
+
+    doc.font("Helvetica").fontSize(9);
+    receipt.footer.forEach((line) => {
+      doc.text(line, left, y, { width, align: "center" });
+      y = doc.y;
+    });
+  }
+
+  /**
+   * Render receipts as a PDF, one page per copy
+   * @param {Array} receipts - From compose(), one per copy
+   * @param {string} paperSize - "58mm", "80mm" or "A4"
+   * @param {Buffer|null} logo - Logo image
+   * @returns {Promise<Buffer>} PDF document
+   */
+  async renderPdf(receipts, paperSize, logo) {
+    // pdfkit only reads PNG and JPEG
+    const image = logo
+      ? await sharp(logo)
+          .png()
+          .toBuffer()
+          .catch(() => null)
+      : null;
+
+    const doc = new PDFDocument({
+      autoFirstPage: false,
+      info: { Title: `Receipt ${receipts[0].receiptNumber}` },
+    });
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      try {
+        for (const receipt of receipts) {
+          if (paperSize === "A4") {
+            this.drawA4Receipt(doc, receipt, image);
+          } else {
+            this.drawRollReceipt(doc, receipt, ROLLS[paperSize], image);
+          }
+        }
+      } catch (error) {
+        return reject(error);
+      }
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Render a sale's receipt as Settings.sales.receipt sets it up: the
+   * configured number of copies on the configured paper
+   * @param {Object} sale - Sale with seller and customer populated
+   * @param {Object} settings - Settings document
+   * @param {Object} options
+   * @param {string} options.format - "escpos" or "pdf"; thermal paper
+   *   defaults to ESC/POS and A4 to PDF
+   * @param {string} options.paperSize - Overrides the configured paper
+   * @param {number} options.printNumber - 1 for the first print, more for
+   *   reprints
+   * @returns {Promise<Object>} { content, contentType, filename }
+   */
+  async render(sale, settings, { format, paperSize, printNumber = 1 } = {}) {
+    const paper = paperSize || settings.sales.receipt.paperSize;
+    const output = format || (paper === "A4" ? "pdf" : "escpos");
+
+    const receipts = Array.from(
+      { length: settings.sales.receipt.printCopy || 1 },
+      (_, i) => this.compose(sale, settings, { printNumber, copy: i + 1 })
+    );
+    const logo = await this.loadLogo(settings);
+
+    if (output === "escpos") {
+      return {
+        content: await this.renderEscPos(receipts, paper, logo),
+        contentType: "application/octet-stream",
+        filename: `${sale.receiptNumber}.bin`,
+      };
+    }
+
+    return {
+      content: await this.renderPdf(receipts, paper, logo),
+      contentType: "application/pdf",
+      filename: `${sale.receiptNumber}.pdf`,
+    };
+  }
+}
+
+module.exports = new ReceiptService();
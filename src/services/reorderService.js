@@ -0,0 +1,191 @@
+// backend/src/services/reorderService.js
+const Product = require("../models/Product");
+const Supplier = require("../models/Supplier");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const Settings = require("../models/Settings");
+const forecastService = require("./forecastService");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class ReorderService {
+  // Work out how much of a product to order. Enough to cover forecast sales
+  // over the lead time plus safety stock (the forecast for the days after),
+  // less what's on hand and already on order. Slow or new lines fall back to
+  // their reorder quantity or minimum stock.
+  getSuggestedQuantity(product, leadTime, safetyDays, onOrder, forecast) {
+    const { currentStock, minStock, maxStock, reorderQuantity } =
+      product.inventory;
+    const available = currentStock + onOrder;
+
+    const demand = forecastService.getDemand(forecast, leadTime);
+    const safetyStock = Math.ceil(
+      forecastService.getDemand(forecast.slice(leadTime), safetyDays)
+    );
+    const target = Math.ceil(demand) + safetyStock;
+
+    let quantity = Math.max(
+      target - available,
+      reorderQuantity || 0,
+      minStock - available
+    );
+    if (maxStock) {
+      quantity = Math.min(quantity, maxStock - available);
+    }
+
+    return { quantity: Math.max(0, quantity), demand, safetyStock };
+  }
+
+  /**
+   * Suggest orders for products at or below their reorder point
+   * @returns {Promise<Array>} Suggestions grouped by supplier. Products with
+   *   no supplier are grouped under a null supplier.
+   */
+  async getSuggestions() {
+    const settings = await Settings.getSettings();
+    const { leadTime, safetyDays } = settings.inventory.autoReorder;
+
+    const products = await Product.find({
+      "status.isActive": true,
+      "status.isDiscontinued": false,
+      "inventory.trackInventory": true,
+      productType: "standard",
+      hasVariants: false,
+    });
+    const onOrder = await PurchaseOrder.getOnOrderQuantities();
+
+    const supplierIds = products
+      .map((product) => product.supplier?.id)
+      .filter(Boolean);
+    const suppliers = await Supplier.find({
+      _id: { $in: supplierIds },
+      isActive: true,
+    });
+
+    // Skip products that are fine, or will be once open orders arrive
+    const due = products
+      .filter((product) => product.needsReorder())
+      .map((product) => {
+        const { currentStock, reorderPoint, minStock } = product.inventory;
+        const incoming = onOrder.get(product._id.toString()) || 0;
+        const supplier = suppliers.find(
+          (s) => s._id.toString() === product.supplier?.id?.toString()
+        );
+        return {
+          product,
+          incoming,
+          supplier,
+          days: supplier?.leadTime ?? leadTime,
+          covered: currentStock + incoming > (reorderPoint || minStock),
+        };
+      })
+      .filter((entry) => !entry.covered);
+
+    if (due.length === 0) return [];
+
+    const forecasts = await forecastService.forecastProducts(
+      due.map((entry) => entry.product._id),
+      Math.max(leadTime, ...due.map((entry) => entry.days)) + safetyDays
+    );
+
+    const groups = new Map();
+
+    for (const { product, incoming, supplier, days } of due) {
+      const { currentStock } = product.inventory;
+      const forecast = forecasts.get(product._id.toString());
+
+      const { quantity, demand, safetyStock } = this.getSuggestedQuantity(
+        product,
+        days,
+        safetyDays,
+        incoming,
+        forecast.forecast
+      );
+      if (quantity <= 0) continue;
+
+      // Order in whole purchase units
+      const unit = product.purchaseUnit || product.unit;
+      const factor = product.getUnitFactor(unit);
+      const orderQuantity = Math.ceil(quantity / factor);
+      const unitCost =
+        product.supplier?.lastPurchasePrice ||
+        (product.pricing.cost || 0) * factor;
+
+      const key = supplier ? supplier._id.toString() : "none";
+      if (!groups.has(key)) {
+        groups.set(key, {
+          supplier: supplier
+            ? { _id: supplier._id, name: supplier.name }
+            : null,
+          leadTime: days,
+          items: [],
+          total: 0,
+        });
+      }
+
+      const group = groups.get(key);
+      group.items.push({
+        product: product._id,
+        productName: product.name,
+        sku: product.sku,
+        currentStock,
+        onOrder: incoming,
+        averageDailySales: forecast.averageDailySales,
+        forecastDemand: demand,
+        safetyStock,
+        suggestedQuantity: quantity,
+        unit,
+        unitFactor: factor,
+        orderQuantity,
+        unitCost,
+        value: orderQuantity * unitCost,
+      });
+      group.total += orderQuantity * unitCost;
+    }
+
+    return Array.from(groups.values()).sort((a, b) => b.total - a.total);
+  }
+
+  /**
+   * Raise a draft purchase order for each supplier with products to reorder
+   * @param {string} userId - User the drafts are raised for
+   * @returns {Promise<Object>} Draft orders and suggestions left without a
+   *   supplier to order from
+   */
+  async createDraftOrders(userId) {
+    const groups = await this.getSuggestions();
+    const orders = [];
+
+    for (const group of groups.filter((g) => g.supplier)) {
+      const purchaseOrder = new PurchaseOrder({
+        supplier: group.supplier._id,
+        items: group.items.map((item) => ({
+          product: item.product,
+          productName: item.productName,
+          sku: item.sku,
+          unit: item.unit,
+          unitFactor: item.unitFactor,
+          quantityOrdered: item.orderQuantity,
+          unitCost: item.unitCost,
+        })),
+        expectedDate: new Date(Date.now() + group.leadTime * DAY),
+        notes: {
+          internal: "Raised by automatic reorder. Review before sending.",
+        },
+        source: "auto_reorder",
+        status: "draft",
+        statusHistory: [{ status: "draft", updatedBy: userId }],
+        createdBy: userId,
+      });
+
+      await purchaseOrder.save();
+      orders.push(purchaseOrder);
+    }
+
+    return {
+      orders,
+      unassigned: groups.filter((g) => !g.supplier),
+    };
+  }
+}
+
+module.exports = new ReorderService();
@@ -0,0 +1,216 @@
+// backend/src/services/saleService.js
+const Sale = require("../models/Sale");
+const Product = require("../models/Product");
+const Customer = require("../models/Customer");
+const SerialNumber = require("../models/SerialNumber");
+const MpesaTransaction = require("../models/MpesaTransaction");
+
+// Capture the cost and lots of a sale line from the stock movement just
+// posted. Products that don't track inventory are costed at their carried cost.
+const recordCostOfGoods = (item, product, movement) => {
+  if (movement) {
+    item.unitCost = movement.unitCost;
+    item.costOfGoods = movement.totalCost;
+    item.lots = movement.lots;
+  } else {
+    item.unitCost = product.pricing.cost || 0;
+    item.costOfGoods = (item.baseQuantity || item.quantity) * item.unitCost;
+  }
+};
+
+// Take a bundle's components out of stock. The line's revenue is split across
+// the components by their standalone selling prices.
+const sellBundle = async (item, bundle, sale, userId, allowNegative) => {
+  await bundle.populate("components.product");
+
+  const missing = bundle.components.find((component) => !component.product);
+  if (missing) {
+    throw new Error(`A component of ${bundle.name} no longer exists`);
+  }
+
+  const listValue = bundle.components.reduce(
+    (sum, component) =>
+      sum + component.product.pricing.sellingPrice * component.quantity,
+    0
+  );
+
+  item.components = [];
+  for (const component of bundle.components) {
+    const product = component.product;
+    const line = {
+      product: product._id,
+      productName: product.name,
+      quantity: component.quantity * item.quantity,
+    };
+
+    let movement = null;
+    if (product.inventory.trackInventory) {
+      movement = await product.updateStock(
+        line.quantity,
+        "sale",
+        sale.receiptNumber,
+        userId,
+        `Sold in ${bundle.name}`,
+        { location: sale.location, allowNegative }
+      );
+    }
+    recordCostOfGoods(line, product, movement);
+
+    const share =
+      listValue > 0
+        ? (product.pricing.sellingPrice * component.quantity) / listValue
+        : 1 / bundle.components.length;
+    line.revenue = item.subtotal * share;
+
+    item.components.push(line);
+  }
+
+  item.costOfGoods = item.components.reduce(
+    (sum, line) => sum + line.costOfGoods,
+    0
+  );
+  item.unitCost = item.costOfGoods / item.quantity;
+
+  bundle.performance.totalSold += item.quantity;
+  bundle.performance.totalRevenue += item.subtotal;
+  bundle.performance.totalCost += item.costOfGoods;
+  bundle.performance.lastSoldDate = new Date();
+  await bundle.save();
+};
+
+// Mark a line's serialized units as sold to the sale's customer
+const sellSerialNumbers = async (item, sale, userId) => {
+  const units = await SerialNumber.find({
+    product: item.product,
+    serialNumber: { $in: item.serialNumbers },
+  }).session(sale.$session());
+
+  for (const unit of units) {
+    unit.sale = sale._id;
+    unit.customer = sale.customer;
+    unit.soldAt = new Date();
+    unit.record("sold", "sold", {
+      reference: sale.receiptNumber,
+      sale: sale._id,
+      customer: sale.customer,
+      userId,
+    });
+    await unit.save();
+  }
+};
+
+class SaleService {
+  /**
+   * Take a saved sale's lines out of stock, in the session the sale was
+   * saved in, and record what they cost
+   * @param {Object} sale - Saved sale document
+   * @param {string} userId - User making the sale
+   * @param {boolean} allowNegative - Let stock go below zero, for sales that
+   *   have already been made
+   * @returns {Promise<Object>} The sale, saved with its costs
+   */
+  async postStock(sale, userId, allowNegative = false) {
+    for (const item of sale.items) {
+      const product = await Product.findById(item.product).session(
+        sale.$session()
+      );
+      if (!product) {
+        throw new Error(`Product ${item.productName} not found`);
+      }
+
+      if (product.productType === "bundle") {
+        await sellBundle(item, product, sale, userId, allowNegative);
+        continue;
+      }
+
+      let movement = null;
+      if (product.inventory.trackInventory) {
+        movement = await product.updateStock(
+          item.baseQuantity,
+          "sale",
+          sale.receiptNumber,
+          userId,
+          null,
+          { location: sale.location, allowNegative }
+        );
+      }
+
+      recordCostOfGoods(item, product, movement);
+
+      if (item.serialNumbers.length > 0) {
+        await sellSerialNumbers(item, sale, userId);
+      }
+    }
+    return sale.save();
+  }
+
+  /**
+   * Save a new sale with its stock movements, M-Pesa link and customer
+   * statistics. Run it in a transaction (utils/transaction) so they are
+   * written together or not at all.
+   * @param {Object} data - Sale fields
+   * @param {string} userId - User making the sale
+   * @param {Object} options
+   * @param {Object} options.session - Transaction session, or null
+   * @param {Object} options.mpesaTransaction - M-Pesa payment to link
+   * @param {boolean} options.allowNegative - Let stock go below zero
+   * @returns {Promise<Object>} The saved sale
+   */
+  async record(
+    data,
+    userId,
+    { session = null, mpesaTransaction, allowNegative } = {}
+  ) {
+    const sale = new Sale(data);
+    await sale.save({ session });
+
+    // Update product stock and sales data
+    await this.postStock(sale, userId, allowNegative);
+
+    // Link sale to M-Pesa transaction, unless another sale already used it
+    if (mpesaTransaction) {
+      const linked = await MpesaTransaction.updateOne(
+        { _id: mpesaTransaction._id, sale: null },
+        { $set: { sale: sale._id } },
+        { session }
+      );
+      if (linked.matchedCount === 0) {
+        throw new Error("M-Pesa transaction is already linked to a sale");
+      }
+    }
+
+    // Update customer statistics if customer exists
+    if (sale.customer) {
+      const customerDoc = await Customer.findById(sale.customer).session(
+        session
+      );
+      if (customerDoc) {
+        await customerDoc.updateOrderStatistics(sale.totals.total);
+
+        // Add to favorite products
+        for (const item of sale.items) {
+          const favoriteIndex =
+            customerDoc.statistics.favoriteProducts.findIndex(
+              (fp) => fp.product.toString() === item.product.toString()
+            );
+
+          if (favoriteIndex > -1) {
+            customerDoc.statistics.favoriteProducts[favoriteIndex].count +=
+              item.quantity;
+          } else {
+            customerDoc.statistics.favoriteProducts.push({
+              product: item.product,
+              count: item.quantity,
+            });
+          }
+        }
+
+        await customerDoc.save();
+      }
+    }
+
+    return sale;
+  }
+}
+
+module.exports = new SaleService();
@@ -0,0 +1,106 @@
+// backend/src/services/storageService.js
+const fs = require("fs/promises");
+const path = require("path");
+const config = require("../config/app");
+
+// Keeps files on local disk under the upload directory, served by the
+// /uploads static route
+class LocalStorage {
+  constructor({ destination, baseUrl }) {
+    this.root = path.resolve(destination);
+    this.baseUrl = baseUrl;
+  }
+
+  resolve(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key ${key}`);
+    }
+    return file;
+  }
+
+  async put(key, buffer) {
+    const file = this.resolve(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    return `${this.baseUrl}/${key}`;
+  }
+
+  get(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      // Already gone is as good as removed
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+}
+
+// Stores uploaded files through a driver picked by config.upload.storage.
+// A driver has put(key, buffer, contentType) returning the file's public URL,
+// get(key) returning its contents and remove(key). Object storage drivers
+// register themselves with register() and are selected the same way.
+class StorageService {
+  constructor() {
+    this.drivers = {
+      local: () => new LocalStorage(config.upload),
+    };
+    this.driver = null;
+  }
+
+  /**
+   * Make a storage driver available
+   * @param {string} name - Name used in config.upload.storage
+   * @param {Function} factory - Returns the driver, given config.upload
+   */
+  register(name, factory) {
+    this.drivers[name] = factory;
+    this.driver = null;
+  }
+
+  getDriver() {
+    if (!this.driver) {
+      const factory = this.drivers[config.upload.storage];
+      if (!factory) {
+        throw new Error(`Unknown storage driver ${config.upload.storage}`);
+      }
+      this.driver = factory(config.upload);
+    }
+    return this.driver;
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Path of the file within storage
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType - MIME type
+   * @returns {Promise<string>} Public URL of the file
+   */
+  put(key, buffer, contentType) {
+    return this.getDriver().put(key, buffer, contentType);
+  }
+
+  /**
+   * Read a stored file
+   * @param {string} key - Path of the file within storage
+   * @returns {Promise<Buffer>} File contents
+   */
+  get(key) {
+    return this.getDriver().get(key);
+  }
+
+  /**
+   * Delete stored files, ignoring any already gone
+   * @param {Array} keys - Paths of the files within storage
+   */
+  async remove(keys) {
+    const driver = this.getDriver();
+    await Promise.all(keys.map((key) => driver.remove(key)));
+  }
+}
+
+module.exports = new StorageService();
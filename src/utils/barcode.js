@@ -0,0 +1,153 @@
+// backend/src/utils/barcode.js
+// EAN-13 numbering and bar patterns for printing labels. Patterns are
+// strings of modules, "1" for a bar and "0" for a space.
+
+// EAN-13 left-hand (odd parity) digit patterns. Even parity patterns are
+// these complemented and reversed; right-hand patterns are complemented.
+const EAN_L = [
+  "0001101",
+  "0011001",
+  "0010011",
+  "0111101",
+  "0100011",
+  "0110001",
+  "0101111",
+  "0111011",
+  "0110111",
+  "0001011",
+];
+
+// Parity of the six left-hand digits, set by the first digit
+const EAN_PARITY = [
+  "LLLLLL",
+  "LLGLGG",
+  "LLGGLG",
+  "LLGGGL",
+  "LGLLGG",
+  "LGGLLG",
+  "LGGGLL",
+  "LGLGLG",
+  "LGLGGL",
+  "LGGLGL",
+];
+
+// Code 128 bar/space widths for symbol values 0-106
+const CODE128_WIDTHS = (
+  "212222 222122 222221 121223 121322 131222 122213 122312 132212 221213 " +
+  "221312 231212 112232 122132 122231 113222 123122 123221 223211 221132 " +
+  "221231 213212 223112 312131 311222 321122 321221 312212 322112 322211 " +
+  "212123 212321 232121 111323 131123 131321 112313 132113 132311 211313 " +
+  "231113 231311 112133 112331 132131 113123 113321 133121 313121 211331 " +
+  "231131 213113 213311 213131 311123 311321 331121 312113 312311 332111 " +
+  "314111 221411 431111 111224 111422 121124 121421 141122 141221 112214 " +
+  "112412 122114 122411 142112 142211 241211 221114 413111 241112 134111 " +
+  "111242 121142 121241 114212 124112 124211 411212 421112 421211 212141 " +
+  "214121 412121 111143 111341 131141 114113 114311 411113 411311 113141 " +
+  "114131 311141 411131 211412 211214 211232 2331112"
+).split(" ");
+
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+
+const invert = (pattern) =>
+  pattern.replace(/[01]/g, (bit) => (bit === "1" ? "0" : "1"));
+
+/**
+ * Work out the EAN-13 check digit
+ * @param {string} digits - The first 12 digits
+ * @returns {number} Check digit
+ */
+const ean13CheckDigit = (digits) => {
+  const sum = digits
+    .split("")
+    .reduce((total, digit, i) => total + Number(digit) * (i % 2 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Check a barcode is a well-formed EAN-13
+ * @param {string} code - Barcode
+ * @returns {boolean} Whether the barcode is a valid EAN-13
+ */
+const isValidEan13 = (code) =>
+  /^\d{13}$/.test(code) &&
+  ean13CheckDigit(code.slice(0, 12)) === Number(code[12]);
+
+/**
+ * Build an EAN-13 from a numeric prefix and a sequence number
+ * @param {string} prefix - Leading digits, e.g. "200" for in-store codes
+ * @param {number} sequence - Number filling the remaining digits
+ * @returns {string} EAN-13 with check digit
+ */
+const buildEan13 = (prefix, sequence) => {
+  const width = 12 - prefix.length;
+  const body = sequence.toString().padStart(width, "0");
+
+  if (!/^\d{1,11}$/.test(prefix) || body.length > width) {
+    throw new Error(`Barcode prefix ${prefix} has no numbers left`);
+  }
+
+  const digits = `${prefix}${body}`;
+  return `${digits}${ean13CheckDigit(digits)}`;
+};
+
+/**
+ * Encode an EAN-13 as 95 modules
+ * @param {string} code - Valid EAN-13
+ * @returns {string} Module pattern
+ */
+const encodeEan13 = (code) => {
+  const digits = code.split("").map(Number);
+  const parity = EAN_PARITY[digits[0]];
+
+  const left = digits
+    .slice(1, 7)
+    .map((digit, i) =>
+      parity[i] === "L"
+        ? EAN_L[digit]
+        : invert(EAN_L[digit]).split("").reverse().join("")
+    )
+    .join("");
+  const right = digits
+    .slice(7)
+    .map((digit) => invert(EAN_L[digit]))
+    .join("");
+
+  return `101${left}01010${right}101`;
+};
+
+/**
+ * Encode text as Code 128 (code set B)
+ * @param {string} text - Printable ASCII text
+ * @returns {string} Module pattern
+ */
+const encodeCode128 = (text) => {
+  const values = text.split("").map((char) => {
+    const code = char.charCodeAt(0);
+    if (code < 32 || code > 126) {
+      throw new Error(`Cannot encode "${char}" in Code 128`);
+    }
+    return code - 32;
+  });
+
+  const checksum =
+    values.reduce((sum, value, i) => sum + value * (i + 1), CODE128_START_B) %
+    103;
+
+  return [CODE128_START_B, ...values, checksum, CODE128_STOP]
+    .map((value) =>
+      CODE128_WIDTHS[value]
+        .split("")
+        .map((width, i) => (i % 2 ? "0" : "1").repeat(Number(width)))
+        .join("")
+    )
+    .join("");
+};
+
+module.exports = {
+  ean13CheckDigit,
+  isValidEan13,
+  buildEan13,
+  encodeEan13,
+  encodeCode128,
+};
@@ -0,0 +1,102 @@
+// backend/src/utils/escpos.js
+// ESC/POS commands for thermal receipt printers (Epson and compatibles).
+// Text is sent as plain ASCII so it prints the same on any code page.
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const ALIGN = { left: 0, center: 1, right: 2 };
+
+/**
+ * Reduce text to printable ASCII: accents are dropped, anything else
+ * becomes "?"
+ * @param {string} text - Text to print
+ * @returns {string} ASCII text
+ */
+const toAscii = (text) =>
+  String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\x20-\x7e]/g, "?");
+
+// Builds up a print job command by command
+class EscPosBuilder {
+  constructor() {
+    this.chunks = [Buffer.from([ESC, 0x40])]; // Reset the printer
+  }
+
+  raw(bytes) {
+    this.chunks.push(Buffer.from(bytes));
+    return this;
+  }
+
+  align(alignment) {
+    return this.raw([ESC, 0x61, ALIGN[alignment] ?? ALIGN.left]);
+  }
+
+  bold(on = true) {
+    return this.raw([ESC, 0x45, on ? 1 : 0]);
+  }
+
+  // Character size as multiples of normal, 1-8 each way
+  size(width = 1, height = 1) {
+    return this.raw([GS, 0x21, ((width - 1) << 4) | (height - 1)]);
+  }
+
+  text(text) {
+    this.chunks.push(Buffer.from(toAscii(text), "ascii"));
+    return this;
+  }
+
+  line(text = "") {
+    return this.text(text).raw([LF]);
+  }
+
+  feed(lines = 1) {
+    return this.raw([ESC, 0x64, lines]);
+  }
+
+  /**
+   * Print a monochrome image as a raster bit image (GS v 0)
+   * @param {Array<Array<boolean>>} rows - Rows of pixels, true for black
+   */
+  image(rows) {
+    const height = rows.length;
+    const widthBytes = Math.ceil(rows[0].length / 8);
+
+    const data = Buffer.alloc(widthBytes * height);
+    rows.forEach((row, y) => {
+      row.forEach((black, x) => {
+        if (black) data[y * widthBytes + (x >> 3)] |= 0x80 >> (x & 7);
+      });
+    });
+
+    this.raw([
+      GS,
+      0x76,
+      0x30,
+      0,
+      widthBytes & 0xff,
+      widthBytes >> 8,
+      height & 0xff,
+      height >> 8,
+    ]);
+    this.chunks.push(data);
+    return this;
+  }
+
+  // Feed the paper past the cutter and cut, leaving a tab
+  cut() {
+    return this.raw([GS, 0x56, 0x42, 0]);
+  }
+
+  build() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+module.exports = {
+  toAscii,
+  EscPosBuilder,
+};
@@ -0,0 +1,120 @@
+// backend/src/utils/migrateStockMovements.js
+// Moves the movements embedded on each product into the StockMovement ledger
+// and removes the embedded array. Safe to run more than once: the embedded
+// array is removed as each product is migrated, and movements keep their
+// original _id so any already copied by an interrupted run are not copied
+// again.
+//
+// Usage: npm run migrate:movements
+require("dotenv").config();
+const mongoose = require("mongoose");
+const database = require("../config/database");
+const Product = require("../models/Product");
+const StockMovement = require("../models/StockMovement");
+
+const migrate = async () => {
+  await database.connect();
+
+  const stats = { products: 0, movements: 0, openings: 0, skipped: 0 };
+
+  // Read the raw documents; the embedded array is no longer in the schema
+  const cursor = Product.collection.find(
+    {},
+    {
+      projection: {
+        stockMovements: 1,
+        "inventory.currentStock": 1,
+        "pricing.cost": 1,
+        "metadata.createdBy": 1,
+        createdAt: 1,
+      },
+    }
+  );
+
+  for await (const product of cursor) {
+    const embedded = (product.stockMovements || [])
+      .slice()
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const hasLedger = await StockMovement.exists({ product: product._id });
+
+    if (embedded.length === 0 && hasLedger) {
+      stats.skipped++;
+      continue;
+    }
+
+    const currentStock = product.inventory?.currentStock || 0;
+    const unitCost = product.pricing?.cost || 0;
+
+    // Older movements were trimmed, so open the ledger at whatever stock the
+    // surviving history starts from
+    const opening = embedded.length ? embedded[0].previousStock : currentStock;
+
+    // An interrupted run may have copied some of this product's history
+    // before it could remove the embedded array
+    const copiedIds = await StockMovement.find({
+      _id: {
+        $in: embedded
+          .filter((movement) => movement._id)
+          .map((movement) => movement._id),
+      },
+    }).distinct("_id");
+    const copied = new Set(copiedIds.map(String));
+    const hasOpening =
+      hasLedger &&
+      (await StockMovement.exists({
+        product: product._id,
+        reference: "OPENING",
+      }));
+
+    const entries = [];
+    if (opening !== 0 && !hasOpening) {
+      entries.push({
+        product: product._id,
+        type: "adjustment",
+        quantity: opening,
+        previousStock: 0,
+        newStock: opening,
+        reference: "OPENING",
+        reason: "Opening balance (migrated)",
+        unitCost,
+        totalCost: opening * unitCost,
+        performedBy: product.metadata?.createdBy,
+        timestamp: product.createdAt || embedded[0]?.timestamp,
+      });
+      stats.openings++;
+    }
+
+    const remaining = embedded.filter(
+      (movement) => !copied.has(String(movement._id))
+    );
+    remaining.forEach((movement) => {
+      entries.push({
+        ...movement,
+        product: product._id,
+      });
+    });
+
+    if (entries.length > 0) {
+      await StockMovement.insertMany(entries);
+      stats.movements += remaining.length;
+    }
+
+    await Product.collection.updateOne(
+      { _id: product._id },
+      { $unset: { stockMovements: "" } }
+    );
+    stats.products++;
+  }
+
+  console.log(
+    `Migrated ${stats.movements} movements for ${stats.products} products ` +
+      `(${stats.openings} opening balances, ${stats.skipped} already migrated)`
+  );
+};
+
+migrate()
+  .catch((error) => {
+    console.error("Stock movement migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,383 @@
+// backend/src/utils/qrcode.js
+// QR codes for printing on receipts. Text is encoded as bytes at error
+// correction level M, in the smallest of versions 1-10 (up to 213 bytes)
+// that holds it. The result is a square grid of modules, true for dark.
+
+// Per version 1-10 at level M: codewords in the symbol, error correction
+// codewords per block and number of blocks
+const TOTAL_CODEWORDS = [26, 44, 70, 100, 134, 172, 196, 242, 292, 346];
+const ECC_PER_BLOCK = [10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const BLOCKS = [1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+
+// Centres of alignment patterns along each axis
+const ALIGNMENT = [
+  [],
+  [6, 18],
+  [6, 22],
+  [6, 26],
+  [6, 30],
+  [6, 34],
+  [6, 22, 38],
+  [6, 24, 42],
+  [6, 26, 46],
+  [6, 28, 50],
+];
+
+// Format information for level M is 00, then the mask number
+const LEVEL_M = 0;
+
+// Whether module (x, y) is flipped by each of the eight data masks
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+const bit = (value, i) => ((value >>> i) & 1) !== 0;
+
+// Multiply in GF(256) modulo x^8 + x^4 + x^3 + x^2 + 1
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+// Reed-Solomon generator polynomial of the given degree, highest term
+// dropped
+const rsDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+// Error correction codewords for a block of data
+const rsRemainder = (data, divisor) => {
+  const result = new Array(divisor.length).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+};
+
+// Data codewords for the text: byte mode, length, the bytes, then padding
+const encodeData = (bytes, version, capacity) => {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push(bit(value, i) ? 1 : 0);
+  };
+
+  append(0b0100, 4);
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((byte) => append(byte, 8));
+
+  // Terminator, then up to a whole byte
+  append(0, Math.min(4, capacity * 8 - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+  }
+  for (let pad = 0xec; codewords.length < capacity; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+};
+
+// Split data into blocks, add each block's error correction and interleave
+// them the way they are read back
+const addErrorCorrection = (data, version) => {
+  const total = TOTAL_CODEWORDS[version - 1];
+  const eccLength = ECC_PER_BLOCK[version - 1];
+  const blockCount = BLOCKS[version - 1];
+  const shortBlocks = blockCount - (total % blockCount);
+  const shortLength = Math.floor(total / blockCount);
+  const divisor = rsDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, start = 0; i < blockCount; i++) {
+    const length = shortLength - eccLength + (i < shortBlocks ? 0 : 1);
+    const block = data.slice(start, start + length);
+    start += length;
+
+    const ecc = rsRemainder(block, divisor);
+    if (i < shortBlocks) block.push(0); // Placeholder, skipped below
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortLength - eccLength || j >= shortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+};
+
+class QrMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () =>
+      new Array(this.size).fill(false)
+    );
+    this.reserved = Array.from({ length: this.size }, () =>
+      new Array(this.size).fill(false)
+    );
+  }
+
+  set(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      this.set(6, i, i % 2 === 0);
+      this.set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns and their separators, in three corners
+    for (const [cx, cy] of [
+      [3, 3],
+      [size - 4, 3],
+      [3, size - 4],
+    ]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || x >= size || y < 0 || y >= size) continue;
+          const ring = Math.max(Math.abs(dx), Math.abs(dy));
+          this.set(x, y, ring !== 2 && ring !== 4);
+        }
+      }
+    }
+
+    // Alignment patterns, except where they'd overlap the finders
+    const centres = ALIGNMENT[this.version - 1];
+    const last = centres.length - 1;
+    centres.forEach((cx, i) => {
+      centres.forEach((cy, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last)) return;
+        if (i === last && j === 0) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this.set(
+              cx + dx,
+              cy + dy,
+              Math.max(Math.abs(dx), Math.abs(dy)) !== 1
+            );
+          }
+        }
+      });
+    });
+
+    this.drawFormat(0); // Reserves the area until the mask is chosen
+    this.drawVersion();
+  }
+
+  drawFormat(mask) {
+    const { size } = this;
+    const data = (LEVEL_M << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    // Around the top left finder
+    for (let i = 0; i <= 5; i++) this.set(8, i, bit(bits, i));
+    this.set(8, 7, bit(bits, 6));
+    this.set(8, 8, bit(bits, 7));
+    this.set(7, 8, bit(bits, 8));
+    for (let i = 9; i < 15; i++) this.set(14 - i, 8, bit(bits, i));
+
+    // Split between the other two finders
+    for (let i = 0; i < 8; i++) this.set(size - 1 - i, 8, bit(bits, i));
+    for (let i = 8; i < 15; i++) this.set(8, size - 15 + i, bit(bits, i));
+    this.set(8, size - 8, true); // Always dark
+  }
+
+  drawVersion() {
+    if (this.version < 7) return;
+
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (this.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.set(a, b, bit(bits, i));
+      this.set(b, a, bit(bits, i));
+    }
+  }
+
+  // Lay the codewords out in two-module columns, zigzagging up and down
+  // from the bottom right
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // Skip the vertical timing pattern
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vertical : vertical;
+          if (this.reserved[y][x] || i >= codewords.length * 8) continue;
+          this.modules[y][x] = bit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+
+  // Flip the data modules picked out by a mask. Applying it twice undoes it.
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && MASKS[mask](x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  // How hard the symbol is to scan: long runs, 2x2 blocks, finder-like
+  // patterns and an uneven share of dark modules all count against it
+  getPenalty() {
+    const { size, modules } = this;
+    let penalty = 0;
+
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map((row) => row[i]));
+    }
+
+    for (const line of lines) {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) penalty += run - 2;
+          run = 1;
+        }
+      }
+
+      const text = line.map((dark) => (dark ? "1" : "0")).join("");
+      for (const pattern of ["10111010000", "00001011101"]) {
+        for (
+          let at = text.indexOf(pattern);
+          at !== -1;
+          at = text.indexOf(pattern, at + 1)
+        ) {
+          penalty += 40;
+        }
+      }
+    }
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (
+          x < size - 1 &&
+          y < size - 1 &&
+          modules[y][x] === modules[y][x + 1] &&
+          modules[y][x] === modules[y + 1][x] &&
+          modules[y][x] === modules[y + 1][x + 1]
+        ) {
+          penalty += 3;
+        }
+      }
+    }
+
+    const total = size * size;
+    const deviation = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    return penalty + Math.max(0, deviation) * 10;
+  }
+}
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - Text to encode, up to 213 bytes of UTF-8
+ * @returns {Array<Array<boolean>>} Rows of modules, true for dark, without
+ *   the four-module quiet zone
+ */
+const encodeQr = (text) => {
+  const bytes = [...Buffer.from(text, "utf8")];
+
+  let version = 1;
+  let capacity;
+  for (; version <= TOTAL_CODEWORDS.length; version++) {
+    capacity =
+      TOTAL_CODEWORDS[version - 1] -
+      ECC_PER_BLOCK[version - 1] * BLOCKS[version - 1];
+    const lengthBits = version < 10 ? 8 : 16;
+    if (4 + lengthBits + bytes.length * 8 <= capacity * 8) break;
+  }
+  if (version > TOTAL_CODEWORDS.length) {
+    throw new Error("Text is too long for a QR code");
+  }
+
+  const matrix = new QrMatrix(version);
+  matrix.drawFunctionPatterns();
+  matrix.drawCodewords(
+    addErrorCorrection(encodeData(bytes, version, capacity), version)
+  );
+
+  // Use the mask that scans most easily
+  let best = 0;
+  let lowest = Infinity;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    matrix.applyMask(mask);
+    matrix.drawFormat(mask);
+    const penalty = matrix.getPenalty();
+    if (penalty < lowest) {
+      best = mask;
+      lowest = penalty;
+    }
+    matrix.applyMask(mask);
+  }
+  matrix.applyMask(best);
+  matrix.drawFormat(best);
+
+  return matrix.modules;
+};
+
+module.exports = {
+  encodeQr,
+};
@@ -0,0 +1,36 @@
+// backend/src/utils/transaction.js
+// Multi-document transactions. They need a replica set or sharded cluster;
+// against a standalone server (local development) the work runs without one.
+const mongoose = require("mongoose");
+const config = require("../config/app");
+
+const supportsTransactions = () => {
+  if (!config.database.transactions) return false;
+
+  const type = mongoose.connection.getClient()?.topology?.description?.type;
+  return Boolean(type) && type !== "Single" && type !== "Unknown";
+};
+
+/**
+ * Run work in a transaction, committed when it resolves and aborted when it
+ * throws. The driver retries the whole function on transient errors, so it
+ * must load everything it changes itself.
+ * @param {Function} work - async (session) => result. Documents loaded with
+ *   `.session(session)` save within the transaction; session is null when
+ *   transactions aren't available.
+ * @returns {Promise<*>} What the work returned
+ */
+const withTransaction = async (work) => {
+  if (!supportsTransactions()) return work(null);
+
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await work(session);
+  });
+  return result;
+};
+
+module.exports = {
+  supportsTransactions,
+  withTransaction,
+};